@@ -7,14 +7,40 @@ const config = {
   
   // JWT Configuration
   JWT_SECRET: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '7d',
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m', // Access token lifetime
+  REFRESH_TOKEN_EXPIRE_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7, // Session lifetime
   
   // Firebase Configuration
   FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID || 'task-activity-management',
   
+  // Data Store - 'firestore' (Firebase Admin SDK) or 'memory' (local runs and tests)
+  DATA_STORE: process.env.DATA_STORE || 'firestore',
+  DATA_SEED_FILE: process.env.DATA_SEED_FILE || null,
+  
+  // Responsibility reminders - how often to check for reminders that are due
+  REMINDERS_ENABLED: process.env.REMINDERS_ENABLED !== 'false',
+  REMINDER_INTERVAL_SECONDS: parseInt(process.env.REMINDER_INTERVAL_SECONDS, 10) || 60,
+  
+  // Participant count repair - how often to recompute activity participant counts
+  PARTICIPANT_REPAIR_ENABLED: process.env.PARTICIPANT_REPAIR_ENABLED === 'true',
+  PARTICIPANT_REPAIR_INTERVAL_MINUTES: parseInt(process.env.PARTICIPANT_REPAIR_INTERVAL_MINUTES, 10) || 60,
+
+  // Activity check-in codes change this often (seconds)
+  CHECK_IN_CODE_SECONDS: parseInt(process.env.CHECK_IN_CODE_SECONDS, 10) || 60,
+  
+  // Bulk uploads - the organisation's time zone (users can choose their own) and
+  // how numeric dates such as 03/04/2026 are read unless the upload says otherwise
+  DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'UTC',
+  IMPORT_DATE_FORMAT: process.env.IMPORT_DATE_FORMAT || 'MM/DD/YYYY',
+  
+  // File storage for comment attachments - 'disk' (files under UPLOAD_DIR) or 'memory'
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'disk',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  
   // Rate Limiting
   RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
-  RATE_LIMIT_MAX: 100, // requests per window
+  RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // requests per window
+  AUTH_RATE_LIMIT_MAX: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 5, // login attempts per window
   
   // CORS Configuration - Handle multiple origins
   CORS_ORIGIN: process.env.CORS_ORIGIN 
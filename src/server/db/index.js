@@ -0,0 +1,132 @@
+/**
+ * Data Store
+ * Single access point for Firestore and Firebase Auth. The backing store is
+ * selected by config.DATA_STORE:
+ *   - 'firestore' (default): Firebase Admin SDK, requires credentials
+ *   - 'memory': in-process stand-ins for local runs and tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { MemoryFirestore, FieldValue: MemoryFieldValue } = require('./memoryFirestore');
+const { MemoryAuth } = require('./memoryAuth');
+
+const DATA_STORES = ['firestore', 'memory'];
+
+// Composite indexes deployed to Firestore; the in-memory store enforces them too
+const INDEXES_FILE = path.join(__dirname, '../../../firestore.indexes.json');
+
+let store = null;
+
+/**
+ * Build the configured store on first use
+ */
+const getStore = () => {
+  if (store) return store;
+
+  if (!DATA_STORES.includes(config.DATA_STORE)) {
+    throw new Error(`Unknown DATA_STORE "${config.DATA_STORE}". Use one of: ${DATA_STORES.join(', ')}`);
+  }
+
+  if (config.DATA_STORE === 'memory') {
+    const auth = new MemoryAuth();
+    store = {
+      type: 'memory',
+      firestore: new MemoryFirestore({ indexes: JSON.parse(fs.readFileSync(INDEXES_FILE, 'utf8')).indexes }),
+      auth,
+      admin: { auth: () => auth }
+    };
+  } else {
+    // Only touch the Admin SDK when it is actually selected
+    const { admin, firestore } = require('../config/firebase');
+    store = {
+      type: 'firestore',
+      firestore,
+      auth: admin.auth(),
+      admin
+    };
+  }
+
+  return store;
+};
+
+/**
+ * Get the Firestore instance (or its in-memory stand-in)
+ */
+const getFirestore = () => getStore().firestore;
+
+/**
+ * Get the Firebase Auth instance (or its in-memory stand-in)
+ */
+const getAuth = () => getStore().auth;
+
+/**
+ * Get an admin-like object exposing auth(), for code written against firebase-admin
+ */
+const getFirebaseAdmin = () => getStore().admin;
+
+/**
+ * Name of the active store ('firestore' or 'memory')
+ */
+const getDataStoreType = () => getStore().type;
+
+/**
+ * FieldValue sentinels matching the active store
+ */
+const FieldValue = config.DATA_STORE === 'memory'
+  ? MemoryFieldValue
+  : require('firebase-admin').firestore.FieldValue;
+
+/**
+ * Load seed data into the in-memory store
+ * @param {object} seed - { collections: { name: { docId: data } }, users: [userProperties] }
+ */
+async function seedMemoryStore(seed = {}) {
+  const { firestore, auth, type } = getStore();
+  if (type !== 'memory') {
+    throw new Error('Seeding is only supported for the in-memory data store');
+  }
+
+  firestore.seed(seed.collections || {});
+  await auth.seed(seed.users || []);
+}
+
+/**
+ * Clear the in-memory store
+ */
+function resetMemoryStore() {
+  const { firestore, auth, type } = getStore();
+  if (type !== 'memory') {
+    throw new Error('Reset is only supported for the in-memory data store');
+  }
+
+  firestore.reset();
+  auth.reset();
+}
+
+/**
+ * Initialize the data store at server startup
+ */
+async function initializeDataStore() {
+  const { type } = getStore();
+
+  if (type === 'memory' && config.DATA_SEED_FILE) {
+    const seed = JSON.parse(fs.readFileSync(config.DATA_SEED_FILE, 'utf8'));
+    await seedMemoryStore(seed);
+    console.log(`🌱 In-memory data store seeded from ${config.DATA_SEED_FILE}`);
+  }
+
+  return type;
+}
+
+module.exports = {
+  getFirestore,
+  getAuth,
+  getFirebaseAdmin,
+  getDataStoreType,
+  FieldValue,
+  seedMemoryStore,
+  resetMemoryStore,
+  initializeDataStore
+};
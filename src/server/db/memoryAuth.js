@@ -0,0 +1,186 @@
+/**
+ * In-Memory Firebase Auth
+ * Stand-in for the subset of admin.auth() used by the backend so the API can
+ * run without Firebase credentials. ID tokens are unsigned and only meant for
+ * local development and tests.
+ */
+
+const crypto = require('crypto');
+
+const ID_TOKEN_PREFIX = 'memory-id-token.';
+
+/**
+ * Errors carry the same codes as the Firebase Admin SDK
+ */
+const createAuthError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toUserRecord = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  displayName: user.displayName,
+  disabled: user.disabled,
+  customClaims: user.customClaims ? { ...user.customClaims } : undefined,
+  metadata: { ...user.metadata }
+});
+
+class MemoryAuth {
+  constructor() {
+    this._users = new Map();
+  }
+
+  async createUser(properties = {}) {
+    const { uid = crypto.randomBytes(14).toString('hex'), email, password, displayName, emailVerified = false, disabled = false } = properties;
+
+    if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw createAuthError('auth/invalid-email', 'The email address is improperly formatted.');
+    }
+    if (password !== undefined && String(password).length < 6) {
+      throw createAuthError('auth/invalid-password', 'The password must be a string with at least 6 characters.');
+    }
+    if (this._users.has(uid)) {
+      throw createAuthError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+    }
+    if (email && this._findByEmail(email)) {
+      throw createAuthError('auth/email-already-exists', 'The email address is already in use by another account.');
+    }
+
+    const user = {
+      uid,
+      email: email ? email.toLowerCase() : undefined,
+      displayName,
+      emailVerified,
+      disabled,
+      customClaims: undefined,
+      metadata: {
+        creationTime: new Date().toUTCString(),
+        lastSignInTime: null
+      }
+    };
+
+    this._users.set(uid, user);
+    return toUserRecord(user);
+  }
+
+  async getUser(uid) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    return toUserRecord(user);
+  }
+
+  async getUserByEmail(email) {
+    const user = this._findByEmail(email);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    return toUserRecord(user);
+  }
+
+  async updateUser(uid, properties = {}) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+
+    ['email', 'displayName', 'emailVerified', 'disabled'].forEach(key => {
+      if (properties[key] !== undefined) user[key] = properties[key];
+    });
+
+    return toUserRecord(user);
+  }
+
+  async deleteUser(uid) {
+    if (!this._users.delete(uid)) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+  }
+
+  async listUsers(maxResults = 1000, pageToken) {
+    const users = Array.from(this._users.values());
+    const start = pageToken ? parseInt(pageToken, 10) : 0;
+    const page = users.slice(start, start + maxResults);
+    const next = start + maxResults;
+
+    return {
+      users: page.map(toUserRecord),
+      pageToken: next < users.length ? String(next) : undefined
+    };
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    user.customClaims = claims ? { ...claims } : undefined;
+  }
+
+  /**
+   * Mint an ID token a client would normally get from the Firebase client SDK
+   */
+  async createIdToken(uid) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    user.metadata.lastSignInTime = new Date().toUTCString();
+    return ID_TOKEN_PREFIX + Buffer.from(JSON.stringify({ uid })).toString('base64url');
+  }
+
+  async verifyIdToken(idToken) {
+    if (typeof idToken !== 'string' || !idToken.startsWith(ID_TOKEN_PREFIX)) {
+      throw createAuthError('auth/argument-error', 'Decoding Firebase ID token failed.');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(idToken.slice(ID_TOKEN_PREFIX.length), 'base64url').toString());
+    } catch (error) {
+      throw createAuthError('auth/argument-error', 'Decoding Firebase ID token failed.');
+    }
+
+    const user = this._users.get(payload.uid);
+    if (!user) {
+      throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    if (user.disabled) {
+      throw createAuthError('auth/user-disabled', 'The user record is disabled.');
+    }
+
+    return {
+      uid: user.uid,
+      email: user.email,
+      name: user.displayName,
+      email_verified: user.emailVerified,
+      ...(user.customClaims || {})
+    };
+  }
+
+  /**
+   * Load fixture users: [{ uid, email, displayName, ... }]
+   */
+  async seed(users = []) {
+    for (const user of users) {
+      await this.createUser(user);
+    }
+  }
+
+  reset() {
+    this._users.clear();
+  }
+
+  _findByEmail(email) {
+    const normalized = String(email).toLowerCase();
+    return Array.from(this._users.values()).find(user => user.email === normalized);
+  }
+}
+
+module.exports = {
+  MemoryAuth
+};
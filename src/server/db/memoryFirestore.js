@@ -0,0 +1,762 @@
+/**
+ * In-Memory Firestore
+ * Drop-in stand-in for the subset of the Firestore Admin API used by the
+ * services and routes (collections, documents, queries, batches and
+ * transactions). Used for local runs without Firebase credentials and tests.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sentinel values mirroring admin.firestore.FieldValue
+ */
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  delete: () => new FieldValueSentinel('delete'),
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements)
+};
+
+/**
+ * Errors carry the same gRPC-style codes as the Firestore SDK
+ */
+const createFirestoreError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const INVALID_ARGUMENT = 3;
+const FAILED_PRECONDITION = 9;
+
+// Firestore rejects batches and transactions with more writes than this
+const MAX_WRITES = 500;
+
+const generateId = () => crypto.randomBytes(15).toString('base64')
+  .replace(/[^a-zA-Z0-9]/g, '')
+  .slice(0, 20)
+  .padEnd(20, '0');
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const valuesEqual = (a, b) => {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => valuesEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * Read a (possibly dotted) field path from document data
+ */
+const getField = (data, fieldPath) => {
+  if (fieldPath === '__name__') return undefined;
+  return String(fieldPath).split('.').reduce(
+    (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+    data
+  );
+};
+
+/**
+ * Resolve a sentinel against the current value of a field
+ */
+const resolveSentinel = (sentinel, current) => {
+  switch (sentinel.kind) {
+    case 'serverTimestamp':
+      return new Date().toISOString();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + sentinel.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      sentinel.operand.forEach(item => {
+        if (!result.some(existing => valuesEqual(existing, item))) result.push(clone(item));
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return Array.isArray(current)
+        ? current.filter(existing => !sentinel.operand.some(item => valuesEqual(existing, item)))
+        : [];
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Write a (possibly dotted) field path, honouring FieldValue sentinels
+ */
+const setField = (data, fieldPath, value) => {
+  const keys = String(fieldPath).split('.');
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+
+  if (value instanceof FieldValueSentinel) {
+    if (value.kind === 'delete') {
+      delete target[last];
+    } else {
+      target[last] = resolveSentinel(value, target[last]);
+    }
+  } else {
+    target[last] = clone(value);
+  }
+};
+
+/**
+ * Apply nested data onto an existing object (set() keys are literal, not paths)
+ */
+const mergeInto = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value instanceof FieldValueSentinel) {
+      if (value.kind === 'delete') {
+        delete target[key];
+      } else {
+        target[key] = resolveSentinel(value, target[key]);
+      }
+    } else if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeInto(target[key], value);
+    } else {
+      target[key] = clone(value);
+    }
+  });
+};
+
+/**
+ * Replace a document wholesale, still resolving sentinels
+ */
+const buildDocument = (data) => {
+  const result = {};
+  mergeInto(result, data);
+  return result;
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const FILTERS = {
+  '==': (value, operand) => valuesEqual(value, operand),
+  '!=': (value, operand) => value !== undefined && !valuesEqual(value, operand),
+  '<': (value, operand) => value !== undefined && value !== null && compareValues(value, operand) < 0,
+  '<=': (value, operand) => value !== undefined && value !== null && compareValues(value, operand) <= 0,
+  '>': (value, operand) => value !== undefined && value !== null && compareValues(value, operand) > 0,
+  '>=': (value, operand) => value !== undefined && value !== null && compareValues(value, operand) >= 0,
+  'in': (value, operand) => operand.some(item => valuesEqual(value, item)),
+  'not-in': (value, operand) => value !== undefined && !operand.some(item => valuesEqual(value, item)),
+  'array-contains': (value, operand) =>
+    Array.isArray(value) && value.some(item => valuesEqual(item, operand)),
+  'array-contains-any': (value, operand) =>
+    Array.isArray(value) && value.some(item => operand.some(candidate => valuesEqual(item, candidate)))
+};
+
+// Filters served like equality in an index; the rest are inequalities
+const EQUALITY_OPERATORS = ['==', 'in', 'array-contains', 'array-contains-any'];
+const ARRAY_OPERATORS = ['array-contains', 'array-contains-any'];
+
+const toIndexOrder = (direction) => (direction === 'desc' ? 'DESCENDING' : 'ASCENDING');
+
+/**
+ * Composite index a query needs, or null when Firestore's automatic
+ * single-field indexes serve it. Equality filters come first, then the orderBy
+ * fields, then inequality fields not ordered by (in the last orderBy's direction).
+ * @returns {object|null} { collectionGroup, equalities, sorts } - fields in firestore.indexes.json form
+ */
+const getRequiredIndex = (collectionPath, filters, orders) => {
+  const equalities = [];
+  filters.filter(filter => EQUALITY_OPERATORS.includes(filter.op)).forEach(({ fieldPath, op }) => {
+    if (equalities.some(field => field.fieldPath === fieldPath)) return;
+    equalities.push(ARRAY_OPERATORS.includes(op)
+      ? { fieldPath, arrayConfig: 'CONTAINS' }
+      : { fieldPath, order: 'ASCENDING' });
+  });
+
+  const lastOrder = orders[orders.length - 1];
+  const sorts = orders
+    .filter(order => !equalities.some(field => field.fieldPath === order.fieldPath))
+    .map(order => ({ fieldPath: order.fieldPath, order: toIndexOrder(order.direction) }));
+  filters.filter(filter => !EQUALITY_OPERATORS.includes(filter.op)).forEach(({ fieldPath }) => {
+    if (sorts.some(field => field.fieldPath === fieldPath)) return;
+    sorts.push({ fieldPath, order: toIndexOrder(lastOrder && lastOrder.direction) });
+  });
+
+  // Single-field indexes serve one sorted field, or equality filters alone
+  if (sorts.length === 0 || (sorts.length === 1 && equalities.length === 0)) return null;
+
+  return { collectionGroup: collectionPath.split('/').pop(), equalities, sorts };
+};
+
+const isSameIndexField = (declared, required) => declared.fieldPath === required.fieldPath && (
+  required.arrayConfig ? declared.arrayConfig === required.arrayConfig : Boolean(declared.order)
+);
+
+/**
+ * Whether declared indexes serve a query. As in Firestore, the equality filters
+ * may be spread over several indexes that all end in the query's sorted fields.
+ */
+const isIndexed = ({ collectionGroup, equalities, sorts }, indexes) => {
+  const matching = indexes.filter(index => {
+    if (index.collectionGroup !== collectionGroup || (index.queryScope || 'COLLECTION') !== 'COLLECTION') {
+      return false;
+    }
+    const prefix = index.fields.slice(0, index.fields.length - sorts.length);
+    const suffix = index.fields.slice(prefix.length);
+    return suffix.length === sorts.length &&
+      suffix.every((field, i) => field.fieldPath === sorts[i].fieldPath && field.order === sorts[i].order) &&
+      prefix.every(field => equalities.some(equality => isSameIndexField(field, equality)));
+  });
+
+  if (equalities.length === 0) return matching.length > 0;
+  return equalities.every(equality =>
+    matching.some(index => index.fields.some(field => isSameIndexField(field, equality))));
+};
+
+/**
+ * Snapshot of a single document
+ */
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+/**
+ * Snapshot of a query result
+ */
+class QuerySnapshot {
+  constructor(query, docs) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback, thisArg) {
+    this.docs.forEach(callback, thisArg);
+  }
+}
+
+/**
+ * Reference to a single document
+ */
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this.firestore = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this._collectionPath);
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async create(data) {
+    this.firestore._write(this, 'create', data);
+    return { writeTime: new Date() };
+  }
+
+  async set(data, options = {}) {
+    this.firestore._write(this, 'set', data, options);
+    return { writeTime: new Date() };
+  }
+
+  async update(data) {
+    this.firestore._write(this, 'update', data);
+    return { writeTime: new Date() };
+  }
+
+  async delete() {
+    this.firestore._write(this, 'delete');
+    return { writeTime: new Date() };
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+}
+
+/**
+ * Immutable query over a collection
+ */
+class Query {
+  constructor(db, collectionPath, options = {}) {
+    this.firestore = db;
+    this._collectionPath = collectionPath;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit === undefined ? null : options.limit;
+    this._limitToLast = options.limitToLast || false;
+    this._offset = options.offset || 0;
+    this._start = options.start || null;
+    this._end = options.end || null;
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      limitToLast: this._limitToLast,
+      offset: this._offset,
+      start: this._start,
+      end: this._end,
+      ...changes
+    });
+  }
+
+  where(fieldPath, op, value) {
+    if (!FILTERS[op]) {
+      throw createFirestoreError(INVALID_ARGUMENT, `Invalid query operator: ${op}`);
+    }
+    if (['in', 'not-in', 'array-contains-any'].includes(op) && !Array.isArray(value)) {
+      throw createFirestoreError(INVALID_ARGUMENT, `Operator "${op}" requires an array value`);
+    }
+    return this._with({ filters: [...this._filters, { fieldPath, op, value: clone(value) }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+      throw createFirestoreError(INVALID_ARGUMENT, `Invalid sort direction: ${direction}`);
+    }
+    return this._with({ orders: [...this._orders, { fieldPath, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count, limitToLast: false });
+  }
+
+  limitToLast(count) {
+    return this._with({ limit: count, limitToLast: true });
+  }
+
+  offset(count) {
+    return this._with({ offset: count });
+  }
+
+  startAt(...values) {
+    return this._with({ start: { values, inclusive: true } });
+  }
+
+  startAfter(...values) {
+    return this._with({ start: { values, inclusive: false } });
+  }
+
+  endAt(...values) {
+    return this._with({ end: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ end: { values, inclusive: false } });
+  }
+
+  /**
+   * Cursor values may be a DocumentSnapshot or raw orderBy values
+   */
+  _cursorValues(cursor) {
+    const [first] = cursor.values;
+    if (first instanceof DocumentSnapshot) {
+      return [
+        ...this._orders.map(order => getField(first._data, order.fieldPath)),
+        first.id
+      ];
+    }
+    return cursor.values;
+  }
+
+  _compareDocs(a, b) {
+    for (const order of this._orders) {
+      const result = compareValues(getField(a.data, order.fieldPath), getField(b.data, order.fieldPath));
+      if (result !== 0) return order.direction === 'desc' ? -result : result;
+    }
+    return compareValues(a.id, b.id);
+  }
+
+  _compareToCursor(entry, values) {
+    for (let i = 0; i < values.length; i++) {
+      const order = this._orders[i];
+      const result = order
+        ? compareValues(getField(entry.data, order.fieldPath), values[i])
+        : compareValues(entry.id, values[i]);
+      if (result !== 0) return order && order.direction === 'desc' ? -result : result;
+    }
+    return 0;
+  }
+
+  _run() {
+    this.firestore._checkIndex(this);
+
+    let entries = this.firestore._listCollection(this._collectionPath)
+      .filter(entry => this._filters.every(({ fieldPath, op, value }) =>
+        FILTERS[op](fieldPath === '__name__' ? entry.id : getField(entry.data, fieldPath), value)))
+      // Firestore excludes documents missing an orderBy field
+      .filter(entry => this._orders.every(order => getField(entry.data, order.fieldPath) !== undefined));
+
+    entries.sort((a, b) => this._compareDocs(a, b));
+
+    if (this._start) {
+      const values = this._cursorValues(this._start);
+      entries = entries.filter(entry => {
+        const result = this._compareToCursor(entry, values);
+        return this._start.inclusive ? result >= 0 : result > 0;
+      });
+    }
+
+    if (this._end) {
+      const values = this._cursorValues(this._end);
+      entries = entries.filter(entry => {
+        const result = this._compareToCursor(entry, values);
+        return this._end.inclusive ? result <= 0 : result < 0;
+      });
+    }
+
+    if (this._offset) entries = entries.slice(this._offset);
+
+    if (this._limit !== null) {
+      entries = this._limitToLast ? entries.slice(-this._limit) : entries.slice(0, this._limit);
+    }
+
+    return entries.map(entry => new DocumentSnapshot(
+      new DocumentReference(this.firestore, this._collectionPath, entry.id),
+      entry.data
+    ));
+  }
+
+  async get() {
+    return new QuerySnapshot(this, this._run());
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const size = this._run().length;
+        return { data: () => ({ count: size }) };
+      }
+    };
+  }
+}
+
+/**
+ * Reference to a collection
+ */
+class CollectionReference extends Query {
+  constructor(db, collectionPath) {
+    super(db, collectionPath);
+    this.id = collectionPath.split('/').pop();
+    this.path = collectionPath;
+  }
+
+  doc(id) {
+    return new DocumentReference(this.firestore, this.path, id || generateId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this.firestore._listCollection(this.path)
+      .map(entry => new DocumentReference(this.firestore, this.path, entry.id));
+  }
+}
+
+/**
+ * Batched writes applied together on commit
+ */
+class WriteBatch {
+  constructor(db) {
+    this.firestore = db;
+    this._operations = [];
+    this._committed = false;
+  }
+
+  create(ref, data) {
+    this._operations.push({ ref, type: 'create', data });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this._operations.push({ ref, type: 'set', data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ ref, type: 'update', data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ ref, type: 'delete' });
+    return this;
+  }
+
+  async commit() {
+    if (this._committed) {
+      throw createFirestoreError(INVALID_ARGUMENT, 'Cannot modify a WriteBatch that has been committed');
+    }
+    this._committed = true;
+    this.firestore._applyAll(this._operations);
+    return this._operations.map(() => ({ writeTime: new Date() }));
+  }
+}
+
+/**
+ * Transaction: reads see committed state, writes are applied atomically
+ */
+class Transaction {
+  constructor(db) {
+    this.firestore = db;
+    this._operations = [];
+  }
+
+  async get(refOrQuery) {
+    if (this._operations.length > 0) {
+      throw createFirestoreError(INVALID_ARGUMENT, 'Firestore transactions require all reads to be executed before all writes');
+    }
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  create(ref, data) {
+    this._operations.push({ ref, type: 'create', data });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this._operations.push({ ref, type: 'set', data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ ref, type: 'update', data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ ref, type: 'delete' });
+    return this;
+  }
+}
+
+/**
+ * In-memory database root
+ */
+class MemoryFirestore {
+  /**
+   * @param {object} options - { indexes: composite indexes from firestore.indexes.json;
+   *   when given, queries needing an undeclared index fail as they would in Firestore }
+   */
+  constructor({ indexes = null } = {}) {
+    // collectionPath -> Map(docId -> data)
+    this._collections = new Map();
+    this._indexes = indexes;
+    // Serialises transactions so read-modify-write cycles cannot interleave
+    this._transactionQueue = Promise.resolve();
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    const segments = documentPath.split('/');
+    const id = segments.pop();
+    return new DocumentReference(this, segments.join('/'), id);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  async runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this._applyAll(transaction._operations);
+      return result;
+    });
+
+    // Keep the queue alive even when a transaction fails
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load fixture data: { collectionName: { docId: data } }
+   */
+  seed(fixtures = {}) {
+    Object.entries(fixtures).forEach(([collectionPath, documents]) => {
+      Object.entries(documents).forEach(([id, data]) => {
+        this._store(collectionPath).set(id, buildDocument(data));
+      });
+    });
+  }
+
+  /**
+   * Drop every collection
+   */
+  reset() {
+    this._collections.clear();
+  }
+
+  _checkIndex(query) {
+    if (!this._indexes) return;
+
+    const required = getRequiredIndex(query._collectionPath, query._filters, query._orders);
+    if (required && !isIndexed(required, this._indexes)) {
+      const index = {
+        collectionGroup: required.collectionGroup,
+        queryScope: 'COLLECTION',
+        fields: [...required.equalities, ...required.sorts]
+      };
+      throw createFirestoreError(FAILED_PRECONDITION,
+        `The query requires an index. Add it to firestore.indexes.json: ${JSON.stringify(index)}`);
+    }
+  }
+
+  _store(collectionPath) {
+    if (!this._collections.has(collectionPath)) {
+      this._collections.set(collectionPath, new Map());
+    }
+    return this._collections.get(collectionPath);
+  }
+
+  _listCollection(collectionPath) {
+    const store = this._collections.get(collectionPath);
+    if (!store) return [];
+    return Array.from(store.entries()).map(([id, data]) => ({ id, data }));
+  }
+
+  _snapshot(ref) {
+    const store = this._collections.get(ref._collectionPath);
+    return new DocumentSnapshot(ref, store ? store.get(ref.id) : undefined);
+  }
+
+  _write(ref, type, data, options) {
+    this._applyAll([{ ref, type, data, options }]);
+  }
+
+  /**
+   * Validate every operation first so a failing write leaves no partial state
+   */
+  _applyAll(operations) {
+    if (operations.length > MAX_WRITES) {
+      throw createFirestoreError(INVALID_ARGUMENT, `maximum ${MAX_WRITES} writes allowed per request`);
+    }
+
+    const staged = new Map();
+    const current = (ref) => {
+      if (staged.has(ref.path)) return staged.get(ref.path).data;
+      return this._store(ref._collectionPath).get(ref.id);
+    };
+
+    operations.forEach(({ ref, type, data, options = {} }) => {
+      const existing = current(ref);
+      let next;
+
+      switch (type) {
+        case 'create':
+          if (existing !== undefined) {
+            throw createFirestoreError(ALREADY_EXISTS, `Document already exists: ${ref.path}`);
+          }
+          next = buildDocument(data);
+          break;
+        case 'set':
+          if (options.merge && existing !== undefined) {
+            next = clone(existing);
+            mergeInto(next, data);
+          } else {
+            next = buildDocument(data);
+          }
+          break;
+        case 'update':
+          if (existing === undefined) {
+            throw createFirestoreError(NOT_FOUND, `No document to update: ${ref.path}`);
+          }
+          next = clone(existing);
+          Object.entries(data).forEach(([fieldPath, value]) => setField(next, fieldPath, value));
+          break;
+        case 'delete':
+          next = undefined;
+          break;
+        default:
+          throw createFirestoreError(INVALID_ARGUMENT, `Unknown write type: ${type}`);
+      }
+
+      staged.set(ref.path, { ref, data: next });
+    });
+
+    staged.forEach(({ ref, data }) => {
+      const store = this._store(ref._collectionPath);
+      if (data === undefined) {
+        store.delete(ref.id);
+      } else {
+        store.set(ref.id, data);
+      }
+    });
+  }
+}
+
+MemoryFirestore.FieldValue = FieldValue;
+
+module.exports = {
+  MemoryFirestore,
+  FieldValue
+};
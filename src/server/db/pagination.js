@@ -0,0 +1,165 @@
+/**
+ * Cursor Pagination
+ * List endpoints return one page plus `nextCursor` (null on the last page); passing
+ * it back as ?cursor= returns the next page. Cursors are opaque base64url strings:
+ *   - Firestore queries: the ID of the last document, resumed with startAfter(snapshot)
+ *   - Lists built in memory (e.g. expanded recurring series): [sortValue, id] of the last item
+ *   - Both at once: { doc, item } with the position in each
+ */
+
+const { ValidationError } = require('../errors');
+
+const invalidCursor = () =>
+  new ValidationError([{ location: 'query', field: 'cursor', message: 'Cursor is invalid or expired' }]);
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+};
+
+/**
+ * Timestamps (createdAt, ...) default to newest first, everything else to ascending
+ */
+const resolveOrder = (sort, order) => order || (sort.endsWith('At') ? 'desc' : 'asc');
+
+/**
+ * Read one page of a Firestore query
+ * @param {object} collection - Collection the query runs over (to resolve the cursor document)
+ * @param {object} query - Filtered query, without orderBy or limit
+ * @param {object} options - { sort (a field, or fields to order by in turn), order, limit, cursor }
+ * @returns {object} { docs, nextCursor }
+ */
+async function paginateQuery(collection, query, { sort, order, limit, cursor }) {
+  const fields = [].concat(sort);
+  const direction = resolveOrder(fields[0], order);
+  let page = fields.reduce((sorted, field) => sorted.orderBy(field, direction), query);
+
+  if (cursor) {
+    const id = decodeCursor(cursor);
+    if (typeof id !== 'string') throw invalidCursor();
+
+    const snapshot = await collection.doc(id).get();
+    if (!snapshot.exists) throw invalidCursor();
+    page = page.startAfter(snapshot);
+  }
+
+  // One extra document tells whether there is a next page
+  const snapshot = await page.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    docs,
+    nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1].id) : null
+  };
+}
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Sort and page a list that was built in memory
+ * @param {object[]} items - Items to page
+ * @param {object} options - { key: item => sort value, getId: item => unique ID, order, limit, cursor }
+ * @returns {object} { items, nextCursor }
+ */
+function paginateItems(items, { key, getId, order, limit, cursor }) {
+  const direction = order === 'desc' ? -1 : 1;
+  const compareEntries = (a, b) => direction * compare(a.value, b.value) || compare(a.id, b.id);
+
+  let entries = items
+    .map(item => ({ item, value: key(item), id: getId(item) }))
+    .sort(compareEntries);
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!Array.isArray(position) || position.length !== 2) throw invalidCursor();
+
+    const [value, id] = position;
+    entries = entries.filter(entry => compareEntries(entry, { value, id }) > 0);
+  }
+
+  const page = entries.slice(0, limit);
+
+  return {
+    items: page.map(entry => entry.item),
+    nextCursor: entries.length > limit
+      ? encodeCursor([page[page.length - 1].value, page[page.length - 1].id])
+      : null
+  };
+}
+
+/**
+ * Page a Firestore query together with items built in memory (e.g. the occurrences of
+ * recurring series) as one list. Each source keeps its own position in the cursor, so
+ * nothing is skipped or repeated even where the query orders slightly differently
+ * from `key`.
+ * @param {object} source - { collection, query (see paginateQuery), toItem: doc => item,
+ *   include: doc => false to leave a matching document out }
+ * @param {object[]} items - Items built in memory
+ * @param {object} options - { sort (query fields), key: item => sort value, getId, order, limit, cursor }
+ * @returns {object} { items, nextCursor }
+ */
+async function paginateMerged(source, items, { sort, key, getId, order, limit, cursor }) {
+  const { collection, query, toItem, include = () => true } = source;
+  const direction = order === 'desc' ? -1 : 1;
+
+  let position = { doc: null, item: null };
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (!position || typeof position !== 'object' || Array.isArray(position)) throw invalidCursor();
+  }
+
+  // Read documents until a page more than fills up or the query runs out
+  const docs = [];
+  let queryCursor = position.doc ? encodeCursor(position.doc) : null;
+  do {
+    const page = await paginateQuery(collection, query, { sort, order, limit, cursor: queryCursor });
+    docs.push(...page.docs.filter(include));
+    queryCursor = page.nextCursor;
+  } while (queryCursor && docs.length <= limit);
+
+  const listed = paginateItems(items, {
+    key,
+    getId,
+    order,
+    limit,
+    cursor: position.item ? encodeCursor(position.item) : null
+  });
+
+  // Merge the two sorted lists, keeping each one's own order
+  const toEntry = (item, doc = null) => ({ item, doc, value: key(item), id: getId(item) });
+  const fromQuery = docs.map(doc => toEntry(toItem(doc), doc));
+  const fromItems = listed.items.map(item => toEntry(item));
+  const entries = [];
+  while (fromQuery.length > 0 || fromItems.length > 0) {
+    const [a, b] = [fromQuery[0], fromItems[0]];
+    const takeQuery = !b || (a && (direction * compare(a.value, b.value) || compare(a.id, b.id)) <= 0);
+    entries.push(takeQuery ? fromQuery.shift() : fromItems.shift());
+  }
+
+  const page = entries.slice(0, limit);
+  const lastDoc = page.filter(entry => entry.doc).pop();
+  const lastItem = page.filter(entry => !entry.doc).pop();
+  const more = entries.length > limit || Boolean(queryCursor) || Boolean(listed.nextCursor);
+
+  return {
+    items: page.map(entry => entry.item),
+    nextCursor: more
+      ? encodeCursor({
+        doc: lastDoc ? lastDoc.doc.id : position.doc,
+        item: lastItem ? [lastItem.value, lastItem.id] : position.item
+      })
+      : null
+  };
+}
+
+module.exports = {
+  resolveOrder,
+  paginateQuery,
+  paginateItems,
+  paginateMerged
+};
@@ -0,0 +1,96 @@
+/**
+ * API Errors
+ * Typed errors carrying an HTTP status and a stable machine-readable code.
+ * Services and routes throw these; the global error handler turns them into
+ * the error envelope:
+ *   { error: 'Human readable message', code: 'NOT_FOUND', details: [...] }
+ */
+
+/**
+ * Every code the API can return in the error envelope
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_FILE: 'INVALID_FILE',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_INVALID: 'TOKEN_INVALID',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Base class: anything thrown as an AppError is safe to show to clients
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {object} options - { statusCode, code, details }
+   */
+  constructor(message, { statusCode = 500, code = ERROR_CODES.INTERNAL_ERROR, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = ERROR_CODES.BAD_REQUEST, details } = {}) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+/**
+ * Request input failed schema validation
+ * @param {Array} details - [{ location, field, message }]
+ */
+class ValidationError extends AppError {
+  constructor(details = [], message = details.map(detail => detail.message).join('; ') || 'Validation failed') {
+    super(message, { statusCode: 400, code: ERROR_CODES.VALIDATION_FAILED, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required.', { code = ERROR_CODES.UNAUTHENTICATED } = {}) {
+    super(message, { statusCode: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions.', { code = ERROR_CODES.FORBIDDEN } = {}) {
+    super(message, { statusCode: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', { code = ERROR_CODES.NOT_FOUND } = {}) {
+    super(message, { statusCode: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', { code = ERROR_CODES.CONFLICT } = {}) {
+    super(message, { statusCode: 409, code });
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+};
@@ -0,0 +1,11 @@
+/**
+ * Async Route Wrapper
+ * Forwards errors thrown (or rejected) by async handlers to the global error handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = {
+  asyncHandler
+};
@@ -1,41 +1,66 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const sessionService = require('../services/sessionService');
+const permissionsService = require('../services/permissionsService');
+const { ERROR_CODES, UnauthorizedError, ForbiddenError } = require('../errors');
+
+/**
+ * Read the access token from cookies or Authorization header
+ */
+const getTokenFromRequest = (req) =>
+  req.cookies.token ||
+  (req.headers.authorization && req.headers.authorization.split(' ')[1]);
 
 /**
  * JWT Authentication Middleware
- * Verifies JWT token from cookies or Authorization header
+ * Verifies JWT token from cookies or Authorization header and
+ * checks that the session behind it has not been revoked
  */
-const authenticateToken = (req, res, next) => {
-  // Get token from cookie or Authorization header
-  const token = req.cookies.token || 
-                (req.headers.authorization && req.headers.authorization.split(' ')[1]);
+const authenticateToken = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
 
   if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
+    return next(new UnauthorizedError('Access denied. No token provided.'));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, config.JWT_SECRET);
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(403).json({ error: 'Invalid token.' });
+    if (error.name === 'TokenExpiredError') {
+      return next(new UnauthorizedError('Token expired.', { code: ERROR_CODES.TOKEN_EXPIRED }));
+    }
+    return next(new ForbiddenError('Invalid token.', { code: ERROR_CODES.TOKEN_INVALID }));
   }
+
+  try {
+    // Tokens without a sessionId (issued before sessions existed) are rejected too
+    if (!(await sessionService.isSessionActive(decoded.sessionId))) {
+      return next(new UnauthorizedError('Session expired or revoked. Please log in again.', {
+        code: ERROR_CODES.SESSION_REVOKED
+      }));
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded;
+  next();
 };
 
 /**
  * Optional Authentication Middleware
  * Adds user info if token exists, but doesn't require it
  */
-const optionalAuth = (req, res, next) => {
-  const token = req.cookies.token || 
-                (req.headers.authorization && req.headers.authorization.split(' ')[1]);
+const optionalAuth = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
 
   if (token) {
     try {
       const decoded = jwt.verify(token, config.JWT_SECRET);
-      req.user = decoded;
+      if (await sessionService.isSessionActive(decoded.sessionId)) {
+        req.user = decoded;
+      }
     } catch (error) {
       // Token invalid, but continue without user
       console.log('Invalid token in optional auth:', error.message);
@@ -52,13 +77,35 @@ const optionalAuth = (req, res, next) => {
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required.' });
+      return next(new UnauthorizedError());
     }
 
-    const userRole = req.user.userType || 'core';
+    const userRole = req.user.userType || 'in-house';
     
     if (!roles.includes(userRole)) {
-      return res.status(403).json({ error: 'Insufficient permissions.' });
+      return next(new ForbiddenError());
+    }
+
+    next();
+  };
+};
+
+/**
+ * Permission-based Authorization Middleware
+ * Requires the user's role to grant every listed permission
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+
+    try {
+      if (!(await permissionsService.hasPermission(req.user, ...permissions))) {
+        return next(new ForbiddenError());
+      }
+    } catch (error) {
+      return next(error);
     }
 
     next();
@@ -66,7 +113,9 @@ const requireRole = (roles) => {
 };
 
 module.exports = {
+  getTokenFromRequest,
   authenticateToken,
   optionalAuth,
-  requireRole
-};
\ No newline at end of file
+  requireRole,
+  requirePermission
+};
@@ -1,53 +1,94 @@
 const config = require('../config');
+const {
+  ERROR_CODES,
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError
+} = require('../errors');
+
+// Codes for errors that only carry a statusCode
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHENTICATED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.BAD_REQUEST,
+  429: ERROR_CODES.RATE_LIMITED
+};
+
+// Firebase Auth errors a client can act on (an existing email stays a 400, as
+// signup always returned)
+const FIREBASE_AUTH_ERRORS = {
+  'auth/email-already-exists': () => new BadRequestError('Email already exists', { code: ERROR_CODES.CONFLICT }),
+  'auth/invalid-email': () => new BadRequestError('Invalid email address'),
+  'auth/weak-password': () => new BadRequestError('Password is too weak'),
+  'auth/invalid-password': () => new BadRequestError('Password is too weak'),
+  'auth/user-not-found': () => new NotFoundError('User not found')
+};
 
 /**
- * Global Error Handler Middleware
+ * Turn anything thrown by a route, middleware or library into an AppError
  */
-const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
 
-  // Log error
-  console.error('Error:', err);
-
-  // Mongoose bad ObjectId
-  if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
+  // express.json() body parsing
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON in request body', { code: ERROR_CODES.INVALID_JSON });
   }
-
-  // Mongoose duplicate key
-  if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
-    error = { message, statusCode: 400 };
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { statusCode: 413, code: ERROR_CODES.BAD_REQUEST });
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+  // Multer uploads
+  if (err.name === 'MulterError') {
+    return new BadRequestError(err.message, { code: ERROR_CODES.INVALID_FILE });
   }
 
   // JWT errors
+  if (err.name === 'TokenExpiredError') {
+    return new UnauthorizedError('Token expired.', { code: ERROR_CODES.TOKEN_EXPIRED });
+  }
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = { message, statusCode: 401 };
+    return new ForbiddenError('Invalid token.', { code: ERROR_CODES.TOKEN_INVALID });
   }
 
-  if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = { message, statusCode: 401 };
+  // Firebase Auth errors
+  if (typeof err.code === 'string' && err.code.startsWith('auth/')) {
+    const firebaseError = FIREBASE_AUTH_ERRORS[err.code];
+    return firebaseError ? firebaseError() : new UnauthorizedError('Firebase authentication failed');
   }
 
-  // Firebase errors
-  if (err.code && err.code.startsWith('auth/')) {
-    const message = 'Authentication error';
-    error = { message, statusCode: 401 };
+  // Errors that only set a client status keep their message
+  if (err.statusCode >= 400 && err.statusCode < 500) {
+    return new AppError(err.message, {
+      statusCode: err.statusCode,
+      code: STATUS_CODES[err.statusCode] || ERROR_CODES.BAD_REQUEST,
+      details: err.details
+    });
   }
 
-  res.status(error.statusCode || 500).json({
-    success: false,
-    error: error.message || 'Server Error',
+  return new AppError('Internal server error');
+};
+
+/**
+ * Global Error Handler Middleware
+ * Responds with the error envelope: { error, code, details? }
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.statusCode >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details !== undefined && { details: error.details }),
     ...(config.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -56,12 +97,10 @@ const errorHandler = (err, req, res, next) => {
  * 404 Handler for undefined routes
  */
 const notFound = (req, res, next) => {
-  const error = new Error(`Not found - ${req.originalUrl}`);
-  res.status(404);
-  next(error);
+  next(new NotFoundError(`Not found - ${req.originalUrl}`, { code: ERROR_CODES.ROUTE_NOT_FOUND }));
 };
 
 module.exports = {
   errorHandler,
   notFound
-};
\ No newline at end of file
+};
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
+const { ERROR_CODES } = require('../errors');
 
 /**
  * General API Rate Limiter
@@ -8,10 +9,11 @@ const apiLimiter = rateLimit({
   windowMs: config.RATE_LIMIT_WINDOW,
   max: config.RATE_LIMIT_MAX,
   message: {
-    error: 'Too many requests from this IP, please try again later.'
+    error: 'Too many requests from this IP, please try again later.',
+    code: ERROR_CODES.RATE_LIMITED
   },
   standardHeaders: true,
-  legacyHeaders: false,
+  legacyHeaders: false
 });
 
 /**
@@ -19,12 +21,44 @@ const apiLimiter = rateLimit({
  */
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per window
+  max: config.AUTH_RATE_LIMIT_MAX, // 5 attempts per window by default
   message: {
-    error: 'Too many authentication attempts, please try again later.'
+    error: 'Too many authentication attempts, please try again later.',
+    code: ERROR_CODES.RATE_LIMITED
   },
   standardHeaders: true,
-  legacyHeaders: false,
+  legacyHeaders: false
+});
+
+/**
+ * Rate Limiter for Activity Check-ins (check-in codes are short enough to guess).
+ * Counts per user and activity, since everyone at a venue shares one address;
+ * mount it after authenticateToken.
+ */
+const checkInLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10, // 10 attempts per user and activity per window
+  keyGenerator: (req) => `${req.user.userId}:${req.params.id}`,
+  message: {
+    error: 'Too many check-in attempts, please try again later.',
+    code: ERROR_CODES.RATE_LIMITED
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Per-IP backstop for check-ins, loose enough for a whole venue behind one address
+ */
+const checkInIpLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 500, // 500 attempts per window
+  message: {
+    error: 'Too many check-in attempts from this network, please try again later.',
+    code: ERROR_CODES.RATE_LIMITED
+  },
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
 /**
@@ -34,7 +68,8 @@ const staticLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute
   message: {
-    error: 'Too many requests for static assets.'
+    error: 'Too many requests for static assets.',
+    code: ERROR_CODES.RATE_LIMITED
   },
   skip: (req) => {
     // Skip rate limiting for certain file types
@@ -46,5 +81,7 @@ const staticLimiter = rateLimit({
 module.exports = {
   apiLimiter,
   authLimiter,
+  checkInLimiter,
+  checkInIpLimiter,
   staticLimiter
 };
\ No newline at end of file
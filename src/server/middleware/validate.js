@@ -0,0 +1,37 @@
+const { validateSchema } = require('../validation');
+const { ValidationError } = require('../errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Request Validation Middleware
+ * Validates req.params, req.query and req.body against the given schemas,
+ * replacing them with the coerced values. Fails with a ValidationError listing
+ * every problem as details: [{ location, field, message }]
+ * @param {object} schemas - { params, query, body }
+ */
+const validate = (schemas) => {
+  return (req, res, next) => {
+    const details = [];
+    const values = {};
+
+    LOCATIONS.forEach(location => {
+      if (!schemas[location]) return;
+
+      const { value, problems } = validateSchema(schemas[location], req[location]);
+      problems.forEach(problem => details.push({ location, ...problem }));
+      values[location] = value;
+    });
+
+    if (details.length > 0) {
+      return next(new ValidationError(details));
+    }
+
+    Object.assign(req, values);
+    next();
+  };
+};
+
+module.exports = {
+  validate
+};
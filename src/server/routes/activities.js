@@ -1,15 +1,19 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/activities');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { checkInLimiter, checkInIpLimiter } = require('../middleware/rateLimiter');
+const { createCommentRoutes } = require('./comments');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/activities
  * @desc    Create a new activity (Core team only)
- * @access  Private (Core team)
+ * @access  Private (activities:create)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('activities:create'), validate(schemas.create), async (req, res, next) => {
   try {
     const activitiesService = require('../services/activitiesService');
     
@@ -18,356 +22,208 @@ router.post('/', authenticateToken, async (req, res) => {
     
     res.status(201).json(result);
   } catch (error) {
-    console.error('Error creating activity:', error);
-    const statusCode = error.statusCode || 500;
-    res.status(statusCode).json({ 
-      error: error.message || 'Error creating activity' 
-    });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/activities
- * @desc    Get all activities
- * @access  Private
+ * @desc    Get active activities, recurring series as their occurrences (filter with
+ *          ?from=, ?to=, ?activityType=; page with ?sort=, ?order=, ?limit=, ?cursor=)
+ * @access  Private (activities:view)
  */
-router.get('/', authenticateToken, async (req, res) => {
-  console.log('GET /api/activities route hit by user:', req.user.userId);
+router.get('/', authenticateToken, requirePermission('activities:view'), validate(schemas.list), async (req, res, next) => {
   try {
-    const snapshot = await firestore
-      .collection('activities')
-      .where('status', '==', 'active')
-      .get();
-
-    const activities = [];
-    snapshot.forEach(doc => {
-      const activityData = doc.data();
-      
-      // Fix createdByName if it looks like a username (contains underscores) and user is core team
-      if (activityData.createdByName && activityData.createdByName.includes('_')) {
-        // Try to convert username to proper name format
-        const nameParts = activityData.createdByName.split('_');
-        const properName = nameParts.map(part => 
-          part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
-        ).join(' ');
-        activityData.createdByName = properName;
-      }
-      
-      activities.push({
-        id: doc.id,
-        ...activityData
-      });
-    });
-
-    // Sort by creation date (newest first)
-    activities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const activitiesService = require('../services/activitiesService');
+
+    console.log('GET /api/activities route hit by user:', req.user.userId);
+    const { activities, nextCursor } = await activitiesService.getAllActivities(req.query);
 
     console.log(`Found ${activities.length} activities`);
-    res.json({ activities });
+    res.json({ activities, nextCursor });
   } catch (error) {
-    console.error('Error getting activities:', error);
-    res.status(500).json({ error: 'Failed to get activities' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/activities/my
- * @desc    Get activities created by current user (Core team)
- * @access  Private (Core team)
+ * @desc    Get activities created by current user (Core team), recurring series as
+ *          their occurrences (filter with ?from=, ?to=)
+ * @access  Private (activities:create)
  */
-router.get('/my', authenticateToken, async (req, res) => {
-  console.log('GET /api/activities/my route hit by user:', req.user.userId);
+router.get('/my', authenticateToken, requirePermission('activities:create'), validate(schemas.mine), async (req, res, next) => {
   try {
-    // Check if user is core team member
-    if (req.user.userType !== 'core') {
-      return res.status(403).json({ error: 'Only core team members can access this endpoint' });
-    }
-
-    const snapshot = await firestore
-      .collection('activities')
-      .where('createdBy', '==', req.user.userId)
-      .get();
-
-    const activities = [];
-    snapshot.forEach(doc => {
-      const activityData = doc.data();
-      
-      // Fix createdByName if it looks like a username and use current user's name
-      if (req.user.name && (activityData.createdByName !== req.user.name)) {
-        activityData.createdByName = req.user.name;
-      }
-      
-      activities.push({
-        id: doc.id,
-        ...activityData
-      });
-    });
-
-    // Sort by creation date (newest first)
-    activities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const activitiesService = require('../services/activitiesService');
+
+    console.log('GET /api/activities/my route hit by user:', req.user.userId);
+    const { activities } = await activitiesService.getUserActivities(req.user, req.query);
 
     console.log(`Found ${activities.length} activities created by ${req.user.name || req.user.username}`);
     res.json({ activities });
   } catch (error) {
-    console.error('Error getting user activities:', error);
-    res.status(500).json({ error: 'Failed to get activities' });
+    next(error);
   }
 });
 
 /**
  * @route   PUT /api/activities/:id
- * @desc    Update activity (Creator only)
- * @access  Private (Creator)
+ * @desc    Update an activity, a recurring series or one occurrence ("<seriesId>_<date>";
+ *          ?scope=series applies the change to the occurrence's series)
+ * @access  Private (Creator, or activities:manage)
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, validate(schemas.update), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { title, description, date, startTime, endTime } = req.body;
+    const activitiesService = require('../services/activitiesService');
 
-    // Get the activity to check ownership
-    const activityDoc = await firestore.collection('activities').doc(id).get();
-    
-    if (!activityDoc.exists) {
-      return res.status(404).json({ error: 'Activity not found' });
-    }
+    const result = await activitiesService.updateActivity(req.params.id, req.body, req.user, req.query);
 
-    const activity = activityDoc.data();
-    
-    // Check if user is the creator
-    if (activity.createdBy !== req.user.userId) {
-      return res.status(403).json({ error: 'Only the creator can update this activity' });
-    }
-
-    const updateData = {
-      updatedAt: new Date().toISOString()
-    };
-
-    if (title !== undefined) updateData.title = title.trim();
-    if (description !== undefined) updateData.description = description.trim();
-    if (date !== undefined) updateData.date = date;
-    if (startTime !== undefined) updateData.startTime = startTime;
-    if (endTime !== undefined) updateData.endTime = endTime;
-
-    // Validate that end time is after start time if both are provided
-    const finalDate = date || activity.date;
-    const finalStartTime = startTime || activity.startTime;
-    const finalEndTime = endTime || activity.endTime;
-    
-    if (finalStartTime && finalEndTime) {
-      const start = new Date(`${finalDate}T${finalStartTime}`);
-      const end = new Date(`${finalDate}T${finalEndTime}`);
-      
-      if (end <= start) {
-        return res.status(400).json({ error: 'End time must be after start time' });
-      }
-    }
-
-    await firestore.collection('activities').doc(id).update(updateData);
-
-    console.log(`Activity ${id} updated by ${req.user.name || req.user.username}`);
-    res.json({ message: 'Activity updated successfully' });
+    res.json(result);
   } catch (error) {
-    console.error('Error updating activity:', error);
-    res.status(500).json({ error: 'Failed to update activity' });
+    next(error);
   }
 });
 
 /**
  * @route   DELETE /api/activities/:id
- * @desc    Delete activity (Creator only)
- * @access  Private (Creator)
+ * @desc    Delete an activity or series, or cancel one occurrence (Creator, or activities:manage)
+ * @access  Private (Creator, or activities:manage)
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validate(schemas.scope), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    // Get the activity to check ownership
-    const activityDoc = await firestore.collection('activities').doc(id).get();
-    
-    if (!activityDoc.exists) {
-      return res.status(404).json({ error: 'Activity not found' });
-    }
+    const activitiesService = require('../services/activitiesService');
 
-    const activity = activityDoc.data();
-    
-    // Check if user is the creator
-    if (activity.createdBy !== req.user.userId) {
-      return res.status(403).json({ error: 'Only the creator can delete this activity' });
-    }
-
-    // Delete the activity
-    await firestore.collection('activities').doc(id).delete();
-
-    // Delete all participation records for this activity
-    const participationSnapshot = await firestore
-      .collection('activity_participants')
-      .where('activityId', '==', id)
-      .get();
-
-    const batch = firestore.batch();
-    participationSnapshot.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    await batch.commit();
-
-    console.log(`Activity ${id} deleted by ${req.user.name || req.user.username}`);
-    res.json({ message: 'Activity deleted successfully' });
+    const result = await activitiesService.deleteActivity(req.params.id, req.user, req.query);
+
+    res.json(result);
   } catch (error) {
-    console.error('Error deleting activity:', error);
-    res.status(500).json({ error: 'Failed to delete activity' });
+    next(error);
   }
 });
 
 /**
  * @route   POST /api/activities/:id/participate
- * @desc    Join/leave activity participation
- * @access  Private
+ * @desc    Join/leave activity participation. Joining a full activity adds the user
+ *          to its waitlist; leaving gives the spot to the next user on the waitlist
+ * @access  Private (activities:participate)
  */
-router.post('/:id/participate', authenticateToken, async (req, res) => {
+router.post('/:id/participate', authenticateToken, requirePermission('activities:participate'), validate(schemas.participate), async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const activitiesService = require('../services/activitiesService');
     const { participating } = req.body; // true to join, false to leave
 
-    // Check if activity exists
-    const activityDoc = await firestore.collection('activities').doc(id).get();
-    
-    if (!activityDoc.exists) {
-      return res.status(404).json({ error: 'Activity not found' });
-    }
-
-    const activity = activityDoc.data();
-
-    // Check if activity is still active
-    if (activity.status !== 'active') {
-      return res.status(400).json({ error: 'Activity is no longer active' });
-    }
-
-    // Check for existing participation
-    const participationQuery = await firestore
-      .collection('activity_participants')
-      .where('activityId', '==', id)
-      .where('userId', '==', req.user.userId)
-      .get();
-
-    const isCurrentlyParticipating = !participationQuery.empty;
-
-    if (participating) {
-      // User wants to participate
-      if (isCurrentlyParticipating) {
-        return res.status(400).json({ error: 'Already participating in this activity' });
-      }
-
-      // Add participation record
-      const participationData = {
-        activityId: id,
-        userId: req.user.userId,
-        username: req.user.name || req.user.username, // Use name if available
-        userType: req.user.userType,
-        joinedAt: new Date().toISOString()
-      };
-
-      await firestore.collection('activity_participants').add(participationData);
-
-      // Update participant count
-      await firestore.collection('activities').doc(id).update({
-        participantCount: activity.participantCount + 1,
-        updatedAt: new Date().toISOString()
-      });
-
-      console.log(`${req.user.name || req.user.username} joined activity: ${activity.title}`);
-      res.json({ message: 'Successfully joined activity' });
-
-    } else {
-      // User wants to leave
-      if (!isCurrentlyParticipating) {
-        return res.status(400).json({ error: 'Not currently participating in this activity' });
-      }
-
-      // Remove participation record
-      const participationDoc = participationQuery.docs[0];
-      await participationDoc.ref.delete();
-
-      // Update participant count
-      await firestore.collection('activities').doc(id).update({
-        participantCount: Math.max(0, activity.participantCount - 1),
-        updatedAt: new Date().toISOString()
-      });
-
-      console.log(`${req.user.name || req.user.username} left activity: ${activity.title}`);
-      res.json({ message: 'Successfully left activity' });
-    }
+    const result = await activitiesService.updateParticipation(req.params.id, participating, req.user);
 
+    res.json(result);
   } catch (error) {
-    console.error('Error updating participation:', error);
-    res.status(500).json({ error: 'Failed to update participation' });
+    next(error);
   }
 });
 
+/**
+ * @route   GET /api/activities/:id/attendance
+ * @desc    Get attendance: every participant and assigned user with their status
+ * @access  Private (activities:attendance)
+ */
+router.get('/:id/attendance', authenticateToken, requirePermission('activities:attendance'), asyncHandler(async (req, res) => {
+  const activitiesService = require('../services/activitiesService');
+
+  const result = await activitiesService.getAttendance(req.params.id);
+
+  res.json(result);
+}));
+
+/**
+ * @route   PUT /api/activities/:id/attendance
+ * @desc    Record attendance (present/absent/late/excused) once the activity has started.
+ *          Present and late users are marked present for the activity's date.
+ * @access  Private (activities:attendance)
+ */
+router.put('/:id/attendance', authenticateToken, requirePermission('activities:attendance'), validate(schemas.attendance), asyncHandler(async (req, res) => {
+  const activitiesService = require('../services/activitiesService');
+
+  const result = await activitiesService.recordAttendance(req.params.id, req.body.records, req.user);
+
+  res.json(result);
+}));
+
+/**
+ * @route   GET /api/activities/:id/check-in-code
+ * @desc    Get the activity's current check-in code and a QR payload for it, to show on site.
+ *          The code changes every CHECK_IN_CODE_SECONDS.
+ * @access  Private (activities:attendance)
+ */
+router.get('/:id/check-in-code', authenticateToken, requirePermission('activities:attendance'), asyncHandler(async (req, res) => {
+  const activitiesService = require('../services/activitiesService');
+
+  const result = await activitiesService.getCheckInCode(req.params.id, req.user);
+
+  res.json(result);
+}));
+
+/**
+ * @route   POST /api/activities/:id/check-in
+ * @desc    Check in to an activity with its current check-in code. Marks attendance
+ *          (late 15 minutes after the start) and presence for the activity's date.
+ * @access  Private (activities:participate)
+ */
+router.post('/:id/check-in', checkInIpLimiter, authenticateToken, checkInLimiter, requirePermission('activities:participate'), validate(schemas.checkIn), asyncHandler(async (req, res) => {
+  const activitiesService = require('../services/activitiesService');
+
+  const result = await activitiesService.checkIn(req.params.id, req.body.code, req.user);
+
+  res.json(result);
+}));
+
+// Comments: /api/activities/:id/comments
+router.use('/:id/comments', createCommentRoutes('activity'));
+
 /**
  * @route   GET /api/activities/:id/participants
- * @desc    Get participants for an activity
- * @access  Private
+ * @desc    Get participants for an activity, and its waitlist in order
+ * @access  Private (activities:view)
  */
-router.get('/:id/participants', authenticateToken, async (req, res) => {
+router.get('/:id/participants', authenticateToken, requirePermission('activities:view'), async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const activitiesService = require('../services/activitiesService');
 
-    // Check if activity exists
-    const activityDoc = await firestore.collection('activities').doc(id).get();
-    
-    if (!activityDoc.exists) {
-      return res.status(404).json({ error: 'Activity not found' });
-    }
-
-    // Get participants
-    const participationSnapshot = await firestore
-      .collection('activity_participants')
-      .where('activityId', '==', id)
-      .get();
-
-    const participants = [];
-    participationSnapshot.forEach(doc => {
-      const data = doc.data();
-      participants.push({
-        userId: data.userId,
-        name: data.username, // This is actually the name now
-        userType: data.userType,
-        joinedAt: data.joinedAt
-      });
-    });
-
-    // Sort by join date
-    participants.sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
-
-    res.json({ participants });
+    const result = await activitiesService.getParticipants(req.params.id);
+
+    res.json(result);
   } catch (error) {
-    console.error('Error getting participants:', error);
-    res.status(500).json({ error: 'Failed to get participants' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/activities/participation/my
- * @desc    Get user's participation status for all activities
+ * @desc    Get user's participation status for all activities (joined and waitlisted)
  * @access  Private
  */
-router.get('/participation/my', authenticateToken, async (req, res) => {
+router.get('/participation/my', authenticateToken, async (req, res, next) => {
   try {
-    const participationSnapshot = await firestore
-      .collection('activity_participants')
-      .where('userId', '==', req.user.userId)
-      .get();
+    const activitiesService = require('../services/activitiesService');
 
-    const participatingActivityIds = [];
-    participationSnapshot.forEach(doc => {
-      participatingActivityIds.push(doc.data().activityId);
-    });
+    const result = await activitiesService.getUserParticipation(req.user.userId);
 
-    res.json({ participatingActivityIds });
+    res.json(result);
   } catch (error) {
-    console.error('Error getting user participation:', error);
-    res.status(500).json({ error: 'Failed to get participation status' });
+    next(error);
   }
 });
 
+/**
+ * @route   POST /api/activities/participation/repair
+ * @desc    Recompute every activity's participant and waitlist counts from their
+ *          records and remove duplicate records (also runs on a timer)
+ * @access  Private (activities:manage)
+ */
+router.post('/participation/repair', authenticateToken, requirePermission('activities:manage'), asyncHandler(async (req, res) => {
+  const activitiesService = require('../services/activitiesService');
+
+  const result = await activitiesService.repairParticipantCounts();
+
+  res.json({ message: 'Participant counts repaired', ...result });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,109 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { admin, firestore } = require('../config/firebase');
+const { getFirebaseAdmin } = require('../db');
 const config = require('../config');
 const { authLimiter } = require('../middleware/rateLimiter');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, getTokenFromRequest } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const usersService = require('../services/usersService');
+const permissionsService = require('../services/permissionsService');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const userSchemas = require('../validation/users');
+const { UnauthorizedError } = require('../errors');
+
+const admin = getFirebaseAdmin();
 
 const router = express.Router();
 
+/**
+ * Helper function to find the session a request belongs to: from a verified
+ * access token (expired ones still identify their session for logout), else
+ * from a refresh token whose secret matches the session's
+ */
+const getRequestSessionId = async (req) => {
+  const token = getTokenFromRequest(req);
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, config.JWT_SECRET, { ignoreExpiration: true });
+      if (decoded.sessionId) return decoded.sessionId;
+    } catch (error) {
+      // Fall back to the refresh token
+    }
+  }
+
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+  return sessionService.getSessionIdFromRefreshToken(refreshToken);
+};
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke the current session
+ * @access  Private
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    const sessionId = await getRequestSessionId(req);
+    if (sessionId) {
+      await sessionService.revokeSession(sessionId);
+    }
+
+    sessionService.clearSessionCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the current user
  * @access  Private
  */
-router.post('/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout-all', authenticateToken, async (req, res, next) => {
+  try {
+    const revokedCount = await sessionService.revokeUserSessions(req.user.userId);
+
+    sessionService.clearSessionCookies(res);
+    res.json({ message: 'Logged out of all sessions', revokedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public (requires refresh token)
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!refreshToken) {
+      throw new UnauthorizedError('Refresh token is required');
+    }
+
+    // Re-read the role so promotions and demotions apply on the next refresh
+    const session = await sessionService.refreshSession(refreshToken, async (stored) => ({
+      ...stored,
+      ...(await usersService.getUserRole(stored.userId))
+    }));
+
+    sessionService.setSessionCookies(res, session);
+    res.json({
+      message: 'Token refreshed successfully',
+      user: session.user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      sessionService.clearSessionCookies(res);
+    }
+    next(error);
+  }
 });
 
 /**
@@ -23,58 +111,79 @@ router.post('/logout', (req, res) => {
  * @desc    Get current user
  * @access  Private
  */
-router.get('/user', authenticateToken, (req, res) => {
+router.get('/user', authenticateToken, asyncHandler(async (req, res) => {
+  const timezone = await usersService.getTimeZone(req.user.userId);
+
   res.json({ 
     userId: req.user.userId, 
     username: req.user.username,
-    userType: req.user.userType || 'core'
+    userType: req.user.userType || 'in-house',
+    role: permissionsService.getRoleForUser(req.user),
+    timezone: timezone || config.DEFAULT_TIMEZONE
   });
-});
+}));
+
+/**
+ * @route   PUT /api/auth/user/timezone
+ * @desc    Set the current user's time zone (null for the organisation's), used to
+ *          read the times in their bulk uploads
+ * @access  Private
+ */
+router.put('/user/timezone', authenticateToken, validate(userSchemas.timezone), asyncHandler(async (req, res) => {
+  const { timezone } = await usersService.setTimeZone(req.user.userId, req.body.timezone);
+
+  res.json({
+    message: 'Time zone updated successfully',
+    timezone: timezone || config.DEFAULT_TIMEZONE
+  });
+}));
 
 /**
  * @route   POST /api/auth/firebase-signup
  * @desc    Firebase authentication signup
  * @access  Public
  */
-router.post('/firebase-signup', authLimiter, async (req, res) => {
+router.post('/firebase-signup', authLimiter, async (req, res, next) => {
   try {
-    const { idToken, username, email, userType } = req.body;
+    const { idToken, username } = req.body;
 
     // Verify Firebase ID token
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     const firebaseUid = decodedToken.uid;
+    const email = decodedToken.email;
+
+    // Role comes from the server-side registry, never from the request body
+    const account = await usersService.syncFirebaseUser({
+      uid: firebaseUid,
+      email,
+      name: username || decodedToken.name
+    });
+
+    const user = {
+      userId: firebaseUid,
+      username: username || account.username,
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
 
-    // Generate JWT for our system
-    const token = jwt.sign(
-      { 
-        userId: firebaseUid, 
-        username: username, 
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    // Start a server-side session for our system
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
     });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Firebase signup successful', 
-      user: {
-        userId: firebaseUid,
-        username: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Firebase signup error:', error);
-    res.status(500).json({ error: 'Firebase authentication failed' });
+    next(error);
   }
 });
 
@@ -83,9 +192,9 @@ router.post('/firebase-signup', authLimiter, async (req, res) => {
  * @desc    Firebase authentication login
  * @access  Public
  */
-router.post('/firebase-login', authLimiter, async (req, res) => {
+router.post('/firebase-login', authLimiter, async (req, res, next) => {
   try {
-    const { idToken, userType } = req.body;
+    const { idToken } = req.body;
 
     // Verify Firebase ID token
     const decodedToken = await admin.auth().verifyIdToken(idToken);
@@ -93,38 +202,39 @@ router.post('/firebase-login', authLimiter, async (req, res) => {
     const email = decodedToken.email;
     const username = decodedToken.name || email.split('@')[0];
 
-    // Generate JWT for our system
-    const token = jwt.sign(
-      { 
-        userId: firebaseUid, 
-        username: username, 
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    // Role comes from the server-side registry, never from the request body
+    const account = await usersService.syncFirebaseUser({
+      uid: firebaseUid,
+      email,
+      name: decodedToken.name
     });
+
+    const user = {
+      userId: firebaseUid,
+      username: username,
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
+
+    // Start a server-side session for our system
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Firebase login successful', 
-      user: {
-        userId: firebaseUid,
-        username: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Firebase login error:', error);
-    res.status(500).json({ error: 'Firebase authentication failed' });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/comments');
+const commentsService = require('../services/commentsService');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+const MAX_ATTACHMENTS = 5;
+
+// Attachments are held in memory until the storage driver saves them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_ATTACHMENTS } // 10MB per file
+});
+
+/**
+ * Comment routes for one kind of target, mounted under the target's router at
+ * "/:id/comments" (access to the target is checked by commentsService)
+ * @param {string} targetType - 'responsibility' or 'activity'
+ */
+const createCommentRoutes = (targetType) => {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * @route   GET /api/{responsibilities|activities}/:id/comments
+   * @desc    Get comment threads, oldest first, each with its replies
+   * @access  Private (anyone who can view the target)
+   */
+  router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+    const result = await commentsService.getComments(targetType, req.params.id, req.user);
+
+    res.json(result);
+  }));
+
+  /**
+   * @route   POST /api/{responsibilities|activities}/:id/comments
+   * @desc    Comment, or reply with parentId. Multipart requests can attach up to
+   *          5 files (field "files"); @username or @email mentions notify those users.
+   * @access  Private (anyone who can view the target)
+   */
+  router.post('/', authenticateToken, upload.array('files', MAX_ATTACHMENTS), validate(schemas.create), asyncHandler(async (req, res) => {
+    const result = await commentsService.addComment(targetType, req.params.id, req.body, req.files || [], req.user);
+
+    res.status(201).json({ message: 'Comment added successfully', ...result });
+  }));
+
+  /**
+   * @route   PUT /api/{responsibilities|activities}/:id/comments/:commentId
+   * @desc    Edit a comment's text
+   * @access  Private (author only)
+   */
+  router.put('/:commentId', authenticateToken, validate(schemas.update), asyncHandler(async (req, res) => {
+    const result = await commentsService.updateComment(targetType, req.params.id, req.params.commentId, req.body, req.user);
+
+    res.json({ message: 'Comment updated successfully', ...result });
+  }));
+
+  /**
+   * @route   DELETE /api/{responsibilities|activities}/:id/comments/:commentId
+   * @desc    Delete a comment with its attachments (and its replies, for a thread's first comment)
+   * @access  Private (author or core team)
+   */
+  router.delete('/:commentId', authenticateToken, asyncHandler(async (req, res) => {
+    const result = await commentsService.deleteComment(targetType, req.params.id, req.params.commentId, req.user);
+
+    res.json(result);
+  }));
+
+  /**
+   * @route   GET /api/{responsibilities|activities}/:id/comments/:commentId/attachments/:attachmentId
+   * @desc    Download a comment attachment
+   * @access  Private (anyone who can view the target)
+   */
+  router.get('/:commentId/attachments/:attachmentId', authenticateToken, asyncHandler(async (req, res) => {
+    const { filename, contentType, body } = await commentsService.getAttachment(
+      targetType, req.params.id, req.params.commentId, req.params.attachmentId, req.user
+    );
+
+    res.attachment(filename);
+    res.type(contentType || 'application/octet-stream');
+    res.send(body);
+  }));
+
+  return router;
+};
+
+module.exports = { createCommentRoutes };
@@ -1,9 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { authLimiter } = require('../middleware/rateLimiter');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const userSchemas = require('../validation/users');
 const coreProfilesService = require('../services/coreProfilesService');
+const sessionService = require('../services/sessionService');
+const usersService = require('../services/usersService');
+const permissionsService = require('../services/permissionsService');
+const { ERROR_CODES, AppError, BadRequestError, NotFoundError } = require('../errors');
 
 const router = express.Router();
 
@@ -12,7 +18,7 @@ const router = express.Router();
  * @desc    Get all core team profiles
  * @access  Public
  */
-router.get('/profiles', async (req, res) => {
+router.get('/profiles', async (req, res, next) => {
   console.log('GET /profiles route hit');
   try {
     const profiles = await coreProfilesService.getAllProfiles();
@@ -32,8 +38,7 @@ router.get('/profiles', async (req, res) => {
     
     res.json({ profiles: publicProfiles });
   } catch (error) {
-    console.error('Error reading profiles:', error);
-    res.status(500).json({ error: 'Failed to load profiles' });
+    next(error);
   }
 });
 
@@ -42,27 +47,27 @@ router.get('/profiles', async (req, res) => {
  * @desc    Set up password for core team member
  * @access  Public
  */
-router.post('/setup-password', authLimiter, async (req, res) => {
+router.post('/setup-password', authLimiter, async (req, res, next) => {
   try {
     const { profileId, password } = req.body;
 
     if (!profileId || !password) {
-      return res.status(400).json({ error: 'Profile ID and password are required' });
+      throw new BadRequestError('Profile ID and password are required');
     }
 
     if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+      throw new BadRequestError('Password must be at least 6 characters long');
     }
 
     // Get the profile
     const profile = await coreProfilesService.getProfile(profileId);
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is already set
     if (profile.passwordSet) {
-      return res.status(400).json({ error: 'Password already set for this profile' });
+      throw new BadRequestError('Password already set for this profile', { code: ERROR_CODES.CONFLICT });
     }
 
     // Hash the password
@@ -74,11 +79,10 @@ router.post('/setup-password', authLimiter, async (req, res) => {
     if (success) {
       res.json({ message: 'Password set successfully' });
     } else {
-      res.status(500).json({ error: 'Failed to set password' });
+      throw new AppError('Failed to set password');
     }
   } catch (error) {
-    console.error('Setup password error:', error);
-    res.status(500).json({ error: 'Failed to set password' });
+    next(error);
   }
 });
 
@@ -87,67 +91,173 @@ router.post('/setup-password', authLimiter, async (req, res) => {
  * @desc    Login core team member
  * @access  Public
  */
-router.post('/login', authLimiter, async (req, res) => {
+router.post('/login', authLimiter, async (req, res, next) => {
   try {
     const { profileId, password } = req.body;
 
     if (!profileId || !password) {
-      return res.status(400).json({ error: 'Profile ID and password are required' });
+      throw new BadRequestError('Profile ID and password are required');
     }
 
     // Get the profile
     const profile = await coreProfilesService.getProfile(profileId);
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is set
     if (!profile.passwordSet || !profile.hashedPassword) {
-      return res.status(400).json({ error: 'Password not set for this profile' });
+      throw new BadRequestError('Password not set for this profile');
     }
 
     // Verify password
     const isMatch = await bcrypt.compare(password, profile.hashedPassword);
     if (!isMatch) {
-      return res.status(400).json({ error: 'Invalid password' });
+      throw new BadRequestError('Invalid password', { code: ERROR_CODES.INVALID_CREDENTIALS });
     }
 
     // Update last login
     await coreProfilesService.updateLastLogin(profileId);
 
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        userId: profile.id, 
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    const user = {
+      userId: profile.id,
+      username: profile.username,
+      name: profile.name,
+      userType: 'core',
+      role: coreProfilesService.getProfileRole(profile),
+      email: profile.email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
     });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Login successful', 
-      user: {
-        userId: profile.id,
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Core login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /team (mounted under /api/core)
+ * @desc    List core team members (core profiles and promoted users)
+ * @access  Private (team:manage)
+ */
+router.get('/team', authenticateToken, requirePermission('team:manage'), async (req, res, next) => {
+  try {
+    const { members } = await usersService.getCoreTeam();
+
+    res.json({ members, total: members.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /team (mounted under /api/core)
+ * @desc    Promote a Firebase user to the core team (role defaults to 'core')
+ * @access  Private (team:manage)
+ */
+router.post('/team', authenticateToken, requirePermission('team:manage'), validate(userSchemas.addTeamMember), async (req, res, next) => {
+  try {
+    const { userId, role } = req.body;
+
+    const user = await usersService.setUserRole(userId, role, req.user);
+
+    // Existing tokens still carry the old role - force the user to log in again
+    const revokedSessions = user.previousRole !== role
+      ? await sessionService.revokeUserSessions(userId, 'role_changed')
+      : 0;
+
+    res.json({ message: 'User promoted to core team', user, revokedSessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /team/:userId (mounted under /api/core)
+ * @desc    Demote a core team member back to in-house
+ * @access  Private (team:manage)
+ */
+router.delete('/team/:userId', authenticateToken, requirePermission('team:manage'), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await usersService.setUserRole(userId, 'in-house', req.user);
+
+    // Existing tokens still claim core - force the user to log in again
+    const revokedSessions = await sessionService.revokeUserSessions(userId, 'role_changed');
+
+    res.json({ message: 'User removed from core team', user, revokedSessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /users/:userId/role (mounted under /api/core)
+ * @desc    Assign any role to a Firebase user
+ * @access  Private (team:manage; granting or removing admin requires roles:manage)
+ */
+router.put('/users/:userId/role', authenticateToken, requirePermission('team:manage'), validate(userSchemas.role), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await usersService.setUserRole(userId, role, req.user);
+
+    // Existing tokens still carry the old role - force the user to log in again
+    const revokedSessions = user.previousRole !== role
+      ? await sessionService.revokeUserSessions(userId, 'role_changed')
+      : 0;
+
+    res.json({ message: 'User role updated', user, revokedSessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /roles (mounted under /api/core)
+ * @desc    List roles with their effective permissions
+ * @access  Private (team:manage)
+ */
+router.get('/roles', authenticateToken, requirePermission('team:manage'), async (req, res, next) => {
+  try {
+    const { roles, permissions } = await permissionsService.listRoles();
+
+    res.json({ roles, permissions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /roles/:role (mounted under /api/core)
+ * @desc    Replace the permissions granted to a role
+ * @access  Private (roles:manage)
+ */
+router.put('/roles/:role', authenticateToken, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const result = await permissionsService.setRolePermissions(role, permissions, req.user);
+
+    res.json({ message: 'Role permissions updated', ...result });
+  } catch (error) {
+    next(error);
   }
 });
 
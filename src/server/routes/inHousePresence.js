@@ -1,6 +1,10 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { admin, firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getFirestore, getFirebaseAdmin } = require('../db');
+const { NotFoundError } = require('../errors');
+
+const firestore = getFirestore();
+const admin = getFirebaseAdmin();
 
 const router = express.Router();
 
@@ -109,15 +113,10 @@ const getAllInHouseUsers = async () => {
 /**
  * @route   GET /api/in-house-presence/users
  * @desc    Get all in-house users for core team to view
- * @access  Private (Core team only)
+ * @access  Private (presence:view-all)
  */
-router.get('/users', authenticateToken, async (req, res) => {
+router.get('/users', authenticateToken, requirePermission('presence:view-all'), async (req, res, next) => {
   try {
-    // Check if user is core team member
-    if (req.user.userType !== 'core') {
-      return res.status(403).json({ error: 'Access denied. Core team members only.' });
-    }
-
     console.log(`🔍 Core user ${req.user.name} requesting in-house users list`);
 
     const users = await getAllInHouseUsers();
@@ -127,23 +126,17 @@ router.get('/users', authenticateToken, async (req, res) => {
       total: users.length
     });
   } catch (error) {
-    console.error('Error getting in-house users:', error);
-    res.status(500).json({ error: 'Failed to get in-house users' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/in-house-presence/user/:userId/month/:year/:month
  * @desc    Get presence data for a specific in-house user for a specific month
- * @access  Private (Core team only)
+ * @access  Private (presence:view-all)
  */
-router.get('/user/:userId/month/:year/:month', authenticateToken, async (req, res) => {
+router.get('/user/:userId/month/:year/:month', authenticateToken, requirePermission('presence:view-all'), async (req, res, next) => {
   try {
-    // Check if user is core team member
-    if (req.user.userType !== 'core') {
-      return res.status(403).json({ error: 'Access denied. Core team members only.' });
-    }
-
     const { userId, year, month } = req.params;
     const yearNum = parseInt(year);
     const monthNum = parseInt(month) - 1; // Convert to 0-based month
@@ -162,7 +155,7 @@ router.get('/user/:userId/month/:year/:month', authenticateToken, async (req, re
       };
     } catch (error) {
       console.error(`❌ User ${userId} not found in Firebase Auth:`, error);
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
     // Get monthly presence document
@@ -196,12 +189,7 @@ router.get('/user/:userId/month/:year/:month', authenticateToken, async (req, re
     presenceRecords.sort((a, b) => a.date.localeCompare(b.date));
 
     res.json({
-      user: {
-        userId,
-        name: userData.name || userData.displayName,
-        email: userData.email,
-        username: userData.username || userData.email?.split('@')[0]
-      },
+      user: userInfo,
       presenceRecords,
       stats,
       month: monthNum + 1,
@@ -209,23 +197,17 @@ router.get('/user/:userId/month/:year/:month', authenticateToken, async (req, re
       totalRecords: presenceRecords.length
     });
   } catch (error) {
-    console.error('Error getting user presence:', error);
-    res.status(500).json({ error: 'Failed to get user presence data' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/in-house-presence/overview/:year/:month
  * @desc    Get presence overview for all in-house users for a specific month
- * @access  Private (Core team only)
+ * @access  Private (presence:view-all)
  */
-router.get('/overview/:year/:month', authenticateToken, async (req, res) => {
+router.get('/overview/:year/:month', authenticateToken, requirePermission('presence:view-all'), async (req, res, next) => {
   try {
-    // Check if user is core team member
-    if (req.user.userType !== 'core') {
-      return res.status(403).json({ error: 'Access denied. Core team members only.' });
-    }
-
     const { year, month } = req.params;
     const yearNum = parseInt(year);
     const monthNum = parseInt(month) - 1; // Convert to 0-based month
@@ -292,8 +274,7 @@ router.get('/overview/:year/:month', authenticateToken, async (req, res) => {
       year: yearNum
     });
   } catch (error) {
-    console.error('Error getting presence overview:', error);
-    res.status(500).json({ error: 'Failed to get presence overview' });
+    next(error);
   }
 });
 
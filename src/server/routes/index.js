@@ -1,4 +1,6 @@
 const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const permissionsService = require('../services/permissionsService');
 
 // Import route modules
 const authRoutes = require('./auth');
@@ -8,6 +10,7 @@ const activityRoutes = require('./activities');
 const presenceRoutes = require('./presence_v2'); // Updated to use new structure
 const inHousePresenceRoutes = require('./inHousePresence'); // New in-house presence for core team
 const notificationRoutes = require('./notifications'); // New notification system
+const { ERROR_CODES, AppError, BadRequestError, NotFoundError } = require('../errors');
 
 const router = express.Router();
 
@@ -82,6 +85,8 @@ router.get('/api/debug/routes', (req, res) => {
       'GET /api/responsibilities/dates',
       'GET /api/responsibilities/stats',
       'POST /api/auth/logout',
+      'POST /api/auth/logout-all',
+      'POST /api/auth/refresh',
       'GET /api/auth/user',
       'POST /api/auth/firebase-signup',
       'POST /api/auth/firebase-login'
@@ -93,52 +98,53 @@ router.get('/api/debug/routes', (req, res) => {
  * Legacy API route mappings for backward compatibility
  */
 // Direct route handlers for legacy endpoints
-router.post('/api/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ message: 'Logged out successfully' });
-});
-
-router.get('/api/user', async (req, res) => {
+router.post('/api/logout', async (req, res) => {
   const jwt = require('jsonwebtoken');
   const config = require('../config');
-  
-  // Get token from cookie or Authorization header
-  const token = req.cookies.token || 
-                (req.headers.authorization && req.headers.authorization.split(' ')[1]);
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
+  const { getTokenFromRequest } = require('../middleware/auth');
+  const sessionService = require('../services/sessionService');
 
   try {
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    res.json({ 
-      userId: decoded.userId, 
-      username: decoded.username,
-      name: decoded.name,
-      userType: decoded.userType || 'core'
-    });
+    const token = getTokenFromRequest(req);
+    if (token) {
+      const decoded = jwt.verify(token, config.JWT_SECRET, { ignoreExpiration: true });
+      if (decoded.sessionId) {
+        await sessionService.revokeSession(decoded.sessionId);
+      }
+    }
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(403).json({ error: 'Invalid token.' });
+    // Invalid token - nothing to revoke
   }
+
+  sessionService.clearSessionCookies(res);
+  res.json({ message: 'Logged out successfully' });
+});
+
+router.get('/api/user', authenticateToken, (req, res) => {
+  res.json({ 
+    userId: req.user.userId, 
+    username: req.user.username,
+    name: req.user.name,
+    userType: req.user.userType || 'in-house',
+    role: permissionsService.getRoleForUser(req.user)
+  });
 });
 
 // Firebase authentication routes
-router.post('/api/firebase-signup', async (req, res) => {
+router.post('/api/firebase-signup', async (req, res, next) => {
   try {
-    const { username, email, password, userType } = req.body;
-    const { admin } = require('../config/firebase');
-    const jwt = require('jsonwebtoken');
-    const config = require('../config');
+    const { username, email, password } = req.body;
+    const admin = require('../db').getFirebaseAdmin();
+    const sessionService = require('../services/sessionService');
+    const usersService = require('../services/usersService');
     
     // Validate input
     if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
+      throw new BadRequestError('Username, email, and password are required');
     }
     
     if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+      throw new BadRequestError('Password must be at least 6 characters long');
     }
 
     // Create Firebase user on backend using Admin SDK
@@ -151,62 +157,52 @@ router.post('/api/firebase-signup', async (req, res) => {
 
     console.log('Firebase user created:', userRecord.uid);
 
-    // Generate JWT for our system
-    const token = jwt.sign(
-      { 
-        userId: userRecord.uid, 
-        username: username, 
-        name: username, // For Firebase users, use username as name initially
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    // Role comes from the server-side registry, never from the request body
+    const account = await usersService.syncFirebaseUser({
+      uid: userRecord.uid,
+      email,
+      name: username
     });
+
+    const user = {
+      userId: userRecord.uid,
+      username: username,
+      name: username, // For Firebase users, use username as name initially
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Account created successfully', 
-      user: {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Firebase signup error:', error);
-    
-    // Handle specific Firebase errors
-    if (error.code === 'auth/email-already-exists') {
-      return res.status(400).json({ error: 'Email already exists' });
-    } else if (error.code === 'auth/invalid-email') {
-      return res.status(400).json({ error: 'Invalid email address' });
-    } else if (error.code === 'auth/weak-password') {
-      return res.status(400).json({ error: 'Password is too weak' });
-    }
-    
-    res.status(500).json({ error: 'Account creation failed' });
+    next(error);
   }
 });
 
-router.post('/api/firebase-login', async (req, res) => {
+router.post('/api/firebase-login', async (req, res, next) => {
   try {
-    const { email, password, userType } = req.body;
-    const { admin } = require('../config/firebase');
-    const jwt = require('jsonwebtoken');
-    const config = require('../config');
+    const { email, password } = req.body;
+    const admin = require('../db').getFirebaseAdmin();
+    const sessionService = require('../services/sessionService');
+    const usersService = require('../services/usersService');
     
     // Validate input
     if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+      throw new BadRequestError('Email and password are required');
     }
 
     // Get user by email from Firebase Admin SDK
@@ -215,7 +211,7 @@ router.post('/api/firebase-login', async (req, res) => {
       userRecord = await admin.auth().getUserByEmail(email);
     } catch (error) {
       if (error.code === 'auth/user-not-found') {
-        return res.status(400).json({ error: 'User not found' });
+        throw new BadRequestError('User not found', { code: ERROR_CODES.NOT_FOUND });
       }
       throw error;
     }
@@ -231,52 +227,44 @@ router.post('/api/firebase-login', async (req, res) => {
 
     console.log('Firebase login for user:', userRecord.uid);
 
-    // Generate JWT for our system
-    const token = jwt.sign(
-      { 
-        userId: userRecord.uid, 
-        username: username, 
-        name: username, // For Firebase users, use username as name
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    // Role comes from the server-side registry, never from the request body
+    const account = await usersService.syncFirebaseUser({
+      uid: userRecord.uid,
+      email: userRecord.email,
+      name: userRecord.displayName
+    });
+
+    const user = {
+      userId: userRecord.uid,
+      username: username,
+      name: username, // For Firebase users, use username as name
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
     });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Login successful', 
-      user: {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Firebase login error:', error);
-    
-    // Handle specific Firebase errors
-    if (error.code === 'auth/user-not-found') {
-      return res.status(400).json({ error: 'User not found' });
-    } else if (error.code === 'auth/invalid-email') {
-      return res.status(400).json({ error: 'Invalid email address' });
-    }
-    
-    res.status(500).json({ error: 'Login failed' });
+    next(error);
   }
 });
 
 // Legacy core profile routes - direct handlers
-router.post('/api/core-setup-password', async (req, res) => {
+router.post('/api/core-setup-password', async (req, res, next) => {
   console.log('Legacy route /api/core-setup-password hit');
   try {
     const { profileId, password } = req.body;
@@ -285,22 +273,22 @@ router.post('/api/core-setup-password', async (req, res) => {
     const coreProfilesService = require('../services/coreProfilesService');
 
     if (!profileId || !password) {
-      return res.status(400).json({ error: 'Profile ID and password are required' });
+      throw new BadRequestError('Profile ID and password are required');
     }
 
     if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+      throw new BadRequestError('Password must be at least 6 characters long');
     }
 
     // Get the profile
     const profile = await coreProfilesService.getProfile(profileId);
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is already set
     if (profile.passwordSet) {
-      return res.status(400).json({ error: 'Password already set for this profile' });
+      throw new BadRequestError('Password already set for this profile', { code: ERROR_CODES.CONFLICT });
     }
 
     // Hash the password
@@ -312,15 +300,14 @@ router.post('/api/core-setup-password', async (req, res) => {
     if (success) {
       res.json({ message: 'Password set successfully' });
     } else {
-      res.status(500).json({ error: 'Failed to set password' });
+      throw new AppError('Failed to set password');
     }
   } catch (error) {
-    console.error('Setup password error:', error);
-    res.status(500).json({ error: 'Failed to set password' });
+    next(error);
   }
 });
 
-router.get('/api/core-profiles', async (req, res) => {
+router.get('/api/core-profiles', async (req, res, next) => {
   console.log('Legacy route /api/core-profiles hit');
   try {
     const coreProfilesService = require('../services/coreProfilesService');
@@ -341,77 +328,68 @@ router.get('/api/core-profiles', async (req, res) => {
     
     res.json({ profiles: publicProfiles });
   } catch (error) {
-    console.error('Error reading profiles:', error);
-    res.status(500).json({ error: 'Failed to load profiles' });
+    next(error);
   }
 });
 
-router.post('/api/core-profile-login', async (req, res) => {
+router.post('/api/core-profile-login', async (req, res, next) => {
   console.log('Legacy route /api/core-profile-login hit');
   try {
     const { profileId, password } = req.body;
     const bcrypt = require('bcryptjs');
-    const jwt = require('jsonwebtoken');
-    const config = require('../config');
+    const sessionService = require('../services/sessionService');
     const coreProfilesService = require('../services/coreProfilesService');
 
     if (!profileId || !password) {
-      return res.status(400).json({ error: 'Profile ID and password are required' });
+      throw new BadRequestError('Profile ID and password are required');
     }
 
     // Get the profile
     const profile = await coreProfilesService.getProfile(profileId);
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is set
     if (!profile.passwordSet || !profile.hashedPassword) {
-      return res.status(400).json({ error: 'Password not set for this profile' });
+      throw new BadRequestError('Password not set for this profile');
     }
 
     // Verify password
     const isMatch = await bcrypt.compare(password, profile.hashedPassword);
     if (!isMatch) {
-      return res.status(400).json({ error: 'Invalid password' });
+      throw new BadRequestError('Invalid password', { code: ERROR_CODES.INVALID_CREDENTIALS });
     }
 
     // Update last login
     await coreProfilesService.updateLastLogin(profileId);
 
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        userId: profile.id, 
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
-
-    res.cookie('token', token, { 
-      httpOnly: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      secure: config.NODE_ENV === 'production'
+    const user = {
+      userId: profile.id,
+      username: profile.username,
+      name: profile.name,
+      userType: 'core',
+      role: coreProfilesService.getProfileRole(profile),
+      email: profile.email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
     });
+
+    sessionService.setSessionCookies(res, session);
     
     res.json({ 
       message: 'Login successful', 
-      user: {
-        userId: profile.id,
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.accessTokenExpiresAt
     });
   } catch (error) {
-    console.error('Core login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    next(error);
   }
 });
 
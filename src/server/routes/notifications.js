@@ -1,39 +1,31 @@
 const express = require('express');
-const webpush = require('web-push');
-const { authenticateToken } = require('../middleware/auth');
-const { firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/notifications');
+const notificationsService = require('../services/notificationsService');
+const { getFirestore } = require('../db');
+const { AppError, BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
 
-const router = express.Router();
-
-// Configure web-push with VAPID keys
-// Generate keys using: node -e "console.log(require('web-push').generateVAPIDKeys())"
-const vapidKeys = {
-  publicKey: process.env.VAPID_PUBLIC_KEY || 'BC_xnlEBNqyjEt8KsnJu7OkDjBvop4S3ERUFpqpF9rfXeOdVHt0wq3_qa_DlY6iqlo-rKq4uCKS0MI-uIfOW9Z4',
-  privateKey: process.env.VAPID_PRIVATE_KEY || '98wJAr89T66LyHo1SNDxvRBjNmk98ArDaQLKR2iIPKQ'
-};
+const firestore = getFirestore();
 
-webpush.setVapidDetails(
-  'mailto:admin@3amcore.com',
-  vapidKeys.publicKey,
-  vapidKeys.privateKey
-);
+const router = express.Router();
 
-console.log('🔔 Web Push configured with VAPID keys');
+const { sendPushNotification, getUserPushSubscription, createNotification } = notificationsService;
 
 /**
  * Helper function to get all users (core and in-house)
  */
 const getAllUsers = async () => {
   try {
-    // Get core users from Firestore service
-    const coreProfilesService = require('../services/coreProfilesService');
-    const profiles = await coreProfilesService.getAllProfiles();
-    
-    const coreUsers = profiles.profiles.map(profile => ({
-      userId: profile.id,
-      name: profile.name,
-      username: profile.username,
-      email: profile.email,
+    // Get core users (core profiles and promoted users) from the role registry
+    const usersService = require('../services/usersService');
+    const { members } = await usersService.getCoreTeam();
+    
+    const coreUsers = members.map(member => ({
+      userId: member.userId,
+      name: member.name,
+      username: member.username,
+      email: member.email,
       userType: 'core'
     }));
 
@@ -52,114 +44,17 @@ const getAllUsers = async () => {
   }
 };
 
-/**
- * Helper function to send push notification to user
- */
-const sendPushNotification = async (subscription, payload) => {
-  try {
-    console.log('🔔 Attempting to send push notification...');
-    console.log('📱 Subscription endpoint:', subscription.endpoint?.substring(0, 50) + '...');
-    console.log('📤 Payload:', payload);
-    
-    const result = await webpush.sendNotification(subscription, JSON.stringify(payload));
-    console.log('✅ Push notification sent successfully');
-    console.log('📊 Result status:', result.statusCode);
-    return true;
-  } catch (error) {
-    console.error('❌ Error sending push notification:', error.message);
-    console.error('❌ Error code:', error.code);
-    console.error('❌ Error status:', error.statusCode);
-    console.error('❌ Error headers:', error.headers);
-    
-    // Handle specific web-push errors
-    if (error.statusCode === 410) {
-      console.error('🗑️ Subscription is no longer valid (410 Gone)');
-      // TODO: Remove invalid subscription from database
-    } else if (error.statusCode === 413) {
-      console.error('📦 Payload too large (413)');
-    } else if (error.statusCode === 429) {
-      console.error('⏰ Rate limited (429)');
-    } else if (error.statusCode >= 400 && error.statusCode < 500) {
-      console.error('🚫 Client error:', error.statusCode);
-    } else if (error.statusCode >= 500) {
-      console.error('🔥 Server error:', error.statusCode);
-    }
-    
-    return false;
-  }
-};
-
-/**
- * Helper function to get user's push subscription
- */
-const getUserPushSubscription = async (userId) => {
-  try {
-    const doc = await firestore.collection('push_subscriptions').doc(userId).get();
-    if (doc.exists) {
-      return doc.data().subscription;
-    }
-    return null;
-  } catch (error) {
-    console.error('Error getting push subscription:', error);
-    return null;
-  }
-};
-/**
- * Helper function to create notification document and send push notification
- */
-const createNotification = async (notification) => {
-  try {
-    const notificationData = {
-      ...notification,
-      createdAt: new Date().toISOString(),
-      read: false,
-      id: firestore.collection('notifications').doc().id
-    };
-
-    // Save to database
-    await firestore.collection('notifications').add(notificationData);
-    console.log(`📢 Notification created: ${notification.type} for ${notification.targetUserType || 'specific user'}`);
-    
-    // Send push notification if user has subscription
-    const subscription = await getUserPushSubscription(notification.targetUserId);
-    if (subscription) {
-      const pushPayload = {
-        title: notification.title,
-        message: notification.message,
-        type: notification.type,
-        activityId: notification.activityId,
-        priority: notification.priority,
-        tag: notification.type
-      };
-      
-      await sendPushNotification(subscription, pushPayload);
-    } else {
-      console.log(`📱 No push subscription found for user ${notification.targetUserId}`);
-    }
-    
-    return notificationData;
-  } catch (error) {
-    console.error('Error creating notification:', error);
-    throw error;
-  }
-};
-
 /**
  * @route   POST /api/notifications/activity-created
  * @desc    Send notification when new activity is created
- * @access  Private (Core team only)
+ * @access  Private (notifications:broadcast)
  */
-router.post('/activity-created', authenticateToken, async (req, res) => {
+router.post('/activity-created', authenticateToken, requirePermission('notifications:broadcast'), async (req, res, next) => {
   try {
     const { activityId, activityTitle, activityDate, activityTime } = req.body;
     
     if (!activityId || !activityTitle || !activityDate) {
-      return res.status(400).json({ error: 'Activity details are required' });
-    }
-
-    // Only core team can create activities
-    if (req.user.userType !== 'core') {
-      return res.status(403).json({ error: 'Only core team members can create activities' });
+      throw new BadRequestError('Activity details are required');
     }
 
     const { allUsers } = await getAllUsers();
@@ -196,22 +91,21 @@ router.post('/activity-created', authenticateToken, async (req, res) => {
       activityTitle
     });
   } catch (error) {
-    console.error('Error sending activity creation notifications:', error);
-    res.status(500).json({ error: 'Failed to send notifications' });
+    next(error);
   }
 });
 
 /**
  * @route   POST /api/notifications/activity-participation
  * @desc    Send notification when someone participates in activity
- * @access  Private
+ * @access  Private (activities:participate)
  */
-router.post('/activity-participation', authenticateToken, async (req, res) => {
+router.post('/activity-participation', authenticateToken, requirePermission('activities:participate'), async (req, res, next) => {
   try {
     const { activityId, activityTitle, participating } = req.body;
     
     if (!activityId || !activityTitle || participating === undefined) {
-      return res.status(400).json({ error: 'Activity details and participation status are required' });
+      throw new BadRequestError('Activity details and participation status are required');
     }
 
     const { allUsers } = await getAllUsers();
@@ -275,51 +169,23 @@ router.post('/activity-participation', authenticateToken, async (req, res) => {
       targetAudience: participating ? 'all users' : 'core team only'
     });
   } catch (error) {
-    console.error('Error sending participation notifications:', error);
-    res.status(500).json({ error: 'Failed to send notifications' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/notifications
- * @desc    Get notifications for current user
+ * @desc    Get notifications for current user (filter with ?unreadOnly=, ?type=, ?from=, ?to=;
+ *          page with ?limit=, ?cursor=, ?order=)
  * @access  Private
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
   try {
-    const { limit = 20, unreadOnly = false } = req.query;
-    
-    let query = firestore
-      .collection('notifications')
-      .where('targetUserId', '==', req.user.userId)
-      .orderBy('createdAt', 'desc')
-      .limit(parseInt(limit));
-    
-    if (unreadOnly === 'true') {
-      query = query.where('read', '==', false);
-    }
-    
-    const snapshot = await query.get();
-    const notifications = [];
-    
-    snapshot.forEach(doc => {
-      notifications.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    
-    const unreadCount = unreadOnly === 'true' ? notifications.length : 
-      notifications.filter(n => !n.read).length;
-    
-    res.json({
-      notifications,
-      unreadCount,
-      total: notifications.length
-    });
+    const result = await notificationsService.getUserNotifications(req.user.userId, req.query);
+
+    res.json(result);
   } catch (error) {
-    console.error('Error getting notifications:', error);
-    res.status(500).json({ error: 'Failed to get notifications' });
+    next(error);
   }
 });
 
@@ -328,7 +194,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * @desc    Mark notification as read
  * @access  Private
  */
-router.put('/:id/read', authenticateToken, async (req, res) => {
+router.put('/:id/read', authenticateToken, async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -336,14 +202,14 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
     const doc = await notificationRef.get();
     
     if (!doc.exists) {
-      return res.status(404).json({ error: 'Notification not found' });
+      throw new NotFoundError('Notification not found');
     }
     
     const notification = doc.data();
     
     // Check if user owns this notification
     if (notification.targetUserId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+      throw new ForbiddenError('Access denied');
     }
     
     await notificationRef.update({
@@ -353,8 +219,7 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
     
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ error: 'Failed to mark notification as read' });
+    next(error);
   }
 });
 
@@ -363,7 +228,7 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
  * @desc    Mark all notifications as read for current user
  * @access  Private
  */
-router.put('/mark-all-read', authenticateToken, async (req, res) => {
+router.put('/mark-all-read', authenticateToken, async (req, res, next) => {
   try {
     const snapshot = await firestore
       .collection('notifications')
@@ -391,8 +256,7 @@ router.put('/mark-all-read', authenticateToken, async (req, res) => {
       updatedCount: updateCount
     });
   } catch (error) {
-    console.error('Error marking all notifications as read:', error);
-    res.status(500).json({ error: 'Failed to mark all notifications as read' });
+    next(error);
   }
 });
 
@@ -401,12 +265,12 @@ router.put('/mark-all-read', authenticateToken, async (req, res) => {
  * @desc    Save user's push notification subscription
  * @access  Private
  */
-router.post('/push-subscription', authenticateToken, async (req, res) => {
+router.post('/push-subscription', authenticateToken, async (req, res, next) => {
   try {
     const { subscription, userAgent, timestamp } = req.body;
     
     if (!subscription) {
-      return res.status(400).json({ error: 'Subscription data is required' });
+      throw new BadRequestError('Subscription data is required');
     }
 
     const subscriptionData = {
@@ -429,8 +293,7 @@ router.post('/push-subscription', authenticateToken, async (req, res) => {
       userId: req.user.userId
     });
   } catch (error) {
-    console.error('Error saving push subscription:', error);
-    res.status(500).json({ error: 'Failed to save push subscription' });
+    next(error);
   }
 });
 
@@ -439,7 +302,7 @@ router.post('/push-subscription', authenticateToken, async (req, res) => {
  * @desc    Remove user's push notification subscription
  * @access  Private
  */
-router.delete('/push-subscription', authenticateToken, async (req, res) => {
+router.delete('/push-subscription', authenticateToken, async (req, res, next) => {
   try {
     await firestore.collection('push_subscriptions').doc(req.user.userId).delete();
     
@@ -449,8 +312,7 @@ router.delete('/push-subscription', authenticateToken, async (req, res) => {
       message: 'Push subscription removed successfully'
     });
   } catch (error) {
-    console.error('Error removing push subscription:', error);
-    res.status(500).json({ error: 'Failed to remove push subscription' });
+    next(error);
   }
 });
 
@@ -459,7 +321,7 @@ router.delete('/push-subscription', authenticateToken, async (req, res) => {
  * @desc    Debug endpoint to check user's push subscription
  * @access  Private
  */
-router.get('/debug/subscription', authenticateToken, async (req, res) => {
+router.get('/debug/subscription', authenticateToken, async (req, res, next) => {
   try {
     console.log(`🔍 Debug: Checking subscription for user ${req.user.userId}`);
     
@@ -488,8 +350,7 @@ router.get('/debug/subscription', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error checking subscription:', error);
-    res.status(500).json({ error: 'Failed to check subscription' });
+    next(error);
   }
 });
 
@@ -498,7 +359,7 @@ router.get('/debug/subscription', authenticateToken, async (req, res) => {
  * @desc    Send test push notification to current user
  * @access  Private
  */
-router.post('/test-push', authenticateToken, async (req, res) => {
+router.post('/test-push', authenticateToken, async (req, res, next) => {
   try {
     console.log(`🧪 Test push notification requested by ${req.user.name || req.user.username}`);
     
@@ -506,7 +367,7 @@ router.post('/test-push', authenticateToken, async (req, res) => {
     
     if (!subscription) {
       console.log(`❌ No push subscription found for user ${req.user.userId}`);
-      return res.status(404).json({ error: 'No push subscription found for user. Please enable notifications first.' });
+      throw new NotFoundError('No push subscription found for user. Please enable notifications first.');
     }
 
     console.log('📱 Found subscription for user:', req.user.userId);
@@ -532,16 +393,10 @@ router.post('/test-push', authenticateToken, async (req, res) => {
       });
     } else {
       console.log('❌ Failed to send test push notification');
-      res.status(500).json({ error: 'Failed to send test push notification. Check server logs for details.' });
+      throw new AppError('Failed to send test push notification. Check server logs for details.');
     }
   } catch (error) {
-    console.error('❌ Error sending test push notification:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Failed to send test push notification', 
-      details: error.message,
-      userId: req.user?.userId 
-    });
+    next(error);
   }
 });
 
@@ -1,27 +1,30 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getFirestore } = require('../db');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
+
+const firestore = getFirestore();
 
 const router = express.Router();
 
 /**
  * @route   POST /api/presence
  * @desc    Mark presence for a specific date
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('presence:mark'), async (req, res, next) => {
   try {
     const { date, type = 'manual' } = req.body;
     
     // Validate required fields
     if (!date) {
-      return res.status(400).json({ error: 'Date is required' });
+      throw new BadRequestError('Date is required');
     }
 
     // Validate date format (YYYY-MM-DD)
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
     if (!dateRegex.test(date)) {
-      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+      throw new BadRequestError('Date must be in YYYY-MM-DD format');
     }
 
     // Check if presence already exists for this user and date
@@ -32,7 +35,7 @@ router.post('/', authenticateToken, async (req, res) => {
       .get();
 
     if (!existingPresence.empty) {
-      return res.status(400).json({ error: 'Presence already marked for this date' });
+      throw new BadRequestError('Presence already marked for this date', { code: ERROR_CODES.CONFLICT });
     }
 
     const presenceData = {
@@ -55,24 +58,23 @@ router.post('/', authenticateToken, async (req, res) => {
       presence: { id: docRef.id, ...presenceData }
     });
   } catch (error) {
-    console.error('Error marking presence:', error);
-    res.status(500).json({ error: 'Failed to mark presence' });
+    next(error);
   }
 });
 
 /**
  * @route   DELETE /api/presence/:date
  * @desc    Remove presence for a specific date
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.delete('/:date', authenticateToken, async (req, res) => {
+router.delete('/:date', authenticateToken, requirePermission('presence:mark'), async (req, res, next) => {
   try {
     const { date } = req.params;
     
     // Validate date format
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
     if (!dateRegex.test(date)) {
-      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+      throw new BadRequestError('Date must be in YYYY-MM-DD format');
     }
 
     // Find presence record for this user and date
@@ -83,7 +85,7 @@ router.delete('/:date', authenticateToken, async (req, res) => {
       .get();
 
     if (presenceQuery.empty) {
-      return res.status(404).json({ error: 'Presence record not found for this date' });
+      throw new NotFoundError('Presence record not found for this date');
     }
 
     // Delete the presence record
@@ -93,8 +95,7 @@ router.delete('/:date', authenticateToken, async (req, res) => {
     console.log(`Presence removed by ${req.user.name || req.user.username} for ${date}`);
     res.json({ message: 'Presence removed successfully' });
   } catch (error) {
-    console.error('Error removing presence:', error);
-    res.status(500).json({ error: 'Failed to remove presence' });
+    next(error);
   }
 });
 
@@ -103,7 +104,7 @@ router.delete('/:date', authenticateToken, async (req, res) => {
  * @desc    Get presence data for a specific month
  * @access  Private
  */
-router.get('/month/:year/:month', authenticateToken, async (req, res) => {
+router.get('/month/:year/:month', authenticateToken, async (req, res, next) => {
   try {
     const { year, month } = req.params;
     
@@ -112,7 +113,7 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
     const monthNum = parseInt(month);
     
     if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+      throw new BadRequestError('Invalid year or month');
     }
 
     // Create date range for the month
@@ -150,8 +151,7 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
       count: presenceRecords.length
     });
   } catch (error) {
-    console.error('Error getting monthly presence:', error);
-    res.status(500).json({ error: 'Failed to get presence data' });
+    next(error);
   }
 });
 
@@ -160,7 +160,7 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
  * @desc    Get presence statistics for a specific month
  * @access  Private
  */
-router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
+router.get('/stats/:year/:month', authenticateToken, async (req, res, next) => {
   try {
     const { year, month } = req.params;
     
@@ -169,7 +169,7 @@ router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
     const monthNum = parseInt(month);
     
     if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+      throw new BadRequestError('Invalid year or month');
     }
 
     // Create date range for the month
@@ -273,22 +273,21 @@ router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
       presentSaturdays
     });
   } catch (error) {
-    console.error('Error getting presence stats:', error);
-    res.status(500).json({ error: 'Failed to get presence statistics' });
+    next(error);
   }
 });
 
 /**
  * @route   POST /api/presence/activity-participation
  * @desc    Automatically mark presence when user participates in activity
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.post('/activity-participation', authenticateToken, async (req, res) => {
+router.post('/activity-participation', authenticateToken, requirePermission('presence:mark'), async (req, res, next) => {
   try {
     const { activityDate } = req.body;
     
     if (!activityDate) {
-      return res.status(400).json({ error: 'Activity date is required' });
+      throw new BadRequestError('Activity date is required');
     }
 
     // Check if presence already exists for this user and date
@@ -322,8 +321,7 @@ router.post('/activity-participation', authenticateToken, async (req, res) => {
       presence: { id: docRef.id, ...presenceData }
     });
   } catch (error) {
-    console.error('Error marking activity presence:', error);
-    res.status(500).json({ error: 'Failed to mark activity presence' });
+    next(error);
   }
 });
 
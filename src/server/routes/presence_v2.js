@@ -1,83 +1,23 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/presence');
+const { getFirestore } = require('../db');
+const { getMonthlyDocId, calculateMonthlyStats } = require('../services/userPresenceService');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
 
-const router = express.Router();
-
-/**
- * Helper function to get document ID for user's monthly presence
- */
-const getMonthlyDocId = (userId, year, month) => {
-  return `${userId}_${year}_${String(month + 1).padStart(2, '0')}`;
-};
+const firestore = getFirestore();
 
-/**
- * Helper function to calculate monthly statistics
- */
-const calculateMonthlyStats = (year, month, dates) => {
-  const daysInMonth = new Date(year, month + 1, 0).getDate();
-  const presentDays = Object.keys(dates).length;
-  
-  // Find all Saturdays in the month using UTC to avoid timezone issues
-  const saturdays = [];
-  const presentSaturdays = [];
-  
-  for (let day = 1; day <= daysInMonth; day++) {
-    // Create date in UTC to avoid timezone issues
-    const date = new Date(Date.UTC(year, month, day));
-    
-    if (date.getUTCDay() === 6) { // Saturday
-      const dayStr = String(day).padStart(2, '0');
-      saturdays.push(dayStr);
-      
-      // Check if present on this Saturday
-      if (dates[dayStr]) {
-        presentSaturdays.push(dayStr);
-      }
-    }
-  }
-  
-  console.log(`📊 Stats calculation for ${year}-${month + 1}:`);
-  console.log(`📅 Total days: ${daysInMonth}, Present days: ${presentDays}`);
-  console.log(`🗓️ Saturdays: [${saturdays.join(', ')}], Present Saturdays: [${presentSaturdays.join(', ')}]`);
-  
-  return {
-    totalDays: daysInMonth,
-    presentDays,
-    totalSaturdays: saturdays.length,
-    presentSaturdays: presentSaturdays.length,
-    saturdays,
-    presentSaturdayDates: presentSaturdays,
-    compliance: {
-      meetsAllSaturdays: presentSaturdays.length === saturdays.length,
-      meets8Days2Sats: presentDays >= 8 && presentSaturdays.length >= 2,
-      meets10Weekdays: presentDays >= 10,
-      isCompliant: (presentSaturdays.length === saturdays.length) || 
-                   (presentDays >= 8 && presentSaturdays.length >= 2) || 
-                   (presentDays >= 10)
-    }
-  };
-};
+const router = express.Router();
 
 /**
  * @route   POST /api/presence
  * @desc    Mark presence for a specific date
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('presence:mark'), validate(schemas.mark), async (req, res, next) => {
   try {
-    const { date, type = 'manual' } = req.body;
-    
-    // Validate required fields
-    if (!date) {
-      return res.status(400).json({ error: 'Date is required' });
-    }
-
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
-    }
+    const { date, type } = req.body;
 
     // Parse date components
     const [year, month, day] = date.split('-').map(Number);
@@ -97,7 +37,7 @@ router.post('/', authenticateToken, async (req, res) => {
       
       // Check if presence already marked for this date
       if (monthlyData.dates && monthlyData.dates[dayStr]) {
-        return res.status(400).json({ error: 'Presence already marked for this date' });
+        throw new BadRequestError('Presence already marked for this date', { code: ERROR_CODES.CONFLICT });
       }
     } else {
       // Create new monthly document
@@ -134,25 +74,18 @@ router.post('/', authenticateToken, async (req, res) => {
       stats: monthlyData.stats
     });
   } catch (error) {
-    console.error('Error marking presence:', error);
-    res.status(500).json({ error: 'Failed to mark presence' });
+    next(error);
   }
 });
 
 /**
  * @route   DELETE /api/presence/:date
  * @desc    Remove presence for a specific date
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.delete('/:date', authenticateToken, async (req, res) => {
+router.delete('/:date', authenticateToken, requirePermission('presence:mark'), validate(schemas.remove), async (req, res, next) => {
   try {
     const { date } = req.params;
-    
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
-    }
 
     // Parse date components
     const [year, month, day] = date.split('-').map(Number);
@@ -165,14 +98,14 @@ router.delete('/:date', authenticateToken, async (req, res) => {
     const doc = await docRef.get();
     
     if (!doc.exists) {
-      return res.status(404).json({ error: 'No presence record found for this month' });
+      throw new NotFoundError('No presence record found for this month');
     }
     
     const monthlyData = doc.data();
     
     // Check if presence exists for this date
     if (!monthlyData.dates || !monthlyData.dates[dayStr]) {
-      return res.status(404).json({ error: 'Presence record not found for this date' });
+      throw new NotFoundError('Presence record not found for this date');
     }
     
     // Remove presence record
@@ -188,8 +121,7 @@ router.delete('/:date', authenticateToken, async (req, res) => {
     console.log(`❌ Presence removed by ${req.user.name || req.user.username} for ${date}`);
     res.json({ message: 'Presence removed successfully' });
   } catch (error) {
-    console.error('Error removing presence:', error);
-    res.status(500).json({ error: 'Failed to remove presence' });
+    next(error);
   }
 });
 
@@ -198,17 +130,9 @@ router.delete('/:date', authenticateToken, async (req, res) => {
  * @desc    Get presence data for a specific month
  * @access  Private
  */
-router.get('/month/:year/:month', authenticateToken, async (req, res) => {
+router.get('/month/:year/:month', authenticateToken, validate(schemas.month), async (req, res, next) => {
   try {
-    const { year, month } = req.params;
-    
-    // Validate year and month
-    const yearNum = parseInt(year);
-    const monthNum = parseInt(month);
-    
-    if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-      return res.status(400).json({ error: 'Invalid year or month' });
-    }
+    const { year: yearNum, month: monthNum } = req.params;
 
     // Get monthly document
     const docId = getMonthlyDocId(req.user.userId, yearNum, monthNum);
@@ -243,7 +167,7 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
     // Sort by date
     presenceRecords.sort((a, b) => a.date.localeCompare(b.date));
     
-    console.log(`📊 Found ${presenceRecords.length} presence records for ${req.user.name || req.user.username} in ${year}-${month}`);
+    console.log(`📊 Found ${presenceRecords.length} presence records for ${req.user.name || req.user.username} in ${yearNum}-${monthNum}`);
     res.json({ 
       presenceRecords,
       month: monthNum,
@@ -252,8 +176,7 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
       stats: monthlyData.stats
     });
   } catch (error) {
-    console.error('Error getting monthly presence:', error);
-    res.status(500).json({ error: 'Failed to get presence data' });
+    next(error);
   }
 });
 
@@ -262,17 +185,9 @@ router.get('/month/:year/:month', authenticateToken, async (req, res) => {
  * @desc    Get presence statistics for a specific month
  * @access  Private
  */
-router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
+router.get('/stats/:year/:month', authenticateToken, validate(schemas.month), async (req, res, next) => {
   try {
-    const { year, month } = req.params;
-    
-    // Validate year and month
-    const yearNum = parseInt(year);
-    const monthNum = parseInt(month);
-    
-    if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-      return res.status(400).json({ error: 'Invalid year or month' });
-    }
+    const { year: yearNum, month: monthNum } = req.params;
 
     // Get monthly document
     const docId = getMonthlyDocId(req.user.userId, yearNum, monthNum);
@@ -287,7 +202,7 @@ router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
       stats = calculateMonthlyStats(yearNum, monthNum, {});
     }
     
-    console.log(`📈 Stats for ${req.user.name || req.user.username} in ${year}-${month}:`, stats);
+    console.log(`📈 Stats for ${req.user.name || req.user.username} in ${yearNum}-${monthNum}:`, stats);
     
     res.json({ 
       stats: {
@@ -306,23 +221,18 @@ router.get('/stats/:year/:month', authenticateToken, async (req, res) => {
       presentSaturdays: stats.presentSaturdayDates.map(day => `${yearNum}-${String(monthNum + 1).padStart(2, '0')}-${day}`)
     });
   } catch (error) {
-    console.error('Error getting presence stats:', error);
-    res.status(500).json({ error: 'Failed to get presence statistics' });
+    next(error);
   }
 });
 
 /**
  * @route   POST /api/presence/activity-participation
  * @desc    Automatically mark presence when user participates in activity
- * @access  Private
+ * @access  Private (presence:mark)
  */
-router.post('/activity-participation', authenticateToken, async (req, res) => {
+router.post('/activity-participation', authenticateToken, requirePermission('presence:mark'), validate(schemas.activityParticipation), async (req, res, next) => {
   try {
     const { activityDate } = req.body;
-    
-    if (!activityDate) {
-      return res.status(400).json({ error: 'Activity date is required' });
-    }
 
     // Use the regular mark presence logic with type 'activity'
     const [year, month, day] = activityDate.split('-').map(Number);
@@ -372,8 +282,7 @@ router.post('/activity-participation', authenticateToken, async (req, res) => {
       type: 'activity'
     });
   } catch (error) {
-    console.error('Error marking activity presence:', error);
-    res.status(500).json({ error: 'Failed to mark activity presence' });
+    next(error);
   }
 });
 
@@ -1,10 +1,16 @@
 const express = require('express');
 const multer = require('multer');
-const xlsx = require('xlsx');
 const fs = require('fs');
 const path = require('path');
-const { authenticateToken } = require('../middleware/auth');
-const { firestore } = require('../config/firebase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/responsibilities');
+const responsibilitiesService = require('../services/responsibilitiesService');
+const bulkUploadService = require('../services/bulkUploadService');
+const exportService = require('../services/exportService');
+const { createCommentRoutes } = require('./comments');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
 
 const router = express.Router();
 
@@ -21,7 +27,7 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only Excel and CSV files are allowed.'));
+      cb(new BadRequestError('Invalid file type. Only Excel and CSV files are allowed.', { code: ERROR_CODES.INVALID_FILE }));
     }
   }
 });
@@ -31,7 +37,7 @@ const upload = multer({
  * @desc    Download Excel template for bulk upload
  * @access  Public
  */
-router.get('/template', (req, res) => {
+router.get('/template', (req, res, next) => {
   try {
     const templatePath = path.join(__dirname, '../../../templates/responsibilities_template.csv');
     
@@ -39,432 +45,293 @@ router.get('/template', (req, res) => {
     console.log('File exists:', fs.existsSync(templatePath));
     
     if (!fs.existsSync(templatePath)) {
-      return res.status(404).json({ error: 'Template file not found' });
+      throw new NotFoundError('Template file not found');
     }
 
     res.download(templatePath, 'responsibilities_template.csv', (err) => {
       if (err) {
         console.error('Error downloading template:', err);
-        res.status(500).json({ error: 'Failed to download template' });
+        if (!res.headersSent) next(err);
       }
     });
   } catch (error) {
-    console.error('Error serving template:', error);
-    res.status(500).json({ error: 'Failed to serve template' });
+    next(error);
   }
 });
 
+/**
+ * @route   GET /api/responsibilities/template/assignees
+ * @desc    Download an Excel bulk upload template with an Assignee column and a sheet
+ *          listing the users rows can be assigned to
+ * @access  Private (responsibilities:assign)
+ */
+router.get('/template/assignees', authenticateToken, requirePermission('responsibilities:assign'), asyncHandler(async (req, res) => {
+  const body = await bulkUploadService.buildAssigneeTemplate();
+
+  res.attachment('responsibilities_template_assignees.xlsx');
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(body);
+}));
+
 /**
  * @route   POST /api/responsibilities/bulk-upload
- * @desc    Bulk upload responsibilities from Excel/CSV
- * @access  Private
+ * @desc    Bulk upload responsibilities from Excel/CSV. Valid rows are imported in one
+ *          batch; ?dryRun=true returns a per-row preview (errors and warnings) instead.
+ *          ?onDuplicate=skip|update|duplicate decides what happens to rows matching
+ *          an existing responsibility. Every sheet is read; an Assignee column or a
+ *          sheet named after a user imports rows for that user. ?dateFormat= and
+ *          ?timezone= say how dates and times are read
+ * @access  Private (responsibilities:create; responsibilities:assign for other users)
  */
-router.post('/bulk-upload', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/bulk-upload', authenticateToken, requirePermission('responsibilities:create'), upload.single('file'), validate(schemas.bulkUpload), async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      throw new BadRequestError('No file uploaded');
     }
 
-    // Parse the Excel/CSV file from buffer
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = xlsx.utils.sheet_to_json(worksheet);
+    const { onDuplicate, dateFormat, timezone } = req.query;
+    const options = { filename: req.file.originalname, onDuplicate, dateFormat, timezone };
 
-    if (data.length === 0) {
-      return res.status(400).json({ error: 'Excel file is empty' });
-    }
+    // The file is only kept in memory for the duration of the request
+    if (req.query.dryRun) {
+      const preview = await bulkUploadService.previewUpload(req.file.buffer, req.user, options);
 
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: []
-    };
-
-    // Process each row
-    for (let i = 0; i < data.length; i++) {
-      const row = data[i];
-      const rowNumber = i + 2; // Excel rows start at 1, header is row 1
-
-      try {
-        // Validate required fields
-        const title = row['Title'] || row['title'];
-        const dateInput = row['Date'] || row['date'];
-        let startTime = row['Start Time'] || row['start_time'] || row['startTime'];
-        let endTime = row['End Time'] || row['end_time'] || row['endTime'];
-        const description = row['Description'] || row['description'] || '';
-
-        console.log(`Row ${rowNumber} raw data:`, { 
-          title, 
-          dateInput, 
-          startTime: startTime, 
-          startTimeType: typeof startTime,
-          endTime: endTime,
-          endTimeType: typeof endTime
-        });
-
-        // Convert Excel time numbers to time strings
-        const convertExcelTime = (timeValue) => {
-          if (typeof timeValue === 'number') {
-            // Excel stores time as fraction of a day (0.5 = 12:00 PM)
-            const totalMinutes = Math.round(timeValue * 24 * 60);
-            const hours = Math.floor(totalMinutes / 60);
-            const minutes = totalMinutes % 60;
-            return `${hours}:${String(minutes).padStart(2, '0')}`;
-          }
-          return String(timeValue).trim();
-        };
-
-        startTime = convertExcelTime(startTime);
-        endTime = convertExcelTime(endTime);
-
-        console.log(`Row ${rowNumber} converted times:`, { startTime, endTime });
-
-        if (!title || !dateInput || !startTime || !endTime) {
-          results.failed++;
-          results.errors.push({
-            row: rowNumber,
-            error: `Missing required fields. Found: Title=${!!title}, Date=${!!dateInput}, Start Time=${!!startTime}, End Time=${!!endTime}`
-          });
-          continue;
-        }
-
-        // Parse and normalize date - Accept MM/DD/YYYY format and Excel date numbers
-        let normalizedDate = null;
-        let dateStr = String(dateInput).trim();
-        
-        console.log(`Row ${rowNumber}: Processing date "${dateStr}" (type: ${typeof dateInput})`);
-        
-        // Check if it's an Excel serial date number
-        if (!isNaN(dateInput) && typeof dateInput === 'number') {
-          // Convert Excel serial date to JavaScript Date
-          // Excel dates start from 1900-01-01 (serial 1)
-          const excelEpoch = new Date(1899, 11, 30); // Excel epoch (Dec 30, 1899)
-          const jsDate = new Date(excelEpoch.getTime() + dateInput * 86400000);
-          
-          const year = jsDate.getFullYear();
-          const month = String(jsDate.getMonth() + 1).padStart(2, '0');
-          const day = String(jsDate.getDate()).padStart(2, '0');
-          
-          normalizedDate = `${year}-${month}-${day}`;
-          console.log(`  Converted Excel serial date ${dateInput} to: ${normalizedDate}`);
-        }
-        // Try MM/DD/YYYY, M/DD/YYYY, M/D/YYYY, MM-DD-YYYY, M-DD-YYYY, M-D-YYYY format
-        else if (/^\d{1,2}[-/]\d{1,2}[-/]\d{4}$/.test(dateStr)) {
-          const separator = dateStr.includes('/') ? '/' : '-';
-          const parts = dateStr.split(separator);
-          const month = parts[0].padStart(2, '0');
-          const day = parts[1].padStart(2, '0');
-          const year = parts[2];
-          
-          // Validate month and day ranges
-          const monthNum = parseInt(parts[0]);
-          const dayNum = parseInt(parts[1]);
-          
-          if (monthNum < 1 || monthNum > 12) {
-            results.failed++;
-            results.errors.push({
-              row: rowNumber,
-              error: `Invalid month value: ${monthNum}. Month must be between 1 and 12.`
-            });
-            continue;
-          }
-          
-          if (dayNum < 1 || dayNum > 31) {
-            results.failed++;
-            results.errors.push({
-              row: rowNumber,
-              error: `Invalid day value: ${dayNum}. Day must be between 1 and 31.`
-            });
-            continue;
-          }
-          
-          normalizedDate = `${year}-${month}-${day}`;
-          console.log(`  Parsed as MM${separator}DD${separator}YYYY: ${normalizedDate}`);
-        }
-        
-        if (!normalizedDate) {
-          console.log(`  ❌ No format matched for date: "${dateStr}"`);
-          results.failed++;
-          results.errors.push({
-            row: rowNumber,
-            error: `Invalid date format. Use MM/DD/YYYY or MM-DD-YYYY (e.g., 02/11/2026, 2/11/2026, 12/25/2026). Received: "${dateStr}"`
-          });
-          continue;
-        }
-        
-        console.log(`  ✅ Normalized date: ${normalizedDate}`);
-
-        // Validate the date is valid
-        const dateObj = new Date(normalizedDate);
-        if (isNaN(dateObj.getTime())) {
-          results.failed++;
-          results.errors.push({
-            row: rowNumber,
-            error: 'Invalid date value. Please check the date is correct.'
-          });
-          continue;
-        }
-
-        // Validate time format (HH:MM or HH:MM:SS, with optional AM/PM)
-        // Updated regex to properly handle AM/PM with or without space
-        const timeRegex = /^\d{1,2}:\d{2}(:\d{2})?(\s*(AM|PM|am|pm))?$/;
-        const startTimeStr = String(startTime).trim();
-        const endTimeStr = String(endTime).trim();
-        
-        console.log(`Row ${rowNumber} validating times:`, { 
-          startTimeStr, 
-          endTimeStr,
-          startTimeMatch: timeRegex.test(startTimeStr),
-          endTimeMatch: timeRegex.test(endTimeStr)
-        });
-        
-        if (!timeRegex.test(startTimeStr) || !timeRegex.test(endTimeStr)) {
-          results.failed++;
-          results.errors.push({
-            row: rowNumber,
-            error: `Invalid time format. Use HH:MM, HH:MM:SS, or 12-hour format with AM/PM (e.g., 9:30, 09:30:00, 9:30 AM, 2:30 PM). Received: Start="${startTimeStr}", End="${endTimeStr}"`
-          });
-          continue;
-        }
-
-        // Normalize time format (convert to 24-hour HH:MM format)
-        const normalizeTime = (time) => {
-          const timeStr = String(time).trim();
-          
-          // Check if time has AM/PM
-          const ampmMatch = timeStr.match(/^(\d{1,2}):(\d{2})(:\d{2})?\s*(AM|PM|am|pm)$/i);
-          
-          if (ampmMatch) {
-            // 12-hour format with AM/PM
-            let hours = parseInt(ampmMatch[1]);
-            const minutes = ampmMatch[2];
-            const ampm = ampmMatch[4].toUpperCase();
-            
-            // Convert to 24-hour format
-            if (ampm === 'PM' && hours !== 12) {
-              hours += 12;
-            } else if (ampm === 'AM' && hours === 12) {
-              hours = 0;
-            }
-            
-            return `${String(hours).padStart(2, '0')}:${minutes}`;
-          } else {
-            // 24-hour format
-            const parts = timeStr.split(':');
-            const hours = parts[0].padStart(2, '0');
-            const minutes = parts[1];
-            // Store only HH:MM format (ignore seconds)
-            return `${hours}:${minutes}`;
-          }
-        };
-
-        // Create responsibility
-        const taskData = {
-          title: String(title).trim(),
-          description: String(description).trim(),
-          date: normalizedDate,
-          startTime: normalizeTime(String(startTime).trim()),
-          endTime: normalizeTime(String(endTime).trim()),
-          userId: req.user.userId,
-          username: req.user.username,
-          completed: false,
-          createdAt: new Date().toISOString(),
-          completedAt: null,
-          updatedAt: new Date().toISOString()
-        };
-
-        await firestore.collection('tasks').add(taskData);
-        results.success++;
-
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          row: rowNumber,
-          error: error.message || 'Failed to create responsibility'
-        });
-      }
+      return res.json({
+        message: 'Bulk upload preview',
+        ...preview
+      });
     }
 
-    // File is automatically deleted from memory after processing
+    const result = await bulkUploadService.importUpload(req.file.buffer, req.user, options);
+
     res.json({
       message: 'Bulk upload completed',
-      results: {
-        total: data.length,
-        success: results.success,
-        failed: results.failed,
-        errors: results.errors // Return all errors
-      }
+      ...result
     });
-
   } catch (error) {
-    console.error('Error processing bulk upload:', error);
-    res.status(500).json({ error: 'Failed to process file. Please check the format and try again.' });
+    next(error);
   }
 });
 
+/**
+ * @route   POST /api/responsibilities/bulk-upload/commit
+ * @desc    Import the valid rows of a dry-run preview
+ * @access  Private (responsibilities:create; the uploader only)
+ */
+router.post('/bulk-upload/commit', authenticateToken, requirePermission('responsibilities:create'), validate(schemas.bulkCommit), asyncHandler(async (req, res) => {
+  const result = await bulkUploadService.commitPreview(req.body.previewId, req.user, req.body);
+
+  res.json({
+    message: 'Bulk upload completed',
+    ...result
+  });
+}));
+
+/**
+ * @route   GET /api/responsibilities/export
+ * @desc    Export responsibilities as xlsx, csv (template columns, re-uploadable) or ics
+ *          (?format=, ?from=, ?to=, ?userId=, plus the listing filters)
+ * @access  Private (responsibilities:view-all for other users or userId=all)
+ */
+router.get('/export', authenticateToken, validate(schemas.export), asyncHandler(async (req, res) => {
+  const { filename, contentType, body } = await exportService.exportResponsibilities(req.user, req.query);
+
+  res.attachment(filename);
+  res.type(contentType);
+  res.send(body);
+}));
+
+/**
+ * @route   GET /api/responsibilities/imports
+ * @desc    Get the current user's bulk upload import batches
+ * @access  Private (responsibilities:create)
+ */
+router.get('/imports', authenticateToken, requirePermission('responsibilities:create'), asyncHandler(async (req, res) => {
+  const result = await bulkUploadService.getImports(req.user.userId);
+
+  res.json(result);
+}));
+
+/**
+ * @route   POST /api/responsibilities/imports/:id/rollback
+ * @desc    Roll back an import batch: delete the tasks it created, restore the ones it updated
+ *          (tasks changed or commented on since are kept and listed in `skipped`)
+ * @access  Private (importer, or responsibilities:manage)
+ */
+router.post('/imports/:id/rollback', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await bulkUploadService.rollbackImport(req.params.id, req.user);
+
+  res.json({
+    message: 'Import rolled back successfully',
+    ...result
+  });
+}));
+
 /**
  * @route   POST /api/responsibilities
- * @desc    Create a new responsibility
- * @access  Private
+ * @desc    Create a new responsibility (a recurring series when `recurrence` is given,
+ *          one task per assignee when `assignees` is given)
+ * @access  Private (responsibilities:create; responsibilities:assign to assign others)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('responsibilities:create'), validate(schemas.create), async (req, res, next) => {
   try {
-    const { title, description, date, startTime, endTime } = req.body;
-    
-    if (!title || !date || !startTime || !endTime) {
-      return res.status(400).json({ error: 'Title, date, start time, and end time are required' });
-    }
+    const result = await responsibilitiesService.createResponsibility(req.body, req.user);
 
-    const taskData = {
-      title,
-      description: description || '',
-      date,
-      startTime,
-      endTime,
-      userId: req.user.userId,
-      username: req.user.username,
-      completed: false,
-      createdAt: new Date().toISOString(),
-      completedAt: null,
-      updatedAt: new Date().toISOString()
-    };
-
-    const docRef = await firestore.collection('tasks').add(taskData);
-    
     res.status(201).json({
-      message: 'Responsibility created successfully',
-      taskId: docRef.id,
-      task: { id: docRef.id, ...taskData }
+      message: result.assignmentId ? 'Responsibility assigned successfully' : 'Responsibility created successfully',
+      ...result
     });
   } catch (error) {
-    console.error('Error creating responsibility:', error);
-    res.status(500).json({ error: 'Failed to create responsibility' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/responsibilities
- * @desc    Get user's responsibilities
+ * @desc    Get user's responsibilities, with recurring series expanded into occurrences
+ *          (filter with ?priority=, ?category=, ?tag=, ?completed=; page with ?sort=, ?order=,
+ *          ?limit=, ?cursor=)
  * @access  Private
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
   console.log('GET /api/responsibilities route hit by user:', req.user.userId);
   try {
-    // Use a simpler query without orderBy to avoid index requirement
-    const snapshot = await firestore
-      .collection('tasks')
-      .where('userId', '==', req.user.userId)
-      .get();
-
-    const tasks = [];
-    snapshot.forEach(doc => {
-      tasks.push({
-        _id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    // Sort in JavaScript instead of Firestore
-    tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { tasks, nextCursor } = await responsibilitiesService.getUserResponsibilities(req.user.userId, req.query);
 
     console.log(`Found ${tasks.length} tasks for user ${req.user.userId}`);
-    res.json({ tasks });
+    res.json({ tasks, nextCursor });
   } catch (error) {
-    console.error('Error getting responsibilities:', error);
-    res.status(500).json({ error: 'Failed to get responsibilities' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/responsibilities/all
- * @desc    Get all responsibilities (community view)
- * @access  Private
+ * @desc    Get all responsibilities (community view; same filters as GET /)
+ * @access  Private (responsibilities:view-all)
  */
-router.get('/all', authenticateToken, async (req, res) => {
+router.get('/all', authenticateToken, requirePermission('responsibilities:view-all'), validate(schemas.list), async (req, res, next) => {
   console.log('GET /api/responsibilities/all route hit by user:', req.user.userId);
   try {
-    // Use a simpler query without orderBy to avoid index requirement
-    const snapshot = await firestore
-      .collection('tasks')
-      .get();
-
-    const tasks = [];
-    snapshot.forEach(doc => {
-      tasks.push({
-        _id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    // Sort in JavaScript instead of Firestore
-    tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { tasks, nextCursor } = await responsibilitiesService.getAllResponsibilities(req.query);
 
     console.log(`Found ${tasks.length} total tasks for community view`);
-    res.json({ tasks });
+    res.json({ tasks, nextCursor });
   } catch (error) {
-    console.error('Error getting all responsibilities:', error);
-    res.status(500).json({ error: 'Failed to get responsibilities' });
+    next(error);
   }
 });
 
 /**
- * @route   PUT /api/responsibilities/:id
- * @desc    Update responsibility
- * @access  Private
+ * @route   GET /api/responsibilities/assigned
+ * @desc    Get responsibilities the current user assigned, with each assignee's status
+ * @access  Private (responsibilities:assign)
  */
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { completed, title, description } = req.body;
+router.get('/assigned', authenticateToken, requirePermission('responsibilities:assign'), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.getAssignedResponsibilities(req.user.userId);
 
-    const updateData = {
-      updatedAt: new Date().toISOString()
-    };
+  res.json(result);
+}));
 
-    if (completed !== undefined) {
-      updateData.completed = completed;
-      updateData.completedAt = completed ? new Date().toISOString() : null;
-    }
+/**
+ * @route   POST /api/responsibilities/:id/accept
+ * @desc    Accept a responsibility assigned to the current user
+ * @access  Private (assignee)
+ */
+router.post('/:id/accept', authenticateToken, validate(schemas.accept), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.respondToAssignment(req.params.id, req.user, 'accepted');
 
-    if (title !== undefined) updateData.title = title;
-    if (description !== undefined) updateData.description = description;
+  res.json(result);
+}));
 
-    await firestore.collection('tasks').doc(id).update(updateData);
+/**
+ * @route   POST /api/responsibilities/:id/decline
+ * @desc    Decline a responsibility assigned to the current user
+ * @access  Private (assignee)
+ */
+router.post('/:id/decline', authenticateToken, validate(schemas.decline), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.respondToAssignment(req.params.id, req.user, 'declined', req.body.reason);
+
+  res.json(result);
+}));
 
-    res.json({ message: 'Responsibility updated successfully' });
+/**
+ * @route   PUT /api/responsibilities/:id
+ * @desc    Update a responsibility, a recurring series or one occurrence ("<seriesId>_<date>";
+ *          ?scope=series applies the change to the occurrence's series)
+ * @access  Private (completed: owner/assignee; details: owner/assigner; or responsibilities:manage)
+ */
+router.put('/:id', authenticateToken, validate(schemas.update), async (req, res, next) => {
+  try {
+    const result = await responsibilitiesService.updateResponsibility(req.params.id, req.body, req.user, req.query);
+
+    res.json(result);
   } catch (error) {
-    console.error('Error updating responsibility:', error);
-    res.status(500).json({ error: 'Failed to update responsibility' });
+    next(error);
   }
 });
 
 /**
- * @route   DELETE /api/responsibilities/:id
- * @desc    Delete responsibility
+ * @route   POST /api/responsibilities/:id/checklist
+ * @desc    Add an item to a task's checklist (reopens a completed task)
+ * @access  Private (owner, the user who assigned it, or responsibilities:manage)
+ */
+router.post('/:id/checklist', authenticateToken, validate(schemas.checklistItem), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.addChecklistItem(req.params.id, req.body, req.user);
+
+  res.status(201).json(result);
+}));
+
+/**
+ * @route   PUT /api/responsibilities/:id/checklist/:itemId
+ * @desc    Rename or check off a checklist item. Checking the last open item completes
+ *          the task; unchecking one reopens it
+ * @access  Private (title: owner or assigner; completed: the person responsible;
+ *          or responsibilities:manage)
+ */
+router.put('/:id/checklist/:itemId', authenticateToken, validate(schemas.checklistItemUpdate), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.updateChecklistItem(req.params.id, req.params.itemId, req.body, req.user);
+
+  res.json(result);
+}));
+
+/**
+ * @route   DELETE /api/responsibilities/:id/checklist/:itemId
+ * @desc    Remove a checklist item
+ * @access  Private (owner, the user who assigned it, or responsibilities:manage)
+ */
+router.delete('/:id/checklist/:itemId', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.deleteChecklistItem(req.params.id, req.params.itemId, req.user);
+
+  res.json(result);
+}));
+
+// Comments: /api/responsibilities/:id/comments
+router.use('/:id/comments', createCommentRoutes('responsibility'));
+
+/**
+ * @route   GET /api/responsibilities/:id/history
+ * @desc    Get the audit trail of a responsibility (Owner, assigner, or responsibilities:manage)
  * @access  Private
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Verify ownership
-    const doc = await firestore.collection('tasks').doc(id).get();
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Responsibility not found' });
-    }
+router.get('/:id/history', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.getResponsibilityHistory(req.params.id, req.user);
 
-    const task = doc.data();
-    if (task.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Not authorized to delete this responsibility' });
-    }
+  res.json(result);
+}));
 
-    await firestore.collection('tasks').doc(id).delete();
+/**
+ * @route   DELETE /api/responsibilities/:id
+ * @desc    Delete a responsibility or series, or cancel one occurrence (Owner, or responsibilities:manage)
+ * @access  Private
+ */
+router.delete('/:id', authenticateToken, validate(schemas.scope), async (req, res, next) => {
+  try {
+    const result = await responsibilitiesService.deleteResponsibility(req.params.id, req.user, req.query);
 
-    res.json({ message: 'Responsibility deleted successfully' });
+    res.json(result);
   } catch (error) {
-    console.error('Error deleting responsibility:', error);
-    res.status(500).json({ error: 'Failed to delete responsibility' });
+    next(error);
   }
 });
 
@@ -473,76 +340,44 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * @desc    Get unique dates with task counts
  * @access  Private
  */
-router.get('/dates', authenticateToken, async (req, res) => {
+router.get('/dates', authenticateToken, validate(schemas.dates), async (req, res, next) => {
   try {
-    const { userId } = req.query;
-    
-    let query = firestore.collection('tasks');
-    if (userId && userId !== 'all') {
-      query = query.where('userId', '==', userId);
-    }
-
-    const snapshot = await query.get();
-    const dateMap = new Map();
+    const { userId, ...filters } = req.query;
+    const result = await responsibilitiesService.getTaskDates(userId, filters);
 
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      const date = data.date;
-      if (dateMap.has(date)) {
-        dateMap.set(date, dateMap.get(date) + 1);
-      } else {
-        dateMap.set(date, 1);
-      }
-    });
-
-    const dates = Array.from(dateMap.entries()).map(([date, count]) => ({
-      date,
-      count
-    }));
-
-    // Sort dates (newest first)
-    dates.sort((a, b) => b.date.localeCompare(a.date));
-
-    res.json({ dates });
+    res.json(result);
   } catch (error) {
-    console.error('Error getting task dates:', error);
-    res.status(500).json({ error: 'Failed to get task dates' });
+    next(error);
   }
 });
 
 /**
  * @route   GET /api/responsibilities/stats
- * @desc    Get task statistics for user
+ * @desc    Get task statistics for user: completion and on-time rates, overdue tasks,
+ *          streaks and average time to complete (optional ?from=, ?to=, and ?period=
+ *          day|week|month for a per-period breakdown)
  * @access  Private
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, validate(schemas.stats), async (req, res, next) => {
   try {
-    const snapshot = await firestore
-      .collection('tasks')
-      .where('userId', '==', req.user.userId)
-      .get();
-
-    let total = 0;
-    let completed = 0;
-
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      total++;
-      if (data.completed) completed++;
-    });
+    const result = await responsibilitiesService.getTaskStats(req.user.userId, req.query);
 
-    const stats = {
-      total,
-      completed,
-      pending: total - completed,
-      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
-    };
-
-    res.json({ stats });
+    res.json(result);
   } catch (error) {
-    console.error('Error getting task statistics:', error);
-    res.status(500).json({ error: 'Failed to get statistics' });
+    next(error);
   }
 });
 
+/**
+ * @route   GET /api/responsibilities/leaderboard
+ * @desc    Rank the team by responsibilities completed, then on-time rate
+ *          (?from=, ?to=, default the last 30 days; ?limit=)
+ * @access  Private (responsibilities:leaderboard)
+ */
+router.get('/leaderboard', authenticateToken, requirePermission('responsibilities:leaderboard'), validate(schemas.leaderboard), asyncHandler(async (req, res) => {
+  const result = await responsibilitiesService.getLeaderboard(req.query);
+
+  res.json(result);
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,20 @@
 const app = require('./app');
 const config = require('./config');
 const coreProfilesService = require('./services/coreProfilesService');
+const responsibilitiesService = require('./services/responsibilitiesService');
+const activitiesService = require('./services/activitiesService');
+const { initializeDataStore } = require('./db');
 
-// Import Firebase configuration
-require('./config/firebase'); // Initialize Firebase
-
-// Initialize core profiles check
-coreProfilesService.initializeProfiles();
+// Initialize data store (Firestore or in-memory), then check core profiles,
+// start sending responsibility reminders and repairing participant counts
+initializeDataStore()
+  .then(() => coreProfilesService.initializeProfiles())
+  .then(() => responsibilitiesService.startReminderScheduler())
+  .then(() => activitiesService.startParticipantRepairScheduler())
+  .catch(error => {
+    console.error('❌ Failed to initialize data store:', error);
+    process.exit(1);
+  });
 
 // Start server
 const PORT = config.PORT;
@@ -15,7 +23,7 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 3AM Core Responsibility Management Server running on port ${PORT}`);
   console.log(`📱 Environment: ${config.NODE_ENV}`);
   console.log(`🔥 Firebase Project: ${config.FIREBASE_PROJECT_ID}`);
-  console.log(`📊 Database: Firebase Firestore Only`);
+  console.log(`📊 Database: ${config.DATA_STORE === 'memory' ? 'In-Memory (data is lost on restart)' : 'Firebase Firestore'}`);
   console.log(`🌐 CORS Origin: ${config.CORS_ORIGIN}`);
   console.log(`🔗 Server URL: http://localhost:${PORT}`);
   console.log(`🔍 Health Check: http://localhost:${PORT}/api/health`);
@@ -1,57 +1,204 @@
 /**
  * Activities Service
  * Handles activity management logic
+ *
+ * An activity can have a `capacity`. Once that many users participate, users who
+ * join are put on its waitlist (`activity_waitlist`) instead, and whenever a spot
+ * opens up (someone leaves or the capacity is raised) the longest-waiting users
+ * are moved into it and notified.
+ *
+ * Participating is only an intent. Once an activity has started, users with
+ * activities:attendance record who actually came (`activity_attendance`);
+ * present and late users get an 'activity' entry in their monthly presence.
+ * Participants can also check themselves in on site with the activity's
+ * rotating check-in code.
+ *
+ * An activity is either a one-off or a recurring series (e.g. the Saturday
+ * session presence compliance depends on). A series keeps its recurrence rule on
+ * the activity document and is expanded into occurrences on read. Occurrences are
+ * addressed as "<seriesId>_<YYYY-MM-DD>" and each has its own participants,
+ * waitlist, attendance and check-in codes; their counts, edits and cancellation
+ * are stored in the series' `occurrences` map keyed by date.
  */
 
-const { firestore } = require('../config/firebase');
+const crypto = require('crypto');
+const config = require('../config');
+const { getFirestore, getFirebaseAdmin } = require('../db');
+const { resolveOrder, paginateMerged } = require('../db/pagination');
+const permissionsService = require('./permissionsService');
+const notificationsService = require('./notificationsService');
+const userPresenceService = require('./userPresenceService');
+const recurrenceService = require('./recurrenceService');
+const { assertValid } = require('../validation');
+const activitySchemas = require('../validation/activities');
+const recurrenceSchemas = require('../validation/recurrence');
+const { ERROR_CODES, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+const firestore = getFirestore();
+
+const PARTICIPANTS_COLLECTION = 'activity_participants';
+const WAITLIST_COLLECTION = 'activity_waitlist';
+const ATTENDANCE_COLLECTION = 'activity_attendance';
+const CHECK_IN_COLLECTION = 'activity_check_in';
+const PRESENCE_COLLECTION = 'user_presence';
+
+// Attendance statuses that mean the user was there
+const ATTENDED_STATUSES = ['present', 'late'];
+
+// Checking in this long after the start counts as late
+const LATE_AFTER_MINUTES = 15;
+
+// Firestore's ALREADY_EXISTS status, raised by create() on an existing document
+const ALREADY_EXISTS = 6;
+
+const OCCURRENCE_ID_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})$/;
+
+// Listing sort values; occurrences of a series share createdAt and fall back to their ID
+const SORT_KEYS = {
+  createdAt: activity => activity.createdAt,
+  date: activity => (activity.date ? `${activity.date}T${activity.startTime || '00:00'}` : ''),
+  title: activity => activity.title
+};
+
+// The fields Firestore orders one-off activities by for each sort (startTime is optional)
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  date: 'date',
+  title: 'title'
+};
 
 /**
- * Create a new activity (Core team only)
+ * "<seriesId>_<YYYY-MM-DD>" -> { activityId, occurrenceDate }
  */
-async function createActivity(data, user) {
-  console.log('🎯 createActivity called with data:', JSON.stringify(data, null, 2));
-  console.log('🎯 User:', user.userId, user.name || user.username);
-  
-  const { title, description, date, startTime, endTime, activityType, assignedUsers } = data;
-  
-  // Validate required fields (date and time are now optional)
-  if (!title || !description) {
-    const error = new Error('Title and description are required');
-    error.statusCode = 400;
-    throw error;
-  }
+const parseActivityId = (id) => {
+  const match = id.match(OCCURRENCE_ID_PATTERN);
+  return match
+    ? { activityId: match[1], occurrenceDate: match[2] }
+    : { activityId: id, occurrenceDate: null };
+};
 
-  // Validate activity type
-  if (!activityType || !['group', 'individual'].includes(activityType)) {
-    const error = new Error('Activity type must be "group" or "individual"');
-    error.statusCode = 400;
-    throw error;
+const getOverride = (activity, date) => (activity.occurrences || {})[date] || {};
+
+const isActiveOccurrence = (activity, date) =>
+  recurrenceService.isOccurrence(activity.date, activity.recurrence, date) && !getOverride(activity, date).cancelled;
+
+/**
+ * Build one occurrence of a series, applying its per-occurrence state
+ */
+const toOccurrence = (activity, seriesId, date) => {
+  const { occurrences, ...series } = activity;
+  const { cancelled, ...changes } = getOverride(activity, date);
+
+  return {
+    ...series,
+    participantCount: 0,
+    waitlistCount: 0,
+    ...changes,
+    id: `${seriesId}_${date}`,
+    seriesId,
+    occurrenceDate: date,
+    date
+  };
+};
+
+/**
+ * Expand series into their occurrences. One-off activities are filtered on the
+ * dates as given; series are expanded over the listing window they resolve to.
+ * @param {object[]} activities - [{ id, ...activity }]
+ * @param {object} dates - { from, to }
+ */
+const expandActivities = (activities, { from, to }) => {
+  const range = recurrenceService.resolveRange({ from, to });
+  const expanded = [];
+
+  activities.forEach(({ id, ...activity }) => {
+    if (!activity.recurrence) {
+      if (!range.explicit || (activity.date && (!from || activity.date >= from) && (!to || activity.date <= to))) {
+        expanded.push({ id, ...activity });
+      }
+      return;
+    }
+
+    recurrenceService.expandOccurrences(activity.date, activity.recurrence, range)
+      .filter(date => !getOverride(activity, date).cancelled)
+      .forEach(date => expanded.push(toOccurrence(activity, id, date)));
+  });
+
+  return expanded;
+};
+
+/**
+ * Field paths for changes to an activity; an occurrence's fields live under its
+ * `prefix` in the series document
+ */
+const withPrefix = (prefix, changes) => Object.fromEntries(
+  Object.entries(changes).map(([field, value]) => [`${prefix}${field}`, value]));
+
+/**
+ * Load the activity behind an activity, series or occurrence ID
+ * @param {object} transaction - Read in this transaction when given
+ * @returns {object} { ref, stored (the document's data), activity (the occurrence
+ *   for occurrence IDs), occurrenceDate, prefix (see withPrefix) }
+ */
+async function loadActivity(id, transaction = null) {
+  const { activityId, occurrenceDate } = parseActivityId(id);
+  const ref = firestore.collection('activities').doc(activityId);
+  const doc = await (transaction ? transaction.get(ref) : ref.get());
+
+  if (!doc.exists) {
+    throw new NotFoundError('Activity not found');
   }
 
-  // Validate individual activity has assigned users
-  if (activityType === 'individual' && (!assignedUsers || assignedUsers.length === 0)) {
-    const error = new Error('Individual activities must have at least one assigned user');
-    error.statusCode = 400;
-    throw error;
+  const stored = doc.data();
+  if (!occurrenceDate) {
+    return { ref, stored, activity: stored, occurrenceDate: null, prefix: '' };
+  }
+  if (!stored.recurrence || !isActiveOccurrence(stored, occurrenceDate)) {
+    throw new NotFoundError('Occurrence not found');
   }
 
-  // Validate that end time is after start time (only if both are provided)
-  if (date && startTime && endTime) {
-    const start = new Date(`${date}T${startTime}`);
-    const end = new Date(`${date}T${endTime}`);
-    
-    if (end <= start) {
-      const error = new Error('End time must be after start time');
-      error.statusCode = 400;
-      throw error;
-    }
+  return {
+    ref,
+    stored,
+    activity: toOccurrence(stored, doc.id, occurrenceDate),
+    occurrenceDate,
+    prefix: `occurrences.${occurrenceDate}.`
+  };
+}
+
+/**
+ * Load an activity users take part in: a one-off activity or one occurrence of a series
+ */
+async function loadOccurrence(id, transaction = null) {
+  const loaded = await loadActivity(id, transaction);
+
+  if (loaded.stored.recurrence && !loaded.occurrenceDate) {
+    throw new BadRequestError('Recurring activities are joined and attended one occurrence ("<seriesId>_<YYYY-MM-DD>") at a time');
   }
 
-  // Check if user is core team member
-  if (user.userType !== 'core') {
-    const error = new Error('Only core team members can create activities');
-    error.statusCode = 403;
-    throw error;
+  return loaded;
+}
+
+/**
+ * Whether a user created the activity or may manage every activity
+ */
+const canManageActivity = async (activity, user) =>
+  activity.createdBy === user.userId || permissionsService.hasPermission(user, 'activities:manage');
+
+/**
+ * Create a new activity (Core team only)
+ */
+async function createActivity(data, user) {
+  console.log('🎯 createActivity called with data:', JSON.stringify(data, null, 2));
+  console.log('🎯 User:', user.userId, user.name || user.username);
+  
+  // Same schema the route validates with, for callers outside of HTTP (date and time are optional)
+  const { title, description, date, startTime, endTime, activityType, assignedUsers, capacity, recurrence } =
+    assertValid(activitySchemas.createBody, data);
+
+  // Check if user may create activities
+  if (!(await permissionsService.hasPermission(user, 'activities:create'))) {
+    throw new ForbiddenError('Only core team members can create activities');
   }
 
   // Get assigned user names for individual activities
@@ -59,7 +206,7 @@ async function createActivity(data, user) {
   if (activityType === 'individual' && assignedUsers && assignedUsers.length > 0) {
     try {
       // Fetch user details from Firebase Auth
-      const { admin } = require('../config/firebase');
+      const admin = getFirebaseAdmin();
       const userPromises = assignedUsers.map(userId => admin.auth().getUser(userId));
       const userRecords = await Promise.all(userPromises);
       
@@ -86,14 +233,20 @@ async function createActivity(data, user) {
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     status: 'active',
-    participantCount: 0
+    capacity: capacity || null,
+    participantCount: 0,
+    waitlistCount: 0,
+    ...(recurrence && {
+      recurrence: recurrenceSchemas.prepareRecurrence(recurrence, date),
+      occurrences: {}
+    })
   };
 
   console.log('💾 Saving activity to database:', JSON.stringify(activityData, null, 2));
 
   const docRef = await firestore.collection('activities').add(activityData);
   
-  console.log(`${activityType.charAt(0).toUpperCase() + activityType.slice(1)} activity created by ${user.name || user.username}: ${title}`);
+  console.log(`${activityType.charAt(0).toUpperCase() + activityType.slice(1)} ${recurrence ? 'recurring ' : ''}activity created by ${user.name || user.username}: ${title}`);
   if (activityType === 'individual') {
     console.log(`Assigned to: ${assignedUserNames.join(', ')}`);
   }
@@ -105,48 +258,70 @@ async function createActivity(data, user) {
 }
 
 /**
- * Get all activities
+ * Get active activities, with recurring series expanded into their occurrences, one
+ * page at a time. One-off activities are filtered and paged in Firestore; series only
+ * exist as occurrences once expanded, so only series documents are read in full and
+ * their occurrences (over the bounded date range) are merged into the page.
+ * @param {object} options - { from, to, activityType, sort, order, limit, cursor }
+ * @returns {object} { activities, nextCursor }
  */
-async function getAllActivities() {
-  const snapshot = await firestore
-    .collection('activities')
-    .where('status', '==', 'active')
-    .get();
+async function getAllActivities(options = {}) {
+  const { from, to, activityType, sort = 'createdAt', order, limit = 50, cursor } = options;
+  const collection = firestore.collection('activities');
 
-  const activities = [];
-  snapshot.forEach(doc => {
-    const activityData = doc.data();
-    
-    // Fix createdByName if it looks like a username (contains underscores)
-    if (activityData.createdByName && activityData.createdByName.includes('_')) {
-      const nameParts = activityData.createdByName.split('_');
-      const properName = nameParts.map(part => 
-        part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
-      ).join(' ');
-      activityData.createdByName = properName;
-    }
-    
-    activities.push({
-      id: doc.id,
-      ...activityData
-    });
-  });
+  let query = collection.where('status', '==', 'active');
+  if (activityType) query = query.where('activityType', '==', activityType);
 
-  // Sort by creation date (newest first)
-  activities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const series = await query.where('recurrence', '!=', null).get();
+  const occurrences = expandActivities(series.docs.map(doc => ({ id: doc.id, ...doc.data() })), options);
 
-  return { activities };
+  let single = query;
+  if (from) single = single.where('date', '>=', from);
+  if (to) single = single.where('date', '<=', to);
+
+  const page = await paginateMerged({
+    collection,
+    query: single,
+    toItem: doc => {
+      const activityData = doc.data();
+
+      // Fix createdByName if it looks like a username (contains underscores)
+      if (activityData.createdByName && activityData.createdByName.includes('_')) {
+        const nameParts = activityData.createdByName.split('_');
+        const properName = nameParts.map(part => 
+          part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
+        ).join(' ');
+        activityData.createdByName = properName;
+      }
+
+      return { id: doc.id, ...activityData };
+    },
+    // Series documents also match the date bounds; they are listed as occurrences
+    include: doc => !doc.data().recurrence
+  }, occurrences, {
+    sort: SORT_FIELDS[sort],
+    key: SORT_KEYS[sort],
+    getId: activity => activity.id,
+    order: resolveOrder(sort, order),
+    limit,
+    cursor
+  });
+
+  return { activities: page.items, nextCursor: page.nextCursor };
 }
 
 /**
- * Get activities created by user (Core team)
+ * Get activities created by user (Core team), with series expanded into their
+ * occurrences like getAllActivities
+ * @param {object} options - { from, to }
  */
-async function getUserActivities(userId, userType, userName) {
-  // Check if user is core team member
-  if (userType !== 'core') {
-    const error = new Error('Only core team members can access this endpoint');
-    error.statusCode = 403;
-    throw error;
+async function getUserActivities(user, options = {}) {
+  const { userId } = user;
+  const userName = user.name;
+
+  // Check if user may create (and so own) activities
+  if (!(await permissionsService.hasPermission(user, 'activities:create'))) {
+    throw new ForbiddenError('Only core team members can access this endpoint');
   }
 
   const snapshot = await firestore
@@ -172,35 +347,38 @@ async function getUserActivities(userId, userType, userName) {
   // Sort by creation date (newest first)
   activities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-  return { activities };
+  return { activities: expandActivities(activities, options) };
 }
 
 /**
- * Update activity (Creator only)
+ * Update an activity, a whole series, or one occurrence of a series
+ * (Creator, or activities:manage)
+ * @param {string} id - Activity, series or occurrence ID
+ * @param {object} options - { scope: 'occurrence' | 'series' }
  */
-async function updateActivity(id, data, userId) {
-  const { title, description, date, startTime, endTime } = data;
+async function updateActivity(id, data, user, options = {}) {
+  const { title, description, date, startTime, endTime, capacity, recurrence } = data;
+  const { ref, stored, activity: occurrence, occurrenceDate, prefix } = await loadActivity(id);
 
-  // Get the activity to check ownership
-  const activityDoc = await firestore.collection('activities').doc(id).get();
-  
-  if (!activityDoc.exists) {
-    const error = new Error('Activity not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  const editsOccurrence = Boolean(occurrenceDate) && options.scope !== 'series';
+  const activity = editsOccurrence ? occurrence : stored;
 
-  const activity = activityDoc.data();
-  
-  // Check if user is the creator
-  if (activity.createdBy !== userId) {
-    const error = new Error('Only the creator can update this activity');
-    error.statusCode = 403;
-    throw error;
+  if (!(await canManageActivity(stored, user))) {
+    throw new ForbiddenError('Only the creator can update this activity');
+  }
+  if (stored.recurrence && date !== undefined) {
+    throw new BadRequestError('Recurring activities keep their start date. Change the recurrence or cancel occurrences instead');
+  }
+  if (editsOccurrence && recurrence) {
+    throw new BadRequestError('Recurrence can only be changed for the whole series');
+  }
+  if (!stored.recurrence && recurrence) {
+    throw new BadRequestError('Only recurring activities have a recurrence rule');
   }
 
+  const now = new Date().toISOString();
   const updateData = {
-    updatedAt: new Date().toISOString()
+    updatedAt: now
   };
 
   if (title !== undefined) updateData.title = title.trim();
@@ -208,6 +386,8 @@ async function updateActivity(id, data, userId) {
   if (date !== undefined) updateData.date = date;
   if (startTime !== undefined) updateData.startTime = startTime;
   if (endTime !== undefined) updateData.endTime = endTime;
+  if (capacity !== undefined) updateData.capacity = capacity;
+  if (recurrence) updateData.recurrence = recurrenceSchemas.prepareRecurrence(recurrence, stored.date);
 
   // Validate that end time is after start time if both are provided
   const finalDate = date || activity.date;
@@ -219,155 +399,472 @@ async function updateActivity(id, data, userId) {
     const end = new Date(`${finalDate}T${finalEndTime}`);
     
     if (end <= start) {
-      const error = new Error('End time must be after start time');
-      error.statusCode = 400;
-      throw error;
+      throw new BadRequestError('End time must be after start time');
     }
   }
 
-  await firestore.collection('activities').doc(id).update(updateData);
+  // Occurrence changes live in the series' occurrences map
+  await ref.update({ ...withPrefix(editsOccurrence ? prefix : '', updateData), updatedAt: now });
+
+  // A higher (or no) capacity can make room for waitlisted users, in every
+  // occurrence of a series that has some
+  if (capacity !== undefined) {
+    const waiting = editsOccurrence || !stored.recurrence
+      ? [id]
+      : Object.entries(stored.occurrences || {})
+        .filter(([, entry]) => entry.waitlistCount > 0 && !entry.cancelled)
+        .map(([entryDate]) => `${ref.id}_${entryDate}`);
 
-  return { message: 'Activity updated successfully' };
+    for (const waitingId of waiting) {
+      await promoteFromWaitlist(waitingId);
+    }
+  }
+
+  console.log(`Activity ${id} updated by ${user.name || user.username}`);
+
+  return { message: editsOccurrence ? 'Occurrence updated successfully' : 'Activity updated successfully' };
 }
 
 /**
- * Delete activity (Creator only)
+ * Delete an activity or a whole series, or cancel one occurrence of a series, with
+ * their participation records (Creator, or activities:manage)
+ * @param {string} id - Activity, series or occurrence ID
+ * @param {object} options - { scope: 'occurrence' | 'series' }
  */
-async function deleteActivity(id, userId) {
-  // Get the activity to check ownership
-  const activityDoc = await firestore.collection('activities').doc(id).get();
-  
-  if (!activityDoc.exists) {
-    const error = new Error('Activity not found');
-    error.statusCode = 404;
-    throw error;
+async function deleteActivity(id, user, options = {}) {
+  const { ref, stored, occurrenceDate, prefix } = await loadActivity(id);
+
+  if (!(await canManageActivity(stored, user))) {
+    throw new ForbiddenError('Only the creator can delete this activity');
   }
 
-  const activity = activityDoc.data();
-  
-  // Check if user is the creator
-  if (activity.createdBy !== userId) {
-    const error = new Error('Only the creator can delete this activity');
-    error.statusCode = 403;
-    throw error;
+  if (occurrenceDate && options.scope !== 'series') {
+    const now = new Date().toISOString();
+    await ref.update({ ...withPrefix(prefix, { cancelled: true, updatedAt: now }), updatedAt: now });
+    await deleteParticipation(id);
+
+    console.log(`Occurrence ${id} cancelled by ${user.name || user.username}`);
+    return { message: 'Occurrence cancelled successfully' };
   }
 
   // Delete the activity
-  await firestore.collection('activities').doc(id).delete();
+  await ref.delete();
 
-  // Delete all participation records for this activity
-  const participationSnapshot = await firestore
-    .collection('activity_participants')
-    .where('activityId', '==', id)
-    .get();
+  // Delete all participation and waitlist records for this activity (or each of its occurrences)
+  await deleteParticipation(ref.id, { series: Boolean(stored.recurrence) });
 
-  const batch = firestore.batch();
-  participationSnapshot.forEach(doc => {
-    batch.delete(doc.ref);
+  console.log(`Activity ${ref.id} deleted by ${user.name || user.username}`);
+  return { message: 'Activity deleted successfully' };
+}
+
+/**
+ * Delete the participation, waitlist, attendance and check-in records of an activity
+ * (presence already earned through attendance is kept)
+ * @param {object} options - { series: true to delete those of every occurrence of series `id` }
+ */
+async function deleteParticipation(id, { series = false } = {}) {
+  const snapshots = await Promise.all([PARTICIPANTS_COLLECTION, WAITLIST_COLLECTION, ATTENDANCE_COLLECTION, CHECK_IN_COLLECTION].map(collection => {
+    const records = firestore.collection(collection);
+    // Occurrence IDs all start with "<seriesId>_"
+    const query = series
+      ? records.where('activityId', '>=', `${id}_`).where('activityId', '<', `${id}_\uf8ff`)
+      : records.where('activityId', '==', id);
+    return query.get();
+  }));
+
+  const refs = snapshots.flatMap(snapshot => snapshot.docs.map(doc => doc.ref));
+
+  // Firestore batches hold at most 500 writes
+  for (let start = 0; start < refs.length; start += 500) {
+    const batch = firestore.batch();
+    refs.slice(start, start + 500).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Whether an activity has no room for another participant
+ */
+const isFull = (activity) => Boolean(activity.capacity) && (activity.participantCount || 0) >= activity.capacity;
+
+/**
+ * Participation and waitlist records are keyed by activity and user, so a user
+ * can hold at most one of each per activity
+ */
+const recordId = (activityId, userId) => `${activityId}_${userId}`;
+
+/**
+ * A user's participation and waitlist records for an activity, read in a transaction.
+ * Records from before they were keyed by user are found by query.
+ */
+async function findUserRecords(transaction, id, userId) {
+  const [participation, waitlist] = await Promise.all([PARTICIPANTS_COLLECTION, WAITLIST_COLLECTION].map(collection =>
+    transaction.get(firestore.collection(collection).where('activityId', '==', id).where('userId', '==', userId))));
+
+  return { participation: participation.docs[0] || null, waitlist: waitlist.docs[0] || null };
+}
+
+/**
+ * Get an activity's waitlist, longest waiting first
+ * @param {object} transaction - Read in this transaction when given
+ */
+async function getWaitlist(id, transaction = null) {
+  const query = firestore
+    .collection(WAITLIST_COLLECTION)
+    .where('activityId', '==', id);
+  const snapshot = await (transaction ? transaction.get(query) : query.get());
+
+  const waitlist = [];
+  snapshot.forEach(doc => {
+    waitlist.push({ ref: doc.ref, ...doc.data() });
   });
-  await batch.commit();
 
-  return { message: 'Activity deleted successfully' };
+  waitlist.sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt));
+  return waitlist;
 }
 
 /**
- * Join/leave activity participation
+ * Tell a user they got a spot; a failed notification never fails the request
  */
-async function updateParticipation(id, participating, user) {
-  // Check if activity exists
-  const activityDoc = await firestore.collection('activities').doc(id).get();
-  
-  if (!activityDoc.exists) {
-    const error = new Error('Activity not found');
-    error.statusCode = 404;
-    throw error;
+async function notifyPromotion(entry, activityId, activity) {
+  try {
+    await notificationsService.createNotification({
+      type: 'activity_waitlist_promoted',
+      title: '🎉 You\'re In',
+      message: `A spot opened up in "${activity.title}". You are now participating.`,
+      targetUserId: entry.userId,
+      targetUserType: entry.userType,
+      activityId,
+      activityTitle: activity.title,
+      activityDate: activity.date,
+      createdBy: 'system',
+      createdByName: 'System',
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error sending activity_waitlist_promoted notification:', error);
   }
+}
 
-  const activity = activityDoc.data();
+/**
+ * Write the promotion of the longest-waiting users into the spots an activity has
+ * open (after `participantCount` changes to `participantCount`)
+ * @returns {object[]} The promoted waitlist entries
+ */
+function addPromotions(transaction, id, activity, participantCount, waitlist, now) {
+  const openSpots = activity.capacity ? Math.max(0, activity.capacity - participantCount) : waitlist.length;
+  const promoted = waitlist.slice(0, openSpots);
 
-  // Check if activity is still active
-  if (activity.status !== 'active') {
-    const error = new Error('Activity is no longer active');
-    error.statusCode = 400;
+  promoted.forEach(({ ref, waitlistedAt, ...entry }) => {
+    transaction.delete(ref);
+    transaction.create(firestore.collection(PARTICIPANTS_COLLECTION).doc(recordId(id, entry.userId)), {
+      ...entry,
+      joinedAt: now,
+      promotedAt: now
+    });
+  });
+
+  return promoted;
+}
+
+/**
+ * Run a participation change in a transaction. Concurrent changes to the same
+ * activity are retried by Firestore; a record created outside the transaction
+ * in the meantime surfaces as a conflict.
+ */
+async function runParticipationTransaction(updateFunction) {
+  try {
+    return await firestore.runTransaction(updateFunction);
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      throw new BadRequestError('Already participating in this activity', { code: ERROR_CODES.CONFLICT });
+    }
     throw error;
   }
+}
 
-  // Check for existing participation
-  const participationQuery = await firestore
-    .collection('activity_participants')
-    .where('activityId', '==', id)
-    .where('userId', '==', user.userId)
-    .get();
+/**
+ * Move waitlisted users into an activity while it has room, and notify them
+ * @returns {string[]} IDs of the promoted users
+ */
+async function promoteFromWaitlist(id) {
+  const { activity, promoted } = await runParticipationTransaction(async (transaction) => {
+    const { ref, activity: current, prefix } = await loadOccurrence(id, transaction);
+    const waitlist = await getWaitlist(id, transaction);
+    const now = new Date().toISOString();
+    const participantCount = current.participantCount || 0;
+    const entries = addPromotions(transaction, id, current, participantCount, waitlist, now);
 
-  const isCurrentlyParticipating = !participationQuery.empty;
+    if (entries.length > 0) {
+      transaction.update(ref, {
+        ...withPrefix(prefix, {
+          participantCount: participantCount + entries.length,
+          waitlistCount: waitlist.length - entries.length
+        }),
+        updatedAt: now
+      });
+    }
+    return { activity: current, promoted: entries };
+  });
+
+  for (const entry of promoted) {
+    await notifyPromotion(entry, id, activity);
+  }
 
-  if (participating) {
-    // User wants to participate
-    if (isCurrentlyParticipating) {
-      const error = new Error('Already participating in this activity');
-      error.statusCode = 400;
-      throw error;
+  if (promoted.length > 0) {
+    console.log(`⬆️ Promoted ${promoted.length} user(s) from the waitlist of activity: ${activity.title}`);
+  }
+  return promoted.map(entry => entry.userId);
+}
+
+/**
+ * Join/leave activity participation. Joining a full activity puts the user on its
+ * waitlist; leaving either gives up a spot (promoting the next waitlisted user)
+ * or the place on the waitlist.
+ *
+ * Each change runs in one transaction that reads and writes the activity, so
+ * concurrent joins and leaves can neither double-join a user nor miscount.
+ * @returns {object} { message, status: 'participating' | 'waitlisted' | 'left', waitlistPosition }
+ */
+async function updateParticipation(id, participating, user) {
+  const name = user.name || user.username;
+
+  const { activity, result, promoted = [], log } = await runParticipationTransaction(async (transaction) => {
+    // Check if activity (or occurrence) exists
+    const { ref: activityRef, activity: current, prefix } = await loadOccurrence(id, transaction);
+
+    // Check if activity is still active
+    if (current.status !== 'active') {
+      throw new BadRequestError('Activity is no longer active');
     }
 
-    // Add participation record
-    const participationData = {
-      activityId: id,
-      userId: user.userId,
-      username: user.name || user.username,
-      userType: user.userType,
-      joinedAt: new Date().toISOString()
-    };
+    // Check for existing participation or a place on the waitlist
+    const { participation, waitlist } = await findUserRecords(transaction, id, user.userId);
+    // Leaving frees a spot, so the waitlist has to be read before any write
+    const queue = !participating && participation ? await getWaitlist(id, transaction) : [];
+    const now = new Date().toISOString();
+    const participantCount = current.participantCount || 0;
+    const waitlistCount = current.waitlistCount || 0;
 
-    await firestore.collection('activity_participants').add(participationData);
+    if (participating) {
+      // User wants to participate
+      if (participation) {
+        throw new BadRequestError('Already participating in this activity', { code: ERROR_CODES.CONFLICT });
+      }
+      if (waitlist) {
+        throw new BadRequestError('Already on the waitlist for this activity', { code: ERROR_CODES.CONFLICT });
+      }
 
-    // Update participant count
-    await firestore.collection('activities').doc(id).update({
-      participantCount: activity.participantCount + 1,
-      updatedAt: new Date().toISOString()
-    });
+      const record = {
+        activityId: id,
+        userId: user.userId,
+        username: name,
+        userType: user.userType
+      };
 
-    console.log(`${user.name || user.username} joined activity: ${activity.title}`);
-    return { message: 'Successfully joined activity' };
+      if (isFull(current)) {
+        transaction.create(firestore.collection(WAITLIST_COLLECTION).doc(recordId(id, user.userId)), { ...record, waitlistedAt: now });
+        transaction.update(activityRef, { ...withPrefix(prefix, { waitlistCount: waitlistCount + 1 }), updatedAt: now });
+
+        return {
+          activity: current,
+          log: `${name} joined the waitlist (#${waitlistCount + 1}) of activity: ${current.title}`,
+          result: { message: 'Activity is full. Added to the waitlist', status: 'waitlisted', waitlistPosition: waitlistCount + 1 }
+        };
+      }
+
+      // Add participation record and update participant count
+      transaction.create(firestore.collection(PARTICIPANTS_COLLECTION).doc(recordId(id, user.userId)), { ...record, joinedAt: now });
+      transaction.update(activityRef, { ...withPrefix(prefix, { participantCount: participantCount + 1 }), updatedAt: now });
+
+      return {
+        activity: current,
+        log: `${name} joined activity: ${current.title}`,
+        result: { message: 'Successfully joined activity', status: 'participating', waitlistPosition: null }
+      };
+    }
 
-  } else {
     // User wants to leave
-    if (!isCurrentlyParticipating) {
-      const error = new Error('Not currently participating in this activity');
-      error.statusCode = 400;
-      throw error;
+    if (waitlist) {
+      transaction.delete(waitlist.ref);
+      transaction.update(activityRef, { ...withPrefix(prefix, { waitlistCount: Math.max(0, waitlistCount - 1) }), updatedAt: now });
+
+      return {
+        activity: current,
+        log: `${name} left the waitlist of activity: ${current.title}`,
+        result: { message: 'Successfully left the waitlist', status: 'left', waitlistPosition: null }
+      };
     }
 
-    // Remove participation record
-    const participationDoc = participationQuery.docs[0];
-    await participationDoc.ref.delete();
+    if (!participation) {
+      throw new BadRequestError('Not currently participating in this activity');
+    }
 
-    // Update participant count
-    await firestore.collection('activities').doc(id).update({
-      participantCount: Math.max(0, activity.participantCount - 1),
-      updatedAt: new Date().toISOString()
+    // Remove participation record; the freed spot goes to whoever has waited longest
+    transaction.delete(participation.ref);
+    const remaining = Math.max(0, participantCount - 1);
+    const entries = addPromotions(transaction, id, current, remaining, queue, now);
+    transaction.update(activityRef, {
+      ...withPrefix(prefix, {
+        participantCount: remaining + entries.length,
+        waitlistCount: queue.length - entries.length
+      }),
+      updatedAt: now
     });
 
-    console.log(`${user.name || user.username} left activity: ${activity.title}`);
-    return { message: 'Successfully left activity' };
+    return {
+      activity: current,
+      promoted: entries,
+      log: `${name} left activity: ${current.title}`,
+      result: { message: 'Successfully left activity', status: 'left', waitlistPosition: null }
+    };
+  });
+
+  console.log(log);
+
+  for (const entry of promoted) {
+    await notifyPromotion(entry, id, activity);
   }
+
+  return result;
 }
 
 /**
- * Get participants for an activity
+ * A snapshot's records by user, oldest first
  */
-async function getParticipants(id) {
-  // Check if activity exists
-  const activityDoc = await firestore.collection('activities').doc(id).get();
-  
-  if (!activityDoc.exists) {
-    const error = new Error('Activity not found');
-    error.statusCode = 404;
-    throw error;
+const groupByUser = (snapshot, timeField) => {
+  const byUser = new Map();
+  snapshot.forEach(doc => {
+    const { userId } = doc.data();
+    byUser.set(userId, [...(byUser.get(userId) || []), doc]);
+  });
+  byUser.forEach(docs => docs.sort((a, b) => new Date(a.data()[timeField]) - new Date(b.data()[timeField])));
+  return byUser;
+};
+
+/**
+ * Recompute one activity's (or occurrence's) counts from its records in a
+ * transaction, like joins and leaves, so a concurrent join is never lost
+ * @returns {object|null} What was repaired, or null when nothing had drifted
+ */
+async function repairParticipantCount({ activityId, ref, occurrenceDate }) {
+  return firestore.runTransaction(async (transaction) => {
+    const [doc, participants, waitlist] = await Promise.all([
+      transaction.get(ref),
+      ...[PARTICIPANTS_COLLECTION, WAITLIST_COLLECTION].map(collection =>
+        transaction.get(firestore.collection(collection).where('activityId', '==', activityId)))
+    ]);
+    if (!doc.exists) {
+      return null;
+    }
+
+    const activity = occurrenceDate
+      ? { participantCount: 0, waitlistCount: 0, ...getOverride(doc.data(), occurrenceDate) }
+      : doc.data();
+    const joined = groupByUser(participants, 'joinedAt');
+    const waiting = groupByUser(waitlist, 'waitlistedAt');
+
+    // Keep one record per user: the earliest participation, else the earliest waitlist entry
+    const duplicates = [
+      ...[...joined.values()].flatMap(docs => docs.slice(1)),
+      ...[...waiting.entries()].flatMap(([userId, docs]) => (joined.has(userId) ? docs : docs.slice(1)))
+    ];
+    const participantCount = joined.size;
+    const waitlistCount = [...waiting.keys()].filter(userId => !joined.has(userId)).length;
+
+    if (duplicates.length === 0 &&
+        activity.participantCount === participantCount &&
+        (activity.waitlistCount || 0) === waitlistCount) {
+      return null;
+    }
+
+    duplicates.forEach(duplicate => transaction.delete(duplicate.ref));
+    const prefix = occurrenceDate ? `occurrences.${occurrenceDate}.` : '';
+    transaction.update(ref, withPrefix(prefix, { participantCount, waitlistCount }));
+
+    return {
+      activityId,
+      participantCount: { from: activity.participantCount === undefined ? null : activity.participantCount, to: participantCount },
+      waitlistCount: { from: activity.waitlistCount === undefined ? null : activity.waitlistCount, to: waitlistCount },
+      duplicatesRemoved: duplicates.length
+    };
+  });
+}
+
+/**
+ * Recompute every activity's (and series occurrence's) `participantCount` and
+ * `waitlistCount` from its participation and waitlist records, removing duplicate
+ * records a user was left with by non-atomic joins (the earliest one is kept).
+ * Fixes counts that drifted before joins and leaves were transactional.
+ * @returns {object} { checked, repaired: [{ activityId, participantCount: { from, to }, waitlistCount: { from, to }, duplicatesRemoved }] }
+ */
+async function repairParticipantCounts() {
+  const [activities, participants, waitlist] = await Promise.all(
+    ['activities', PARTICIPANTS_COLLECTION, WAITLIST_COLLECTION].map(collection => firestore.collection(collection).get())
+  );
+
+  const recordActivityIds = new Set();
+  [participants, waitlist].forEach(snapshot => snapshot.forEach(doc => recordActivityIds.add(doc.data().activityId)));
+
+  // What holds counts: one-off activities, and the occurrences of a series that
+  // have counts or records (their counts live in the series document)
+  const targets = [];
+  activities.forEach(doc => {
+    const activity = doc.data();
+    if (!activity.recurrence) {
+      targets.push({ activityId: doc.id, ref: doc.ref, occurrenceDate: null });
+      return;
+    }
+
+    const dates = new Set(Object.keys(activity.occurrences || {}));
+    recordActivityIds.forEach(id => {
+      const { activityId, occurrenceDate } = parseActivityId(id);
+      if (activityId === doc.id && occurrenceDate) dates.add(occurrenceDate);
+    });
+    dates.forEach(date => targets.push({ activityId: `${doc.id}_${date}`, ref: doc.ref, occurrenceDate: date }));
+  });
+
+  const repaired = [];
+  for (const target of targets) {
+    const result = await repairParticipantCount(target);
+    if (result) repaired.push(result);
   }
 
+  console.log(`🔧 Checked participant counts of ${activities.size} activities, repaired ${repaired.length}`);
+  return { checked: activities.size, repaired };
+}
+
+/**
+ * Repair participant counts now and then on a timer
+ * @returns {object|null} The timer, or null when the job is disabled
+ */
+function startParticipantRepairScheduler(intervalMinutes = config.PARTICIPANT_REPAIR_INTERVAL_MINUTES) {
+  if (!config.PARTICIPANT_REPAIR_ENABLED) {
+    console.log('🔧 Participant count repair is disabled');
+    return null;
+  }
+
+  const run = () => repairParticipantCounts().catch(error => console.error('❌ Error repairing participant counts:', error));
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for repairs
+  timer.unref();
+  console.log(`🔧 Repairing participant counts every ${intervalMinutes} min`);
+  run();
+
+  return timer;
+}
+
+/**
+ * Get participants for an activity, and its waitlist in order
+ */
+async function getParticipants(id) {
+  // Check if activity (or occurrence) exists
+  const { activity } = await loadOccurrence(id);
+
   // Get participants
   const participationSnapshot = await firestore
-    .collection('activity_participants')
+    .collection(PARTICIPANTS_COLLECTION)
     .where('activityId', '==', id)
     .get();
 
@@ -385,24 +882,322 @@ async function getParticipants(id) {
   // Sort by join date
   participants.sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
 
-  return { participants };
+  const waitlist = (await getWaitlist(id)).map((entry, index) => ({
+    position: index + 1,
+    userId: entry.userId,
+    name: entry.username,
+    userType: entry.userType,
+    waitlistedAt: entry.waitlistedAt
+  }));
+
+  return { participants, waitlist, capacity: activity.capacity || null };
+}
+
+/**
+ * Everyone attendance is taken for: participants, and for individual activities
+ * the assigned users
+ * @returns {Map} userId -> { userId, name, userType, source: 'participant' | 'assigned' }
+ */
+async function getRoster(id, activity, transaction = null) {
+  const query = firestore.collection(PARTICIPANTS_COLLECTION).where('activityId', '==', id);
+  const snapshot = await (transaction ? transaction.get(query) : query.get());
+
+  const roster = new Map();
+  (activity.assignedUsers || []).forEach((userId, index) => {
+    roster.set(userId, {
+      userId,
+      name: (activity.assignedUserNames || [])[index] || userId,
+      userType: 'in-house',
+      source: 'assigned'
+    });
+  });
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    roster.set(data.userId, { userId: data.userId, name: data.username, userType: data.userType, source: 'participant' });
+  });
+
+  return roster;
+}
+
+/**
+ * Get an activity's attendance: everyone on its roster with their recorded status
+ * (null until taken) and a count per status
+ * @returns {object} { attendance, summary }
+ */
+async function getAttendance(id) {
+  const { activity } = await loadOccurrence(id);
+  const roster = await getRoster(id, activity);
+  const snapshot = await firestore
+    .collection(ATTENDANCE_COLLECTION)
+    .where('activityId', '==', id)
+    .get();
+
+  const records = new Map();
+  snapshot.forEach(doc => {
+    records.set(doc.data().userId, doc.data());
+  });
+
+  // Users recorded before they left the activity stay on the list
+  records.forEach((record, userId) => {
+    if (!roster.has(userId)) {
+      roster.set(userId, { userId, name: record.username, userType: record.userType, source: record.source });
+    }
+  });
+
+  const attendance = [...roster.values()]
+    .map(entry => {
+      const record = records.get(entry.userId);
+      return {
+        ...entry,
+        status: record ? record.status : null,
+        note: record ? record.note : null,
+        // Records from before self check-in have no method
+        method: record ? record.method || 'manual' : null,
+        recordedAt: record ? record.updatedAt : null,
+        recordedByName: record ? record.recordedByName : null
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const summary = { present: 0, absent: 0, late: 0, excused: 0, unrecorded: 0 };
+  attendance.forEach(entry => {
+    summary[entry.status || 'unrecorded']++;
+  });
+
+  return { attendance, summary };
+}
+
+/**
+ * When an activity starts, in server time
+ */
+const getStartTime = (activity) => new Date(`${activity.date}T${activity.startTime || '00:00'}:00`);
+
+/**
+ * Read the attendance records and monthly presence documents that recording
+ * attendance for these users writes (transactions read before they write)
+ * @returns {object[]} [{ refs: { attendance, presence }, attendance, presence }] in userIds order
+ */
+async function readAttendanceDocs(transaction, id, activity, userIds) {
+  const { year, month } = userPresenceService.parseDate(activity.date);
+
+  return Promise.all(userIds.map(async (userId) => {
+    const refs = {
+      attendance: firestore.collection(ATTENDANCE_COLLECTION).doc(recordId(id, userId)),
+      presence: firestore.collection(PRESENCE_COLLECTION).doc(userPresenceService.getMonthlyDocId(userId, year, month))
+    };
+    return { refs, attendance: await transaction.get(refs.attendance), presence: await transaction.get(refs.presence) };
+  }));
+}
+
+/**
+ * Write one user's attendance, and the activity presence it earns or loses
+ * @param {object} entry - Roster entry
+ * @param {object} record - { status, note }
+ * @param {object} docs - From readAttendanceDocs
+ * @param {string} method - 'manual' (taken by staff) or 'check-in'
+ */
+function addAttendance(transaction, id, activity, entry, record, docs, user, method, now) {
+  const { year, month, day } = userPresenceService.parseDate(activity.date);
+  const existing = docs.attendance.exists ? docs.attendance.data() : null;
+
+  transaction.set(docs.refs.attendance, {
+    activityId: id,
+    activityDate: activity.date,
+    userId: entry.userId,
+    username: entry.name,
+    userType: entry.userType,
+    source: entry.source,
+    status: record.status,
+    note: record.note || null,
+    method,
+    recordedBy: user.userId,
+    recordedByName: user.name || user.username,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  });
+
+  const monthly = docs.presence.exists
+    ? docs.presence.data()
+    : userPresenceService.newMonthlyDocument(entry, year, month);
+  const dates = { ...(monthly.dates || {}) };
+  const marked = dates[day];
+
+  if (ATTENDED_STATUSES.includes(record.status)) {
+    if (marked) return;
+    dates[day] = { type: 'activity', activityId: id, timestamp: now };
+  } else {
+    if (!marked || marked.activityId !== id) return;
+    delete dates[day];
+  }
+
+  transaction.set(docs.refs.presence, {
+    ...monthly,
+    dates,
+    stats: userPresenceService.calculateMonthlyStats(year, month, dates),
+    updatedAt: now
+  });
+}
+
+/**
+ * Load an activity (or occurrence) in a transaction and check attendance can be taken for it
+ */
+async function getAttendanceActivity(transaction, id) {
+  const { activity } = await loadOccurrence(id, transaction);
+
+  if (!activity.date) {
+    throw new BadRequestError('Attendance needs an activity with a date');
+  }
+
+  return activity;
+}
+
+/**
+ * Record attendance for an activity that has started. Present and late users get
+ * an 'activity' presence entry for the activity's date (unless they already have
+ * one that day); changing them to absent or excused removes the entry this
+ * activity added.
+ * @param {object[]} records - [{ userId, status, note }] for users on the roster
+ * @returns {object} { message, attendance, summary }
+ */
+async function recordAttendance(id, records, user) {
+  const now = new Date().toISOString();
+
+  await firestore.runTransaction(async (transaction) => {
+    const activity = await getAttendanceActivity(transaction, id);
+    if (getStartTime(activity) > new Date()) {
+      throw new BadRequestError('Attendance can be taken once the activity has started');
+    }
+
+    const roster = await getRoster(id, activity, transaction);
+    const unknown = records.find(record => !roster.has(record.userId));
+    if (unknown) {
+      throw new BadRequestError(`${unknown.userId} is not a participant or assigned user of this activity`);
+    }
+
+    const docs = await readAttendanceDocs(transaction, id, activity, records.map(record => record.userId));
+    records.forEach((record, index) => {
+      addAttendance(transaction, id, activity, roster.get(record.userId), record, docs[index], user, 'manual', now);
+    });
+  });
+
+  console.log(`📋 Attendance for ${records.length} user(s) recorded by ${user.name || user.username} for activity ${id}`);
+
+  return { message: 'Attendance recorded successfully', ...(await getAttendance(id)) };
+}
+
+/**
+ * The check-in code for a time step: six digits derived from the activity's secret
+ */
+const deriveCheckInCode = (secret, activityId, step) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${activityId}:${step}`).digest();
+  return String(digest.readUInt32BE(0) % 1000000).padStart(6, '0');
+};
+
+const getCheckInStep = (time = Date.now()) => Math.floor(time / (config.CHECK_IN_CODE_SECONDS * 1000));
+
+/**
+ * Get the current check-in code of an activity, and a payload to show it as a QR
+ * code. The code changes every CHECK_IN_CODE_SECONDS; the activity's secret is
+ * created the first time a code is asked for.
+ * @returns {object} { code, qrPayload, expiresAt, periodSeconds }
+ */
+async function getCheckInCode(id, user) {
+  const secretRef = firestore.collection(CHECK_IN_COLLECTION).doc(id);
+
+  const secret = await firestore.runTransaction(async (transaction) => {
+    const activity = await getAttendanceActivity(transaction, id);
+    if (activity.status !== 'active') {
+      throw new BadRequestError('Activity is no longer active');
+    }
+
+    const secretDoc = await transaction.get(secretRef);
+    if (secretDoc.exists) return secretDoc.data().secret;
+
+    const created = crypto.randomBytes(32).toString('hex');
+    transaction.set(secretRef, {
+      activityId: id,
+      secret: created,
+      createdBy: user.userId,
+      createdAt: new Date().toISOString()
+    });
+    return created;
+  });
+
+  const step = getCheckInStep();
+  const code = deriveCheckInCode(secret, id, step);
+
+  return {
+    code,
+    qrPayload: `3amcore://check-in?activityId=${encodeURIComponent(id)}&code=${code}`,
+    expiresAt: new Date((step + 1) * config.CHECK_IN_CODE_SECONDS * 1000).toISOString(),
+    periodSeconds: config.CHECK_IN_CODE_SECONDS
+  };
+}
+
+/**
+ * Check in to an activity with its current code (the previous one is still
+ * accepted, for codes that changed while being typed). Marks the user present,
+ * or late when more than LATE_AFTER_MINUTES after the start, and with that
+ * present for the day.
+ * @returns {object} { message, status, checkedInAt }
+ */
+async function checkIn(id, code, user) {
+  const secretRef = firestore.collection(CHECK_IN_COLLECTION).doc(id);
+  const now = new Date();
+
+  const status = await firestore.runTransaction(async (transaction) => {
+    const activity = await getAttendanceActivity(transaction, id);
+    if (activity.status !== 'active') {
+      throw new BadRequestError('Activity is no longer active');
+    }
+
+    const secretDoc = await transaction.get(secretRef);
+    const step = getCheckInStep(now.getTime());
+    const valid = secretDoc.exists && [step, step - 1].some(candidate =>
+      crypto.timingSafeEqual(Buffer.from(deriveCheckInCode(secretDoc.data().secret, id, candidate)), Buffer.from(code)));
+    if (!valid) {
+      throw new BadRequestError('Invalid or expired check-in code');
+    }
+
+    const roster = await getRoster(id, activity, transaction);
+    if (!roster.has(user.userId)) {
+      throw new ForbiddenError('Join the activity before checking in');
+    }
+
+    const [docs] = await readAttendanceDocs(transaction, id, activity, [user.userId]);
+    if (docs.attendance.exists && ATTENDED_STATUSES.includes(docs.attendance.data().status)) {
+      throw new ConflictError('Already checked in to this activity');
+    }
+
+    const lateAt = getStartTime(activity).getTime() + LATE_AFTER_MINUTES * 60 * 1000;
+    const checkedIn = activity.startTime && now.getTime() > lateAt ? 'late' : 'present';
+    addAttendance(transaction, id, activity, roster.get(user.userId), { status: checkedIn }, docs, user, 'check-in', now.toISOString());
+    return checkedIn;
+  });
+
+  console.log(`📲 ${user.name || user.username} checked in to activity ${id} (${status})`);
+
+  return { message: 'Checked in successfully', status, checkedInAt: now.toISOString() };
 }
 
 /**
  * Get user's participation status for all activities
  */
 async function getUserParticipation(userId) {
-  const participationSnapshot = await firestore
-    .collection('activity_participants')
-    .where('userId', '==', userId)
-    .get();
+  const [participationSnapshot, waitlistSnapshot] = await Promise.all([PARTICIPANTS_COLLECTION, WAITLIST_COLLECTION].map(collection =>
+    firestore.collection(collection).where('userId', '==', userId).get()));
 
   const participatingActivityIds = [];
   participationSnapshot.forEach(doc => {
     participatingActivityIds.push(doc.data().activityId);
   });
 
-  return { participatingActivityIds };
+  const waitlistedActivityIds = [];
+  waitlistSnapshot.forEach(doc => {
+    waitlistedActivityIds.push(doc.data().activityId);
+  });
+
+  return { participatingActivityIds, waitlistedActivityIds };
 }
 
 module.exports = {
@@ -411,7 +1206,15 @@ module.exports = {
   getUserActivities,
   updateActivity,
   deleteActivity,
+  deleteParticipation,
   updateParticipation,
+  promoteFromWaitlist,
+  repairParticipantCounts,
+  startParticipantRepairScheduler,
   getParticipants,
+  getAttendance,
+  recordAttendance,
+  getCheckInCode,
+  checkIn,
   getUserParticipation
 };
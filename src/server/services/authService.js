@@ -4,50 +4,52 @@
  */
 
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { admin } = require('../config/firebase');
+const { getFirebaseAdmin } = require('../db');
 const config = require('../config');
+const sessionService = require('./sessionService');
+const usersService = require('./usersService');
+const { ERROR_CODES, BadRequestError, UnauthorizedError, ForbiddenError } = require('../errors');
 
 /**
- * Verify JWT token
+ * Verify JWT token and its session
  * @param {string} token - JWT token
  * @returns {object} Decoded token
  */
 async function verifyToken(token) {
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    return decoded;
+    decoded = jwt.verify(token, config.JWT_SECRET);
   } catch (error) {
-    const err = new Error('Invalid token');
-    err.statusCode = 403;
-    throw err;
+    throw new ForbiddenError('Invalid token', { code: ERROR_CODES.TOKEN_INVALID });
   }
+
+  if (!(await sessionService.isSessionActive(decoded.sessionId))) {
+    throw new UnauthorizedError('Session expired or revoked', { code: ERROR_CODES.SESSION_REVOKED });
+  }
+
+  return decoded;
 }
 
 /**
  * Firebase Signup
- * @param {object} data - { username, email, password, userType }
- * @returns {object} { user, token }
+ * @param {object} data - { username, email, password }
+ * @returns {object} { user, token, refreshToken }
  */
 async function firebaseSignup(data) {
-  const { username, email, password, userType } = data;
+  const { username, email, password } = data;
 
   // Validate input
   if (!username || !email || !password) {
-    const error = new Error('Username, email, and password are required');
-    error.statusCode = 400;
-    throw error;
+    throw new BadRequestError('Username, email, and password are required');
   }
 
   if (password.length < 6) {
-    const error = new Error('Password must be at least 6 characters long');
-    error.statusCode = 400;
-    throw error;
+    throw new BadRequestError('Password must be at least 6 characters long');
   }
 
   try {
     // Create Firebase user
-    const userRecord = await admin.auth().createUser({
+    const userRecord = await getFirebaseAdmin().auth().createUser({
       email: email,
       password: password,
       displayName: username,
@@ -56,45 +58,40 @@ async function firebaseSignup(data) {
 
     console.log('Firebase user created:', userRecord.uid);
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
+    // Role comes from the server-side registry, never from the caller
+    const account = await usersService.syncFirebaseUser({
+      uid: userRecord.uid,
+      email,
+      name: username
+    });
+
+    const user = {
+      userId: userRecord.uid,
+      username: username,
+      name: username,
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user);
 
     return {
-      user: {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken
     };
   } catch (error) {
     console.error('Firebase signup error:', error);
 
     // Handle specific Firebase errors
     if (error.code === 'auth/email-already-exists') {
-      const err = new Error('Email already exists');
-      err.statusCode = 400;
-      throw err;
+      throw new BadRequestError('Email already exists', { code: ERROR_CODES.CONFLICT });
     } else if (error.code === 'auth/invalid-email') {
-      const err = new Error('Invalid email address');
-      err.statusCode = 400;
-      throw err;
+      throw new BadRequestError('Invalid email address');
     } else if (error.code === 'auth/weak-password') {
-      const err = new Error('Password is too weak');
-      err.statusCode = 400;
-      throw err;
+      throw new BadRequestError('Password is too weak');
     }
 
     throw error;
@@ -103,29 +100,25 @@ async function firebaseSignup(data) {
 
 /**
  * Firebase Login
- * @param {object} data - { email, password, userType }
- * @returns {object} { user, token }
+ * @param {object} data - { email, password }
+ * @returns {object} { user, token, refreshToken }
  */
 async function firebaseLogin(data) {
-  const { email, password, userType } = data;
+  const { email, password } = data;
 
   // Validate input
   if (!email || !password) {
-    const error = new Error('Email and password are required');
-    error.statusCode = 400;
-    throw error;
+    throw new BadRequestError('Email and password are required');
   }
 
   try {
     // Get user by email
     let userRecord;
     try {
-      userRecord = await admin.auth().getUserByEmail(email);
+      userRecord = await getFirebaseAdmin().auth().getUserByEmail(email);
     } catch (error) {
       if (error.code === 'auth/user-not-found') {
-        const err = new Error('User not found');
-        err.statusCode = 400;
-        throw err;
+        throw new BadRequestError('User not found', { code: ERROR_CODES.NOT_FOUND });
       }
       throw error;
     }
@@ -134,40 +127,37 @@ async function firebaseLogin(data) {
 
     console.log('Firebase login for user:', userRecord.uid);
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
+    // Role comes from the server-side registry, never from the caller
+    const account = await usersService.syncFirebaseUser({
+      uid: userRecord.uid,
+      email: userRecord.email,
+      name: userRecord.displayName
+    });
+
+    const user = {
+      userId: userRecord.uid,
+      username: username,
+      name: username,
+      userType: account.userType,
+      role: account.role,
+      email: email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user);
 
     return {
-      user: {
-        userId: userRecord.uid,
-        username: username,
-        name: username,
-        userType: userType || 'in-house',
-        email: email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken
     };
   } catch (error) {
     console.error('Firebase login error:', error);
 
     if (error.code === 'auth/user-not-found') {
-      const err = new Error('User not found');
-      err.statusCode = 400;
-      throw err;
+      throw new BadRequestError('User not found', { code: ERROR_CODES.NOT_FOUND });
     } else if (error.code === 'auth/invalid-email') {
-      const err = new Error('Invalid email address');
-      err.statusCode = 400;
-      throw err;
+      throw new BadRequestError('Invalid email address');
     }
 
     throw error;
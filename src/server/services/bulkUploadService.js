@@ -0,0 +1,803 @@
+/**
+ * Bulk Upload Service
+ * Imports responsibilities from Excel/CSV files (columns as in
+ * templates/responsibilities_template.csv).
+ *
+ * Every row is parsed and checked before anything is written, giving a per-row
+ * report of errors (the row cannot be imported) and warnings (it can, but may not
+ * be what was meant). Valid rows are then imported in a single batch, so an
+ * upload never stops halfway. A dry run stores the report as a preview in
+ * `bulk_upload_previews` instead; committing the preview imports exactly those rows.
+ *
+ * Rows are fingerprinted by owner, title, date and start time. A row matching an
+ * existing responsibility (or an earlier row) is skipped, updates the match, or is
+ * imported anyway, as chosen by `onDuplicate`, so re-uploading a file is safe.
+ * Each import is recorded in `import_batches` and can be rolled back as a whole.
+ *
+ * Every sheet of a workbook is read (except the template's `Assignees` list). Rows
+ * belong to the uploader unless their `Assignee` column, or else their sheet's
+ * name, names another user; users with responsibilities:assign can import for
+ * others this way, and those rows are assigned to them.
+ *
+ * Numeric dates are read as `dateFormat` says (MM/DD/YYYY by default, DD/MM/YYYY,
+ * or `auto`, which rejects dates that could be read either way); ISO dates and
+ * dates with month names are always accepted. Times are read in the uploader's
+ * time zone, and imported tasks store it along with their UTC start and end.
+ */
+
+const crypto = require('crypto');
+const xlsx = require('xlsx');
+const config = require('../config');
+const { getFirestore } = require('../db');
+const usersService = require('./usersService');
+const { validateSchema } = require('../validation');
+const responsibilitySchemas = require('../validation/responsibilities');
+const permissionsService = require('./permissionsService');
+const responsibilitiesService = require('./responsibilitiesService');
+const timezoneService = require('./timezoneService');
+const { ERROR_CODES, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+const PREVIEWS_COLLECTION = 'bulk_upload_previews';
+const IMPORTS_COLLECTION = 'import_batches';
+
+// Each row is written with its audit entry and Firestore batches hold 500 writes,
+// so larger imports are written in chunks of this many rows
+const ROWS_PER_BATCH = 200;
+// A rolled back task takes its audit entry and reminder records with it
+const ROLLBACK_TASKS_PER_BATCH = 100;
+const PREVIEW_TTL_MINUTES = 30;
+
+// The assignee template's reference sheet, never imported
+const ASSIGNEES_SHEET = 'Assignees';
+
+// Field -> accepted headers; the first is the template's (and the export's) header
+const COLUMNS = {
+  title: ['Title', 'title'],
+  date: ['Date', 'date'],
+  startTime: ['Start Time', 'start_time', 'startTime'],
+  endTime: ['End Time', 'end_time', 'endTime'],
+  description: ['Description', 'description']
+};
+
+// Only in the assignee template, so exports and the CSV template leave it out
+const ASSIGNEE_COLUMN = ['Assignee', 'assignee'];
+
+// 24-hour "14:30", "14.30:15"; 12-hour "2:30 PM", "2pm", "2.30 p.m."
+const TIME_PATTERN = /^(\d{1,2})(?:[:.](\d{2})(?::(\d{2}))?)?\s*(?:([ap])\.?\s*m\.?)?$/i;
+const ISO_DATE_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+// "15 Jan 2026", "15-January-2026", "Jan 15, 2026", "January 15th 2026"
+const DAY_MONTH_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)\.?,?[\s-]+(\d{4})$/i;
+const MONTH_DAY_PATTERN = /^([a-z]+)\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s-]+(\d{4})$/i;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const DATE_FORMAT_EXAMPLES = {
+  'MM/DD/YYYY': 'MM/DD/YYYY or MM-DD-YYYY (e.g., 02/11/2026, 2/11/2026, 12/25/2026)',
+  'DD/MM/YYYY': 'DD/MM/YYYY or DD-MM-YYYY (e.g., 11/02/2026, 11/2/2026, 25/12/2026)',
+  'YYYY-MM-DD': 'YYYY-MM-DD (e.g., 2026-02-11)',
+  auto: 'MM/DD/YYYY, DD/MM/YYYY or YYYY-MM-DD (e.g., 12/25/2026, 25/12/2026, 2026-12-25)'
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const readColumn = (row, names) => {
+  const name = names.find(candidate => row[candidate] !== undefined && row[candidate] !== '');
+  return name ? row[name] : undefined;
+};
+
+/**
+ * Read every sheet of an Excel/CSV file into row objects keyed by header
+ * @returns {object[]} [{ sheet, rows }] for the sheets that have rows
+ */
+function parseSpreadsheet(buffer) {
+  let sheets;
+  try {
+    // raw: CSV cells stay text, so "03/04/2026" is not read as a US date before parseDate sees it
+    const workbook = xlsx.read(buffer, { type: 'buffer', raw: true });
+    sheets = workbook.SheetNames
+      .filter(name => name !== ASSIGNEES_SHEET)
+      .map(name => ({ sheet: name, rows: xlsx.utils.sheet_to_json(workbook.Sheets[name]) }))
+      .filter(({ rows }) => rows.length > 0);
+  } catch (error) {
+    throw new BadRequestError('Failed to process file. Please check the format and try again.', { code: ERROR_CODES.INVALID_FILE });
+  }
+
+  const total = sheets.reduce((sum, { rows }) => sum + rows.length, 0);
+  if (total === 0) {
+    throw new BadRequestError('Excel file is empty');
+  }
+
+  return sheets;
+}
+
+/**
+ * "Jan", "January", "Sept" -> 1-based month number, or null
+ */
+const parseMonthName = (name) => {
+  const text = name.toLowerCase();
+  if (text.length < 3) return null;
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(text) || (text === 'sept' && month === 'september'));
+  return index === -1 ? null : index + 1;
+};
+
+const toIsoDate = (year, month, day, text) => {
+  if (month < 1 || month > 12) {
+    return { error: `Invalid month value: ${month}. Month must be between 1 and 12.` };
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return { error: `Invalid date value: "${text}". Please check the date is correct.` };
+  }
+
+  return { value: date.toISOString().split('T')[0] };
+};
+
+/**
+ * Read the month and day of a numeric date such as 03/04/2026 in the chosen format.
+ * `auto` only accepts dates that read the same either way (a part above 12, or
+ * both parts equal).
+ */
+const readMonthAndDay = (first, second, dateFormat, text) => {
+  if (dateFormat === 'MM/DD/YYYY') return { month: first, day: second };
+  if (dateFormat === 'DD/MM/YYYY') return { month: second, day: first };
+  if (dateFormat === 'auto') {
+    if (first > 12 || first === second) return { month: second, day: first };
+    if (second > 12) return { month: first, day: second };
+
+    const name = (month, day) => `${MONTH_NAMES[month - 1].charAt(0).toUpperCase()}${MONTH_NAMES[month - 1].slice(1)} ${day}`;
+    return {
+      error: `Ambiguous date "${text}": it could be ${name(first, second)} or ${name(second, first)}. Upload with dateFormat=MM/DD/YYYY or dateFormat=DD/MM/YYYY, or write the month as a name (e.g., ${second} ${MONTH_NAMES[first - 1].slice(0, 3)} 2026).`
+    };
+  }
+  return { error: `Invalid date format. Use ${DATE_FORMAT_EXAMPLES[dateFormat]}. Received: "${text}"` };
+};
+
+/**
+ * Excel dates, numeric dates in `dateFormat`, ISO dates and dates with month names
+ * -> YYYY-MM-DD
+ * @param {string} dateFormat - 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD' or 'auto'
+ * @returns {object} { value } or { error }
+ */
+const parseDate = (input, dateFormat = 'MM/DD/YYYY') => {
+  if (typeof input === 'number') {
+    // Excel serial dates (any time of day in the cell is ignored)
+    const parsed = xlsx.SSF.parse_date_code(input);
+    if (!parsed || input < 1) {
+      return { error: `Invalid date value: ${input}. Please check the date is correct.` };
+    }
+    return toIsoDate(parsed.y, parsed.m, parsed.d, String(input));
+  }
+
+  const text = String(input).trim();
+  let match = text.match(ISO_DATE_PATTERN);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return toIsoDate(year, month, day, text);
+  }
+
+  match = text.match(NUMERIC_DATE_PATTERN);
+  if (match) {
+    const [, first, second, year] = match.map(Number);
+    const parts = readMonthAndDay(first, second, dateFormat, text);
+    return parts.error ? parts : toIsoDate(year, parts.month, parts.day, text);
+  }
+
+  const dayFirst = text.match(DAY_MONTH_PATTERN);
+  const monthFirst = text.match(MONTH_DAY_PATTERN);
+  if (dayFirst || monthFirst) {
+    const [day, monthName, year] = dayFirst
+      ? [dayFirst[1], dayFirst[2], dayFirst[3]]
+      : [monthFirst[2], monthFirst[1], monthFirst[3]];
+    const month = parseMonthName(monthName);
+    if (!month) {
+      return { error: `Invalid month name "${monthName}" in "${text}".` };
+    }
+    return toIsoDate(Number(year), month, Number(day), text);
+  }
+
+  return { error: `Invalid date format. Use ${DATE_FORMAT_EXAMPLES[dateFormat]}, or a month name (e.g., 11 Feb 2026). Received: "${text}"` };
+};
+
+const formatTime = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+/**
+ * Excel times, 24-hour and 12-hour times (with AM/PM) -> HH:MM. Seconds are dropped
+ * with a warning.
+ * @returns {object} { value, warning } or { error }
+ */
+const parseTime = (input, label) => {
+  if (typeof input === 'number') {
+    // Excel stores times as a fraction of a day (0.5 = 12:00 PM), after the date if any
+    const parsed = xlsx.SSF.parse_date_code(input);
+    if (!parsed || input < 0) {
+      return { error: `Invalid ${label.toLowerCase()} ${input}.` };
+    }
+    const value = formatTime(parsed.H, parsed.M);
+    return { value, warning: parsed.S ? `${label} ${formatTime(parsed.H, parsed.M)}:${String(parsed.S).padStart(2, '0')} was rounded down to ${value}` : null };
+  }
+
+  const text = String(input).trim();
+  const match = text.match(TIME_PATTERN);
+  const usage = 'Use HH:MM, HH:MM:SS, or 12-hour format with AM/PM (e.g., 9:30, 09:30:00, 9:30 AM, 2:30 PM).';
+  if (!match || (match[2] === undefined && !match[4])) {
+    return { error: `Invalid ${label.toLowerCase()} "${text}". ${usage}` };
+  }
+
+  let hours = Number(match[1]);
+  const minutes = match[2] === undefined ? 0 : Number(match[2]);
+  const seconds = match[3] === undefined ? 0 : Number(match[3]);
+  const meridiem = match[4] ? `${match[4].toUpperCase()}M` : null;
+
+  if (minutes > 59 || seconds > 59) {
+    return { error: `Invalid ${label.toLowerCase()} "${text}". ${usage}` };
+  }
+  if (meridiem && (hours < 1 || hours > 12)) {
+    return { error: `Invalid ${label.toLowerCase()} "${text}": 12-hour times run from 1 to 12 ${meridiem}. Leave out ${meridiem} for a 24-hour time.` };
+  }
+  if (!meridiem && hours > 23) {
+    return { error: `Invalid ${label.toLowerCase()} "${text}". ${usage}` };
+  }
+
+  if (meridiem === 'PM' && hours !== 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  const value = formatTime(hours, minutes);
+  return {
+    value,
+    warning: seconds ? `${label} ${text} was rounded down to ${value}` : null
+  };
+};
+
+/**
+ * Rows match a responsibility with the same owner, title (ignoring case and
+ * spacing), date and start time
+ */
+const getFingerprint = (userId, { title, date, startTime }) => crypto
+  .createHash('sha256')
+  .update([userId, title.trim().replace(/\s+/g, ' ').toLowerCase(), date, startTime].join('\n'))
+  .digest('hex');
+
+/**
+ * The user's existing single tasks by fingerprint, to match re-imported rows
+ */
+async function getExistingTasks(userId, env = null) {
+  const snapshot = await getFirestore(env)
+    .collection('tasks')
+    .where('userId', '==', userId)
+    .get();
+
+  const tasks = new Map();
+  snapshot.forEach(doc => {
+    const task = doc.data();
+    if (task.recurrence || task.assignmentStatus === 'declined') return;
+    const fingerprint = task.importFingerprint || getFingerprint(userId, task);
+    if (!tasks.has(fingerprint)) tasks.set(fingerprint, { _id: doc.id, ...task });
+  });
+  return tasks;
+}
+
+/**
+ * Parse and check one spreadsheet row
+ * @param {object} options - { dateFormat, timezone } the file is read with
+ * @returns {object} { sheet, row, status: 'valid' | 'invalid', data, assignee, errors, warnings }
+ *   (`assignee` is the Assignee column as written, resolved later by assignRows)
+ */
+const checkRow = (raw, rowNumber, sheet, { dateFormat, timezone }) => {
+  const errors = [];
+  const warnings = [];
+  const input = {};
+  Object.entries(COLUMNS).forEach(([field, names]) => { input[field] = readColumn(raw, names); });
+
+  // End Time is optional, like endTime on POST /api/responsibilities
+  const missing = ['title', 'date', 'startTime'].filter(field => input[field] === undefined);
+  if (missing.length > 0) {
+    errors.push(`Missing required fields: ${missing.map(field => COLUMNS[field][0]).join(', ')}`);
+  }
+
+  const data = {
+    title: input.title !== undefined ? String(input.title).trim() : '',
+    description: input.description !== undefined ? String(input.description).trim() : ''
+  };
+
+  if (input.date !== undefined) {
+    const date = parseDate(input.date, dateFormat);
+    if (date.error) errors.push(date.error);
+    data.date = date.value;
+  }
+
+  [['startTime', 'Start time'], ['endTime', 'End time']].forEach(([field, label]) => {
+    if (input[field] === undefined) return;
+    const time = parseTime(input[field], label);
+    if (time.error) errors.push(time.error);
+    if (time.warning) warnings.push(time.warning);
+    data[field] = time.value;
+  });
+
+  // Same rules as POST /api/responsibilities (lengths, end after start)
+  if (errors.length === 0) {
+    const { value, problems } = validateSchema(responsibilitySchemas.create.body, data);
+    problems.forEach(problem => errors.push(problem.message));
+    Object.assign(data, value);
+  }
+
+  if (errors.length === 0 && data.date < today()) {
+    warnings.push(`Date ${data.date} is in the past`);
+  }
+
+  if (errors.length === 0) {
+    [['startTime', 'Start time'], ['endTime', 'End time']].forEach(([field, label]) => {
+      if (data[field] && !timezoneService.toUtc(data.date, data[field], timezone).exists) {
+        warnings.push(`${label} ${data[field]} does not exist on ${data.date} in ${timezone} (the clocks go forward)`);
+      }
+    });
+    Object.assign(data, timezoneService.getInstants(data, timezone));
+  }
+
+  const assignee = readColumn(raw, ASSIGNEE_COLUMN);
+
+  return {
+    sheet,
+    row: rowNumber,
+    status: errors.length === 0 ? 'valid' : 'invalid',
+    data,
+    assignee: assignee !== undefined ? String(assignee).trim() : null,
+    errors,
+    warnings
+  };
+};
+
+/**
+ * Check every row of a file (spreadsheet row numbers; the header is row 1)
+ */
+const checkRows = (sheets, options) => sheets.flatMap(({ sheet, rows }) =>
+  rows.map((raw, index) => checkRow(raw, index + 2, sheet, options)));
+
+/**
+ * How a file is read: the requested date format and time zone, else the
+ * uploader's time zone and the organisation's defaults
+ * @returns {object} { dateFormat, timezone }
+ */
+async function getReadOptions(user, { dateFormat, timezone }, env = null) {
+  return {
+    dateFormat: dateFormat || config.IMPORT_DATE_FORMAT,
+    timezone: timezone || (await usersService.getTimeZone(user.userId, env)) || config.DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Users by the identifiers an upload can name them with: user ID or email
+ */
+async function getAssigneeLookup(env = null) {
+  const lookup = new Map();
+  (await usersService.getDirectory(env)).forEach(({ name, username, userId, email, userType }) => {
+    const assignee = { userId, name, username, userType };
+    lookup.set(userId.toLowerCase(), assignee);
+    if (email) lookup.set(email.toLowerCase(), assignee);
+  });
+  return lookup;
+}
+
+/**
+ * Resolve who each valid row is for (`owner`): its Assignee column, else a sheet
+ * named after a user, else the uploader. Unknown assignees, and other users
+ * without responsibilities:assign, make the row invalid.
+ */
+async function assignRows(rows, user, env = null) {
+  const lookup = await getAssigneeLookup(env);
+  const canAssign = await permissionsService.hasPermission(user, 'responsibilities:assign');
+  const uploader = { userId: user.userId, name: user.name || user.username, username: user.username, userType: user.userType };
+
+  return rows.map(row => {
+    if (row.status !== 'valid') return row;
+
+    const sheetOwner = lookup.get(String(row.sheet).toLowerCase());
+    if (row.assignee && !lookup.has(row.assignee.toLowerCase())) {
+      return { ...row, status: 'invalid', errors: [`Unknown assignee: ${row.assignee}`] };
+    }
+
+    const owner = row.assignee ? lookup.get(row.assignee.toLowerCase()) : sheetOwner || uploader;
+    if (owner.userId !== user.userId && !canAssign) {
+      return { ...row, status: 'invalid', errors: ['Insufficient permissions to assign responsibilities'] };
+    }
+
+    return { ...row, owner };
+  });
+}
+
+/**
+ * Decide what happens to each valid row: `create` a task, `update` the matching
+ * one (description and end time) or `skip` it. Rows repeating an earlier row of
+ * the file count as matches too.
+ * @param {string} onDuplicate - 'skip', 'update' or 'duplicate'
+ * @returns {object} { rows: reports with `action`, `fingerprint` and `matchedTaskId`, matches: Map of matched tasks by ID }
+ */
+async function planImport(rows, user, onDuplicate, env = null) {
+  const owners = [...new Set(rows.filter(row => row.owner).map(row => row.owner.userId))];
+  const existing = new Map();
+  for (const userId of owners) {
+    (await getExistingTasks(userId, env)).forEach((task, fingerprint) => existing.set(fingerprint, task));
+  }
+  const matches = new Map();
+  const seen = new Map();
+
+  const planned = rows.map(({ action, fingerprint, matchedTaskId, ...row }) => {
+    if (row.status !== 'valid') return row;
+
+    // Matches are looked up afresh each time a preview is planned
+    const warnings = row.warnings.filter(warning => !warning.startsWith('Duplicate of') && !warning.startsWith('Matches'));
+    const planned = { ...row, warnings, fingerprint: getFingerprint(row.owner.userId, row.data), action: 'create', matchedTaskId: null };
+    const match = existing.get(planned.fingerprint);
+
+    if (seen.has(planned.fingerprint)) {
+      const first = seen.get(planned.fingerprint);
+      warnings.push(`Duplicate of row ${first.row}${first.sheet !== row.sheet ? ` of sheet ${first.sheet}` : ''}`);
+      if (onDuplicate !== 'duplicate') planned.action = 'skip';
+    } else if (match) {
+      warnings.push('Matches an existing responsibility');
+      planned.matchedTaskId = match._id;
+      matches.set(match._id, match);
+
+      const unchanged = (match.description || '') === row.data.description && (match.endTime || null) === (row.data.endTime || null);
+      // Only whoever set a task (its owner, or its assigner) can edit it
+      const editable = (match.assignedBy || match.userId) === user.userId;
+
+      if (onDuplicate === 'update' && !unchanged && editable) {
+        planned.action = 'update';
+      } else if (onDuplicate !== 'duplicate') {
+        planned.action = 'skip';
+      }
+    }
+
+    seen.set(planned.fingerprint, row);
+    return planned;
+  });
+
+  return { rows: planned, matches };
+}
+
+const summarize = (rows) => {
+  const count = (predicate) => rows.filter(predicate).length;
+  return {
+    total: rows.length,
+    valid: count(row => row.status === 'valid'),
+    invalid: count(row => row.status === 'invalid'),
+    warnings: count(row => row.warnings.length > 0),
+    create: count(row => row.action === 'create'),
+    update: count(row => row.action === 'update'),
+    skip: count(row => row.action === 'skip')
+  };
+};
+
+/**
+ * Import results in the shape bulk uploads have always returned
+ */
+const toResults = (rows) => {
+  const summary = summarize(rows);
+  return {
+    total: summary.total,
+    success: summary.create,
+    updated: summary.update,
+    skipped: summary.skip,
+    failed: summary.invalid,
+    errors: rows
+      .filter(row => row.status === 'invalid')
+      .map(row => ({ sheet: row.sheet, row: row.row, error: row.errors.join('; ') })),
+    warnings: rows
+      .filter(row => row.status === 'valid' && row.warnings.length > 0)
+      .map(row => ({ sheet: row.sheet, row: row.row, warnings: row.warnings }))
+  };
+};
+
+/**
+ * Write the planned creates and updates with their import batch record, in chunks of
+ * ROWS_PER_BATCH rows. Each chunk also writes the record so far, so a rollback covers
+ * every chunk written even if a later one fails (the record stays `importing` until
+ * the last chunk is in).
+ * @param {object} plan - planImport result
+ * @param {object} details - { filename, onDuplicate, previewId }
+ * @param {function} [claim] - (transaction, importId) run in a transaction with the
+ *   first chunk, e.g. to mark a preview committed
+ * @returns {object} { importId, taskIds, assignees: [{ assignee, count }] for notifyImportedAssignments }
+ */
+async function writeImport({ rows, matches }, user, details, claim = null, env = null) {
+  const firestore = getFirestore(env);
+  const writes = rows.filter(row => row.action === 'create' || row.action === 'update');
+
+  if (writes.length === 0) {
+    if (claim) await firestore.runTransaction(transaction => claim(transaction, null));
+    return { importId: null, taskIds: [], assignees: [] };
+  }
+
+  const ref = firestore.collection(IMPORTS_COLLECTION).doc();
+  let record = {
+    userId: user.userId,
+    username: user.username,
+    filename: details.filename || null,
+    previewId: details.previewId || null,
+    onDuplicate: details.onDuplicate,
+    status: 'importing',
+    summary: summarize(rows),
+    createdTaskIds: [],
+    assigneeIds: [],
+    updated: [],
+    createdAt: new Date().toISOString(),
+    rolledBackAt: null,
+    rolledBackBy: null,
+    rollbackSkipped: null
+  };
+  const assignees = new Map();
+
+  for (let start = 0; start < writes.length; start += ROWS_PER_BATCH) {
+    const chunk = writes.slice(start, start + ROWS_PER_BATCH);
+
+    // Queued afresh on every call, as a transaction can run more than once
+    const queue = (writer) => {
+      const created = chunk.filter(row => row.action === 'create').map(row => {
+        const { timezone, startsAt, endsAt } = row.data;
+        const [task] = responsibilitiesService.addImportedTasks(writer, [row.data], user, {
+          importId: ref.id,
+          importFingerprint: row.fingerprint,
+          timezone,
+          startsAt,
+          endsAt
+        }, row.owner, env);
+        return { id: task.id, owner: row.owner };
+      });
+      const updated = responsibilitiesService.addImportedUpdates(
+        writer,
+        chunk.filter(row => row.action === 'update').map(row => ({ task: matches.get(row.matchedTaskId), fields: row.data })),
+        user,
+        env
+      );
+
+      const next = {
+        ...record,
+        status: start + ROWS_PER_BATCH >= writes.length ? 'imported' : 'importing',
+        createdTaskIds: [...record.createdTaskIds, ...created.map(task => task.id)],
+        assigneeIds: [...new Set([...record.assigneeIds, ...created.map(task => task.owner.userId)])],
+        updated: [...record.updated, ...updated]
+      };
+      writer.set(ref, next);
+      return { next, created };
+    };
+
+    let result;
+    if (start === 0 && claim) {
+      result = await firestore.runTransaction(async (transaction) => {
+        await claim(transaction, ref.id);
+        return queue(transaction);
+      });
+    } else {
+      const batch = firestore.batch();
+      result = queue(batch);
+      await batch.commit();
+    }
+
+    record = result.next;
+    result.created.forEach(({ owner }) => {
+      const entry = assignees.get(owner.userId) || { assignee: owner, count: 0 };
+      assignees.set(owner.userId, { ...entry, count: entry.count + 1 });
+    });
+  }
+
+  return { importId: ref.id, taskIds: record.createdTaskIds, assignees: [...assignees.values()] };
+}
+
+/**
+ * Check a file and store the report as a preview that can be committed later
+ * @param {object} options - { filename, onDuplicate, dateFormat, timezone }
+ * @returns {object} { previewId, expiresAt, onDuplicate, dateFormat, timezone, summary, rows }
+ */
+async function previewUpload(buffer, user, { filename, onDuplicate = 'skip', ...read } = {}, env = null) {
+  const { dateFormat, timezone } = await getReadOptions(user, read, env);
+  const checked = await assignRows(checkRows(parseSpreadsheet(buffer), { dateFormat, timezone }), user, env);
+  const { rows } = await planImport(checked, user, onDuplicate, env);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PREVIEW_TTL_MINUTES * 60 * 1000).toISOString();
+  const summary = summarize(rows);
+
+  const ref = getFirestore(env).collection(PREVIEWS_COLLECTION).doc();
+  await ref.set({
+    userId: user.userId,
+    filename: filename || null,
+    onDuplicate,
+    dateFormat,
+    timezone,
+    rows,
+    summary,
+    status: 'pending',
+    createdAt: now.toISOString(),
+    expiresAt
+  });
+
+  console.log(`📄 ${user.name || user.username} previewed ${filename || 'a bulk upload'}: ${summary.valid}/${summary.total} valid`);
+
+  return { previewId: ref.id, expiresAt, onDuplicate, dateFormat, timezone, summary, rows };
+}
+
+/**
+ * Import a stored preview (uploader only, once, before it expires). Matches are looked
+ * up again, so tasks created since the preview are not duplicated.
+ * @param {object} options - { onDuplicate } to override the preview's choice
+ * @returns {object} { importId, results, taskIds }
+ */
+async function commitPreview(previewId, user, options = {}, env = null) {
+  const firestore = getFirestore(env);
+  const ref = firestore.collection(PREVIEWS_COLLECTION).doc(previewId);
+
+  const checkPreview = (doc) => {
+    if (!doc.exists) {
+      throw new NotFoundError('Upload preview not found');
+    }
+
+    const preview = doc.data();
+    if (preview.userId !== user.userId) {
+      throw new ForbiddenError('Only the user who uploaded this file can import it');
+    }
+    if (preview.status === 'committed') {
+      throw new ConflictError('This upload was already imported');
+    }
+    if (preview.expiresAt < new Date().toISOString()) {
+      throw new ConflictError('This upload preview has expired. Upload the file again.');
+    }
+    return preview;
+  };
+
+  const preview = checkPreview(await ref.get());
+  const onDuplicate = options.onDuplicate || preview.onDuplicate || 'skip';
+  const plan = await planImport(preview.rows, user, onDuplicate, env);
+
+  const details = { filename: preview.filename, onDuplicate, previewId };
+  const { importId, taskIds, assignees } = await writeImport(plan, user, details, async (transaction, id) => {
+    // Checked again, with the first rows, so two commits of the same preview cannot both import it
+    checkPreview(await transaction.get(ref));
+
+    transaction.update(ref, {
+      status: 'committed',
+      committedAt: new Date().toISOString(),
+      importId: id
+    });
+  }, env);
+
+  await responsibilitiesService.notifyImportedAssignments(assignees, user, preview.filename, env);
+  console.log(`📄 ${user.name || user.username} imported preview ${previewId}: ${taskIds.length} created`);
+
+  return { importId, results: toResults(plan.rows), taskIds };
+}
+
+/**
+ * Check a file and import it right away
+ * @param {object} options - { filename, onDuplicate, dateFormat, timezone }
+ * @returns {object} { importId, results, taskIds }
+ */
+async function importUpload(buffer, user, { filename, onDuplicate = 'skip', ...read } = {}, env = null) {
+  const readOptions = await getReadOptions(user, read, env);
+  const checked = await assignRows(checkRows(parseSpreadsheet(buffer), readOptions), user, env);
+  const plan = await planImport(checked, user, onDuplicate, env);
+
+  const { importId, taskIds, assignees } = await writeImport(plan, user, { filename, onDuplicate }, null, env);
+
+  await responsibilitiesService.notifyImportedAssignments(assignees, user, filename, env);
+  console.log(`📄 ${user.name || user.username} imported ${taskIds.length}/${plan.rows.length} responsibilities`);
+
+  return { importId, results: toResults(plan.rows), taskIds };
+}
+
+/**
+ * Get the user's import batches, newest first
+ */
+async function getImports(userId, env = null) {
+  const snapshot = await getFirestore(env)
+    .collection(IMPORTS_COLLECTION)
+    .where('userId', '==', userId)
+    .get();
+
+  const imports = [];
+  snapshot.forEach(doc => {
+    imports.push({ id: doc.id, ...doc.data() });
+  });
+
+  // Sort in JavaScript instead of Firestore
+  imports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return { imports };
+}
+
+/**
+ * Undo an import batch: delete the tasks it created and restore the ones it updated,
+ * keeping (and reporting) tasks changed or commented on since (Importer, or
+ * responsibilities:manage). Large batches are undone in chunks of
+ * ROLLBACK_TASKS_PER_BATCH tasks; the record keeps its progress, so an interrupted
+ * rollback (`rolling-back`) finishes when run again.
+ * @returns {object} { importId, deleted, restored, skipped }
+ */
+async function rollbackImport(importId, user, env = null) {
+  const firestore = getFirestore(env);
+  const ref = firestore.collection(IMPORTS_COLLECTION).doc(importId);
+  const result = { deleted: 0, restored: 0, skipped: [] };
+
+  let first = true;
+  let finished = false;
+  while (!finished) {
+    const counts = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        throw new NotFoundError('Import not found');
+      }
+
+      const record = doc.data();
+      if (first && record.userId !== user.userId && !(await permissionsService.hasPermission(user, 'responsibilities:manage'))) {
+        throw new ForbiddenError('Not authorized to roll back this import');
+      }
+      if (record.status === 'rolled-back') {
+        // A rollback run alongside this one finished it
+        if (!first) return null;
+        throw new ConflictError('This import was already rolled back');
+      }
+
+      // Created tasks first, then updated ones, from where the last chunk stopped
+      const total = record.createdTaskIds.length + record.updated.length;
+      const offset = record.createdTaskIds.length;
+      const from = record.rollbackProgress || 0;
+      const to = Math.min(from + ROLLBACK_TASKS_PER_BATCH, total);
+      const chunk = await responsibilitiesService.addImportRollback(transaction, {
+        createdTaskIds: record.createdTaskIds.slice(from, to),
+        updated: record.updated.slice(Math.max(from - offset, 0), Math.max(to - offset, 0))
+      }, user, env);
+
+      const done = to === total;
+      transaction.update(ref, {
+        status: done ? 'rolled-back' : 'rolling-back',
+        rollbackProgress: to,
+        rolledBackAt: done ? new Date().toISOString() : null,
+        rolledBackBy: user.userId,
+        rollbackSkipped: [...(record.rollbackSkipped || []), ...chunk.skipped]
+      });
+      return { ...chunk, done };
+    });
+
+    first = false;
+    finished = !counts || counts.done;
+    if (counts) {
+      result.deleted += counts.deleted;
+      result.restored += counts.restored;
+      result.skipped.push(...counts.skipped);
+    }
+  }
+
+  console.log(`↩️ ${user.name || user.username} rolled back import ${importId}: ${result.deleted} deleted, ${result.restored} restored, ${result.skipped.length} kept`);
+
+  return { importId, ...result };
+}
+
+/**
+ * Build an upload template with an Assignee column and an `Assignees` sheet listing
+ * every user rows can be assigned to (by email, or user ID when there is none)
+ * @returns {Buffer} xlsx workbook
+ */
+async function buildAssigneeTemplate(env = null) {
+  const users = await usersService.getDirectory(env);
+  users.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  const workbook = xlsx.utils.book_new();
+  const headers = [...Object.values(COLUMNS).map(names => names[0]), ASSIGNEE_COLUMN[0]];
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([headers]), 'Responsibilities');
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([
+    ['Assignee', 'Name', 'Type'],
+    ...users.map(({ email, userId, name, userType }) => [email || userId, name, userType])
+  ]), ASSIGNEES_SHEET);
+
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  COLUMNS,
+  previewUpload,
+  commitPreview,
+  importUpload,
+  getImports,
+  rollbackImport,
+  buildAssigneeTemplate
+};
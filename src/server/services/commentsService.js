@@ -0,0 +1,312 @@
+/**
+ * Comments Service
+ * Threaded comments on responsibilities and activities, stored in the `comments`
+ * collection. A comment either starts a thread or replies to one (`parentId` is
+ * the thread's first comment; replies to replies join the same thread).
+ *
+ * Comments can carry file attachments, kept in file storage (see storage/) under
+ * "comments/<commentId>/<attachmentId>" with their metadata on the comment.
+ * `@username` or `@email` mentions notify the users mentioned.
+ *
+ * Anyone who can see the responsibility or activity can read and add comments.
+ * Authors can edit their comments; authors and core team members can delete them.
+ */
+
+const crypto = require('crypto');
+const { getFirestore } = require('../db');
+const { getStorage } = require('../storage');
+const permissionsService = require('./permissionsService');
+const responsibilitiesService = require('./responsibilitiesService');
+const notificationsService = require('./notificationsService');
+const usersService = require('./usersService');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
+
+const COLLECTION = 'comments';
+
+// "@sam", "@sam.lee" or "@sam@example.com"
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const getDisplayName = (user) => user.name || user.username;
+
+/**
+ * What can be commented on. `load` returns { title, fields } for someone allowed
+ * to see the target, where `fields` link notifications to it.
+ */
+const TARGETS = {
+  responsibility: {
+    async load(id, user, env) {
+      const task = await responsibilitiesService.getVisibleTask(id, user, env);
+      return {
+        targetId: task._id,
+        title: task.title,
+        fields: { responsibilityId: task._id, responsibilityTitle: task.title, responsibilityDate: task.date }
+      };
+    }
+  },
+  activity: {
+    async load(id, user, env) {
+      if (!(await permissionsService.hasPermission(user, 'activities:view'))) {
+        throw new ForbiddenError('Insufficient permissions');
+      }
+
+      const doc = await getFirestore(env).collection('activities').doc(id).get();
+      if (!doc.exists) {
+        throw new NotFoundError('Activity not found');
+      }
+      return {
+        targetId: doc.id,
+        title: doc.data().title,
+        fields: { activityId: doc.id, activityTitle: doc.data().title }
+      };
+    }
+  }
+};
+
+const loadTarget = (targetType, targetId, user, env) => TARGETS[targetType].load(targetId, user, env);
+
+/**
+ * Load a comment of the given target, or fail
+ */
+async function getComment(target, commentId, env = null) {
+  const ref = getFirestore(env).collection(COLLECTION).doc(commentId);
+  const doc = await ref.get();
+
+  if (!doc.exists || doc.data().targetId !== target.targetId || doc.data().targetType !== target.targetType) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  return { ref, comment: { id: doc.id, ...doc.data() } };
+}
+
+/**
+ * Users mentioned in a comment body, resolved by username, email or user ID
+ * @returns {object[]} [{ userId, name, userType }]
+ */
+async function findMentions(body, env = null) {
+  const handles = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].replace(/\.+$/, '').toLowerCase()))];
+  if (handles.length === 0) return [];
+
+  const mentioned = new Map();
+  (await usersService.getDirectory(env)).forEach(user => {
+    const names = [user.userId, user.username, user.email].filter(Boolean).map(name => name.toLowerCase());
+    if (names.some(name => handles.includes(name))) {
+      mentioned.set(user.userId, { userId: user.userId, name: user.name, userType: user.userType });
+    }
+  });
+
+  return [...mentioned.values()];
+}
+
+/**
+ * Notify users newly mentioned in a comment (never the author)
+ */
+async function notifyMentions(mentions, comment, target, user, env = null) {
+  const excerpt = comment.body.length > 100 ? `${comment.body.slice(0, 97)}...` : comment.body;
+
+  for (const mention of mentions) {
+    if (mention.userId === user.userId) continue;
+
+    try {
+      await notificationsService.createNotification({
+        type: 'comment_mention',
+        title: '💬 You Were Mentioned',
+        message: `${getDisplayName(user)} mentioned you on "${target.title}": ${excerpt}`,
+        targetUserId: mention.userId,
+        targetUserType: mention.userType,
+        createdBy: user.userId,
+        createdByName: getDisplayName(user),
+        commentId: comment.id,
+        ...target.fields,
+        priority: 'medium'
+      }, env);
+    } catch (error) {
+      console.error('Error sending comment_mention notification:', error);
+    }
+  }
+}
+
+const attachmentKey = (commentId, attachmentId) => `comments/${commentId}/${attachmentId}`;
+
+/**
+ * Comments without internal fields, as returned by the API
+ */
+const toResponse = ({ targetType, targetId, ...comment }) => comment;
+
+/**
+ * Get the comment threads of a responsibility or activity, oldest first
+ * @returns {object} { comments: [{ ...comment, replies: [...] }] }
+ */
+async function getComments(targetType, targetId, user, env = null) {
+  const target = await loadTarget(targetType, targetId, user, env);
+  const snapshot = await getFirestore(env)
+    .collection(COLLECTION)
+    .where('targetType', '==', targetType)
+    .where('targetId', '==', target.targetId)
+    .get();
+
+  const comments = [];
+  snapshot.forEach(doc => {
+    comments.push({ id: doc.id, ...doc.data() });
+  });
+
+  // Sort in JavaScript instead of Firestore
+  comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const threads = comments
+    .filter(comment => !comment.parentId)
+    .map(comment => ({
+      ...toResponse(comment),
+      replies: comments.filter(reply => reply.parentId === comment.id).map(toResponse)
+    }));
+
+  return { comments: threads };
+}
+
+/**
+ * Comment on a responsibility or activity, or reply to a comment
+ * @param {object} data - { body, parentId }
+ * @param {object[]} files - Uploaded files (multer memory storage)
+ * @returns {object} { comment }
+ */
+async function addComment(targetType, targetId, data, files, user, env = null) {
+  const target = { targetType, ...(await loadTarget(targetType, targetId, user, env)) };
+  const body = (data.body || '').trim();
+
+  if (!body && files.length === 0) {
+    throw new BadRequestError('A comment needs a body or an attachment');
+  }
+
+  let parentId = null;
+  if (data.parentId) {
+    const { comment: parent } = await getComment(target, data.parentId, env);
+    parentId = parent.parentId || parent.id;
+  }
+
+  const firestore = getFirestore(env);
+  const storage = getStorage();
+  const ref = firestore.collection(COLLECTION).doc();
+  const now = new Date().toISOString();
+
+  const attachments = files.map(file => ({
+    id: crypto.randomUUID(),
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size
+  }));
+
+  const mentions = await findMentions(body, env);
+  const comment = {
+    targetType,
+    targetId: target.targetId,
+    parentId,
+    body,
+    mentions,
+    attachments,
+    authorId: user.userId,
+    authorName: getDisplayName(user),
+    createdAt: now,
+    updatedAt: now,
+    editedAt: null
+  };
+
+  await Promise.all(attachments.map((attachment, index) => storage.save(attachmentKey(ref.id, attachment.id), files[index].buffer)));
+  try {
+    await ref.set(comment);
+  } catch (error) {
+    await Promise.all(attachments.map(attachment => storage.remove(attachmentKey(ref.id, attachment.id))));
+    throw error;
+  }
+
+  await notifyMentions(mentions, { id: ref.id, ...comment }, target, user, env);
+  console.log(`💬 ${getDisplayName(user)} commented on ${targetType} ${target.targetId}`);
+
+  return { comment: toResponse({ id: ref.id, ...comment }) };
+}
+
+/**
+ * Edit a comment's body (author only). Users mentioned for the first time are notified.
+ * @returns {object} { comment }
+ */
+async function updateComment(targetType, targetId, commentId, { body }, user, env = null) {
+  const target = { targetType, ...(await loadTarget(targetType, targetId, user, env)) };
+  const { ref, comment } = await getComment(target, commentId, env);
+
+  if (comment.authorId !== user.userId) {
+    throw new ForbiddenError('Only the author can edit this comment');
+  }
+
+  const text = body.trim();
+  if (!text && comment.attachments.length === 0) {
+    throw new BadRequestError('A comment needs a body or an attachment');
+  }
+
+  const mentions = await findMentions(text, env);
+  const now = new Date().toISOString();
+  const updates = { body: text, mentions, updatedAt: now, editedAt: now };
+  await ref.update(updates);
+
+  const alreadyMentioned = new Set(comment.mentions.map(mention => mention.userId));
+  await notifyMentions(mentions.filter(mention => !alreadyMentioned.has(mention.userId)), { ...comment, ...updates }, target, user, env);
+
+  return { comment: toResponse({ ...comment, ...updates }) };
+}
+
+/**
+ * Delete a comment with its attachments, and its replies when it starts a thread
+ * (the author, or any core team member)
+ */
+async function deleteComment(targetType, targetId, commentId, user, env = null) {
+  const target = { targetType, ...(await loadTarget(targetType, targetId, user, env)) };
+  const { ref, comment } = await getComment(target, commentId, env);
+  const isCore = permissionsService.getUserTypeForRole(permissionsService.getRoleForUser(user)) === 'core';
+
+  if (comment.authorId !== user.userId && !isCore) {
+    throw new ForbiddenError('Only the author or a core team member can delete this comment');
+  }
+
+  const firestore = getFirestore(env);
+  const replies = comment.parentId ? { docs: [] } : await firestore
+    .collection(COLLECTION)
+    .where('parentId', '==', comment.id)
+    .get();
+  const removed = [comment, ...replies.docs.map(doc => ({ id: doc.id, ...doc.data() }))];
+
+  const batch = firestore.batch();
+  batch.delete(ref);
+  replies.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  const storage = getStorage();
+  await Promise.all(removed.flatMap(entry =>
+    entry.attachments.map(attachment => storage.remove(attachmentKey(entry.id, attachment.id)))));
+
+  console.log(`🗑️ ${getDisplayName(user)} deleted comment ${comment.id} (${removed.length - 1} replies)`);
+
+  return { message: 'Comment deleted successfully', deleted: removed.length };
+}
+
+/**
+ * Download a comment attachment
+ * @returns {object} { filename, contentType, body }
+ */
+async function getAttachment(targetType, targetId, commentId, attachmentId, user, env = null) {
+  const target = { targetType, ...(await loadTarget(targetType, targetId, user, env)) };
+  const { comment } = await getComment(target, commentId, env);
+
+  const attachment = comment.attachments.find(entry => entry.id === attachmentId);
+  const body = attachment ? await getStorage().read(attachmentKey(comment.id, attachment.id)) : null;
+  if (!body) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  return { filename: attachment.filename, contentType: attachment.contentType, body };
+}
+
+module.exports = {
+  TARGET_TYPES: Object.keys(TARGETS),
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getAttachment
+};
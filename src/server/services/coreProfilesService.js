@@ -3,10 +3,15 @@
  * Handles core team profile management
  */
 
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { firestore } = require('../config/firebase');
+const { getFirestore } = require('../db');
 const config = require('../config');
+const sessionService = require('./sessionService');
+const permissionsService = require('./permissionsService');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
+
+// Core profiles without an explicit role lead the team
+const DEFAULT_PROFILE_ROLE = 'core-lead';
 
 class CoreProfilesService {
   constructor() {
@@ -14,7 +19,7 @@ class CoreProfilesService {
   }
   
   getCollection() {
-    return firestore.collection(this.collectionName);
+    return getFirestore().collection(this.collectionName);
   }
 
   /**
@@ -85,6 +90,16 @@ class CoreProfilesService {
     }
   }
 
+  /**
+   * Resolve the role of a core profile (always one of the core roles)
+   */
+  getProfileRole(profile) {
+    if (profile.role && permissionsService.getUserTypeForRole(profile.role) === 'core') {
+      return profile.role;
+    }
+    return DEFAULT_PROFILE_ROLE;
+  }
+
   /**
    * Update a profile
    */
@@ -134,16 +149,12 @@ class CoreProfilesService {
     // Get the profile
     const profile = await this.getProfile(profileId);
     if (!profile) {
-      const error = new Error('Profile not found');
-      error.statusCode = 404;
-      throw error;
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is already set
     if (profile.passwordSet) {
-      const error = new Error('Password already set for this profile');
-      error.statusCode = 400;
-      throw error;
+      throw new BadRequestError('Password already set for this profile', { code: ERROR_CODES.CONFLICT });
     }
 
     // Hash the password
@@ -164,51 +175,39 @@ class CoreProfilesService {
     // Get the profile
     const profile = await this.getProfile(profileId);
     if (!profile) {
-      const error = new Error('Profile not found');
-      error.statusCode = 404;
-      throw error;
+      throw new NotFoundError('Profile not found');
     }
 
     // Check if password is set
     if (!profile.passwordSet || !profile.hashedPassword) {
-      const error = new Error('Password not set for this profile');
-      error.statusCode = 400;
-      throw error;
+      throw new BadRequestError('Password not set for this profile');
     }
 
     // Verify password
     const isMatch = await bcrypt.compare(password, profile.hashedPassword);
     if (!isMatch) {
-      const error = new Error('Invalid password');
-      error.statusCode = 400;
-      throw error;
+      throw new BadRequestError('Invalid password', { code: ERROR_CODES.INVALID_CREDENTIALS });
     }
 
     // Update last login
     await this.updateLastLogin(profileId);
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: profile.id,
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRE }
-    );
+    const user = {
+      userId: profile.id,
+      username: profile.username,
+      name: profile.name,
+      userType: 'core',
+      role: this.getProfileRole(profile),
+      email: profile.email
+    };
+
+    // Start a server-side session
+    const session = await sessionService.createSession(user);
 
     return {
-      user: {
-        userId: profile.id,
-        username: profile.username,
-        name: profile.name,
-        userType: 'core',
-        email: profile.email
-      },
-      token: token
+      user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken
     };
   }
 }
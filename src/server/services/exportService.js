@@ -0,0 +1,156 @@
+/**
+ * Export Service
+ * Exports responsibilities as Excel, CSV or iCalendar. Spreadsheets use the bulk
+ * upload template's columns and ISO dates, so an export can be uploaded again
+ * whatever date format the upload reads.
+ * Recurring series are exported as their individual occurrences.
+ */
+
+const xlsx = require('xlsx');
+const permissionsService = require('./permissionsService');
+const responsibilitiesService = require('./responsibilitiesService');
+const { COLUMNS } = require('./bulkUploadService');
+const { BadRequestError, ForbiddenError } = require('../errors');
+
+const MAX_EXPORT_ROWS = 5000;
+
+const FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  ics: { contentType: 'text/calendar; charset=utf-8' }
+};
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const HEADERS = Object.values(COLUMNS).map(names => names[0]);
+
+const toRow = (task) => ({
+  title: task.title,
+  // Bulk upload reads YYYY-MM-DD with any dateFormat, where 03/04 could be either
+  date: task.date,
+  startTime: task.startTime,
+  endTime: task.endTime || '',
+  description: task.description || ''
+});
+
+/**
+ * Header row plus one row per task, in template column order
+ */
+const toSheet = (tasks) => xlsx.utils.aoa_to_sheet([
+  HEADERS,
+  ...tasks.map(task => {
+    const row = toRow(task);
+    return Object.keys(COLUMNS).map(field => row[field]);
+  })
+]);
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Lines longer than 75 octets are folded onto continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let end = parts.length === 0 ? 75 : 74;
+    // Never split a multi-byte character
+    while ((rest[end] & 0xc0) === 0x80) end--;
+    parts.push(rest.subarray(0, end).toString());
+    rest = rest.subarray(end);
+  }
+  parts.push(rest.toString());
+  return parts.join('\r\n ');
+};
+
+// Task times are wall-clock times, so they are written as floating local times
+const toIcsDateTime = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+const toIcsTimestamp = (iso) => `${iso.replace(/[-:]/g, '').split('.')[0]}Z`;
+
+const toCalendar = (tasks) => {
+  const now = toIcsTimestamp(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//3AM Core//Responsibilities//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  tasks.forEach(task => {
+    const categories = [task.category, ...(task.tags || [])].filter(Boolean);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${task._id}@3amcore`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${toIcsDateTime(task.date, task.startTime)}`,
+      ...(task.endTime ? [`DTEND:${toIcsDateTime(task.date, task.endTime)}`] : []),
+      `SUMMARY:${escapeText(task.title)}`,
+      ...(task.description ? [`DESCRIPTION:${escapeText(task.description)}`] : []),
+      ...(categories.length > 0 ? [`CATEGORIES:${categories.map(escapeText).join(',')}`] : []),
+      `PRIORITY:${ICS_PRIORITIES[task.priority] || ICS_PRIORITIES.medium}`,
+      ...(task.updatedAt ? [`LAST-MODIFIED:${toIcsTimestamp(task.updatedAt)}`] : []),
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Export responsibilities in date order
+ * @param {object} options - { format, userId ('all' for everyone), from, to, priority, category, tag, completed }
+ * @returns {object} { filename, contentType, body, count }
+ */
+async function exportResponsibilities(user, options = {}, env = null) {
+  const { format = 'xlsx', userId = user.userId, ...filters } = options;
+
+  if (userId !== user.userId && !(await permissionsService.hasPermission(user, 'responsibilities:view-all'))) {
+    throw new ForbiddenError('Insufficient permissions to export other users\' responsibilities');
+  }
+
+  const listing = { ...filters, sort: 'date', order: 'asc', limit: MAX_EXPORT_ROWS };
+  const { tasks, nextCursor } = userId === 'all'
+    ? await responsibilitiesService.getAllResponsibilities(listing, env)
+    : await responsibilitiesService.getUserResponsibilities(userId, listing, env);
+
+  if (nextCursor) {
+    throw new BadRequestError(`Exports are limited to ${MAX_EXPORT_ROWS} responsibilities. Choose a shorter date range.`);
+  }
+
+  let body;
+  if (format === 'ics') {
+    body = toCalendar(tasks);
+  } else {
+    const sheet = toSheet(tasks);
+    if (format === 'csv') {
+      body = xlsx.utils.sheet_to_csv(sheet);
+    } else {
+      const workbook = xlsx.utils.book_new();
+      xlsx.utils.book_append_sheet(workbook, sheet, 'Responsibilities');
+      body = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+  }
+
+  const stamp = new Date().toISOString().split('T')[0];
+  console.log(`📤 ${user.name || user.username} exported ${tasks.length} responsibilities as ${format}`);
+
+  return {
+    filename: `responsibilities_${stamp}.${format}`,
+    contentType: FORMATS[format].contentType,
+    body,
+    count: tasks.length
+  };
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  exportResponsibilities
+};
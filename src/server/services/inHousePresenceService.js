@@ -3,7 +3,8 @@
  * Handles in-house user presence tracking
  */
 
-const { admin, firestore } = require('../config/firebase');
+const { getFirestore, getFirebaseAdmin } = require('../db');
+const { NotFoundError } = require('../errors');
 
 /**
  * Helper function to get document ID for user's monthly presence
@@ -134,9 +135,7 @@ async function getUserMonthlyPresence(userId, year, month, env = null) {
     };
   } catch (error) {
     console.error(`❌ User ${userId} not found in Firebase Auth:`, error);
-    const err = new Error('User not found');
-    err.statusCode = 404;
-    throw err;
+    throw new NotFoundError('User not found');
   }
 
   // Get monthly presence document
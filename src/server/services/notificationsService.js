@@ -5,7 +5,63 @@
  * NOTE: Web Push functionality requires Node.js 'web-push' library
  */
 
-const { firestore } = require('../config/firebase');
+const webpush = require('web-push');
+const { getFirestore } = require('../db');
+const { paginateQuery } = require('../db/pagination');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
+
+// Configure web-push with VAPID keys
+// Generate keys using: node -e "console.log(require('web-push').generateVAPIDKeys())"
+const vapidKeys = {
+  publicKey: process.env.VAPID_PUBLIC_KEY || 'BC_xnlEBNqyjEt8KsnJu7OkDjBvop4S3ERUFpqpF9rfXeOdVHt0wq3_qa_DlY6iqlo-rKq4uCKS0MI-uIfOW9Z4',
+  privateKey: process.env.VAPID_PRIVATE_KEY || '98wJAr89T66LyHo1SNDxvRBjNmk98ArDaQLKR2iIPKQ'
+};
+
+webpush.setVapidDetails(
+  'mailto:admin@3amcore.com',
+  vapidKeys.publicKey,
+  vapidKeys.privateKey
+);
+
+console.log('🔔 Web Push configured with VAPID keys');
+
+/**
+ * Send a web push notification to a subscription
+ * @returns {boolean} Whether the push service accepted it
+ */
+async function sendPushNotification(subscription, payload) {
+  try {
+    console.log('🔔 Attempting to send push notification...');
+    console.log('📱 Subscription endpoint:', subscription.endpoint?.substring(0, 50) + '...');
+    console.log('📤 Payload:', payload);
+    
+    const result = await webpush.sendNotification(subscription, JSON.stringify(payload));
+    console.log('✅ Push notification sent successfully');
+    console.log('📊 Result status:', result.statusCode);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending push notification:', error.message);
+    console.error('❌ Error code:', error.code);
+    console.error('❌ Error status:', error.statusCode);
+    console.error('❌ Error headers:', error.headers);
+    
+    // Handle specific web-push errors
+    if (error.statusCode === 410) {
+      console.error('🗑️ Subscription is no longer valid (410 Gone)');
+      // TODO: Remove invalid subscription from database
+    } else if (error.statusCode === 413) {
+      console.error('📦 Payload too large (413)');
+    } else if (error.statusCode === 429) {
+      console.error('⏰ Rate limited (429)');
+    } else if (error.statusCode >= 400 && error.statusCode < 500) {
+      console.error('🚫 Client error:', error.statusCode);
+    } else if (error.statusCode >= 500) {
+      console.error('🔥 Server error:', error.statusCode);
+    }
+    
+    return false;
+  }
+}
 
 /**
  * Get user's push subscription
@@ -31,9 +87,7 @@ async function savePushSubscription(data, user, env = null) {
   const { subscription, userAgent, timestamp } = data;
   
   if (!subscription) {
-    const error = new Error('Subscription data is required');
-    error.statusCode = 400;
-    throw error;
+    throw new BadRequestError('Subscription data is required');
   }
 
   const firestore = getFirestore(env);
@@ -75,40 +129,36 @@ async function removePushSubscription(userId, env = null) {
 }
 
 /**
- * Get notifications for user
+ * Get notifications for user, one page at a time
+ * @param {object} options - { unreadOnly, type, from, to, sort, order, limit, cursor }
+ * @returns {object} { notifications, unreadCount (all unread, not just this page), total (this page), nextCursor }
  */
 async function getUserNotifications(userId, options = {}, env = null) {
-  const { limit = 20, unreadOnly = false } = options;
+  const { unreadOnly = false, type, from, to, sort = 'createdAt', order, limit = 20, cursor } = options;
   
   const firestore = getFirestore(env);
+  const collection = firestore.collection('notifications');
+  const userQuery = collection.where('targetUserId', '==', userId);
   
-  let query = firestore
-    .collection('notifications')
-    .where('targetUserId', '==', userId)
-    .orderBy('createdAt', 'desc')
-    .limit(parseInt(limit));
-  
-  if (unreadOnly) {
-    query = query.where('read', '==', false);
-  }
-  
-  const snapshot = await query.get();
-  const notifications = [];
+  let query = userQuery;
+  if (unreadOnly) query = query.where('read', '==', false);
+  if (type) query = query.where('type', '==', type);
+  if (from) query = query.where('createdAt', '>=', `${from}T00:00:00.000Z`);
+  if (to) query = query.where('createdAt', '<=', `${to}T23:59:59.999Z`);
   
-  snapshot.forEach(doc => {
-    notifications.push({
-      id: doc.id,
-      ...doc.data()
-    });
-  });
+  const { docs, nextCursor } = await paginateQuery(collection, query, { sort, order, limit, cursor });
+  const notifications = docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
   
-  const unreadCount = unreadOnly ? notifications.length : 
-    notifications.filter(n => !n.read).length;
+  const unreadSnapshot = await userQuery.where('read', '==', false).count().get();
   
   return {
     notifications,
-    unreadCount,
-    total: notifications.length
+    unreadCount: unreadSnapshot.data().count,
+    total: notifications.length,
+    nextCursor
   };
 }
 
@@ -122,18 +172,14 @@ async function markNotificationAsRead(notificationId, userId, env = null) {
   const doc = await notificationRef.get();
   
   if (!doc.exists) {
-    const error = new Error('Notification not found');
-    error.statusCode = 404;
-    throw error;
+    throw new NotFoundError('Notification not found');
   }
   
   const notification = doc.data();
   
   // Check if user owns this notification
   if (notification.targetUserId !== userId) {
-    const error = new Error('Access denied');
-    error.statusCode = 403;
-    throw error;
+    throw new ForbiddenError('Access denied');
   }
   
   await notificationRef.update({
@@ -178,24 +224,49 @@ async function markAllNotificationsAsRead(userId, env = null) {
 }
 
 /**
- * Create notification document
+ * Create notification document and send a push notification if the user is subscribed
+ * @param {object} notification - An `id` stores it under that ID (replacing an earlier attempt)
+ * @returns {object} The stored notification, with `pushed`: true, false when the push
+ *   failed, or null when the user has no push subscription
  */
 async function createNotification(notification, env = null) {
   try {
     const firestore = getFirestore(env);
     
+    // Reuse the generated ID as the document ID so stored and returned IDs match
+    const notifications = firestore.collection('notifications');
+    const notificationRef = notification.id ? notifications.doc(notification.id) : notifications.doc();
     const notificationData = {
       ...notification,
       createdAt: new Date().toISOString(),
       read: false,
-      id: firestore.collection('notifications').doc().id
+      id: notificationRef.id
     };
 
     // Save to database
-    await firestore.collection('notifications').add(notificationData);
+    await notificationRef.set(notificationData);
     console.log(`📢 Notification created: ${notification.type} for ${notification.targetUserType || 'specific user'}`);
     
-    return notificationData;
+    // Send push notification if user has subscription
+    const subscription = await getUserPushSubscription(notification.targetUserId, env);
+    let pushed = null;
+    if (subscription) {
+      const pushPayload = {
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        activityId: notification.activityId,
+        responsibilityId: notification.responsibilityId,
+        priority: notification.priority,
+        tag: notification.type
+      };
+      
+      pushed = await sendPushNotification(subscription, pushPayload);
+    } else {
+      console.log(`📱 No push subscription found for user ${notification.targetUserId}`);
+    }
+    
+    return { ...notificationData, pushed };
   } catch (error) {
     console.error('Error creating notification:', error);
     throw error;
@@ -203,6 +274,7 @@ async function createNotification(notification, env = null) {
 }
 
 module.exports = {
+  sendPushNotification,
   getUserPushSubscription,
   savePushSubscription,
   removePushSubscription,
@@ -0,0 +1,190 @@
+/**
+ * Permissions Service
+ * Role-to-permission mapping. Defaults live here; overrides are stored in the
+ * `roles` collection (one document per role) and take precedence.
+ */
+
+const { getFirestore } = require('../db');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+const COLLECTION = 'roles';
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Every permission the API checks
+ */
+const PERMISSIONS = [
+  'activities:view',
+  'activities:create',
+  'activities:manage',
+  'activities:participate',
+  'activities:attendance',
+  'responsibilities:view-all',
+  'responsibilities:create',
+  'responsibilities:assign',
+  'responsibilities:manage',
+  'responsibilities:leaderboard',
+  'presence:mark',
+  'presence:view-all',
+  'notifications:broadcast',
+  'team:manage',
+  'roles:manage'
+];
+
+/**
+ * Roles and the broad userType each maps to (userType is what clients and
+ * older code paths still switch on)
+ */
+const ROLES = {
+  'admin': { userType: 'core', description: 'Full access including role configuration' },
+  'core-lead': { userType: 'core', description: 'Core team lead, manages the team and all activities' },
+  'core': { userType: 'core', description: 'Core team member' },
+  'in-house': { userType: 'in-house', description: 'In-house member' },
+  'viewer': { userType: 'in-house', description: 'Read-only access' }
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  'admin': [...PERMISSIONS],
+  'core-lead': PERMISSIONS.filter(permission => permission !== 'roles:manage'),
+  'core': [
+    'activities:view',
+    'activities:create',
+    'activities:participate',
+    'activities:attendance',
+    'responsibilities:view-all',
+    'responsibilities:create',
+    'responsibilities:assign',
+    'responsibilities:leaderboard',
+    'presence:mark',
+    'presence:view-all',
+    'notifications:broadcast'
+  ],
+  'in-house': [
+    'activities:view',
+    'activities:participate',
+    'responsibilities:view-all',
+    'responsibilities:create',
+    'presence:mark'
+  ],
+  'viewer': [
+    'activities:view',
+    'responsibilities:view-all'
+  ]
+};
+
+// role -> { permissions, expiresAt }
+const cache = new Map();
+
+/**
+ * Map a role to its userType ('core' or 'in-house')
+ */
+const getUserTypeForRole = (role) => (ROLES[role] ? ROLES[role].userType : 'in-house');
+
+/**
+ * Resolve a user's role, falling back to userType for tokens issued before roles existed
+ */
+const getRoleForUser = (user) => {
+  if (user.role && ROLES[user.role]) return user.role;
+  return user.userType === 'core' ? 'core' : 'in-house';
+};
+
+/**
+ * Get the permissions granted to a role
+ */
+async function getRolePermissions(role, env = null) {
+  if (!ROLES[role]) return [];
+
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const doc = await getFirestore(env).collection(COLLECTION).doc(role).get();
+  const permissions = doc.exists && Array.isArray(doc.data().permissions)
+    ? doc.data().permissions
+    : DEFAULT_ROLE_PERMISSIONS[role];
+
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+/**
+ * Check whether a user holds all of the given permissions
+ */
+async function hasPermission(user, ...permissions) {
+  if (!user) return false;
+  const granted = await getRolePermissions(getRoleForUser(user));
+  return permissions.every(permission => granted.includes(permission));
+}
+
+/**
+ * List every role with its effective permissions
+ */
+async function listRoles(env = null) {
+  const roles = await Promise.all(Object.entries(ROLES).map(async ([role, info]) => ({
+    role,
+    userType: info.userType,
+    description: info.description,
+    permissions: await getRolePermissions(role, env)
+  })));
+
+  return { roles, permissions: PERMISSIONS };
+}
+
+/**
+ * Replace the permissions of a role
+ */
+async function setRolePermissions(role, permissions, actor, env = null) {
+  if (!ROLES[role]) {
+    throw new NotFoundError(`Unknown role: ${role}`);
+  }
+
+  if (!Array.isArray(permissions)) {
+    throw new BadRequestError('Permissions must be an array');
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  // Keep at least one way back in to the role configuration
+  if (role === 'admin' && !permissions.includes('roles:manage')) {
+    throw new BadRequestError('The admin role must keep the roles:manage permission');
+  }
+
+  const uniquePermissions = [...new Set(permissions)];
+
+  await getFirestore(env).collection(COLLECTION).doc(role).set({
+    role,
+    permissions: uniquePermissions,
+    updatedBy: actor.userId,
+    updatedByName: actor.name || actor.username,
+    updatedAt: new Date().toISOString()
+  });
+
+  cache.delete(role);
+  console.log(`🔑 ${actor.name || actor.username} updated permissions for role ${role}`);
+
+  return { role, permissions: uniquePermissions };
+}
+
+/**
+ * Drop cached role permissions (used after direct database changes and in tests)
+ */
+function clearPermissionCache() {
+  cache.clear();
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getUserTypeForRole,
+  getRoleForUser,
+  getRolePermissions,
+  hasPermission,
+  listRoles,
+  setRolePermissions,
+  clearPermissionCache
+};
@@ -3,28 +3,16 @@
  * Handles presence tracking logic
  */
 
-const { firestore } = require('../config/firebase');
+const { getFirestore } = require('../db');
+const { assertValid } = require('../validation');
+const presenceSchemas = require('../validation/presence');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
 
 /**
  * Mark presence for a specific date
  */
 async function markPresence(data, user, env = null) {
-  const { date, type = 'manual' } = data;
-  
-  // Validate required fields
-  if (!date) {
-    const error = new Error('Date is required');
-    error.statusCode = 400;
-    throw error;
-  }
-
-  // Validate date format (YYYY-MM-DD)
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    const error = new Error('Date must be in YYYY-MM-DD format');
-    error.statusCode = 400;
-    throw error;
-  }
+  const { date, type } = assertValid(presenceSchemas.mark.body, data);
 
   const firestore = getFirestore(env);
 
@@ -36,9 +24,7 @@ async function markPresence(data, user, env = null) {
     .get();
 
   if (!existingPresence.empty) {
-    const error = new Error('Presence already marked for this date');
-    error.statusCode = 400;
-    throw error;
+    throw new BadRequestError('Presence already marked for this date', { code: ERROR_CODES.CONFLICT });
   }
 
   const presenceData = {
@@ -65,13 +51,7 @@ async function markPresence(data, user, env = null) {
  * Remove presence for a specific date
  */
 async function removePresence(date, userId, env = null) {
-  // Validate date format
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    const error = new Error('Date must be in YYYY-MM-DD format');
-    error.statusCode = 400;
-    throw error;
-  }
+  assertValid(presenceSchemas.remove.params, { date }, 'params');
 
   const firestore = getFirestore(env);
 
@@ -83,9 +63,7 @@ async function removePresence(date, userId, env = null) {
     .get();
 
   if (presenceQuery.empty) {
-    const error = new Error('Presence record not found for this date');
-    error.statusCode = 404;
-    throw error;
+    throw new NotFoundError('Presence record not found for this date');
   }
 
   // Delete the presence record
@@ -100,15 +78,7 @@ async function removePresence(date, userId, env = null) {
  * Get presence data for a specific month
  */
 async function getMonthlyPresence(year, month, userId, env = null) {
-  // Validate year and month
-  const yearNum = parseInt(year);
-  const monthNum = parseInt(month);
-  
-  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-    const error = new Error('Invalid year or month');
-    error.statusCode = 400;
-    throw error;
-  }
+  const { year: yearNum, month: monthNum } = assertValid(presenceSchemas.month.params, { year, month }, 'params');
 
   // Create date range for the month
   const startDate = new Date(yearNum, monthNum, 1);
@@ -152,15 +122,7 @@ async function getMonthlyPresence(year, month, userId, env = null) {
  * Get presence statistics for a specific month
  */
 async function getMonthlyStats(year, month, userId, env = null) {
-  // Validate year and month
-  const yearNum = parseInt(year);
-  const monthNum = parseInt(month);
-  
-  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 0 || monthNum > 11) {
-    const error = new Error('Invalid year or month');
-    error.statusCode = 400;
-    throw error;
-  }
+  const { year: yearNum, month: monthNum } = assertValid(presenceSchemas.month.params, { year, month }, 'params');
 
   // Create date range for the month
   const startDate = new Date(yearNum, monthNum, 1);
@@ -240,11 +202,7 @@ async function getMonthlyStats(year, month, userId, env = null) {
  * Mark presence through activity participation
  */
 async function markActivityPresence(activityDate, user, env = null) {
-  if (!activityDate) {
-    const error = new Error('Activity date is required');
-    error.statusCode = 400;
-    throw error;
-  }
+  assertValid(presenceSchemas.activityParticipation.body, { activityDate });
 
   const firestore = getFirestore(env);
 
@@ -0,0 +1,148 @@
+/**
+ * Recurrence Service
+ * Expands recurrence rules into occurrence dates (YYYY-MM-DD). Rules are stored
+ * on the series document and expanded on read, so open-ended series never have
+ * to be materialized:
+ *   { frequency: 'daily' | 'weekdays' | 'weekly' | 'monthly', interval, daysOfWeek, until, count }
+ *
+ * The first occurrence is the first date matching the rule on or after the
+ * series start date. Monthly series skip months without the start day (e.g. the 31st).
+ */
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Series are expanded over this window when a listing gives no range
+const DEFAULT_WINDOW = { pastDays: 31, futureDays: 62 };
+
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+
+const getDayOfWeek = (date) => parseDate(date).getUTCDay();
+
+/**
+ * Fill in defaults so stored rules always have the same shape
+ * @param {object} rule - Validated recurrence rule
+ * @param {string} startDate - Series start date
+ */
+function normalizeRule(rule, startDate) {
+  const daysOfWeek = rule.daysOfWeek && rule.daysOfWeek.length > 0
+    ? rule.daysOfWeek
+    : [getDayOfWeek(startDate)];
+
+  return {
+    frequency: rule.frequency,
+    interval: rule.frequency === 'weekdays' ? 1 : rule.interval || 1,
+    daysOfWeek: rule.frequency === 'weekly' ? [...new Set(daysOfWeek)].sort((a, b) => a - b) : null,
+    until: rule.until || null,
+    count: rule.count || null
+  };
+}
+
+/**
+ * Every date matching the rule from the start date on, in order (unbounded)
+ */
+function* generateDates(startDate, rule) {
+  const start = parseDate(startDate);
+
+  switch (rule.frequency) {
+    case 'daily':
+      for (let offset = 0; ; offset += rule.interval) {
+        yield addDays(startDate, offset);
+      }
+
+    case 'weekdays':
+      for (let offset = 0; ; offset++) {
+        const date = addDays(startDate, offset);
+        const day = getDayOfWeek(date);
+        if (day !== 0 && day !== 6) yield date;
+      }
+
+    case 'weekly': {
+      const weekStart = addDays(startDate, -start.getUTCDay());
+      for (let week = 0; ; week += rule.interval) {
+        for (const day of rule.daysOfWeek) {
+          const date = addDays(weekStart, week * 7 + day);
+          if (date >= startDate) yield date;
+        }
+      }
+    }
+
+    case 'monthly':
+      for (let month = 0; ; month += rule.interval) {
+        const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month, start.getUTCDate()));
+        if (date.getUTCDate() === start.getUTCDate()) yield formatDate(date);
+      }
+
+    default:
+      throw new Error(`Unknown recurrence frequency "${rule.frequency}"`);
+  }
+}
+
+/**
+ * Expand a rule into its occurrence dates within [from, to]
+ * `count` always counts from the start of the series, not from `from`.
+ * @param {string} startDate - Series start date
+ * @param {object} rule - Recurrence rule
+ * @param {object} range - { from, to } (inclusive); `to` is required for open-ended rules
+ * @returns {string[]} Occurrence dates
+ */
+function expandOccurrences(startDate, rule, { from = startDate, to = null } = {}) {
+  const normalized = normalizeRule(rule, startDate);
+  if (!to && !normalized.until && !normalized.count) {
+    throw new Error('Expanding an open-ended recurrence requires an end date');
+  }
+
+  const dates = [];
+  let generated = 0;
+
+  for (const date of generateDates(startDate, normalized)) {
+    if ((to && date > to) || (normalized.until && date > normalized.until)) break;
+    if (normalized.count && generated >= normalized.count) break;
+
+    generated++;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+}
+
+/**
+ * Fill in a listing range; one-off items are only filtered when a range was asked for
+ * @param {object} query - { from, to }
+ * @returns {object} { from, to, explicit }
+ */
+function resolveRange({ from, to } = {}) {
+  const span = DEFAULT_WINDOW.pastDays + DEFAULT_WINDOW.futureDays;
+  const today = formatDate(new Date());
+  const start = from || (to ? addDays(to, -span) : addDays(today, -DEFAULT_WINDOW.pastDays));
+
+  return {
+    from: start,
+    to: to || addDays(start, span),
+    explicit: Boolean(from || to)
+  };
+}
+
+/**
+ * Whether a date is an occurrence of the series
+ */
+function isOccurrence(startDate, rule, date) {
+  return expandOccurrences(startDate, rule, { from: date, to: date }).length === 1;
+}
+
+module.exports = {
+  FREQUENCIES,
+  addDays,
+  normalizeRule,
+  expandOccurrences,
+  resolveRange,
+  isOccurrence
+};
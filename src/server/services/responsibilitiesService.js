@@ -1,161 +1,1178 @@
 /**
  * Responsibilities Service
  * Handles task/responsibility management logic
+ *
+ * A responsibility is either a single task or a recurring series. A series keeps
+ * its recurrence rule on the task document and is expanded into occurrences on
+ * read; per-occurrence completion, edits and cancellations are stored in the
+ * series' `occurrences` map keyed by date. Occurrences are addressed as
+ * "<seriesId>_<YYYY-MM-DD>".
+ *
+ * Users with responsibilities:assign can hand a responsibility to other users:
+ * each assignee gets their own task (sharing an `assignmentId`) that starts
+ * `pending` until they accept or decline it.
+ *
+ * Every change is recorded in the `task_audit` collection (who, what, when),
+ * written in the same batch as the change itself.
+ *
+ * Single tasks can have a `checklist` of items, each checked off on its own.
+ * Checking the last open item completes the task; unchecking an item (or adding
+ * one) reopens it.
+ *
+ * Tasks with `reminderMinutes` get a reminder notification (stored and pushed)
+ * that many minutes before their start time; sendDueReminders runs on a timer
+ * and records each reminder in `task_reminders` so it goes out only once per
+ * start time. One-off tasks store their `remindAt` so only due ones are read.
  */
 
-const { firestore } = require('../config/firebase');
+const crypto = require('crypto');
+const config = require('../config');
+const { getFirestore } = require('../db');
+const { resolveOrder, paginateMerged } = require('../db/pagination');
+const { assertValid, endTimeAfterStartTime } = require('../validation');
+const responsibilitySchemas = require('../validation/responsibilities');
+const recurrenceSchemas = require('../validation/recurrence');
+const permissionsService = require('./permissionsService');
+const recurrenceService = require('./recurrenceService');
+const timezoneService = require('./timezoneService');
+const usersService = require('./usersService');
+const notificationsService = require('./notificationsService');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+const OCCURRENCE_ID_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})$/;
+
+const OCCURRENCE_FIELDS = [
+  'title', 'description', 'startTime', 'endTime', 'durationMinutes',
+  'priority', 'category', 'tags', 'reminderMinutes'
+];
+const DETAIL_FIELDS = [...OCCURRENCE_FIELDS, 'recurrence'];
+const TIME_FIELDS = ['startTime', 'endTime', 'durationMinutes'];
+
+// Tasks created before priorities existed count as medium
+const DEFAULT_PRIORITY = 'medium';
+
+const AUDIT_COLLECTION = 'task_audit';
+const REMINDERS_COLLECTION = 'task_reminders';
+const COMMENTS_COLLECTION = 'comments';
+// A reminder claimed this long ago but never marked sent is sent again
+const REMINDER_CLAIM_MINUTES = 5;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// The leaderboard's default window, ending today
+const LEADERBOARD_DAYS = 30;
+
+const today = () => new Date().toISOString().split('T')[0];
 
 /**
- * Create a new responsibility
+ * "<seriesId>_<YYYY-MM-DD>" -> { taskId, occurrenceDate }
  */
-async function createResponsibility(data, user, env = null) {
-  const { title, description, date, time } = data;
-  
-  if (!title || !date || !time) {
-    const error = new Error('Title, date, and time are required');
-    error.statusCode = 400;
-    throw error;
+const parseTaskId = (id) => {
+  const match = id.match(OCCURRENCE_ID_PATTERN);
+  return match
+    ? { taskId: match[1], occurrenceDate: match[2] }
+    : { taskId: id, occurrenceDate: null };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+/**
+ * Work out the end time and duration from whichever of the two was given.
+ * Responsibilities end on the day they start.
+ * @returns {object} { endTime, durationMinutes } (both null when neither was given)
+ */
+const resolveEndTime = (startTime, { endTime = null, durationMinutes = null }) => {
+  if (durationMinutes) {
+    const end = toMinutes(startTime) + durationMinutes;
+    if (end >= MINUTES_PER_DAY) {
+      throw new ValidationError([{ location: 'body', field: 'durationMinutes', message: 'Duration must end on the same day' }]);
+    }
+    return { endTime: formatMinutes(end), durationMinutes };
   }
 
-  const firestore = getFirestore(env);
+  const problem = endTimeAfterStartTime({ startTime, endTime });
+  if (problem) {
+    throw new ValidationError([{ location: 'body', ...problem }]);
+  }
 
-  const taskData = {
-    title,
-    description: description || '',
-    date,
-    time,
-    userId: user.userId,
-    username: user.username,
+  return { endTime, durationMinutes: endTime ? toMinutes(endTime) - toMinutes(startTime) : null };
+};
+
+/**
+ * Tags are compared case-insensitively, so store them lowercased and once each
+ */
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.toLowerCase()))];
+
+/**
+ * A new, open checklist item
+ */
+const newChecklistItem = (title, now) => ({
+  id: crypto.randomUUID(),
+  title,
+  completed: false,
+  completedAt: null,
+  completedBy: null,
+  createdAt: now
+});
+
+/**
+ * Checklist progress: { total, completed, progress } with progress a percentage
+ * (null without items)
+ */
+const getChecklistProgress = (checklist = []) => {
+  const completed = checklist.filter(item => item.completed).length;
+  return {
+    total: checklist.length,
+    completed,
+    progress: checklist.length > 0 ? Math.round((completed / checklist.length) * 100) : null
+  };
+};
+
+/**
+ * Listing filters: { priority, category, tag, completed }; categories match case-insensitively
+ */
+const matchesFilters = (task, { priority, category, tag, completed } = {}) =>
+  (!priority || (task.priority || DEFAULT_PRIORITY) === priority) &&
+  (!category || (task.category || '').toLowerCase() === category.toLowerCase()) &&
+  (!tag || (task.tags || []).includes(tag.toLowerCase())) &&
+  (completed === undefined || Boolean(task.completed) === completed);
+
+/**
+ * Fields stored only so listings can filter and sort in Firestore: the category
+ * lowercased (it matches case-insensitively) and the priority's rank
+ */
+const getQueryFields = ({ priority, category }) => ({
+  ...(priority !== undefined && { priorityRank: responsibilitySchemas.PRIORITIES.indexOf(priority) }),
+  ...(category !== undefined && { categoryKey: category ? category.toLowerCase() : null })
+});
+
+// Listing sort values; occurrences of a series share createdAt and fall back to their ID
+const SORT_KEYS = {
+  createdAt: task => task.createdAt,
+  date: task => `${task.date}T${task.startTime}`,
+  priority: task => responsibilitySchemas.PRIORITIES.indexOf(task.priority || DEFAULT_PRIORITY),
+  title: task => task.title
+};
+
+// The fields Firestore orders single tasks by for each sort, in step with SORT_KEYS
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  date: ['date', 'startTime'],
+  priority: 'priorityRank',
+  title: 'title'
+};
+
+const getOverride = (task, date) => (task.occurrences || {})[date] || {};
+
+const isActiveOccurrence = (task, date) =>
+  recurrenceService.isOccurrence(task.date, task.recurrence, date) && !getOverride(task, date).cancelled;
+
+/**
+ * Build one occurrence of a series, applying its per-occurrence changes
+ */
+const toOccurrence = (task, date) => {
+  const { occurrences, ...series } = task;
+  const { cancelled, ...changes } = getOverride(task, date);
+
+  const occurrence = {
+    ...series,
     completed: false,
-    createdAt: new Date().toISOString(),
     completedAt: null,
-    updatedAt: new Date().toISOString()
+    ...changes,
+    _id: `${task._id}_${date}`,
+    seriesId: task._id,
+    occurrenceDate: date,
+    date
   };
+  // The series' UTC timestamps are those of its first date
+  return task.timezone ? { ...occurrence, ...timezoneService.getInstants(occurrence, task.timezone) } : occurrence;
+};
 
-  const docRef = await firestore.collection('tasks').add(taskData);
-  
-  return {
-    taskId: docRef.id,
-    task: { id: docRef.id, ...taskData }
-  };
+/**
+ * Expand series into their occurrences within the range
+ */
+const expandTasks = (tasks, range) => {
+  const expanded = [];
+
+  tasks.forEach(task => {
+    if (!task.recurrence) {
+      if (!range.explicit || (task.date >= range.from && task.date <= range.to)) {
+        expanded.push(task);
+      }
+      return;
+    }
+
+    recurrenceService.expandOccurrences(task.date, task.recurrence, range)
+      .filter(date => !getOverride(task, date).cancelled)
+      .forEach(date => expanded.push(toOccurrence(task, date)));
+  });
+
+  return expanded;
+};
+
+const getDisplayName = (user) => user.name || user.username;
+
+/**
+ * Store a notification and push it; a failed notification never fails the request
+ */
+async function notify(notification, env = null) {
+  try {
+    await notificationsService.createNotification(notification, env);
+  } catch (error) {
+    console.error(`Error sending ${notification.type} notification:`, error);
+  }
 }
 
 /**
- * Get user's responsibilities
+ * Field-level differences between current values and updates: { field: { from, to } }
  */
-async function getUserResponsibilities(userId, env = null) {
-  const firestore = getFirestore(env);
+const diffFields = (current, updates) => {
+  const changes = {};
+  Object.entries(updates).forEach(([field, value]) => {
+    const previous = current[field] === undefined ? null : current[field];
+    if (JSON.stringify(previous) !== JSON.stringify(value)) {
+      changes[field] = { from: previous, to: value };
+    }
+  });
+  return changes;
+};
 
-  const snapshot = await firestore
-    .collection('tasks')
-    .where('userId', '==', userId)
-    .get();
+/**
+ * Queue an audit entry for a task change in the batch that makes the change
+ * @param {string} action - created, imported, assigned, updated, completed, reopened,
+ *   accepted, declined, checklist-updated, occurrence-cancelled or deleted
+ */
+const addAuditEntry = (batch, firestore, taskId, action, user, { occurrenceDate = null, changes = {} } = {}) => {
+  batch.set(firestore.collection(AUDIT_COLLECTION).doc(), {
+    taskId,
+    occurrenceDate,
+    action,
+    changes,
+    userId: user.userId,
+    userName: getDisplayName(user),
+    createdAt: new Date().toISOString()
+  });
+};
 
+/**
+ * Update policy:
+ *  - `completed` can only be toggled by the user the task belongs to (its owner or
+ *    assignee) or with responsibilities:manage; assigners cannot complete on someone's behalf
+ *  - details (title, description, times, recurrence) belong to whoever set the task:
+ *    the owner of a personal task or the assigner of an assigned one, or responsibilities:manage
+ */
+async function assertCanUpdate(task, changes, user) {
+  if (await permissionsService.hasPermission(user, 'responsibilities:manage')) return;
+
+  if (changes.completed !== undefined && task.userId !== user.userId) {
+    throw new ForbiddenError('Only the person responsible can change whether this responsibility is completed');
+  }
+
+  const editsDetails = DETAIL_FIELDS.some(field => changes[field] !== undefined) || changes.checklist !== undefined;
+  if (editsDetails && (task.assignedBy || task.userId) !== user.userId) {
+    throw new ForbiddenError(task.assignedBy
+      ? 'Only the user who assigned this responsibility can edit it'
+      : 'Not authorized to update this responsibility');
+  }
+}
+
+/**
+ * Owners, assigners and responsibilities:manage can see and remove a task
+ */
+async function canManageTask(task, user) {
+  return task.userId === user.userId ||
+    task.assignedBy === user.userId ||
+    permissionsService.hasPermission(user, 'responsibilities:manage');
+}
+
+/**
+ * Load a responsibility for someone who wants to see or discuss it: its owner, its
+ * assigner, or anyone with responsibilities:view-all. Occurrence IDs resolve to
+ * their series.
+ * @returns {object} The task ({ _id, ... })
+ */
+async function getVisibleTask(id, user, env = null) {
+  const { task } = await getTask(id, env);
+
+  if (task.userId !== user.userId &&
+      task.assignedBy !== user.userId &&
+      !(await permissionsService.hasPermission(user, 'responsibilities:view-all'))) {
+    throw new ForbiddenError('Not authorized to view this responsibility');
+  }
+
+  return task;
+}
+
+/**
+ * Read task documents, optionally for one user
+ * Declined assignments are no longer anyone's responsibility and are left out.
+ */
+async function fetchTasks(userId, env = null) {
+  let query = getFirestore(env).collection('tasks');
+  if (userId) {
+    query = query.where('userId', '==', userId);
+  }
+
+  const snapshot = await query.get();
   const tasks = [];
   snapshot.forEach(doc => {
+    if (doc.data().assignmentStatus === 'declined') return;
     tasks.push({
       _id: doc.id,
       ...doc.data()
     });
   });
 
-  // Sort in JavaScript instead of Firestore
-  tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return tasks;
+}
+
+/**
+ * Load the task behind a task, series or occurrence ID
+ * @returns {object} { ref, task, occurrenceDate }
+ */
+async function getTask(id, env = null) {
+  const { taskId, occurrenceDate } = parseTaskId(id);
+  const ref = getFirestore(env).collection('tasks').doc(taskId);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw new NotFoundError('Responsibility not found');
+  }
+
+  const task = { _id: doc.id, ...doc.data() };
+  if (occurrenceDate && (!task.recurrence || !isActiveOccurrence(task, occurrenceDate))) {
+    throw new NotFoundError('Occurrence not found');
+  }
 
-  return { tasks };
+  return { ref, task, occurrenceDate };
 }
 
 /**
- * Get all responsibilities (community view)
+ * Resolve assignee IDs to users, reporting unknown ones as validation problems
+ */
+async function resolveAssignees(assignees, env = null) {
+  const users = await Promise.all(assignees.map(userId => usersService.getUserSummary(userId, env)));
+  const problems = users
+    .map((assignee, index) => (assignee ? null : {
+      location: 'body',
+      field: `assignees[${index}]`,
+      message: `Unknown user: ${assignees[index]}`
+    }))
+    .filter(Boolean);
+
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+
+  return users;
+}
+
+/**
+ * Build the document for a new task owned by `user` from validated create fields
  */
-async function getAllResponsibilities(env = null) {
+const buildTaskData = (fields, user, now) => {
+  const {
+    title, description, date, startTime, endTime, durationMinutes,
+    priority, category, tags, reminderMinutes, recurrence
+  } = fields;
+
+  return withRemindAt({
+    title,
+    description,
+    date,
+    startTime,
+    ...resolveEndTime(startTime, { endTime, durationMinutes }),
+    priority,
+    category: category || null,
+    ...getQueryFields({ priority, category: category || null }),
+    tags: tags ? normalizeTags(tags) : [],
+    reminderMinutes: reminderMinutes === undefined ? null : reminderMinutes,
+    checklist: (fields.checklist || []).map(item => newChecklistItem(item, now)),
+    userId: user.userId,
+    username: user.username,
+    completed: false,
+    createdAt: now,
+    completedAt: null,
+    updatedAt: now,
+    ...(recurrence && {
+      recurrence: recurrenceSchemas.prepareRecurrence(recurrence, date),
+      occurrences: {}
+    })
+  });
+};
+
+/**
+ * Create a new responsibility, or a recurring series when a recurrence rule is given.
+ * With `assignees`, one task is created per assignee and each is notified.
+ */
+async function createResponsibility(data, user, env = null) {
+  const fields = assertValid(responsibilitySchemas.create.body, data);
+  const { title, date, startTime, recurrence, assignees } = fields;
+
   const firestore = getFirestore(env);
+  const now = new Date().toISOString();
+  const taskData = buildTaskData(fields, user, now);
 
-  const snapshot = await firestore
-    .collection('tasks')
-    .get();
+  if (!assignees) {
+    const docRef = firestore.collection('tasks').doc();
+    const batch = firestore.batch();
+    batch.set(docRef, taskData);
+    addAuditEntry(batch, firestore, docRef.id, 'created', user);
+    await batch.commit();
 
-  const tasks = [];
-  snapshot.forEach(doc => {
-    tasks.push({
-      _id: doc.id,
-      ...doc.data()
+    return {
+      taskId: docRef.id,
+      task: { id: docRef.id, ...taskData }
+    };
+  }
+
+  if (!(await permissionsService.hasPermission(user, 'responsibilities:assign'))) {
+    throw new ForbiddenError('Insufficient permissions to assign responsibilities');
+  }
+
+  const users = await resolveAssignees([...new Set(assignees)], env);
+  const assignmentId = firestore.collection('tasks').doc().id;
+  const batch = firestore.batch();
+
+  const tasks = users.map(assignee => {
+    const ref = firestore.collection('tasks').doc();
+    const assignedTask = {
+      ...taskData,
+      userId: assignee.userId,
+      username: assignee.username,
+      assignmentId,
+      assignedBy: user.userId,
+      assignedByName: getDisplayName(user),
+      // Assigning yourself needs no answer
+      assignmentStatus: assignee.userId === user.userId ? 'accepted' : 'pending',
+      respondedAt: null,
+      declineReason: null
+    };
+
+    batch.set(ref, assignedTask);
+    addAuditEntry(batch, firestore, ref.id, 'assigned', user, {
+      changes: { userId: { from: null, to: assignee.userId } }
     });
+    return { id: ref.id, ...assignedTask, assignee };
   });
 
-  // Sort in JavaScript instead of Firestore
-  tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  await batch.commit();
+
+  for (const { id, assignee } of tasks) {
+    if (assignee.userId === user.userId) continue;
+
+    await notify({
+      type: 'responsibility_assigned',
+      title: '📋 New Responsibility Assigned',
+      message: `${getDisplayName(user)} assigned you "${title}" on ${date} at ${startTime}${recurrence ? ' (recurring)' : ''}`,
+      targetUserId: assignee.userId,
+      targetUserType: assignee.userType,
+      createdBy: user.userId,
+      createdByName: getDisplayName(user),
+      responsibilityId: id,
+      responsibilityTitle: title,
+      responsibilityDate: date,
+      priority: 'high'
+    }, env);
+  }
+
+  console.log(`📋 ${getDisplayName(user)} assigned "${title}" to ${tasks.length} user(s)`);
+
+  return {
+    assignmentId,
+    taskIds: tasks.map(task => task.id),
+    tasks: tasks.map(({ assignee, ...task }) => task)
+  };
+}
+
+/**
+ * Filter, sort and page tasks. Single tasks are filtered, sorted and paged in
+ * Firestore; series only exist as occurrences once expanded, so only series
+ * documents are read in full and their occurrences (over the bounded date range)
+ * are merged into the page.
+ * @param {object} options - { from, to, priority, category, tag, completed, sort, order, limit, cursor }
+ * @returns {object} { tasks, nextCursor }
+ */
+async function listTasks(userId, options, env = null) {
+  const { priority, category, tag, completed, sort = 'createdAt', order, limit = 50, cursor } = options;
+  const range = recurrenceService.resolveRange(options);
+  const collection = getFirestore(env).collection('tasks');
+
+  let query = collection;
+  if (userId) query = query.where('userId', '==', userId);
+
+  const series = await query.where('recurrence', '!=', null).get();
+  const occurrences = expandTasks(
+    series.docs
+      .filter(doc => doc.data().assignmentStatus !== 'declined')
+      .map(doc => ({ _id: doc.id, ...doc.data() })),
+    range
+  ).filter(task => matchesFilters(task, options));
+
+  let single = query;
+  if (range.explicit) single = single.where('date', '>=', range.from).where('date', '<=', range.to);
+  if (priority) single = single.where('priority', '==', priority);
+  if (category) single = single.where('categoryKey', '==', category.toLowerCase());
+  if (tag) single = single.where('tags', 'array-contains', tag.toLowerCase());
+  if (completed !== undefined) single = single.where('completed', '==', completed);
+
+  const page = await paginateMerged({
+    collection,
+    query: single,
+    toItem: doc => ({ _id: doc.id, ...doc.data() }),
+    // Series documents also match these filters, and declined assignments are no one's
+    include: doc => !doc.data().recurrence && doc.data().assignmentStatus !== 'declined'
+  }, occurrences, {
+    sort: SORT_FIELDS[sort],
+    key: SORT_KEYS[sort],
+    getId: task => task._id,
+    order: resolveOrder(sort, order),
+    limit,
+    cursor
+  });
+
+  return { tasks: page.items, nextCursor: page.nextCursor };
+}
+
+/**
+ * Queue imported responsibilities (already checked against the create schema) in a
+ * batch or transaction, so a whole import succeeds or fails together; the caller commits
+ * @param {object} writer - Firestore batch or transaction
+ * @param {object[]} rows - Create fields per task
+ * @param {object} details - Extra fields stored on every task (e.g. { importId })
+ * @param {object} assignee - User the tasks are for (a user summary) when not the
+ *   importer; they are assigned like POST /api/responsibilities with `assignees`
+ * @returns {object[]} Created tasks ({ id, ...task })
+ */
+function addImportedTasks(writer, rows, user, details = {}, assignee = null, env = null) {
+  const firestore = getFirestore(env);
+  const now = new Date().toISOString();
+  const assigned = assignee && assignee.userId !== user.userId;
+
+  return rows.map(fields => {
+    const ref = firestore.collection('tasks').doc();
+    // The import's time zone (in `details`) decides when the reminder is due
+    const taskData = withRemindAt({
+      ...buildTaskData(fields, user, now),
+      ...(assigned && {
+        userId: assignee.userId,
+        username: assignee.username,
+        assignmentId: ref.id,
+        assignedBy: user.userId,
+        assignedByName: getDisplayName(user),
+        assignmentStatus: 'pending',
+        respondedAt: null,
+        declineReason: null
+      }),
+      ...details
+    });
+
+    writer.set(ref, taskData);
+    addAuditEntry(writer, firestore, ref.id, 'imported', user, assigned
+      ? { changes: { userId: { from: null, to: assignee.userId } } }
+      : {});
+    return { id: ref.id, ...taskData };
+  });
+}
+
+/**
+ * Tell each assignee of an import how many responsibilities it assigned them
+ * (one notification per assignee rather than one per row)
+ * @param {object[]} assignees - [{ assignee: user summary, count }]
+ * @param {string} filename - Uploaded file name
+ */
+async function notifyImportedAssignments(assignees, user, filename, env = null) {
+  for (const { assignee, count } of assignees) {
+    if (assignee.userId === user.userId) continue;
+
+    await notify({
+      type: 'responsibility_assigned',
+      title: '📋 New Responsibilities Assigned',
+      message: `${getDisplayName(user)} assigned you ${count} responsibilit${count === 1 ? 'y' : 'ies'}${filename ? ` from ${filename}` : ''}`,
+      targetUserId: assignee.userId,
+      targetUserType: assignee.userType,
+      createdBy: user.userId,
+      createdByName: getDisplayName(user),
+      priority: 'high'
+    }, env);
+  }
+}
+
+/**
+ * Queue updates of existing tasks matched by an import: the description and end
+ * time come from the imported row (title, date and start time already match)
+ * @param {object[]} matches - [{ task, fields }]
+ * @returns {object[]} [{ taskId, previous, updatedAt }] with the values a rollback restores
+ */
+function addImportedUpdates(writer, matches, user, env = null) {
+  const firestore = getFirestore(env);
+  const now = new Date().toISOString();
+
+  return matches.map(({ task, fields }) => {
+    const updates = {
+      description: fields.description,
+      ...resolveEndTime(task.startTime, { endTime: fields.endTime, durationMinutes: fields.durationMinutes })
+    };
+    if (fields.timezone) {
+      Object.assign(updates, timezoneService.getInstants({ ...task, ...updates }, fields.timezone));
+      updates.remindAt = getRemindAt({ ...task, ...updates });
+    }
+
+    const previous = {};
+    Object.keys(updates).forEach(field => { previous[field] = task[field] === undefined ? null : task[field]; });
+
+    writer.update(firestore.collection('tasks').doc(task._id), {
+      ...updates,
+      updatedAt: now,
+      updatedBy: user.userId,
+      updatedByName: getDisplayName(user)
+    });
+    addAuditEntry(writer, firestore, task._id, 'updated', user, { changes: diffFields(task, updates) });
+
+    return { taskId: task._id, previous, updatedAt: now };
+  });
+}
+
+/**
+ * Queue the undoing of an import in a transaction: delete the tasks it created and
+ * restore the fields it updated. Tasks deleted since are left alone; tasks changed
+ * or commented on since they were imported are kept as they are and reported.
+ * Deleted tasks take their reminder records with them.
+ * @param {object} record - Import batch record, or part of one ({ createdTaskIds, updated })
+ * @returns {object} { deleted, restored, skipped: [{ taskId, title, reason: 'changed' | 'commented' }] }
+ */
+async function addImportRollback(transaction, record, user, env = null) {
+  const firestore = getFirestore(env);
+  const now = new Date().toISOString();
+  const tasks = firestore.collection('tasks');
+
+  // Transactions read everything before writing
+  const created = (await Promise.all(record.createdTaskIds.map(id => transaction.get(tasks.doc(id)))))
+    .filter(doc => doc.exists);
+  const updated = await Promise.all(record.updated.map(({ taskId }) => transaction.get(tasks.doc(taskId))));
+  const comments = await Promise.all(created.map(doc => transaction.get(firestore.collection(COMMENTS_COLLECTION)
+    .where('targetType', '==', 'responsibility')
+    .where('targetId', '==', doc.id)
+    .limit(1))));
+
+  const skipped = [];
+  const keep = (doc, reason) => {
+    skipped.push({ taskId: doc.id, title: doc.data().title, reason });
+    return false;
+  };
+  const isChanged = (doc, importedAt) => doc.data().updatedAt > importedAt;
+
+  const removed = created.filter((doc, index) => {
+    if (isChanged(doc, doc.data().createdAt)) return keep(doc, 'changed');
+    if (!comments[index].empty) return keep(doc, 'commented');
+    return true;
+  });
+  const reminders = await Promise.all(removed.map(doc =>
+    transaction.get(firestore.collection(REMINDERS_COLLECTION).where('taskId', '==', doc.id))));
+
+  removed.forEach((doc, index) => {
+    transaction.delete(doc.ref);
+    reminders[index].forEach(reminder => transaction.delete(reminder.ref));
+    addAuditEntry(transaction, firestore, doc.id, 'deleted', user, {
+      changes: { title: { from: doc.data().title, to: null } }
+    });
+  });
+
+  let restored = 0;
+  updated.forEach((doc, index) => {
+    if (!doc.exists) return;
+
+    const { previous, updatedAt } = record.updated[index];
+    if (isChanged(doc, updatedAt)) {
+      keep(doc, 'changed');
+      return;
+    }
+
+    transaction.update(doc.ref, {
+      ...previous,
+      updatedAt: now,
+      updatedBy: user.userId,
+      updatedByName: getDisplayName(user)
+    });
+    addAuditEntry(transaction, firestore, doc.id, 'updated', user, { changes: diffFields(doc.data(), previous) });
+    restored++;
+  });
+
+  return { deleted: removed.length, restored, skipped };
+}
+
+/**
+ * Get user's responsibilities, with series expanded into occurrences
+ * @param {object} options - Filters, sort and page (see listTasks)
+ */
+async function getUserResponsibilities(userId, options = {}, env = null) {
+  return listTasks(userId, options, env);
+}
+
+/**
+ * Get all responsibilities (community view)
+ * @param {object} options - Filters, sort and page (see listTasks)
+ */
+async function getAllResponsibilities(options = {}, env = null) {
+  return listTasks(null, options, env);
+}
+
+/**
+ * Tell the assigner when an assignee completes an assigned task or occurrence
+ */
+async function notifyCompletion(task, user, occurrenceDate, env = null) {
+  if (!task.assignedBy || task.assignedBy === user.userId) return;
+
+  const assigner = await usersService.getUserSummary(task.assignedBy, env);
+  if (!assigner) return;
 
-  return { tasks };
+  await notify({
+    type: 'responsibility_completed',
+    title: '✅ Responsibility Completed',
+    message: `${getDisplayName(user)} completed "${task.title}"${occurrenceDate ? ` on ${occurrenceDate}` : ''}`,
+    targetUserId: assigner.userId,
+    targetUserType: assigner.userType,
+    createdBy: user.userId,
+    createdByName: getDisplayName(user),
+    responsibilityId: task._id,
+    responsibilityTitle: task.title,
+    responsibilityDate: occurrenceDate || task.date,
+    priority: 'medium'
+  }, env);
 }
 
 /**
- * Update responsibility
+ * Update a task, a whole series, or one occurrence of a series
+ * @param {string} id - Task, series or occurrence ID
+ * @param {object} user - User making the change
+ * @param {object} options - { scope: 'occurrence' | 'series' }
  */
-async function updateResponsibility(id, data, env = null) {
-  const { completed, title, description } = data;
+async function updateResponsibility(id, data, user, options = {}, env = null) {
+  const changes = assertValid(responsibilitySchemas.update.body, data);
+  const { ref, task, occurrenceDate } = await getTask(id, env);
   const firestore = getFirestore(env);
+  const now = new Date().toISOString();
 
+  await assertCanUpdate(task, changes, user);
+
+  if (changes.completed && task.assignmentStatus && task.assignmentStatus !== 'accepted') {
+    throw new ConflictError('The assignment has to be accepted before it can be completed');
+  }
+
+  const editsOccurrence = occurrenceDate && options.scope !== 'series';
+  if (editsOccurrence && changes.recurrence) {
+    throw new BadRequestError('Recurrence can only be changed for the whole series');
+  }
+  if (!editsOccurrence && task.recurrence && changes.completed !== undefined) {
+    throw new BadRequestError('Recurring responsibilities are completed one occurrence at a time');
+  }
+  if (!task.recurrence && changes.recurrence) {
+    throw new BadRequestError('Only recurring responsibilities have a recurrence rule');
+  }
+
+  const current = editsOccurrence ? toOccurrence(task, occurrenceDate) : task;
+
+  const updates = {};
+  if (changes.completed !== undefined) updates.completed = changes.completed;
+  DETAIL_FIELDS
+    .filter(field => changes[field] !== undefined)
+    .forEach(field => { updates[field] = changes[field]; });
+  if (changes.tags) {
+    updates.tags = normalizeTags(changes.tags);
+  }
+  if (TIME_FIELDS.some(field => changes[field] !== undefined)) {
+    // A new start time alone keeps the current end time
+    const ending = changes.endTime !== undefined || changes.durationMinutes !== undefined
+      ? { endTime: changes.endTime, durationMinutes: changes.durationMinutes }
+      : { endTime: current.endTime };
+    Object.assign(updates, resolveEndTime(updates.startTime || current.startTime, ending));
+  }
+  if (changes.recurrence) {
+    updates.recurrence = recurrenceSchemas.prepareRecurrence(changes.recurrence, task.date);
+  }
+
+  const audited = diffFields(current, updates);
+  Object.assign(updates, getQueryFields(updates));
+  // Tasks with a time zone keep their UTC timestamps in step with their times
+  // (an occurrence's in its override)
+  if (task.timezone && ['date', ...TIME_FIELDS].some(field => updates[field] !== undefined)) {
+    const { startsAt, endsAt } = timezoneService.getInstants({ ...current, ...updates }, task.timezone);
+    Object.assign(updates, { startsAt, endsAt });
+  }
+  if (!task.recurrence && ['date', 'reminderMinutes', ...TIME_FIELDS].some(field => updates[field] !== undefined)) {
+    updates.remindAt = getRemindAt({ ...current, ...updates });
+  }
+  if (updates.completed !== undefined) {
+    updates.completedAt = updates.completed ? now : null;
+  }
+
+  // Occurrence changes live in the series' occurrences map
+  const prefix = editsOccurrence ? `occurrences.${occurrenceDate}.` : '';
   const updateData = {
-    updatedAt: new Date().toISOString()
+    updatedAt: now,
+    updatedBy: user.userId,
+    updatedByName: getDisplayName(user),
+    ...(editsOccurrence && { [`${prefix}updatedAt`]: now })
   };
+  Object.entries(updates).forEach(([field, value]) => { updateData[`${prefix}${field}`] = value; });
 
-  if (completed !== undefined) {
-    updateData.completed = completed;
-    updateData.completedAt = completed ? new Date().toISOString() : null;
+  let action = 'updated';
+  if (Object.keys(audited).length === 1 && audited.completed) {
+    action = audited.completed.to ? 'completed' : 'reopened';
   }
 
-  if (title !== undefined) updateData.title = title;
-  if (description !== undefined) updateData.description = description;
+  const batch = firestore.batch();
+  batch.update(ref, updateData);
+  addAuditEntry(batch, firestore, task._id, action, user, {
+    occurrenceDate: editsOccurrence ? occurrenceDate : null,
+    changes: audited
+  });
+  await batch.commit();
 
-  await firestore.collection('tasks').doc(id).update(updateData);
+  if (changes.completed && !current.completed) {
+    await notifyCompletion(task, user, editsOccurrence ? occurrenceDate : null, env);
+  }
+
+  if (editsOccurrence) {
+    const updated = await ref.get();
+    return {
+      message: 'Occurrence updated successfully',
+      task: toOccurrence({ _id: updated.id, ...updated.data() }, occurrenceDate)
+    };
+  }
 
   return { message: 'Responsibility updated successfully' };
 }
 
 /**
- * Delete responsibility
+ * Change a task's checklist in a transaction, completing or reopening the task to match
+ * @param {object} changes - What the change touches, for assertCanUpdate: { completed }
+ *   for checking items off, { checklist } for adding, renaming and removing them
+ * @param {function} apply - checklist => { checklist, item (changed item, null once
+ *   removed), previous (item before the change, null when added) }
+ * @returns {object} { item, checklist, progress, completed }
  */
-async function deleteResponsibility(id, userId, env = null) {
+async function changeChecklist(id, user, changes, apply, env = null) {
   const firestore = getFirestore(env);
-  
-  // Verify ownership
-  const doc = await firestore.collection('tasks').doc(id).get();
-  if (!doc.exists) {
-    const error = new Error('Responsibility not found');
-    error.statusCode = 404;
-    throw error;
+  const { taskId, occurrenceDate } = parseTaskId(id);
+  const ref = firestore.collection('tasks').doc(taskId);
+  const now = new Date().toISOString();
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new NotFoundError('Responsibility not found');
+    }
+
+    const task = { _id: doc.id, ...doc.data() };
+    if (occurrenceDate || task.recurrence) {
+      throw new BadRequestError('Recurring responsibilities cannot have a checklist');
+    }
+
+    await assertCanUpdate(task, changes, user);
+    if (changes.completed && task.assignmentStatus && task.assignmentStatus !== 'accepted') {
+      throw new ConflictError('The assignment has to be accepted before it can be completed');
+    }
+
+    const { checklist, item, previous } = apply(task.checklist || []);
+    const progress = getChecklistProgress(checklist);
+    const opensItem = item && !item.completed && (!previous || previous.completed);
+
+    let { completed } = task;
+    if (progress.total > 0 && progress.completed === progress.total) completed = true;
+    else if (opensItem) completed = false;
+
+    const summary = (entry) => (entry ? { title: entry.title, completed: entry.completed } : null);
+    transaction.update(ref, {
+      checklist,
+      completed,
+      completedAt: completed === task.completed ? task.completedAt || null : (completed ? now : null),
+      updatedAt: now,
+      updatedBy: user.userId,
+      updatedByName: getDisplayName(user)
+    });
+    addAuditEntry(transaction, firestore, task._id, 'checklist-updated', user, {
+      changes: { [`checklist.${(item || previous).id}`]: { from: summary(previous), to: summary(item) } }
+    });
+    if (completed !== task.completed) {
+      addAuditEntry(transaction, firestore, task._id, completed ? 'completed' : 'reopened', user, {
+        changes: { completed: { from: task.completed, to: completed } }
+      });
+    }
+
+    return { task, item, checklist, progress, completed };
+  });
+
+  if (result.completed && !result.task.completed) {
+    await notifyCompletion(result.task, user, null, env);
+  }
+
+  const { task, ...checklistState } = result;
+  return checklistState;
+}
+
+/**
+ * Find a checklist item, or fail
+ */
+const findChecklistItem = (checklist, itemId) => {
+  const item = checklist.find(entry => entry.id === itemId);
+  if (!item) {
+    throw new NotFoundError('Checklist item not found');
+  }
+  return item;
+};
+
+/**
+ * Add an open item to a task's checklist (whoever can edit the task's details)
+ */
+async function addChecklistItem(id, { title }, user, env = null) {
+  const result = await changeChecklist(id, user, { checklist: true }, (checklist) => {
+    if (checklist.length >= responsibilitySchemas.MAX_CHECKLIST_ITEMS) {
+      throw new BadRequestError(`A checklist can have at most ${responsibilitySchemas.MAX_CHECKLIST_ITEMS} items`);
+    }
+    const item = newChecklistItem(title, new Date().toISOString());
+    return { checklist: [...checklist, item], item, previous: null };
+  }, env);
+
+  return { message: 'Checklist item added', ...result };
+}
+
+/**
+ * Rename a checklist item (whoever can edit the task's details) or check it off
+ * (the person responsible)
+ * @param {object} changes - { title, completed }
+ */
+async function updateChecklistItem(id, itemId, changes, user, env = null) {
+  const touches = {
+    ...(changes.title !== undefined && { checklist: true }),
+    ...(changes.completed !== undefined && { completed: changes.completed })
+  };
+
+  const result = await changeChecklist(id, user, touches, (checklist) => {
+    const previous = findChecklistItem(checklist, itemId);
+    const now = new Date().toISOString();
+    const item = { ...previous, ...changes };
+    if (changes.completed !== undefined && changes.completed !== previous.completed) {
+      item.completedAt = changes.completed ? now : null;
+      item.completedBy = changes.completed ? user.userId : null;
+    }
+    return { checklist: checklist.map(entry => (entry.id === itemId ? item : entry)), item, previous };
+  }, env);
+
+  return { message: 'Checklist item updated', ...result };
+}
+
+/**
+ * Remove a checklist item (whoever can edit the task's details)
+ */
+async function deleteChecklistItem(id, itemId, user, env = null) {
+  const result = await changeChecklist(id, user, { checklist: true }, (checklist) => {
+    const previous = findChecklistItem(checklist, itemId);
+    return { checklist: checklist.filter(entry => entry.id !== itemId), item: null, previous };
+  }, env);
+
+  return { message: 'Checklist item removed', ...result };
+}
+
+/**
+ * Delete a task or a whole series, or cancel one occurrence of a series
+ * (Owner, the user who assigned it, or responsibilities:manage)
+ * @param {string} id - Task, series or occurrence ID
+ * @param {object} options - { scope: 'occurrence' | 'series' }
+ */
+async function deleteResponsibility(id, user, options = {}, env = null) {
+  const { ref, task, occurrenceDate } = await getTask(id, env);
+  const firestore = getFirestore(env);
+
+  if (!(await canManageTask(task, user))) {
+    throw new ForbiddenError('Not authorized to delete this responsibility');
   }
 
-  const task = doc.data();
-  if (task.userId !== userId) {
-    const error = new Error('Not authorized to delete this responsibility');
-    error.statusCode = 403;
-    throw error;
+  const batch = firestore.batch();
+
+  if (occurrenceDate && options.scope !== 'series') {
+    const now = new Date().toISOString();
+    batch.update(ref, {
+      [`occurrences.${occurrenceDate}.cancelled`]: true,
+      [`occurrences.${occurrenceDate}.updatedAt`]: now,
+      updatedAt: now,
+      updatedBy: user.userId,
+      updatedByName: getDisplayName(user)
+    });
+    addAuditEntry(batch, firestore, task._id, 'occurrence-cancelled', user, { occurrenceDate });
+    await batch.commit();
+
+    return { message: 'Occurrence cancelled successfully' };
   }
 
-  await firestore.collection('tasks').doc(id).delete();
+  batch.delete(ref);
+  addAuditEntry(batch, firestore, task._id, 'deleted', user, {
+    changes: { title: { from: task.title, to: null } }
+  });
+  await batch.commit();
 
   return { message: 'Responsibility deleted successfully' };
 }
 
 /**
- * Get unique dates with task counts
+ * Get the audit trail of a task, newest first (Owner, the user who assigned it,
+ * or responsibilities:manage)
+ * @param {string} id - Task, series or occurrence ID (occurrence IDs return the series trail)
  */
-async function getTaskDates(userId, env = null) {
+async function getResponsibilityHistory(id, user, env = null) {
+  const { task } = await getTask(id, env);
+
+  if (!(await canManageTask(task, user))) {
+    throw new ForbiddenError('Not authorized to view the history of this responsibility');
+  }
+
+  const snapshot = await getFirestore(env)
+    .collection(AUDIT_COLLECTION)
+    .where('taskId', '==', task._id)
+    .get();
+
+  const history = [];
+  snapshot.forEach(doc => {
+    history.push({ id: doc.id, ...doc.data() });
+  });
+
+  // Sort in JavaScript instead of Firestore
+  history.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return { taskId: task._id, history };
+}
+
+/**
+ * Accept or decline an assignment (assignee only, while it is pending)
+ * @param {string} id - Task, series or occurrence ID
+ * @param {string} response - 'accepted' or 'declined'
+ */
+async function respondToAssignment(id, user, response, reason = null, env = null) {
+  const { ref, task } = await getTask(id, env);
+
+  if (!task.assignedBy) {
+    throw new BadRequestError('This responsibility was not assigned');
+  }
+  if (task.userId !== user.userId) {
+    throw new ForbiddenError('Only the assignee can respond to this assignment');
+  }
+  if (task.assignmentStatus !== 'pending') {
+    throw new ConflictError(`Assignment already ${task.assignmentStatus}`);
+  }
+
   const firestore = getFirestore(env);
-  
-  let query = firestore.collection('tasks');
-  if (userId && userId !== 'all') {
-    query = query.where('userId', '==', userId);
+  const now = new Date().toISOString();
+  const batch = firestore.batch();
+  batch.update(ref, {
+    assignmentStatus: response,
+    respondedAt: now,
+    declineReason: response === 'declined' ? reason || null : null,
+    updatedAt: now,
+    updatedBy: user.userId,
+    updatedByName: getDisplayName(user)
+  });
+  addAuditEntry(batch, firestore, task._id, response, user, {
+    changes: diffFields(task, { assignmentStatus: response })
+  });
+  await batch.commit();
+
+  const assigner = await usersService.getUserSummary(task.assignedBy, env);
+  if (assigner) {
+    await notify({
+      type: `responsibility_${response}`,
+      title: response === 'accepted' ? '👍 Assignment Accepted' : '👎 Assignment Declined',
+      message: `${getDisplayName(user)} ${response} "${task.title}"${response === 'declined' && reason ? `: ${reason}` : ''}`,
+      targetUserId: assigner.userId,
+      targetUserType: assigner.userType,
+      createdBy: user.userId,
+      createdByName: getDisplayName(user),
+      responsibilityId: task._id,
+      responsibilityTitle: task.title,
+      responsibilityDate: task.date,
+      priority: response === 'declined' ? 'high' : 'medium'
+    }, env);
   }
 
-  const snapshot = await query.get();
-  const dateMap = new Map();
+  return {
+    message: `Assignment ${response}`,
+    taskId: task._id,
+    assignmentStatus: response
+  };
+}
 
+/**
+ * Get the responsibilities a user assigned, grouped by assignment with each
+ * assignee's status
+ */
+async function getAssignedResponsibilities(userId, env = null) {
+  const snapshot = await getFirestore(env)
+    .collection('tasks')
+    .where('assignedBy', '==', userId)
+    .get();
+
+  const assignments = new Map();
   snapshot.forEach(doc => {
-    const data = doc.data();
-    const date = data.date;
+    const task = doc.data();
+    if (!assignments.has(task.assignmentId)) {
+      assignments.set(task.assignmentId, {
+        assignmentId: task.assignmentId,
+        title: task.title,
+        description: task.description,
+        date: task.date,
+        startTime: task.startTime,
+        endTime: task.endTime,
+        priority: task.priority || DEFAULT_PRIORITY,
+        category: task.category || null,
+        tags: task.tags || [],
+        recurrence: task.recurrence || null,
+        createdAt: task.createdAt,
+        assignees: [],
+        summary: { pending: 0, accepted: 0, declined: 0, completed: 0 }
+      });
+    }
+
+    const assignment = assignments.get(task.assignmentId);
+    assignment.assignees.push({
+      taskId: doc.id,
+      userId: task.userId,
+      username: task.username,
+      assignmentStatus: task.assignmentStatus,
+      respondedAt: task.respondedAt,
+      declineReason: task.declineReason,
+      completed: task.completed,
+      completedAt: task.completedAt
+    });
+    assignment.summary[task.assignmentStatus]++;
+    if (task.completed) assignment.summary.completed++;
+  });
+
+  // Sort in JavaScript instead of Firestore
+  const result = Array.from(assignments.values());
+  result.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  result.forEach(assignment => assignment.assignees.sort((a, b) => a.username.localeCompare(b.username)));
+
+  return { assignments: result };
+}
+
+/**
+ * Get unique dates with task counts
+ * @param {object} filters - { from, to, priority, category, tag, completed }
+ */
+async function getTaskDates(userId, filters = {}, env = null) {
+  const tasks = expandTasks(
+    await fetchTasks(userId && userId !== 'all' ? userId : null, env),
+    recurrenceService.resolveRange(filters)
+  ).filter(task => matchesFilters(task, filters));
+  const dateMap = new Map();
+
+  tasks.forEach(task => {
+    const date = task.date;
     if (dateMap.has(date)) {
       dateMap.set(date, dateMap.get(date) + 1);
     } else {
@@ -174,42 +1191,398 @@ async function getTaskDates(userId, env = null) {
   return { dates };
 }
 
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+
 /**
- * Get task statistics for user
+ * When a task or occurrence stops being on time: the end of its due date, in its
+ * time zone when it has one (imported tasks), otherwise in server time
  */
-async function getTaskStats(userId, env = null) {
-  const firestore = getFirestore(env);
+const getDueTime = (task) => {
+  const nextDay = recurrenceService.addDays(task.date, 1);
+  return task.timezone
+    ? new Date(timezoneService.toUtc(nextDay, '00:00', task.timezone).instant)
+    : new Date(`${nextDay}T00:00:00`);
+};
 
-  const snapshot = await firestore
-    .collection('tasks')
-    .where('userId', '==', userId)
-    .get();
+/**
+ * The day, week (Monday to Sunday) or calendar month a date falls in
+ * @returns {object} { start, end } as YYYY-MM-DD
+ */
+const getPeriod = (date, period) => {
+  if (period === 'day') return { start: date, end: date };
 
-  let total = 0;
-  let completed = 0;
+  if (period === 'week') {
+    const start = recurrenceService.addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+    return { start, end: recurrenceService.addDays(start, 6) };
+  }
 
-  snapshot.forEach(doc => {
-    const data = doc.data();
-    total++;
-    if (data.completed) completed++;
+  const [year, month] = date.split('-').map(Number);
+  return {
+    start: `${date.slice(0, 7)}-01`,
+    end: new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0]
+  };
+};
+
+const emptyCounts = () => ({ total: 0, completed: 0, onTime: 0, late: 0 });
+
+/**
+ * Count a task or occurrence. Completions are on time when `completedAt` is before
+ * the end of the due date; completions without a timestamp are neither.
+ */
+const countTask = (counts, task) => {
+  counts.total++;
+  if (!task.completed) return;
+
+  counts.completed++;
+  if (!task.completedAt) return;
+  if (new Date(task.completedAt) < getDueTime(task)) counts.onTime++;
+  else counts.late++;
+};
+
+const withRates = (counts) => ({
+  ...counts,
+  completionRate: percentage(counts.completed, counts.total) || 0,
+  onTimeRate: percentage(counts.onTime, counts.onTime + counts.late)
+});
+
+/**
+ * Streaks of days on which everything due was completed. Only days with something
+ * due count: days off neither extend nor break a streak. The current streak runs up
+ * to `until`, whose tasks may still be open without breaking it.
+ * @param {object} days - { date: { total, completed } }
+ * @returns {object} { current, longest } in days
+ */
+const getStreaks = (days, until) => {
+  const dates = Object.keys(days).filter(date => date <= until).sort();
+  const isDone = (date) => days[date].completed === days[date].total;
+
+  let longest = 0;
+  let run = 0;
+  dates.forEach(date => {
+    run = isDone(date) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  for (const date of [...dates].reverse()) {
+    if (isDone(date)) current++;
+    else if (date !== until) break;
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Tasks and occurrences due in a range. Without `to`, series count every occurrence
+ * due so far (up to and including today) and single tasks count whatever their date.
+ */
+const getDueTasks = (tasks, { from, to } = {}) => tasks.flatMap(task => {
+  if (task.recurrence) {
+    return expandTasks([task], { from: from && from > task.date ? from : task.date, to: to || today(), explicit: true });
+  }
+  return (!from || task.date >= from) && (!to || task.date <= to) ? [task] : [];
+});
+
+/**
+ * Completion figures for a set of tasks and occurrences
+ * @returns {object} { total, completed, pending, overdue, onTime, late, completionRate,
+ *   onTimeRate, averageCompletionHours, streaks, days }
+ */
+const summarizeTasks = (dueTasks, until) => {
+  const counts = emptyCounts();
+  const days = {};
+  const completionHours = [];
+  let overdue = 0;
+
+  dueTasks.forEach(task => {
+    countTask(counts, task);
+    days[task.date] = days[task.date] || { total: 0, completed: 0 };
+    days[task.date].total++;
+
+    if (task.completed) {
+      days[task.date].completed++;
+      // Occurrences share their series' createdAt, so only single tasks have a meaningful duration
+      if (task.completedAt && !task.seriesId) {
+        completionHours.push((Date.parse(task.completedAt) - Date.parse(task.createdAt)) / (60 * 60 * 1000));
+      }
+    } else if (task.date < today()) {
+      overdue++;
+    }
+  });
+
+  const averageCompletionHours = completionHours.length > 0
+    ? Math.round((completionHours.reduce((sum, hours) => sum + hours, 0) / completionHours.length) * 10) / 10
+    : null;
+
+  return {
+    ...withRates(counts),
+    pending: counts.total - counts.completed,
+    overdue,
+    averageCompletionHours,
+    streaks: getStreaks(days, until)
+  };
+};
+
+/**
+ * Get task statistics for user
+ * @param {object} options - { from, to, period }: with a period ('day', 'week' or
+ *   'month'), `breakdown` splits the figures by period, oldest first
+ */
+async function getTaskStats(userId, options = {}, env = null) {
+  const { from, to, period } = options;
+  const tasks = await fetchTasks(userId, env);
+  const dueTasks = getDueTasks(tasks, { from, to });
+  const until = to && to < today() ? to : today();
+
+  const checklists = { tasks: 0, items: 0, completedItems: 0 };
+  dueTasks.forEach(task => {
+    const checklist = getChecklistProgress(task.seriesId ? [] : task.checklist);
+    if (checklist.total > 0) {
+      checklists.tasks++;
+      checklists.items += checklist.total;
+      checklists.completedItems += checklist.completed;
+    }
   });
 
+  const { total, completed, pending, completionRate, ...timing } = summarizeTasks(dueTasks, until);
   const stats = {
     total,
     completed,
-    pending: total - completed,
-    completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+    pending,
+    completionRate,
+    ...timing,
+    // Subtask progress across the tasks that have a checklist
+    checklists: {
+      ...checklists,
+      progress: percentage(checklists.completedItems, checklists.items)
+    }
   };
 
+  if (period) {
+    const periods = new Map();
+    dueTasks.forEach(task => {
+      const { start, end } = getPeriod(task.date, period);
+      if (!periods.has(start)) periods.set(start, { start, end, ...emptyCounts() });
+      countTask(periods.get(start), task);
+    });
+
+    stats.breakdown = [...periods.values()]
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(withRates);
+  }
+
   return { stats };
 }
 
+/**
+ * Rank everyone with responsibilities due in a range (default: the last 30 days)
+ * by completions, then on-time rate
+ * @param {object} options - { from, to, limit }
+ * @returns {object} { from, to, leaderboard: [{ rank, userId, name, userType, ...figures }] }
+ */
+async function getLeaderboard(options = {}, env = null) {
+  const { to = today(), limit = 10 } = options;
+  const { from = recurrenceService.addDays(to, -(LEADERBOARD_DAYS - 1)) } = options;
+
+  const byUser = new Map();
+  getDueTasks(await fetchTasks(null, env), { from, to }).forEach(task => {
+    if (!byUser.has(task.userId)) byUser.set(task.userId, []);
+    byUser.get(task.userId).push(task);
+  });
+
+  const directory = new Map((await usersService.getDirectory(env)).map(entry => [entry.userId, entry]));
+  const until = to < today() ? to : today();
+
+  const entries = [...byUser.entries()].map(([userId, userTasks]) => {
+    const { streaks, ...summary } = summarizeTasks(userTasks, until);
+    const entry = directory.get(userId);
+    return {
+      userId,
+      name: entry ? entry.name : userId,
+      userType: entry ? entry.userType : null,
+      ...summary,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest
+    };
+  });
+
+  entries.sort((a, b) =>
+    b.completed - a.completed ||
+    (b.onTimeRate || 0) - (a.onTimeRate || 0) ||
+    a.name.localeCompare(b.name));
+
+  return {
+    from,
+    to,
+    leaderboard: entries.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }))
+  };
+}
+
+/**
+ * When a task or occurrence starts: in its time zone when it has one (imported
+ * tasks), otherwise in server time (tasks store wall-clock times)
+ */
+const getStartTime = (task) => (task.timezone
+  ? new Date(timezoneService.toUtc(task.date, task.startTime, task.timezone).instant)
+  : new Date(`${task.date}T${task.startTime}:00`));
+
+const hasReminder = (task) => task.reminderMinutes !== null && task.reminderMinutes !== undefined;
+
+const getReminderTime = (task) => new Date(getStartTime(task).getTime() - task.reminderMinutes * 60 * 1000);
+
+/**
+ * When a one-off task's reminder is due (ISO), stored so sendDueReminders can query
+ * for due tasks; null without a reminder. Series are reminded per occurrence.
+ */
+const getRemindAt = (task) => (task.recurrence || !hasReminder(task) ? null : getReminderTime(task).toISOString());
+
+const withRemindAt = (task) => ({ ...task, remindAt: getRemindAt(task) });
+
+/**
+ * Send the reminders that are due: tasks and occurrences with `reminderMinutes`
+ * whose reminder time has passed but which have not started yet. Completed,
+ * pending and declined responsibilities are skipped. Only one-off tasks whose
+ * `remindAt` falls within the longest lead time, and series, are read.
+ *
+ * Each reminder is claimed in `task_reminders` (keyed by task and start time, so
+ * moving a task reminds again) before it is sent, and marked sent once the
+ * notification is stored and pushed. A failed delivery gives up the claim, and a
+ * claim left unsent longer than REMINDER_CLAIM_MINUTES is taken over, so the
+ * next check tries again.
+ * @param {Date} now - Current time
+ * @returns {object} { sent }
+ */
+async function sendDueReminders(now = new Date(), env = null) {
+  const firestore = getFirestore(env);
+  const tasksCollection = firestore.collection('tasks');
+  const earliest = new Date(now.getTime() - responsibilitySchemas.MAX_REMINDER_MINUTES * 60 * 1000);
+
+  const [single, series] = await Promise.all([
+    tasksCollection
+      .where('completed', '==', false)
+      .where('remindAt', '>', earliest.toISOString())
+      .where('remindAt', '<=', now.toISOString())
+      .get(),
+    tasksCollection.where('recurrence', '!=', null).get()
+  ]);
+
+  const toTasks = (snapshot) => snapshot.docs
+    .map(doc => ({ _id: doc.id, ...doc.data() }))
+    .filter(task => !task.assignmentStatus || task.assignmentStatus === 'accepted');
+
+  // Wide enough for the longest reminder lead time, whatever the server's time zone
+  const date = now.toISOString().split('T')[0];
+  const range = {
+    from: recurrenceService.addDays(date, -1),
+    to: recurrenceService.addDays(date, 1 + Math.ceil(responsibilitySchemas.MAX_REMINDER_MINUTES / MINUTES_PER_DAY)),
+    explicit: true
+  };
+
+  let sent = 0;
+
+  for (const task of [...toTasks(single), ...expandTasks(toTasks(series), range)]) {
+    if (task.completed || !hasReminder(task)) continue;
+
+    const startsAt = getStartTime(task);
+    const remindAt = getReminderTime(task);
+    if (now < remindAt || now >= startsAt) continue;
+
+    // Claiming the reminder first keeps several servers from sending it twice
+    const claimRef = firestore.collection(REMINDERS_COLLECTION).doc(`${task._id}_${startsAt.getTime()}`);
+    const claimed = await firestore.runTransaction(async (transaction) => {
+      const claim = await transaction.get(claimRef);
+      const staleBefore = new Date(now.getTime() - REMINDER_CLAIM_MINUTES * 60 * 1000).toISOString();
+      if (claim.exists && (claim.data().sentAt || claim.data().claimedAt > staleBefore)) {
+        return false;
+      }
+
+      transaction.set(claimRef, {
+        taskId: task.seriesId || task._id,
+        occurrenceDate: task.occurrenceDate || null,
+        userId: task.userId,
+        startsAt: startsAt.toISOString(),
+        remindAt: remindAt.toISOString(),
+        claimedAt: now.toISOString(),
+        sentAt: null
+      });
+      return true;
+    });
+    if (!claimed) continue;
+
+    try {
+      const { pushed } = await notificationsService.createNotification({
+        // Retries overwrite the same notification rather than adding another
+        id: claimRef.id,
+        type: 'responsibility_reminder',
+        title: '⏰ Responsibility Reminder',
+        message: `"${task.title}" starts at ${task.startTime} on ${task.date}`,
+        targetUserId: task.userId,
+        responsibilityId: task._id,
+        responsibilityTitle: task.title,
+        responsibilityDate: task.date,
+        priority: ['high', 'urgent'].includes(task.priority) ? 'high' : 'medium'
+      }, env);
+      if (pushed === false) {
+        throw new Error('Push notification failed');
+      }
+    } catch (error) {
+      console.error(`❌ Error sending the reminder for ${task._id}, retrying on the next check:`, error.message);
+      await claimRef.delete();
+      continue;
+    }
+
+    await claimRef.update({ sentAt: now.toISOString() });
+    sent++;
+  }
+
+  if (sent > 0) {
+    console.log(`⏰ Sent ${sent} responsibility reminder(s)`);
+  }
+
+  return { sent };
+}
+
+/**
+ * Check for due reminders every REMINDER_INTERVAL_SECONDS
+ * @returns {object|null} The interval timer, or null when reminders are disabled
+ */
+function startReminderScheduler(intervalSeconds = config.REMINDER_INTERVAL_SECONDS) {
+  if (!config.REMINDERS_ENABLED) {
+    console.log('⏰ Responsibility reminders are disabled');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    sendDueReminders().catch(error => console.error('❌ Error sending responsibility reminders:', error));
+  }, intervalSeconds * 1000);
+
+  // Never keep the process alive just for reminders
+  timer.unref();
+  console.log(`⏰ Checking for responsibility reminders every ${intervalSeconds}s`);
+
+  return timer;
+}
+
 module.exports = {
   createResponsibility,
+  addImportedTasks,
+  addImportedUpdates,
+  notifyImportedAssignments,
+  addImportRollback,
   getUserResponsibilities,
   getAllResponsibilities,
   updateResponsibility,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
   deleteResponsibility,
+  getResponsibilityHistory,
+  getVisibleTask,
+  respondToAssignment,
+  getAssignedResponsibilities,
   getTaskDates,
-  getTaskStats
+  getTaskStats,
+  getLeaderboard,
+  sendDueReminders,
+  startReminderScheduler
 };
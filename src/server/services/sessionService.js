@@ -0,0 +1,273 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens backed by server-side sessions with
+ * rotating refresh tokens, so sessions can be revoked before tokens expire.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getFirestore } = require('../db');
+const config = require('../config');
+const { ERROR_CODES, UnauthorizedError } = require('../errors');
+
+const COLLECTION = 'sessions';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token secret for storage
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Refresh tokens have the form "<sessionId>.<secret>"
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (!sessionId || !secret || rest.length > 0) return null;
+  return { sessionId, secret };
+};
+
+const createSessionError = (message, code = ERROR_CODES.SESSION_REVOKED) =>
+  new UnauthorizedError(message, { code });
+
+/**
+ * Claims embedded in access tokens and kept on the session for refreshes
+ */
+const toClaims = (user) => ({
+  userId: user.userId,
+  username: user.username,
+  name: user.name || user.username,
+  userType: user.userType,
+  role: user.role,
+  email: user.email
+});
+
+/**
+ * Check whether a stored session can still be used
+ */
+const isSessionUsable = (session) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date();
+
+/**
+ * Sign an access token bound to a session
+ */
+function signAccessToken(claims, sessionId) {
+  const accessToken = jwt.sign(
+    { ...claims, sessionId },
+    config.JWT_SECRET,
+    { expiresIn: config.JWT_EXPIRE }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    accessTokenExpiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Start a new session for a user
+ * @param {object} user - { userId, username, name, userType, email }
+ * @param {object} meta - { userAgent, ip }
+ * @returns {object} { sessionId, accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt }
+ */
+async function createSession(user, meta = {}) {
+  const firestore = getFirestore();
+  const sessionRef = firestore.collection(COLLECTION).doc();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const claims = toClaims(user);
+
+  const sessionData = {
+    ...claims,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    createdAt: now.toISOString(),
+    lastRefreshedAt: null,
+    expiresAt: new Date(now.getTime() + config.REFRESH_TOKEN_EXPIRE_DAYS * DAY_MS).toISOString(),
+    revokedAt: null,
+    revokedReason: null
+  };
+
+  await sessionRef.set(sessionData);
+
+  return {
+    sessionId: sessionRef.id,
+    ...signAccessToken(claims, sessionRef.id),
+    refreshToken: `${sessionRef.id}.${secret}`,
+    refreshTokenExpiresAt: sessionData.expiresAt
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {string} refreshToken
+ * @param {function} resolveClaims - optional async (session) => claims, to refresh stored claims
+ */
+async function refreshSession(refreshToken, resolveClaims = null) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw createSessionError('Invalid refresh token', ERROR_CODES.TOKEN_INVALID);
+  }
+
+  const firestore = getFirestore();
+  const sessionRef = firestore.collection(COLLECTION).doc(parsed.sessionId);
+  const presentedHash = hashSecret(parsed.secret);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(sessionRef);
+    if (!doc.exists) {
+      return { error: 'Invalid refresh token', code: ERROR_CODES.TOKEN_INVALID };
+    }
+
+    const session = doc.data();
+    if (!isSessionUsable(session)) {
+      return { error: 'Session expired or revoked' };
+    }
+
+    if (session.refreshTokenHash !== presentedHash) {
+      // A rotated token is being replayed - assume it was stolen
+      transaction.update(sessionRef, {
+        revokedAt: new Date().toISOString(),
+        revokedReason: 'refresh_token_reuse'
+      });
+      return { error: 'Refresh token has already been used' };
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    transaction.update(sessionRef, {
+      refreshTokenHash: hashSecret(secret),
+      lastRefreshedAt: new Date().toISOString()
+    });
+
+    return { session, secret };
+  });
+
+  if (result.error) {
+    throw createSessionError(result.error, result.code);
+  }
+
+  let claims = toClaims(result.session);
+  if (resolveClaims) {
+    claims = toClaims(await resolveClaims(result.session));
+    await sessionRef.update(claims);
+  }
+
+  return {
+    sessionId: parsed.sessionId,
+    user: claims,
+    ...signAccessToken(claims, parsed.sessionId),
+    refreshToken: `${parsed.sessionId}.${result.secret}`,
+    refreshTokenExpiresAt: result.session.expiresAt
+  };
+}
+
+/**
+ * Check that an access token's session is still active
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const doc = await getFirestore().collection(COLLECTION).doc(sessionId).get();
+  return doc.exists && isSessionUsable(doc.data());
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  const sessionRef = getFirestore().collection(COLLECTION).doc(sessionId);
+  const doc = await sessionRef.get();
+  if (!doc.exists || doc.data().revokedAt) {
+    return false;
+  }
+
+  await sessionRef.update({
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+  return true;
+}
+
+/**
+ * Revoke every active session of a user
+ */
+async function revokeUserSessions(userId, reason = 'logout_all') {
+  const firestore = getFirestore();
+  const snapshot = await firestore
+    .collection(COLLECTION)
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null)
+    .get();
+
+  if (snapshot.empty) return 0;
+
+  const batch = firestore.batch();
+  const revokedAt = new Date().toISOString();
+  snapshot.forEach(doc => {
+    batch.update(doc.ref, { revokedAt, revokedReason: reason });
+  });
+  await batch.commit();
+
+  return snapshot.size;
+}
+
+/**
+ * Resolve the session a refresh token belongs to, only when its secret matches
+ * the session's current refresh token (a session ID alone proves nothing)
+ * @returns {string|null} Session ID
+ */
+async function getSessionIdFromRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const doc = await getFirestore().collection(COLLECTION).doc(parsed.sessionId).get();
+  if (!doc.exists || typeof doc.data().refreshTokenHash !== 'string') return null;
+
+  const stored = Buffer.from(doc.data().refreshTokenHash);
+  const presented = Buffer.from(hashSecret(parsed.secret));
+  return stored.length === presented.length && crypto.timingSafeEqual(stored, presented)
+    ? parsed.sessionId
+    : null;
+}
+
+/**
+ * Set access and refresh token cookies
+ */
+function setSessionCookies(res, session) {
+  const secure = config.NODE_ENV === 'production';
+
+  res.cookie('token', session.accessToken, {
+    httpOnly: true,
+    maxAge: new Date(session.accessTokenExpiresAt).getTime() - Date.now(),
+    secure
+  });
+
+  res.cookie('refreshToken', session.refreshToken, {
+    httpOnly: true,
+    maxAge: new Date(session.refreshTokenExpiresAt).getTime() - Date.now(),
+    secure,
+    path: '/api'
+  });
+}
+
+/**
+ * Clear access and refresh token cookies
+ */
+function clearSessionCookies(res) {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: '/api' });
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  getSessionIdFromRefreshToken,
+  setSessionCookies,
+  clearSessionCookies
+};
@@ -0,0 +1,84 @@
+/**
+ * Timezone Service
+ * Converts the wall-clock dates and times responsibilities are written in to UTC
+ * instants for a time zone (IANA names such as "Europe/Berlin"), using the
+ * runtime's Intl time zone data.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether a string is a time zone the runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock time in a zone at an instant, as milliseconds since the epoch read as UTC
+ */
+const toWallClock = (timestamp, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+/**
+ * The UTC instant of a wall-clock date and time in a zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {object} { instant: ISO string, exists: false for times skipped when clocks go forward }
+ */
+const toUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The zone's offset at the first guess can differ from the one at the answer
+  // around a DST change, so correct once with the offset found there
+  let timestamp = wallClock - (toWallClock(wallClock, timeZone) - wallClock);
+  timestamp = wallClock - (toWallClock(timestamp, timeZone) - timestamp);
+
+  return {
+    instant: new Date(timestamp).toISOString(),
+    exists: toWallClock(timestamp, timeZone) === wallClock
+  };
+};
+
+/**
+ * The stored timestamps of a task whose times are wall-clock times in `timeZone`
+ * @returns {object} { timezone, startsAt, endsAt }
+ */
+const getInstants = ({ date, startTime, endTime }, timeZone) => ({
+  timezone: timeZone,
+  startsAt: toUtc(date, startTime, timeZone).instant,
+  endsAt: endTime ? toUtc(date, endTime, timeZone).instant : null
+});
+
+module.exports = {
+  isValidTimeZone,
+  toUtc,
+  getInstants
+};
@@ -0,0 +1,90 @@
+/**
+ * User Presence Service
+ * Monthly presence documents in `user_presence` ("<userId>_<YYYY>_<MM>"), as used
+ * by /api/presence. Each document keeps a `dates` map keyed by two-digit day
+ * ({ type: 'manual' | 'activity', timestamp }) and the month's compliance `stats`.
+ */
+
+/**
+ * Document ID of a user's monthly presence (month is 0-based)
+ */
+const getMonthlyDocId = (userId, year, month) => {
+  return `${userId}_${year}_${String(month + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Calculate monthly statistics
+ */
+const calculateMonthlyStats = (year, month, dates) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const presentDays = Object.keys(dates).length;
+  
+  // Find all Saturdays in the month using UTC to avoid timezone issues
+  const saturdays = [];
+  const presentSaturdays = [];
+  
+  for (let day = 1; day <= daysInMonth; day++) {
+    // Create date in UTC to avoid timezone issues
+    const date = new Date(Date.UTC(year, month, day));
+    
+    if (date.getUTCDay() === 6) { // Saturday
+      const dayStr = String(day).padStart(2, '0');
+      saturdays.push(dayStr);
+      
+      // Check if present on this Saturday
+      if (dates[dayStr]) {
+        presentSaturdays.push(dayStr);
+      }
+    }
+  }
+  
+  console.log(`📊 Stats calculation for ${year}-${month + 1}:`);
+  console.log(`📅 Total days: ${daysInMonth}, Present days: ${presentDays}`);
+  console.log(`🗓️ Saturdays: [${saturdays.join(', ')}], Present Saturdays: [${presentSaturdays.join(', ')}]`);
+  
+  return {
+    totalDays: daysInMonth,
+    presentDays,
+    totalSaturdays: saturdays.length,
+    presentSaturdays: presentSaturdays.length,
+    saturdays,
+    presentSaturdayDates: presentSaturdays,
+    compliance: {
+      meetsAllSaturdays: presentSaturdays.length === saturdays.length,
+      meets8Days2Sats: presentDays >= 8 && presentSaturdays.length >= 2,
+      meets10Weekdays: presentDays >= 10,
+      isCompliant: (presentSaturdays.length === saturdays.length) || 
+                   (presentDays >= 8 && presentSaturdays.length >= 2) || 
+                   (presentDays >= 10)
+    }
+  };
+};
+
+/**
+ * "YYYY-MM-DD" -> { year, month (0-based), day ("DD") }
+ */
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month: month - 1, day: String(day).padStart(2, '0') };
+};
+
+/**
+ * An empty monthly document for a user
+ * @param {object} user - { userId, name, userType }
+ */
+const newMonthlyDocument = (user, year, month) => ({
+  userId: user.userId,
+  username: user.name,
+  userType: user.userType,
+  year,
+  month,
+  dates: {},
+  createdAt: new Date().toISOString()
+});
+
+module.exports = {
+  getMonthlyDocId,
+  calculateMonthlyStats,
+  parseDate,
+  newMonthlyDocument
+};
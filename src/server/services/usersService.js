@@ -0,0 +1,297 @@
+/**
+ * Users Service
+ * Server-side role registry. The `users` collection (keyed by Firebase UID) is
+ * the single source of truth for a Firebase user's role and userType; core
+ * profiles in `core-profiles` are always core team members.
+ */
+
+const { getFirestore, getFirebaseAdmin } = require('../db');
+const coreProfilesService = require('./coreProfilesService');
+const permissionsService = require('./permissionsService');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
+
+const COLLECTION = 'users';
+const DEFAULT_ROLE = 'in-house';
+
+/**
+ * Role stored on a users document, migrating documents that only carry userType
+ */
+const getStoredRole = (userData) => {
+  if (userData.role && permissionsService.ROLES[userData.role]) return userData.role;
+  return userData.userType === 'core' ? 'core' : DEFAULT_ROLE;
+};
+
+/**
+ * Create or refresh the registry entry for a Firebase user on login/signup.
+ * Never changes the role - that only happens through setUserRole.
+ * @param {object} account - { uid, email, name }
+ * @returns {object} Stored user document
+ */
+async function syncFirebaseUser(account, env = null) {
+  const firestore = getFirestore(env);
+  const userRef = firestore.collection(COLLECTION).doc(account.uid);
+  const now = new Date().toISOString();
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(userRef);
+
+    if (!doc.exists) {
+      const userData = {
+        userId: account.uid,
+        email: account.email || null,
+        name: account.name || null,
+        username: account.email ? account.email.split('@')[0] : account.uid,
+        role: DEFAULT_ROLE,
+        userType: permissionsService.getUserTypeForRole(DEFAULT_ROLE),
+        createdAt: now,
+        updatedAt: now,
+        lastLoginAt: now
+      };
+      transaction.set(userRef, userData);
+      return userData;
+    }
+
+    const updates = { lastLoginAt: now, updatedAt: now };
+    if (account.email) updates.email = account.email;
+    if (account.name && !doc.data().name) updates.name = account.name;
+
+    transaction.update(userRef, updates);
+
+    const role = getStoredRole(doc.data());
+    return { ...doc.data(), ...updates, role, userType: permissionsService.getUserTypeForRole(role) };
+  });
+}
+
+/**
+ * Resolve the authoritative role and userType for a user ID
+ * @returns {object} { role, userType }
+ */
+async function getUserRole(userId, env = null) {
+  const profile = await coreProfilesService.getProfile(userId);
+  if (profile) {
+    const role = coreProfilesService.getProfileRole(profile);
+    return { role, userType: permissionsService.getUserTypeForRole(role) };
+  }
+
+  const doc = await getFirestore(env).collection(COLLECTION).doc(userId).get();
+  const role = doc.exists ? getStoredRole(doc.data()) : DEFAULT_ROLE;
+
+  return { role, userType: permissionsService.getUserTypeForRole(role) };
+}
+
+/**
+ * Look up the display details of any user (core profile or Firebase user)
+ * @returns {object|null} { userId, name, username, email, userType }, or null for unknown users
+ */
+async function getUserSummary(userId, env = null) {
+  const profile = await coreProfilesService.getProfile(userId);
+  if (profile) {
+    return {
+      userId,
+      name: profile.name,
+      username: profile.username,
+      email: profile.email || null,
+      userType: 'core'
+    };
+  }
+
+  let userRecord;
+  try {
+    userRecord = await getFirebaseAdmin(env).auth().getUser(userId);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+
+  const { userType } = await getUserRole(userId, env);
+  const username = userRecord.displayName || (userRecord.email ? userRecord.email.split('@')[0] : userId);
+
+  return {
+    userId,
+    name: userRecord.displayName || username,
+    username,
+    email: userRecord.email || null,
+    userType
+  };
+}
+
+/**
+ * Assign a role to a Firebase user
+ * @param {string} userId - Firebase UID
+ * @param {string} role - One of permissionsService.ROLES
+ * @param {object} actor - User making the change
+ */
+async function setUserRole(userId, role, actor, env = null) {
+  if (!permissionsService.ROLES[role]) {
+    throw new BadRequestError(`Role must be one of: ${Object.keys(permissionsService.ROLES).join(', ')}`);
+  }
+
+  if (await coreProfilesService.getProfile(userId)) {
+    throw new BadRequestError('Core profiles are always core team members');
+  }
+
+  if (userId === actor.userId) {
+    throw new BadRequestError('You cannot change your own role');
+  }
+
+  let userRecord;
+  try {
+    userRecord = await getFirebaseAdmin(env).auth().getUser(userId);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      throw new NotFoundError('User not found');
+    }
+    throw error;
+  }
+
+  const firestore = getFirestore(env);
+  const userRef = firestore.collection(COLLECTION).doc(userId);
+  const doc = await userRef.get();
+  const previousRole = doc.exists ? getStoredRole(doc.data()) : DEFAULT_ROLE;
+
+  // Granting admin and taking it away are both reserved for administrators
+  if ((role === 'admin' || previousRole === 'admin') && !(await permissionsService.hasPermission(actor, 'roles:manage'))) {
+    throw new ForbiddenError('Only administrators can grant or remove the admin role');
+  }
+
+  const userType = permissionsService.getUserTypeForRole(role);
+  const now = new Date().toISOString();
+
+  await userRef.set({
+    userId,
+    email: userRecord.email || null,
+    name: userRecord.displayName || (doc.exists ? doc.data().name : null) || null,
+    role,
+    userType,
+    roleUpdatedBy: actor.userId,
+    roleUpdatedByName: actor.name || actor.username,
+    roleUpdatedAt: now,
+    updatedAt: now,
+    ...(doc.exists ? {} : {
+      username: userRecord.email ? userRecord.email.split('@')[0] : userId,
+      createdAt: now
+    })
+  }, { merge: true });
+
+  console.log(`👥 ${actor.name || actor.username} changed ${userRecord.email || userId} from ${previousRole} to ${role}`);
+
+  return {
+    userId,
+    email: userRecord.email,
+    name: userRecord.displayName,
+    role,
+    userType,
+    previousRole,
+    previousUserType: permissionsService.getUserTypeForRole(previousRole)
+  };
+}
+
+/**
+ * Get every core team member: core profiles plus promoted Firebase users
+ */
+async function getCoreTeam(env = null) {
+  const { profiles } = await coreProfilesService.getAllProfiles();
+
+  const coreProfiles = profiles.map(profile => ({
+    userId: profile.id,
+    name: profile.name,
+    username: profile.username,
+    email: profile.email,
+    role: coreProfilesService.getProfileRole(profile),
+    userType: 'core',
+    source: 'core-profile'
+  }));
+
+  const snapshot = await getFirestore(env)
+    .collection(COLLECTION)
+    .where('userType', '==', 'core')
+    .get();
+
+  const promotedUsers = [];
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    promotedUsers.push({
+      userId: doc.id,
+      name: data.name || data.username,
+      username: data.username,
+      email: data.email,
+      role: getStoredRole(data),
+      userType: 'core',
+      source: 'firebase',
+      roleUpdatedBy: data.roleUpdatedBy,
+      roleUpdatedAt: data.roleUpdatedAt
+    });
+  });
+
+  return { members: [...coreProfiles, ...promotedUsers] };
+}
+
+/**
+ * A user's own time zone setting (stored on their core profile or users document)
+ * @returns {string|null} IANA time zone, or null when they have not chosen one
+ */
+async function getTimeZone(userId, env = null) {
+  const profile = await coreProfilesService.getProfile(userId);
+  if (profile) return profile.timezone || null;
+
+  const doc = await getFirestore(env).collection(COLLECTION).doc(userId).get();
+  return doc.exists ? doc.data().timezone || null : null;
+}
+
+/**
+ * Set or clear (null) a user's time zone
+ */
+async function setTimeZone(userId, timezone, env = null) {
+  if (await coreProfilesService.getProfile(userId)) {
+    await coreProfilesService.updateProfile(userId, { timezone });
+  } else {
+    await getFirestore(env).collection(COLLECTION).doc(userId).set({
+      timezone,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  return { userId, timezone };
+}
+
+/**
+ * Get every known user - core profiles plus Firebase users who have signed in -
+ * e.g. to resolve or list assignees
+ * @returns {object[]} [{ userId, name, username, email, userType }]
+ */
+async function getDirectory(env = null) {
+  const { profiles } = await coreProfilesService.getAllProfiles();
+  const snapshot = await getFirestore(env).collection(COLLECTION).get();
+
+  const users = profiles.map(profile => ({
+    userId: profile.id,
+    name: profile.name,
+    username: profile.username,
+    email: profile.email || null,
+    userType: 'core'
+  }));
+
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    users.push({
+      userId: doc.id,
+      name: data.name || data.username,
+      username: data.username,
+      email: data.email || null,
+      userType: permissionsService.getUserTypeForRole(getStoredRole(data))
+    });
+  });
+
+  return users;
+}
+
+module.exports = {
+  syncFirebaseUser,
+  getUserRole,
+  getUserSummary,
+  setUserRole,
+  getCoreTeam,
+  getDirectory,
+  getTimeZone,
+  setTimeZone
+};
@@ -0,0 +1,94 @@
+/**
+ * File Storage
+ * Single access point for stored files (comment attachments). The driver is
+ * selected by config.STORAGE_DRIVER:
+ *   - 'disk' (default): files under config.UPLOAD_DIR
+ *   - 'memory': kept in process, for local runs and tests
+ *
+ * Every driver stores buffers by key ("comments/<commentId>/<attachmentId>") and
+ * implements save(key, buffer), read(key) (null when missing) and remove(key).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+const STORAGE_DRIVERS = ['disk', 'memory'];
+
+/**
+ * Files in a directory, one per key
+ */
+const createDiskDriver = (root) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // Keys are generated by the API, but never let one point outside the root
+    if (!file.startsWith(`${path.resolve(root)}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    type: 'disk',
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+/**
+ * Buffers in a Map
+ */
+const createMemoryDriver = () => {
+  const files = new Map();
+
+  return {
+    type: 'memory',
+    async save(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+    async read(key) {
+      return files.has(key) ? Buffer.from(files.get(key)) : null;
+    },
+    async remove(key) {
+      files.delete(key);
+    }
+  };
+};
+
+let driver = null;
+
+/**
+ * Get the configured storage driver, built on first use
+ */
+const getStorage = () => {
+  if (driver) return driver;
+
+  if (!STORAGE_DRIVERS.includes(config.STORAGE_DRIVER)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${config.STORAGE_DRIVER}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  driver = config.STORAGE_DRIVER === 'memory'
+    ? createMemoryDriver()
+    : createDiskDriver(config.UPLOAD_DIR);
+
+  return driver;
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage
+};
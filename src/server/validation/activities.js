@@ -0,0 +1,166 @@
+/**
+ * Activity request schemas
+ */
+
+const { endTimeAfterStartTime } = require('./index');
+const recurrence = require('./recurrence');
+const { paginationFields } = require('./pagination');
+
+const ACTIVITY_TYPES = ['group', 'individual'];
+const SCOPES = ['occurrence', 'series'];
+const SORT_FIELDS = ['createdAt', 'date', 'title'];
+// present and late count as presence on the activity's date
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const createBody = {
+  fields: {
+    title: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true, maxLength: 2000 },
+    date: { type: 'date', nullable: true },
+    startTime: { type: 'time', nullable: true },
+    endTime: { type: 'time', nullable: true },
+    activityType: { type: 'string', required: true, enum: ACTIVITY_TYPES },
+    assignedUsers: { type: 'array', default: [], items: { type: 'string' } },
+    // Most participants at once; later joiners go on the waitlist (null: no limit)
+    capacity: { type: 'integer', nullable: true, min: 1, max: 10000 },
+    // Makes the activity a recurring series starting on `date`
+    recurrence: { type: 'object', schema: recurrence.rule }
+  },
+  rules: [
+    ({ activityType, assignedUsers }) =>
+      activityType === 'individual' && assignedUsers.length === 0
+        ? { field: 'assignedUsers', message: 'Individual activities must have at least one assigned user' }
+        : null,
+    endTimeAfterStartTime,
+    ({ date, recurrence: rule }) => rule && !date
+      ? { field: 'date', message: 'Recurring activities need a date to start on' }
+      : null,
+    recurrence.untilAfterStartDate
+  ]
+};
+
+const create = {
+  body: createBody
+};
+
+/**
+ * Updates and deletes address an activity, a series or one occurrence
+ * ("<seriesId>_<YYYY-MM-DD>"); scope=series applies an occurrence change to its series
+ */
+const scope = {
+  query: {
+    fields: {
+      scope: { type: 'string', enum: SCOPES }
+    }
+  }
+};
+
+// End time is checked against the stored activity, as either side may be omitted
+const update = {
+  query: scope.query,
+  body: {
+    fields: {
+      title: { type: 'string', maxLength: 200 },
+      description: { type: 'string', maxLength: 2000 },
+      date: { type: 'date', nullable: true },
+      startTime: { type: 'time', nullable: true },
+      endTime: { type: 'time', nullable: true },
+      capacity: { type: 'integer', nullable: true, min: 1, max: 10000 },
+      recurrence: { type: 'object', schema: recurrence.rule }
+    }
+  }
+};
+
+/**
+ * from/to filter on the activity date; activities without a date are left out then.
+ * Recurring series are listed as their occurrences within the range.
+ */
+const list = {
+  query: {
+    fields: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      activityType: { type: 'string', enum: ACTIVITY_TYPES },
+      ...paginationFields(SORT_FIELDS)
+    },
+    rules: [recurrence.rangeWithinLimit]
+  }
+};
+
+/**
+ * The same date range for the activities a user created
+ */
+const mine = {
+  query: {
+    fields: {
+      from: { type: 'date' },
+      to: { type: 'date' }
+    },
+    rules: [recurrence.rangeWithinLimit]
+  }
+};
+
+const participate = {
+  body: {
+    fields: {
+      participating: { type: 'boolean', required: true }
+    }
+  }
+};
+
+const attendance = {
+  body: {
+    fields: {
+      records: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        maxLength: 500,
+        items: {
+          type: 'object',
+          schema: {
+            fields: {
+              userId: { type: 'string', required: true, maxLength: 128 },
+              status: { type: 'string', required: true, enum: ATTENDANCE_STATUSES },
+              note: { type: 'string', nullable: true, maxLength: 500 }
+            }
+          }
+        }
+      }
+    },
+    rules: [
+      ({ records }) => {
+        const userIds = records.map(record => record.userId);
+        const duplicate = userIds.find((userId, index) => userIds.indexOf(userId) !== index);
+        return duplicate ? { field: 'records', message: `Attendance for ${duplicate} is given more than once` } : null;
+      }
+    ]
+  }
+};
+
+const checkIn = {
+  body: {
+    fields: {
+      code: { type: 'string', required: true, label: 'Check-in code' }
+    },
+    rules: [
+      ({ code }) => (/^\d{6}$/.test(code) ? null : { field: 'code', message: 'Check-in code must be 6 digits' })
+    ]
+  }
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  SCOPES,
+  SORT_FIELDS,
+  ATTENDANCE_STATUSES,
+  createBody,
+  create,
+  scope,
+  update,
+  list,
+  mine,
+  participate,
+  attendance,
+  checkIn
+};
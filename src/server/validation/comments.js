@@ -0,0 +1,29 @@
+/**
+ * Comment request schemas
+ */
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Multipart bodies arrive as strings; a comment with attachments may have no text
+const create = {
+  body: {
+    fields: {
+      body: { type: 'string', maxLength: MAX_COMMENT_LENGTH, default: '' },
+      parentId: { type: 'string', maxLength: 128 }
+    }
+  }
+};
+
+const update = {
+  body: {
+    fields: {
+      body: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH }
+    }
+  }
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  create,
+  update
+};
@@ -0,0 +1,216 @@
+/**
+ * Request Validation
+ * Declarative schemas for request bodies, route params and query strings.
+ *
+ * A schema is { fields, rules }:
+ *   - fields: { name: { type, required, default, nullable, enum, min, max, minLength, maxLength, items, label } }
+ *     type is one of 'string', 'integer', 'number', 'boolean', 'date' (YYYY-MM-DD),
+ *     'time' (HH:MM, "9:30" is normalized to "09:30"), 'array' or 'object'
+ *     (validated against a nested `schema`; problems are reported as "parent.field")
+ *   - rules: optional (value) => ({ field, message }) | null checks across fields,
+ *     run only once every field is valid
+ *
+ * Values are coerced (query strings and params arrive as strings) and fields
+ * that are not declared are rejected.
+ */
+
+const { ValidationError } = require('../errors');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * "activityDate" -> "Activity date"
+ */
+const toLabel = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isBlank = (value) =>
+  value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Type coercers: return { value } or { message }
+ */
+const TYPES = {
+  string: (value, label, spec) => {
+    if (typeof value !== 'string') return { message: `${label} must be a string` };
+    return { value: spec.trim === false ? value : value.trim() };
+  },
+
+  integer: (value, label) => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number)) return { message: `${label} must be an integer` };
+    return { value: number };
+  },
+
+  number: (value, label) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { message: `${label} must be a number` };
+    return { value: number };
+  },
+
+  boolean: (value, label) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { message: `${label} must be true or false` };
+  },
+
+  date: (value, label) => {
+    const match = typeof value === 'string' ? value.trim().match(DATE_PATTERN) : null;
+    if (!match) return { message: `${label} must be in YYYY-MM-DD format` };
+
+    const [, year, month, day] = match.map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+      return { message: `${label} must be a valid date` };
+    }
+    return { value: value.trim() };
+  },
+
+  time: (value, label) => {
+    const match = typeof value === 'string' ? value.trim().match(TIME_PATTERN) : null;
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return { message: `${label} must be in HH:MM format` };
+    }
+    return { value: `${match[1].padStart(2, '0')}:${match[2]}` };
+  },
+
+  array: (value, label) => {
+    if (!Array.isArray(value)) return { message: `${label} must be an array` };
+    return { value };
+  },
+
+  object: (value, label) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { message: `${label} must be an object` };
+    }
+    return { value };
+  }
+};
+
+/**
+ * Validate a single value against a field spec
+ * @returns {object} { value, problems: [{ field, message }] }
+ */
+function validateField(name, spec, raw) {
+  const label = spec.label || toLabel(name);
+
+  if (raw === null && spec.nullable) {
+    return { value: null, problems: [] };
+  }
+
+  if (isBlank(raw) || raw === null) {
+    if (spec.required) {
+      return { problems: [{ field: name, message: `${label} is required` }] };
+    }
+    return { value: spec.default !== undefined ? spec.default : undefined, problems: [] };
+  }
+
+  const coerce = TYPES[spec.type];
+  if (!coerce) {
+    throw new Error(`Unknown schema type "${spec.type}" for field "${name}"`);
+  }
+
+  const { value, message } = coerce(raw, label, spec);
+  if (message) {
+    return { problems: [{ field: name, message }] };
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { problems: [{ field: name, message: `${label} must be one of: ${spec.enum.join(', ')}` }] };
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return { problems: [{ field: name, message: `${label} must be at least ${spec.min}` }] };
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return { problems: [{ field: name, message: `${label} must be at most ${spec.max}` }] };
+  }
+
+  const unit = spec.type === 'array' ? 'items' : 'characters';
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return { problems: [{ field: name, message: `${label} must have at least ${spec.minLength} ${unit}` }] };
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return { problems: [{ field: name, message: `${label} must have at most ${spec.maxLength} ${unit}` }] };
+  }
+
+  if (spec.type === 'array' && spec.items) {
+    const items = [];
+    const problems = [];
+    value.forEach((item, index) => {
+      const result = validateField(`${name}[${index}]`, { label: `${label} item ${index + 1}`, required: true, ...spec.items }, item);
+      items.push(result.value);
+      problems.push(...result.problems);
+    });
+    return problems.length > 0 ? { problems } : { value: items, problems: [] };
+  }
+
+  if (spec.type === 'object' && spec.schema) {
+    const result = validateSchema(spec.schema, value);
+    if (result.problems.length > 0) {
+      return { problems: result.problems.map(problem => ({ ...problem, field: `${name}.${problem.field}` })) };
+    }
+    return { value: result.value, problems: [] };
+  }
+
+  return { value, problems: [] };
+}
+
+/**
+ * Validate an object against a schema
+ * @param {object} schema - { fields, rules }
+ * @param {object} input - Raw body, params or query
+ * @returns {object} { value, problems: [{ field, message }] }
+ */
+function validateSchema(schema, input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const problems = [];
+
+  Object.keys(source)
+    .filter(name => !Object.prototype.hasOwnProperty.call(schema.fields, name))
+    .forEach(name => problems.push({ field: name, message: `Unknown field: ${name}` }));
+
+  Object.entries(schema.fields).forEach(([name, spec]) => {
+    const result = validateField(name, spec, source[name]);
+    problems.push(...result.problems);
+    if (result.value !== undefined) value[name] = result.value;
+  });
+
+  if (problems.length === 0 && schema.rules) {
+    schema.rules.forEach(rule => {
+      const problem = rule(value);
+      if (problem) problems.push(problem);
+    });
+  }
+
+  return { value, problems };
+}
+
+/**
+ * Validate input outside of a request (e.g. in services) and throw on problems
+ * @returns {object} Coerced value
+ */
+function assertValid(schema, input, location = 'body') {
+  const { value, problems } = validateSchema(schema, input);
+  if (problems.length > 0) {
+    throw new ValidationError(problems.map(problem => ({ location, ...problem })));
+  }
+  return value;
+}
+
+/**
+ * Shared rule: end time must be after start time when both are present
+ */
+const endTimeAfterStartTime = ({ startTime, endTime }) =>
+  startTime && endTime && endTime <= startTime
+    ? { field: 'endTime', message: 'End time must be after start time' }
+    : null;
+
+module.exports = {
+  validateSchema,
+  assertValid,
+  endTimeAfterStartTime
+};
@@ -0,0 +1,30 @@
+/**
+ * Notification request schemas
+ */
+
+const { paginationFields } = require('./pagination');
+
+const SORT_FIELDS = ['createdAt'];
+
+/**
+ * from/to filter on the day (UTC) a notification was created
+ */
+const list = {
+  query: {
+    fields: {
+      unreadOnly: { type: 'boolean', default: false },
+      type: { type: 'string', maxLength: 100 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      ...paginationFields(SORT_FIELDS, { limit: 20 })
+    },
+    rules: [
+      ({ from, to }) => from && to && to < from ? { field: 'to', message: 'To must be on or after from' } : null
+    ]
+  }
+};
+
+module.exports = {
+  SORT_FIELDS,
+  list
+};
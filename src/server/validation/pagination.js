@@ -0,0 +1,22 @@
+/**
+ * Pagination query fields shared by list endpoints (see db/pagination)
+ */
+
+const ORDERS = ['asc', 'desc'];
+const MAX_LIMIT = 100;
+
+/**
+ * @param {string[]} sortFields - Allowed ?sort= values, the first being the default
+ * @param {object} options - { limit: default page size }
+ */
+const paginationFields = (sortFields, { limit = 50 } = {}) => ({
+  limit: { type: 'integer', default: limit, min: 1, max: MAX_LIMIT },
+  cursor: { type: 'string', maxLength: 500 },
+  sort: { type: 'string', enum: sortFields, default: sortFields[0] },
+  order: { type: 'string', enum: ORDERS }
+});
+
+module.exports = {
+  MAX_LIMIT,
+  paginationFields
+};
@@ -0,0 +1,49 @@
+/**
+ * Presence request schemas
+ */
+
+const PRESENCE_TYPES = ['manual', 'activity'];
+
+const monthParams = {
+  fields: {
+    year: { type: 'integer', required: true, min: 1970, max: 9999 },
+    month: { type: 'integer', required: true, min: 0, max: 11 }
+  }
+};
+
+const mark = {
+  body: {
+    fields: {
+      date: { type: 'date', required: true },
+      type: { type: 'string', default: 'manual', enum: PRESENCE_TYPES }
+    }
+  }
+};
+
+const remove = {
+  params: {
+    fields: {
+      date: { type: 'date', required: true }
+    }
+  }
+};
+
+const month = {
+  params: monthParams
+};
+
+const activityParticipation = {
+  body: {
+    fields: {
+      activityDate: { type: 'date', required: true }
+    }
+  }
+};
+
+module.exports = {
+  PRESENCE_TYPES,
+  mark,
+  remove,
+  month,
+  activityParticipation
+};
@@ -0,0 +1,82 @@
+/**
+ * Recurrence rule schema, shared by anything that repeats on a schedule
+ */
+
+const recurrenceService = require('../services/recurrenceService');
+const { ValidationError } = require('../errors');
+
+const MAX_COUNT = 1000;
+const MAX_SERIES_DAYS = 5 * 366;
+// Longest listing range, so open-ended series stay cheap to expand
+const MAX_RANGE_DAYS = 366;
+
+const rule = {
+  fields: {
+    frequency: { type: 'string', required: true, enum: recurrenceService.FREQUENCIES },
+    interval: { type: 'integer', default: 1, min: 1, max: 52 },
+    daysOfWeek: { type: 'array', minLength: 1, maxLength: 7, items: { type: 'integer', min: 0, max: 6 } },
+    until: { type: 'date', nullable: true },
+    count: { type: 'integer', nullable: true, min: 1, max: MAX_COUNT }
+  },
+  rules: [
+    ({ until, count }) => until && count
+      ? { field: 'count', message: 'Use either until or count, not both' }
+      : null,
+    ({ frequency, daysOfWeek }) => daysOfWeek && frequency !== 'weekly'
+      ? { field: 'daysOfWeek', message: 'Days of week only apply to weekly recurrence' }
+      : null
+  ]
+};
+
+/**
+ * Shared rule: a series must end on or after its start date and within MAX_SERIES_DAYS
+ */
+const untilAfterStartDate = ({ date, recurrence }) => {
+  if (!recurrence || !recurrence.until) return null;
+  if (recurrence.until < date) {
+    return { field: 'recurrence.until', message: 'Until must be on or after the date' };
+  }
+  if (Date.parse(recurrence.until) - Date.parse(date) > MAX_SERIES_DAYS * 24 * 60 * 60 * 1000) {
+    return { field: 'recurrence.until', message: 'Until must be within 5 years of the date' };
+  }
+  return null;
+};
+
+/**
+ * Shared rule: listing ranges are inclusive and capped at MAX_RANGE_DAYS
+ */
+const rangeWithinLimit = ({ from, to }) => {
+  if (!from || !to) return null;
+  if (to < from) return { field: 'to', message: 'To must be on or after from' };
+  if (Date.parse(to) - Date.parse(from) > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { field: 'to', message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return null;
+};
+
+/**
+ * Normalize a series' recurrence rule and make sure the series has at least one occurrence
+ * @param {object} recurrence - Rule as validated by `rule`
+ * @param {string} date - Series start date
+ */
+const prepareRecurrence = (recurrence, date) => {
+  const problem = untilAfterStartDate({ date, recurrence });
+  if (problem) {
+    throw new ValidationError([{ location: 'body', ...problem }]);
+  }
+
+  const normalized = recurrenceService.normalizeRule(recurrence, date);
+  if (normalized.until && recurrenceService.expandOccurrences(date, normalized).length === 0) {
+    throw new ValidationError([{ location: 'body', field: 'recurrence', message: 'Recurrence has no occurrences' }]);
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  rule,
+  untilAfterStartDate,
+  rangeWithinLimit,
+  prepareRecurrence
+};
@@ -0,0 +1,251 @@
+/**
+ * Responsibility request schemas
+ */
+
+const { endTimeAfterStartTime } = require('./index');
+const recurrence = require('./recurrence');
+const { paginationFields } = require('./pagination');
+const { knownTimeZone } = require('./users');
+
+const SCOPES = ['occurrence', 'series'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SORT_FIELDS = ['createdAt', 'date', 'priority', 'title'];
+// What a bulk upload does with rows matching an existing responsibility
+const DUPLICATE_ACTIONS = ['skip', 'update', 'duplicate'];
+const EXPORT_FORMATS = ['xlsx', 'csv', 'ics'];
+// How a bulk upload reads numeric dates; `auto` rejects ones that could be either
+const DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD', 'auto'];
+// How GET /stats can break its figures down
+const STATS_PERIODS = ['day', 'week', 'month'];
+// Reminders can go out up to a week before the start time
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const MAX_CHECKLIST_ITEMS = 50;
+
+const { rangeWithinLimit } = recurrence;
+
+/**
+ * An end time and a duration describe the same thing; only one can be given
+ */
+const endTimeOrDuration = ({ endTime, durationMinutes }) =>
+  endTime && durationMinutes
+    ? { field: 'durationMinutes', message: 'Give either an end time or a duration, not both' }
+    : null;
+
+/**
+ * Checklists are completed once, so a series (completed an occurrence at a time) has none
+ */
+const checklistNotOnSeries = ({ checklist, recurrence: rule }) =>
+  checklist && checklist.length > 0 && rule
+    ? { field: 'checklist', message: 'Recurring responsibilities cannot have a checklist' }
+    : null;
+
+/**
+ * Fields shared by creates and updates
+ */
+const detailFields = {
+  priority: { type: 'string', enum: PRIORITIES },
+  category: { type: 'string', nullable: true, maxLength: 50 },
+  tags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 30 } },
+  durationMinutes: { type: 'integer', nullable: true, min: 1, max: 24 * 60 - 1 },
+  reminderMinutes: { type: 'integer', nullable: true, min: 0, max: MAX_REMINDER_MINUTES, label: 'Reminder minutes' }
+};
+
+const create = {
+  body: {
+    fields: {
+      title: { type: 'string', required: true, maxLength: 200 },
+      description: { type: 'string', default: '', maxLength: 2000 },
+      date: { type: 'date', required: true },
+      startTime: { type: 'time', required: true },
+      endTime: { type: 'time' },
+      ...detailFields,
+      priority: { ...detailFields.priority, default: 'medium' },
+      recurrence: { type: 'object', schema: recurrence.rule },
+      assignees: { type: 'array', minLength: 1, maxLength: 50, items: { type: 'string', maxLength: 128 } },
+      // Titles of the checklist items, all open
+      checklist: { type: 'array', maxLength: MAX_CHECKLIST_ITEMS, items: { type: 'string', maxLength: 200 } }
+    },
+    rules: [endTimeAfterStartTime, endTimeOrDuration, recurrence.untilAfterStartDate, checklistNotOnSeries]
+  }
+};
+
+const checklistItem = {
+  body: {
+    fields: {
+      title: { type: 'string', required: true, maxLength: 200 }
+    }
+  }
+};
+
+const checklistItemUpdate = {
+  body: {
+    fields: {
+      title: { type: 'string', maxLength: 200 },
+      completed: { type: 'boolean' }
+    },
+    rules: [({ title, completed }) => (title === undefined && completed === undefined
+      ? { field: 'completed', message: 'Give a title or completed' }
+      : null)]
+  }
+};
+
+/**
+ * Updates and deletes address a single task, a series or one occurrence
+ * ("<seriesId>_<YYYY-MM-DD>"); scope=series applies an occurrence change to its series
+ */
+const scope = {
+  query: {
+    fields: {
+      scope: { type: 'string', enum: SCOPES }
+    }
+  }
+};
+
+const update = {
+  query: scope.query,
+  body: {
+    fields: {
+      completed: { type: 'boolean' },
+      title: { type: 'string', maxLength: 200 },
+      description: { type: 'string', maxLength: 2000 },
+      startTime: { type: 'time' },
+      endTime: { type: 'time', nullable: true },
+      ...detailFields,
+      recurrence: { type: 'object', schema: recurrence.rule }
+    },
+    rules: [endTimeAfterStartTime, endTimeOrDuration]
+  }
+};
+
+/**
+ * ?dryRun=true checks the file and returns a preview instead of importing it
+ */
+const bulkUpload = {
+  query: {
+    fields: {
+      dryRun: { type: 'boolean', default: false },
+      onDuplicate: { type: 'string', enum: DUPLICATE_ACTIONS, default: 'skip' },
+      dateFormat: { type: 'string', enum: DATE_FORMATS },
+      timezone: { type: 'string', maxLength: 64 }
+    },
+    rules: [knownTimeZone]
+  }
+};
+
+// onDuplicate defaults to the choice made for the preview
+const bulkCommit = {
+  body: {
+    fields: {
+      previewId: { type: 'string', required: true, maxLength: 128 },
+      onDuplicate: { type: 'string', enum: DUPLICATE_ACTIONS }
+    }
+  }
+};
+
+const accept = {
+  body: {
+    fields: {}
+  }
+};
+
+const decline = {
+  body: {
+    fields: {
+      reason: { type: 'string', maxLength: 500 }
+    }
+  }
+};
+
+const filterFields = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  priority: { type: 'string', enum: PRIORITIES },
+  category: { type: 'string', maxLength: 50 },
+  tag: { type: 'string', maxLength: 30 },
+  completed: { type: 'boolean' }
+};
+
+const list = {
+  query: {
+    fields: {
+      ...filterFields,
+      ...paginationFields(SORT_FIELDS)
+    },
+    rules: [rangeWithinLimit]
+  }
+};
+
+/**
+ * userId defaults to the current user; another user or "all" needs responsibilities:view-all
+ */
+const exportQuery = {
+  query: {
+    fields: {
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'xlsx' },
+      userId: { type: 'string', maxLength: 128 },
+      ...filterFields
+    },
+    rules: [rangeWithinLimit]
+  }
+};
+
+const dates = {
+  query: {
+    fields: {
+      userId: { type: 'string' },
+      ...filterFields
+    },
+    rules: [rangeWithinLimit]
+  }
+};
+
+const stats = {
+  query: {
+    fields: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      period: { type: 'string', enum: STATS_PERIODS }
+    },
+    rules: [rangeWithinLimit]
+  }
+};
+
+/**
+ * Without from, the leaderboard covers the 30 days up to `to` (default today)
+ */
+const leaderboard = {
+  query: {
+    fields: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      limit: { type: 'integer', min: 1, max: 100, default: 10 }
+    },
+    rules: [rangeWithinLimit]
+  }
+};
+
+module.exports = {
+  SCOPES,
+  PRIORITIES,
+  SORT_FIELDS,
+  DUPLICATE_ACTIONS,
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  STATS_PERIODS,
+  MAX_REMINDER_MINUTES,
+  MAX_CHECKLIST_ITEMS,
+  create,
+  update,
+  scope,
+  checklistItem,
+  checklistItemUpdate,
+  bulkUpload,
+  bulkCommit,
+  accept,
+  decline,
+  list,
+  export: exportQuery,
+  dates,
+  stats,
+  leaderboard
+};
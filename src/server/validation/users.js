@@ -0,0 +1,52 @@
+/**
+ * User settings schemas
+ */
+
+const { isValidTimeZone } = require('../services/timezoneService');
+const { ROLES, getUserTypeForRole } = require('../services/permissionsService');
+
+const ROLE_NAMES = Object.keys(ROLES);
+const CORE_ROLES = ROLE_NAMES.filter(role => getUserTypeForRole(role) === 'core');
+
+/**
+ * Shared rule: `timezone`, when given, is an IANA time zone such as "Europe/Berlin"
+ */
+const knownTimeZone = ({ timezone }) =>
+  timezone && !isValidTimeZone(timezone)
+    ? { field: 'timezone', message: `Unknown time zone: ${timezone}` }
+    : null;
+
+// null goes back to the organisation's time zone
+const timezone = {
+  body: {
+    fields: {
+      timezone: { type: 'string', required: true, nullable: true, maxLength: 64 }
+    },
+    rules: [knownTimeZone]
+  }
+};
+
+// Promote a Firebase user to the core team
+const addTeamMember = {
+  body: {
+    fields: {
+      userId: { type: 'string', required: true, label: 'User ID', maxLength: 128 },
+      role: { type: 'string', enum: CORE_ROLES, default: 'core' }
+    }
+  }
+};
+
+const role = {
+  body: {
+    fields: {
+      role: { type: 'string', required: true, enum: ROLE_NAMES }
+    }
+  }
+};
+
+module.exports = {
+  knownTimeZone,
+  timezone,
+  addTeamMember,
+  role
+};
@@ -0,0 +1,576 @@
+const { app, db, request, auth, resetStore, loginAsCore, loginAsInHouse } = require('./helpers');
+
+const groupActivity = {
+  title: 'Saturday Session',
+  description: 'Weekly group session',
+  date: '2026-03-14',
+  startTime: '10:00',
+  endTime: '12:00',
+  activityType: 'group'
+};
+
+const createActivity = (token, overrides = {}) => request(app)
+  .post('/api/activities')
+  .set(auth(token))
+  .send({ ...groupActivity, ...overrides });
+
+describe('Activity routes (/api/activities)', () => {
+  let core;
+  let otherCore;
+  let member;
+
+  beforeEach(async () => {
+    resetStore();
+    core = await loginAsCore({ id: 'core-a', name: 'Core A', email: 'a@3amcore.com' });
+    otherCore = await loginAsCore({ id: 'core-b', name: 'Core B', email: 'b@3amcore.com', role: 'core' });
+    member = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+  });
+
+  describe('POST /', () => {
+    it('lets core members create activities', async () => {
+      const res = await createActivity(core.token);
+
+      expect(res.status).toBe(201);
+      expect(res.body.activity).toMatchObject({
+        title: 'Saturday Session',
+        createdBy: 'core-a',
+        status: 'active',
+        participantCount: 0
+      });
+    });
+
+    it('forbids non-core users', async () => {
+      const res = await createActivity(member.token);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Insufficient permissions.');
+    });
+
+    it('validates the activity type', async () => {
+      const res = await createActivity(core.token, { activityType: 'party' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('requires assigned users for individual activities', async () => {
+      const res = await createActivity(core.token, { activityType: 'individual', assignedUsers: [] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        { location: 'body', field: 'assignedUsers', message: 'Individual activities must have at least one assigned user' }
+      ]);
+    });
+
+    it('resolves assigned user names for individual activities', async () => {
+      const res = await createActivity(core.token, { activityType: 'individual', assignedUsers: ['sam'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.activity.assignedUserNames).toEqual(['Sam']);
+    });
+
+    it('rejects an end time before the start time', async () => {
+      const res = await createActivity(core.token, { startTime: '12:00', endTime: '10:00' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET / and GET /my', () => {
+    it('lists active activities and the creator\'s own', async () => {
+      await createActivity(core.token, { title: 'Mine' });
+      await createActivity(otherCore.token, { title: 'Theirs' });
+
+      const all = await request(app).get('/api/activities').set(auth(member.token));
+      const mine = await request(app).get('/api/activities/my').set(auth(core.token));
+
+      expect(all.status).toBe(200);
+      expect(all.body.activities).toHaveLength(2);
+      expect(mine.body.activities.map(a => a.title)).toEqual(['Mine']);
+    });
+
+    it('filters, sorts and pages activities', async () => {
+      await createActivity(core.token, { title: 'March', date: '2026-03-14' });
+      await createActivity(core.token, { title: 'April', date: '2026-04-11' });
+      await createActivity(core.token, { title: 'May', date: '2026-05-09' });
+      await createActivity(core.token, { title: 'Undated', date: null });
+
+      const list = (query) => request(app).get(`/api/activities?${query}`).set(auth(member.token));
+
+      const first = await list('sort=date&limit=2&from=2026-01-01');
+      const second = await list(`sort=date&limit=2&from=2026-01-01&cursor=${first.body.nextCursor}`);
+      const byTitle = await list('sort=title&order=desc&limit=10');
+
+      expect(first.body.activities.map(a => a.title)).toEqual(['March', 'April']);
+      expect(second.body.activities.map(a => a.title)).toEqual(['May']);
+      expect(second.body.nextCursor).toBeNull();
+      expect(byTitle.body.activities.map(a => a.title)).toEqual(['Undated', 'May', 'March', 'April']);
+      expect((await list('sort=participants')).status).toBe(400);
+    });
+
+    it('forbids /my for non-core users', async () => {
+      const res = await request(app).get('/api/activities/my').set(auth(member.token));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /:id and DELETE /:id', () => {
+    it('lets only the creator update', async () => {
+      const created = await createActivity(core.token);
+      const id = created.body.activityId;
+
+      const forbidden = await request(app).put(`/api/activities/${id}`).set(auth(otherCore.token)).send({ title: 'x' });
+      const ok = await request(app).put(`/api/activities/${id}`).set(auth(core.token)).send({ title: 'Renamed' });
+
+      expect(forbidden.status).toBe(403);
+      expect(ok.status).toBe(200);
+      const doc = await db.getFirestore().collection('activities').doc(id).get();
+      expect(doc.data().title).toBe('Renamed');
+    });
+
+    it('lets roles with activities:manage update any activity', async () => {
+      const created = await createActivity(otherCore.token);
+
+      const res = await request(app)
+        .put(`/api/activities/${created.body.activityId}`)
+        .set(auth(core.token))
+        .send({ title: 'Managed' });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('rejects invalid times on update', async () => {
+      const created = await createActivity(core.token);
+
+      const res = await request(app)
+        .put(`/api/activities/${created.body.activityId}`)
+        .set(auth(core.token))
+        .send({ endTime: '09:00' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('deletes the activity and its participation records', async () => {
+      const created = await createActivity(core.token);
+      const id = created.body.activityId;
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+
+      const forbidden = await request(app).delete(`/api/activities/${id}`).set(auth(member.token));
+      const res = await request(app).delete(`/api/activities/${id}`).set(auth(core.token));
+
+      expect(forbidden.status).toBe(403);
+      expect(res.status).toBe(200);
+      const participants = await db.getFirestore().collection('activity_participants').get();
+      expect(participants.empty).toBe(true);
+    });
+
+    it('returns 404 for an unknown activity', async () => {
+      const res = await request(app).put('/api/activities/missing').set(auth(core.token)).send({ title: 'x' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Participation', () => {
+    it('joins, lists and leaves an activity', async () => {
+      const created = await createActivity(core.token);
+      const id = created.body.activityId;
+
+      const join = await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+      const again = await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+      const participants = await request(app).get(`/api/activities/${id}/participants`).set(auth(core.token));
+      const status = await request(app).get('/api/activities/participation/my').set(auth(member.token));
+
+      expect(join.status).toBe(200);
+      expect(again.status).toBe(400);
+      expect(again.body.code).toBe('CONFLICT');
+      expect(participants.body.participants).toEqual([
+        expect.objectContaining({ userId: 'sam', name: 'Sam', userType: 'in-house' })
+      ]);
+      expect(status.body.participatingActivityIds).toEqual([id]);
+
+      const leave = await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: false });
+      expect(leave.status).toBe(200);
+
+      const doc = await db.getFirestore().collection('activities').doc(id).get();
+      expect(doc.data().participantCount).toBe(0);
+    });
+
+    it('rejects leaving an activity the user never joined', async () => {
+      const created = await createActivity(core.token);
+
+      const res = await request(app)
+        .post(`/api/activities/${created.body.activityId}/participate`)
+        .set(auth(member.token))
+        .send({ participating: false });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('waitlists users once an activity is full and promotes them when a spot opens', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const kim = await loginAsInHouse({ uid: 'kim', email: 'kim@example.com', displayName: 'Kim' });
+      const created = await createActivity(core.token, { capacity: 1 });
+      const id = created.body.activityId;
+      const participate = (user, participating) => request(app)
+        .post(`/api/activities/${id}/participate`)
+        .set(auth(user.token))
+        .send({ participating });
+
+      const join = await participate(member, true);
+      const full = await participate(alex, true);
+      const second = await participate(kim, true);
+      const again = await participate(alex, true);
+      expect(join.body).toMatchObject({ status: 'participating' });
+      expect(full.body).toMatchObject({ status: 'waitlisted', waitlistPosition: 1 });
+      expect(second.body.waitlistPosition).toBe(2);
+      expect(again.status).toBe(400);
+
+      const status = await request(app).get('/api/activities/participation/my').set(auth(alex.token));
+      expect(status.body).toEqual({ participatingActivityIds: [], waitlistedActivityIds: [id] });
+
+      await participate(member, false);
+      const afterLeave = await request(app).get(`/api/activities/${id}/participants`).set(auth(core.token));
+      expect(afterLeave.body.participants.map(participant => participant.userId)).toEqual(['alex']);
+      expect(afterLeave.body.waitlist).toEqual([expect.objectContaining({ position: 1, userId: 'kim' })]);
+
+      const notifications = await request(app).get('/api/notifications').set(auth(alex.token));
+      expect(notifications.body.notifications).toEqual([
+        expect.objectContaining({ type: 'activity_waitlist_promoted', activityId: id })
+      ]);
+
+      // Raising the capacity lets the rest of the waitlist in
+      await request(app).put(`/api/activities/${id}`).set(auth(core.token)).send({ capacity: 5 });
+      const doc = await db.getFirestore().collection('activities').doc(id).get();
+      expect(doc.data()).toMatchObject({ capacity: 5, participantCount: 2, waitlistCount: 0 });
+    });
+
+    it('lets users leave the waitlist', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const created = await createActivity(core.token, { capacity: 1 });
+      const id = created.body.activityId;
+
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(alex.token)).send({ participating: true });
+      const leave = await request(app).post(`/api/activities/${id}/participate`).set(auth(alex.token)).send({ participating: false });
+      const invalid = await createActivity(core.token, { capacity: 0 });
+
+      expect(leave.body).toMatchObject({ message: 'Successfully left the waitlist', status: 'left' });
+      const participants = await request(app).get(`/api/activities/${id}/participants`).set(auth(core.token));
+      expect(participants.body).toMatchObject({ capacity: 1, waitlist: [] });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('counts concurrent joins exactly once per user', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const kim = await loginAsInHouse({ uid: 'kim', email: 'kim@example.com', displayName: 'Kim' });
+      const created = await createActivity(core.token, { capacity: 2 });
+      const id = created.body.activityId;
+      const join = (user) => request(app).post(`/api/activities/${id}/participate`).set(auth(user.token)).send({ participating: true });
+
+      const responses = await Promise.all([member, member, member, alex, kim, alex].map(join));
+      const statuses = responses.map(res => res.status).sort();
+      expect(statuses).toEqual([200, 200, 200, 400, 400, 400]);
+      expect(responses.filter(res => res.body.status === 'waitlisted')).toHaveLength(1);
+
+      const doc = await db.getFirestore().collection('activities').doc(id).get();
+      const records = await db.getFirestore().collection('activity_participants').where('activityId', '==', id).get();
+      expect(doc.data()).toMatchObject({ participantCount: 2, waitlistCount: 1 });
+      expect(records.size).toBe(2);
+    });
+
+    it('repairs drifted participant counts and duplicate records', async () => {
+      db.getFirestore().seed({
+        activities: {
+          'act-1': { ...groupActivity, status: 'active', participantCount: 5 },
+          'act-2': { ...groupActivity, status: 'active', participantCount: 0, waitlistCount: 0 }
+        },
+        activity_participants: {
+          old: { activityId: 'act-1', userId: 'sam', joinedAt: '2026-01-01T10:00:00.000Z' },
+          again: { activityId: 'act-1', userId: 'sam', joinedAt: '2026-01-01T10:00:01.000Z' },
+          other: { activityId: 'act-1', userId: 'alex', joinedAt: '2026-01-02T10:00:00.000Z' }
+        }
+      });
+
+      const forbidden = await request(app).post('/api/activities/participation/repair').set(auth(otherCore.token));
+      const res = await request(app).post('/api/activities/participation/repair').set(auth(core.token));
+
+      expect(forbidden.status).toBe(403);
+      expect(res.body).toMatchObject({
+        checked: 2,
+        repaired: [{
+          activityId: 'act-1',
+          participantCount: { from: 5, to: 2 },
+          waitlistCount: { from: null, to: 0 },
+          duplicatesRemoved: 1
+        }]
+      });
+      const kept = await db.getFirestore().collection('activity_participants').doc('old').get();
+      const removed = await db.getFirestore().collection('activity_participants').doc('again').get();
+      expect(kept.exists).toBe(true);
+      expect(removed.exists).toBe(false);
+    });
+
+    it('only schedules the repair job when it is enabled', () => {
+      const activitiesService = require('../src/server/services/activitiesService');
+
+      expect(activitiesService.startParticipantRepairScheduler()).toBeNull();
+    });
+  });
+
+  describe('Attendance', () => {
+    const takeAttendance = (token, id, records) => request(app)
+      .put(`/api/activities/${id}/attendance`)
+      .set(auth(token))
+      .send({ records });
+
+    it('records attendance and marks present users in their monthly presence', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const created = await createActivity(core.token);
+      const id = created.body.activityId;
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(alex.token)).send({ participating: true });
+
+      const forbidden = await takeAttendance(member.token, id, [{ userId: 'sam', status: 'present' }]);
+      const stranger = await takeAttendance(otherCore.token, id, [{ userId: 'kim', status: 'present' }]);
+      const res = await takeAttendance(otherCore.token, id, [
+        { userId: 'sam', status: 'late', note: 'Bus delay' },
+        { userId: 'alex', status: 'absent' }
+      ]);
+
+      expect(forbidden.status).toBe(403);
+      expect(stranger.status).toBe(400);
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toEqual({ present: 0, absent: 1, late: 1, excused: 0, unrecorded: 0 });
+      expect(res.body.attendance).toEqual([
+        expect.objectContaining({ userId: 'alex', status: 'absent', source: 'participant' }),
+        expect.objectContaining({ userId: 'sam', status: 'late', note: 'Bus delay', recordedByName: 'Core B' })
+      ]);
+
+      const presence = await request(app).get('/api/presence/month/2026/2').set(auth(member.token));
+      const absent = await request(app).get('/api/presence/month/2026/2').set(auth(alex.token));
+      expect(presence.body.presenceRecords).toEqual([expect.objectContaining({ date: '2026-03-14', type: 'activity' })]);
+      expect(presence.body.stats.presentSaturdays).toBe(1);
+      expect(absent.body.count).toBe(0);
+
+      // Correcting a status takes back the presence this activity added
+      await takeAttendance(otherCore.token, id, [{ userId: 'sam', status: 'excused' }]);
+      const corrected = await request(app).get('/api/presence/month/2026/2').set(auth(member.token));
+      expect(corrected.body.presenceRecords).toEqual([]);
+    });
+
+    it('keeps manual presence and waits for the activity to start', async () => {
+      const created = await createActivity(core.token, { activityType: 'individual', assignedUsers: ['sam'] });
+      const future = await createActivity(core.token, { date: '2099-01-01' });
+      await request(app).post('/api/presence').set(auth(member.token)).send({ date: '2026-03-14' });
+
+      const early = await takeAttendance(core.token, future.body.activityId, [{ userId: 'sam', status: 'present' }]);
+      await takeAttendance(core.token, created.body.activityId, [{ userId: 'sam', status: 'present' }]);
+      await takeAttendance(core.token, created.body.activityId, [{ userId: 'sam', status: 'absent' }]);
+      const list = await request(app).get(`/api/activities/${created.body.activityId}/attendance`).set(auth(core.token));
+      const presence = await request(app).get('/api/presence/month/2026/2').set(auth(member.token));
+
+      expect(early.status).toBe(400);
+      expect(list.body.attendance).toEqual([expect.objectContaining({ userId: 'sam', source: 'assigned', status: 'absent' })]);
+      expect(presence.body.presenceRecords).toEqual([expect.objectContaining({ date: '2026-03-14', type: 'manual' })]);
+    });
+  });
+
+  describe('Recurring activities', () => {
+    const createSeries = (overrides = {}) => createActivity(core.token, {
+      date: '2026-03-07',
+      recurrence: { frequency: 'weekly', count: 4 },
+      ...overrides
+    });
+    const listMarch = () => request(app)
+      .get('/api/activities?from=2026-03-01&to=2026-03-31&sort=date')
+      .set(auth(member.token));
+
+    it('pages one-off activities and occurrences together', async () => {
+      await createSeries({ title: 'Weekly' });
+      await createActivity(core.token, { title: 'Early', date: '2026-03-10' });
+      await createActivity(core.token, { title: 'Late', date: '2026-03-25' });
+      await createActivity(core.token, { title: 'April', date: '2026-04-11' });
+
+      const dates = [];
+      let cursor = '';
+      do {
+        const res = await request(app)
+          .get(`/api/activities?from=2026-03-01&to=2026-03-31&sort=date&limit=2${cursor}`)
+          .set(auth(member.token));
+        dates.push(...res.body.activities.map(a => `${a.title} ${a.date}`));
+        cursor = res.body.nextCursor ? `&cursor=${res.body.nextCursor}` : '';
+      } while (cursor);
+
+      expect(dates).toEqual([
+        'Weekly 2026-03-07', 'Early 2026-03-10', 'Weekly 2026-03-14',
+        'Weekly 2026-03-21', 'Late 2026-03-25', 'Weekly 2026-03-28'
+      ]);
+    });
+
+    it('lists the creator\'s series as occurrences in /my', async () => {
+      const created = await createSeries();
+      const seriesId = created.body.activityId;
+
+      const mine = await request(app).get('/api/activities/my?from=2026-03-01&to=2026-03-31').set(auth(core.token));
+      const tooLong = await request(app).get('/api/activities/my?from=2026-01-01&to=2027-12-31').set(auth(core.token));
+
+      expect(mine.status).toBe(200);
+      expect(mine.body.activities.map(a => a.id)).toEqual(
+        ['2026-03-07', '2026-03-14', '2026-03-21', '2026-03-28'].map(date => `${seriesId}_${date}`));
+      expect(tooLong.status).toBe(400);
+    });
+
+    it('lists a series as occurrences that are joined and attended one at a time', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const undated = await createActivity(core.token, { date: null, recurrence: { frequency: 'weekly' } });
+      const created = await createSeries({ capacity: 1 });
+      const seriesId = created.body.activityId;
+      const occurrenceId = `${seriesId}_2026-03-14`;
+
+      const list = await listMarch();
+      const series = await request(app).post(`/api/activities/${seriesId}/participate`).set(auth(member.token)).send({ participating: true });
+      const missing = await request(app).post(`/api/activities/${seriesId}_2026-03-15/participate`).set(auth(member.token)).send({ participating: true });
+      const joined = await request(app).post(`/api/activities/${occurrenceId}/participate`).set(auth(member.token)).send({ participating: true });
+      const waitlisted = await request(app).post(`/api/activities/${occurrenceId}/participate`).set(auth(alex.token)).send({ participating: true });
+      const nextWeek = await request(app).post(`/api/activities/${seriesId}_2026-03-21/participate`).set(auth(alex.token)).send({ participating: true });
+      const attendance = await request(app)
+        .put(`/api/activities/${occurrenceId}/attendance`)
+        .set(auth(core.token))
+        .send({ records: [{ userId: 'sam', status: 'present' }] });
+
+      expect(undated.status).toBe(400);
+      expect(created.status).toBe(201);
+      expect(list.body.activities.map(a => a.id)).toEqual(['07', '14', '21', '28'].map(day => `${seriesId}_2026-03-${day}`));
+      expect(list.body.activities[1]).toMatchObject({ seriesId, occurrenceDate: '2026-03-14', date: '2026-03-14', participantCount: 0 });
+      expect(series.status).toBe(400);
+      expect(missing.status).toBe(404);
+      expect(joined.body.status).toBe('participating');
+      expect(waitlisted.body.status).toBe('waitlisted');
+      expect(nextWeek.body.status).toBe('participating');
+      expect(attendance.status).toBe(200);
+
+      const participants = await request(app).get(`/api/activities/${occurrenceId}/participants`).set(auth(member.token));
+      const listed = await listMarch();
+      const presence = await request(app).get('/api/presence/month/2026/2').set(auth(member.token));
+      expect(participants.body.participants.map(p => p.userId)).toEqual(['sam']);
+      expect(participants.body.waitlist.map(p => p.userId)).toEqual(['alex']);
+      expect(listed.body.activities.map(a => a.participantCount)).toEqual([0, 1, 1, 0]);
+      expect(presence.body.presenceRecords).toEqual([expect.objectContaining({ date: '2026-03-14', type: 'activity' })]);
+    });
+
+    it('edits and cancels single occurrences or the whole series', async () => {
+      const created = await createSeries();
+      const seriesId = created.body.activityId;
+      await request(app).post(`/api/activities/${seriesId}_2026-03-21/participate`).set(auth(member.token)).send({ participating: true });
+
+      const renamed = await request(app).put(`/api/activities/${seriesId}_2026-03-14`).set(auth(core.token)).send({ title: 'Open Day', startTime: '09:00' });
+      const moved = await request(app).put(`/api/activities/${seriesId}_2026-03-14`).set(auth(core.token)).send({ date: '2026-03-15' });
+      const forbidden = await request(app).put(`/api/activities/${seriesId}_2026-03-14`).set(auth(member.token)).send({ title: 'x' });
+      const series = await request(app).put(`/api/activities/${seriesId}_2026-03-07?scope=series`).set(auth(core.token)).send({ title: 'Saturday Club' });
+      const cancelled = await request(app).delete(`/api/activities/${seriesId}_2026-03-21`).set(auth(core.token));
+
+      expect(renamed.body.message).toBe('Occurrence updated successfully');
+      expect(moved.status).toBe(400);
+      expect(forbidden.status).toBe(403);
+      expect(series.status).toBe(200);
+      expect(cancelled.body.message).toBe('Occurrence cancelled successfully');
+
+      const list = await listMarch();
+      expect(list.body.activities.map(a => [a.occurrenceDate, a.title, a.startTime])).toEqual([
+        ['2026-03-07', 'Saturday Club', '10:00'],
+        ['2026-03-14', 'Open Day', '09:00'],
+        ['2026-03-28', 'Saturday Club', '10:00']
+      ]);
+      const joinCancelled = await request(app).post(`/api/activities/${seriesId}_2026-03-21/participate`).set(auth(member.token)).send({ participating: true });
+      expect(joinCancelled.status).toBe(404);
+      expect((await db.getFirestore().collection('activity_participants').get()).empty).toBe(true);
+
+      // Deleting the series removes the records of all its occurrences
+      await request(app).post(`/api/activities/${seriesId}_2026-03-28/participate`).set(auth(member.token)).send({ participating: true });
+      const deleted = await request(app).delete(`/api/activities/${seriesId}`).set(auth(core.token));
+      expect(deleted.body.message).toBe('Activity deleted successfully');
+      expect((await listMarch()).body.activities).toEqual([]);
+      expect((await db.getFirestore().collection('activity_participants').get()).empty).toBe(true);
+    });
+
+    it('deletes a series with more records than fit in one batch', async () => {
+      const created = await createSeries({ recurrence: { frequency: 'weekly', count: 30 } });
+      const seriesId = created.body.activityId;
+      const participants = {};
+      const attendance = {};
+      for (let user = 0; user < 10; user++) {
+        for (let week = 0; week < 30; week++) {
+          const occurrenceId = `${seriesId}_${new Date(Date.UTC(2026, 2, 7 + week * 7)).toISOString().split('T')[0]}`;
+          participants[`${occurrenceId}_user-${user}`] = { activityId: occurrenceId, userId: `user-${user}` };
+          attendance[`${occurrenceId}_user-${user}`] = { activityId: occurrenceId, userId: `user-${user}`, status: 'present' };
+        }
+      }
+      db.getFirestore().seed({ activity_participants: participants, activity_attendance: attendance });
+
+      const res = await request(app).delete(`/api/activities/${seriesId}`).set(auth(core.token));
+
+      expect(res.status).toBe(200);
+      expect((await db.getFirestore().collection('activity_participants').get()).empty).toBe(true);
+      expect((await db.getFirestore().collection('activity_attendance').get()).empty).toBe(true);
+    });
+  });
+
+  describe('Check-in', () => {
+    it('checks participants in with the current code and marks them present', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const created = await createActivity(core.token);
+      const id = created.body.activityId;
+      await request(app).post(`/api/activities/${id}/participate`).set(auth(member.token)).send({ participating: true });
+
+      const forbidden = await request(app).get(`/api/activities/${id}/check-in-code`).set(auth(member.token));
+      const res = await request(app).get(`/api/activities/${id}/check-in-code`).set(auth(otherCore.token));
+      const { code } = res.body;
+      const checkIn = (token, body) => request(app).post(`/api/activities/${id}/check-in`).set(auth(token)).send(body);
+
+      const malformed = await checkIn(member.token, { code: '12ab' });
+      const wrong = await checkIn(member.token, { code: String((Number(code) + 1) % 1000000).padStart(6, '0') });
+      const stranger = await checkIn(alex.token, { code });
+      const checkedIn = await checkIn(member.token, { code });
+      const again = await checkIn(member.token, { code });
+
+      expect(forbidden.status).toBe(403);
+      expect(res.status).toBe(200);
+      expect(code).toMatch(/^\d{6}$/);
+      expect(res.body.qrPayload).toBe(`3amcore://check-in?activityId=${id}&code=${code}`);
+      expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(malformed.status).toBe(400);
+      expect(wrong.status).toBe(400);
+      expect(stranger.status).toBe(403);
+      expect(checkedIn.status).toBe(200);
+      // The activity started long ago
+      expect(checkedIn.body.status).toBe('late');
+      expect(again.status).toBe(409);
+
+      const list = await request(app).get(`/api/activities/${id}/attendance`).set(auth(core.token));
+      const presence = await request(app).get('/api/presence/month/2026/2').set(auth(member.token));
+      expect(list.body.attendance).toEqual([expect.objectContaining({ userId: 'sam', status: 'late', method: 'check-in' })]);
+      expect(presence.body.presenceRecords).toEqual([expect.objectContaining({ date: '2026-03-14', type: 'activity' })]);
+    });
+
+    it('limits check-in attempts per user and activity', async () => {
+      const alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+      const first = (await createActivity(core.token)).body.activityId;
+      const second = (await createActivity(core.token)).body.activityId;
+      const checkIn = (user, id) => request(app).post(`/api/activities/${id}/check-in`).set(auth(user.token)).send({ code: '000000' });
+
+      const attempts = [];
+      for (let i = 0; i < 11; i++) {
+        attempts.push(await checkIn(member, first));
+      }
+      const otherUser = await checkIn(alex, first);
+      const otherActivity = await checkIn(member, second);
+
+      expect(attempts.slice(0, 10).map(res => res.status)).not.toContain(429);
+      expect(attempts[10].status).toBe(429);
+      expect(attempts[10].body).toEqual({ error: 'Too many check-in attempts, please try again later.', code: 'RATE_LIMITED' });
+      expect(otherUser.status).not.toBe(429);
+      expect(otherActivity.status).not.toBe(429);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const jwt = require('jsonwebtoken');
+const { app, db, request, auth, resetStore, seedInHouseUser, loginAsInHouse } = require('./helpers');
+
+describe('Auth routes (/api/auth)', () => {
+  beforeEach(() => resetStore());
+
+  describe('POST /firebase-login', () => {
+    it('issues a token and cookie for a valid Firebase ID token', async () => {
+      await seedInHouseUser({ uid: 'u1', email: 'one@example.com', displayName: 'User One' });
+      const idToken = await db.getAuth().createIdToken('u1');
+
+      const res = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ userId: 'u1', username: 'User One', userType: 'in-house' });
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.headers['set-cookie'].join(';')).toMatch(/token=/);
+    });
+
+    it('ignores a client-supplied userType', async () => {
+      await seedInHouseUser({ uid: 'u1', email: 'one@example.com' });
+      const idToken = await db.getAuth().createIdToken('u1');
+
+      const res = await request(app).post('/api/auth/firebase-login').send({ idToken, userType: 'core' });
+      const create = await request(app)
+        .post('/api/activities')
+        .set(auth(res.body.token))
+        .send({ title: 'Sneaky', description: 'Not allowed', activityType: 'group' });
+
+      expect(res.body.user.userType).toBe('in-house');
+      expect(create.status).toBe(403);
+    });
+
+    it('uses the role stored in the users registry', async () => {
+      await seedInHouseUser({ uid: 'u1', email: 'one@example.com' });
+      db.getFirestore().seed({ users: { u1: { userId: 'u1', email: 'one@example.com', userType: 'core' } } });
+      const idToken = await db.getAuth().createIdToken('u1');
+
+      const res = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      expect(res.body.user.userType).toBe('core');
+    });
+
+    it('registers first-time users as in-house', async () => {
+      await seedInHouseUser({ uid: 'u1', email: 'one@example.com' });
+      const idToken = await db.getAuth().createIdToken('u1');
+
+      await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const doc = await db.getFirestore().collection('users').doc('u1').get();
+      expect(doc.data()).toMatchObject({ userId: 'u1', email: 'one@example.com', userType: 'in-house' });
+    });
+
+    it('rejects an invalid ID token', async () => {
+      const res = await request(app).post('/api/auth/firebase-login').send({ idToken: 'garbage' });
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ error: 'Firebase authentication failed', code: 'UNAUTHENTICATED' });
+    });
+  });
+
+  describe('POST /firebase-signup', () => {
+    it('issues a token for a freshly created Firebase user', async () => {
+      await seedInHouseUser({ uid: 'u2', email: 'two@example.com' });
+      const idToken = await db.getAuth().createIdToken('u2');
+
+      const res = await request(app)
+        .post('/api/auth/firebase-signup')
+        .send({ idToken, username: 'two', email: 'two@example.com', userType: 'core' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ userId: 'u2', username: 'two', userType: 'in-house' });
+    });
+  });
+
+  describe('GET /user', () => {
+    it('returns the current user', async () => {
+      const { token } = await loginAsInHouse();
+
+      const res = await request(app).get('/api/auth/user').set(auth(token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ userId: 'inhouse-sam', userType: 'in-house' });
+    });
+
+    it('requires a token', async () => {
+      const res = await request(app).get('/api/auth/user');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects a tampered token', async () => {
+      const res = await request(app).get('/api/auth/user').set(auth('not.a.jwt'));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /logout', () => {
+    it('clears the token cookies', async () => {
+      const res = await request(app).post('/api/auth/logout');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['set-cookie'].join(';')).toMatch(/token=;/);
+      expect(res.headers['set-cookie'].join(';')).toMatch(/refreshToken=;/);
+    });
+
+    it('revokes the session so the access token stops working', async () => {
+      const { token, res: login } = await loginAsInHouse();
+
+      await request(app).post('/api/auth/logout').set(auth(token));
+      const user = await request(app).get('/api/auth/user').set(auth(token));
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      expect(user.status).toBe(401);
+      expect(user.body.code).toBe('SESSION_REVOKED');
+      expect(refresh.status).toBe(401);
+      expect(refresh.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('only revokes a session by refresh token when its secret matches', async () => {
+      const { token, res: login } = await loginAsInHouse();
+      const [sessionId] = login.body.refreshToken.split('.');
+
+      await request(app).post('/api/auth/logout').send({ refreshToken: `${sessionId}.guessed` });
+      const stillActive = await request(app).get('/api/auth/user').set(auth(token));
+      await request(app).post('/api/auth/logout').send({ refreshToken: login.body.refreshToken });
+      const revoked = await request(app).get('/api/auth/user').set(auth(token));
+
+      expect(stillActive.status).toBe(200);
+      expect(revoked.status).toBe(401);
+    });
+  });
+
+  describe('POST /logout-all', () => {
+    it('revokes every session of the user', async () => {
+      const first = await loginAsInHouse();
+      const idToken = await db.getAuth().createIdToken('inhouse-sam');
+      const second = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const res = await request(app).post('/api/auth/logout-all').set(auth(first.token));
+      const other = await request(app).get('/api/auth/user').set(auth(second.body.token));
+
+      expect(res.body.revokedCount).toBe(2);
+      expect(other.status).toBe(401);
+    });
+  });
+
+  describe('POST /refresh', () => {
+    it('issues a new access token and rotates the refresh token', async () => {
+      const { res: login } = await loginAsInHouse();
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ userId: 'inhouse-sam', userType: 'in-house' });
+      expect(res.body.refreshToken).not.toBe(login.body.refreshToken);
+
+      const user = await request(app).get('/api/auth/user').set(auth(res.body.token));
+      expect(user.status).toBe(200);
+    });
+
+    it('accepts the refresh token cookie', async () => {
+      const { res: login } = await loginAsInHouse();
+      const cookies = login.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+
+      const res = await request(app).post('/api/auth/refresh').set('Cookie', cookies);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('revokes the session when a rotated refresh token is replayed', async () => {
+      const { res: login } = await loginAsInHouse();
+      const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+      const next = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+      const user = await request(app).get('/api/auth/user').set(auth(rotated.body.token));
+
+      expect(replay.status).toBe(401);
+      expect(next.status).toBe(401);
+      expect(user.status).toBe(401);
+    });
+
+    it('requires a refresh token', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects a malformed refresh token', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'nope' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('Access tokens', () => {
+    it('are short-lived', async () => {
+      const { token } = await loginAsInHouse();
+      const { exp, iat, sessionId } = jwt.decode(token);
+
+      expect(sessionId).toEqual(expect.any(String));
+      expect(exp - iat).toBe(15 * 60);
+    });
+
+    it('report expiry with 401 so clients know to refresh', async () => {
+      const { token } = await loginAsInHouse();
+      const { sessionId, userId } = jwt.decode(token);
+      const expired = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+      const res = await request(app).get('/api/auth/user').set(auth(expired));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Token expired.');
+      expect(res.body.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('without a session are rejected', async () => {
+      const legacy = jwt.sign({ userId: 'inhouse-sam', userType: 'in-house' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+      const res = await request(app).get('/api/auth/user').set(auth(legacy));
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
+
+describe('Health check', () => {
+  it('GET /api/health reports OK', async () => {
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('unknown routes return 404', async () => {
+    const res = await request(app).get('/api/does-not-exist');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Not found - /api/does-not-exist', code: 'ROUTE_NOT_FOUND' });
+  });
+
+  it('malformed JSON bodies return INVALID_JSON', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('Content-Type', 'application/json')
+      .send('{"refreshToken":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+});
+
+describe('Legacy auth routes (/api)', () => {
+  beforeEach(() => resetStore());
+
+  it('keep returning 400 for an existing email on signup', async () => {
+    await seedInHouseUser();
+
+    const res = await request(app)
+      .post('/api/firebase-signup')
+      .send({ username: 'sam', email: 'sam@example.com', password: 'secret1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Email already exists', code: 'CONFLICT' });
+  });
+
+  it('keep returning 400 for an unknown email on login', async () => {
+    const res = await request(app)
+      .post('/api/firebase-login')
+      .send({ email: 'nobody@example.com', password: 'secret1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'User not found', code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,112 @@
+const { app, request, auth, resetStore, loginAsCore, loginAsInHouse } = require('./helpers');
+const permissionsService = require('../src/server/services/permissionsService');
+
+const createTask = (token) => request(app)
+  .post('/api/responsibilities')
+  .set(auth(token))
+  .send({ title: 'Clean the studio', date: '2026-03-14', startTime: '09:00', endTime: '10:00' });
+
+const createActivity = (token) => request(app)
+  .post('/api/activities')
+  .set(auth(token))
+  .send({ title: 'Saturday Session', description: 'Weekly group session', date: '2026-03-14', startTime: '10:00', endTime: '12:00', activityType: 'group' });
+
+describe('Comment routes (/api/{responsibilities|activities}/:id/comments)', () => {
+  let core;
+  let otherCore;
+  let sam;
+  let alex;
+
+  beforeEach(async () => {
+    resetStore();
+    core = await loginAsCore({ id: 'core-a', name: 'Core A', username: 'core_a', email: 'a@3amcore.com' });
+    otherCore = await loginAsCore({ id: 'core-b', name: 'Core B', username: 'core_b', email: 'b@3amcore.com', role: 'core' });
+    sam = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+    alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+  });
+
+  it('threads replies, notifies mentioned users and hides comments from users who cannot see the task', async () => {
+    const task = await createTask(sam.token);
+    const url = `/api/responsibilities/${task.body.taskId}/comments`;
+
+    const first = await request(app).post(url).set(auth(core.token))
+      .send({ body: 'Can you take photos, @sam@example.com and @core_b?' });
+    expect(first.status).toBe(201);
+    expect(first.body.comment).toMatchObject({ parentId: null, authorId: 'core-a', attachments: [] });
+    expect(first.body.comment.mentions.map(mention => mention.userId).sort()).toEqual(['core-b', 'sam']);
+
+    const notifications = await request(app).get('/api/notifications').set(auth(sam.token));
+    expect(notifications.body.notifications).toEqual([
+      expect.objectContaining({ type: 'comment_mention', responsibilityId: task.body.taskId, commentId: first.body.comment.id })
+    ]);
+
+    const reply = await request(app).post(url).set(auth(sam.token)).send({ body: 'Sure', parentId: first.body.comment.id });
+    // Replies to a reply join the thread
+    const nested = await request(app).post(url).set(auth(otherCore.token)).send({ body: 'Thanks', parentId: reply.body.comment.id });
+    expect(nested.body.comment.parentId).toBe(first.body.comment.id);
+
+    const list = await request(app).get(url).set(auth(sam.token));
+    expect(list.status).toBe(200);
+    expect(list.body.comments).toHaveLength(1);
+    expect(list.body.comments[0].replies.map(comment => comment.body)).toEqual(['Sure', 'Thanks']);
+
+    await permissionsService.setRolePermissions('in-house', ['responsibilities:create'], { userId: 'admin', name: 'Admin' });
+    const hidden = await request(app).get(url).set(auth(alex.token));
+    const empty = await request(app).post(url).set(auth(sam.token)).send({ body: '  ' });
+    const missing = await request(app).get('/api/responsibilities/missing/comments').set(auth(sam.token));
+    expect(hidden.status).toBe(403);
+    expect(empty.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+
+  it('stores attachments and downloads them', async () => {
+    const activity = await createActivity(core.token);
+    const url = `/api/activities/${activity.body.activityId}/comments`;
+
+    const res = await request(app).post(url).set(auth(sam.token))
+      .field('body', 'Setlist attached')
+      .attach('files', Buffer.from('1. Intro\n2. Outro\n'), { filename: 'setlist.txt', contentType: 'text/plain' });
+    expect(res.status).toBe(201);
+    const [attachment] = res.body.comment.attachments;
+    expect(attachment).toMatchObject({ filename: 'setlist.txt', contentType: 'text/plain', size: 18 });
+
+    const download = await request(app).get(`${url}/${res.body.comment.id}/attachments/${attachment.id}`).set(auth(alex.token));
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toContain('setlist.txt');
+    expect(download.text).toBe('1. Intro\n2. Outro\n');
+
+    const elsewhere = await request(app).get(`/api/activities/other/comments/${res.body.comment.id}/attachments/${attachment.id}`).set(auth(alex.token));
+    expect(elsewhere.status).toBe(404);
+  });
+
+  it('lets authors edit and authors or core members delete', async () => {
+    const activity = await createActivity(core.token);
+    const url = `/api/activities/${activity.body.activityId}/comments`;
+    const thread = await request(app).post(url).set(auth(sam.token))
+      .field('body', 'See photo')
+      .attach('files', Buffer.from('jpeg'), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+    const commentUrl = `${url}/${thread.body.comment.id}`;
+    await request(app).post(url).set(auth(alex.token)).send({ body: 'Nice', parentId: thread.body.comment.id });
+
+    const notAuthor = await request(app).put(commentUrl).set(auth(core.token)).send({ body: 'Edited' });
+    const edited = await request(app).put(commentUrl).set(auth(sam.token)).send({ body: 'See photo, @alex@example.com' });
+    expect(notAuthor.status).toBe(403);
+    expect(edited.status).toBe(200);
+    expect(edited.body.comment.editedAt).toEqual(expect.any(String));
+    const alexNotifications = await request(app).get('/api/notifications').set(auth(alex.token));
+    expect(alexNotifications.body.notifications).toHaveLength(1);
+
+    const notAllowed = await request(app).delete(commentUrl).set(auth(alex.token));
+    const deleted = await request(app).delete(commentUrl).set(auth(otherCore.token));
+    expect(notAllowed.status).toBe(403);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.deleted).toBe(2);
+
+    const attachment = await request(app)
+      .get(`${commentUrl}/attachments/${thread.body.comment.attachments[0].id}`)
+      .set(auth(sam.token));
+    const list = await request(app).get(url).set(auth(sam.token));
+    expect(attachment.status).toBe(404);
+    expect(list.body.comments).toEqual([]);
+  });
+});
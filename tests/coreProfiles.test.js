@@ -0,0 +1,281 @@
+const {
+  app,
+  db,
+  request,
+  auth,
+  resetStore,
+  seedCoreProfile,
+  seedInHouseUser,
+  loginAsCore,
+  loginAsInHouse,
+  DEFAULT_PASSWORD
+} = require('./helpers');
+
+describe('Core profile routes (/api/core)', () => {
+  beforeEach(() => resetStore());
+
+  describe('GET /profiles', () => {
+    it('lists profiles without password hashes', async () => {
+      await seedCoreProfile({ id: 'core-a', name: 'Core A' });
+
+      const res = await request(app).get('/api/core/profiles');
+
+      expect(res.status).toBe(200);
+      expect(res.body.profiles).toHaveLength(1);
+      expect(res.body.profiles[0]).toMatchObject({ id: 'core-a', name: 'Core A', passwordSet: true });
+      expect(res.body.profiles[0].hashedPassword).toBeUndefined();
+    });
+  });
+
+  describe('POST /setup-password', () => {
+    it('sets a password once', async () => {
+      await seedCoreProfile({ id: 'core-new', password: null });
+
+      const first = await request(app)
+        .post('/api/core/setup-password')
+        .send({ profileId: 'core-new', password: 'secret1' });
+      const second = await request(app)
+        .post('/api/core/setup-password')
+        .send({ profileId: 'core-new', password: 'secret2' });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(400);
+      expect(second.body.error).toBe('Password already set for this profile');
+      expect(second.body.code).toBe('CONFLICT');
+    });
+
+    it('validates the password length', async () => {
+      await seedCoreProfile({ id: 'core-new', password: null });
+
+      const res = await request(app)
+        .post('/api/core/setup-password')
+        .send({ profileId: 'core-new', password: '123' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for an unknown profile', async () => {
+      const res = await request(app)
+        .post('/api/core/setup-password')
+        .send({ profileId: 'missing', password: 'secret1' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /login', () => {
+    it('logs in with the right password', async () => {
+      await seedCoreProfile({ id: 'core-a', name: 'Core A' });
+
+      const res = await request(app)
+        .post('/api/core/login')
+        .send({ profileId: 'core-a', password: DEFAULT_PASSWORD });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ userId: 'core-a', name: 'Core A', userType: 'core' });
+      expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it('rejects a wrong password', async () => {
+      await seedCoreProfile({ id: 'core-a' });
+
+      const res = await request(app)
+        .post('/api/core/login')
+        .send({ profileId: 'core-a', password: 'wrong-password' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid password', code: 'INVALID_CREDENTIALS' });
+    });
+
+    it('requires profile id and password', async () => {
+      const res = await request(app).post('/api/core/login').send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Core team management (/team)', () => {
+    let core;
+    let member;
+
+    beforeEach(async () => {
+      core = await loginAsCore({ id: 'core-a', name: 'Core A', email: 'a@3amcore.com' });
+      member = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+    });
+
+    it('forbids non-core users', async () => {
+      const list = await request(app).get('/api/core/team').set(auth(member.token));
+      const promote = await request(app).post('/api/core/team').set(auth(member.token)).send({ userId: 'sam' });
+
+      expect(list.status).toBe(403);
+      expect(promote.status).toBe(403);
+    });
+
+    it('promotes a user, who becomes core on their next login', async () => {
+      const promote = await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'sam' });
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: member.res.body.refreshToken });
+      const idToken = await db.getAuth().createIdToken('sam');
+      const login = await request(app).post('/api/auth/firebase-login').send({ idToken });
+      const team = await request(app).get('/api/core/team').set(auth(core.token));
+
+      expect(promote.status).toBe(200);
+      expect(promote.body).toMatchObject({
+        user: { userId: 'sam', userType: 'core', previousUserType: 'in-house' },
+        revokedSessions: 1
+      });
+      expect(refreshed.status).toBe(401);
+      expect(login.body.user.userType).toBe('core');
+      expect(team.body.members.map(m => m.userId)).toEqual(['core-a', 'sam']);
+
+      const activity = await request(app)
+        .post('/api/activities')
+        .set(auth(login.body.token))
+        .send({ title: 'Now allowed', description: 'Promoted', activityType: 'group' });
+      expect(activity.status).toBe(201);
+    });
+
+    it('revokes the sessions of a core-lead moved to another core role', async () => {
+      await seedInHouseUser({ uid: 'alex', email: 'alex@example.com' });
+      await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'alex', role: 'core-lead' });
+      const idToken = await db.getAuth().createIdToken('alex');
+      const alex = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const demote = await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'alex', role: 'core' });
+      const again = await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'alex', role: 'core' });
+      const stale = await request(app).get('/api/core/team').set(auth(alex.body.token));
+      const notCore = await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'alex', role: 'viewer' });
+
+      expect(demote.body).toMatchObject({ user: { role: 'core', previousRole: 'core-lead' }, revokedSessions: 1 });
+      expect(again.body.revokedSessions).toBe(0);
+      expect(stale.status).toBe(401);
+      expect(notCore.status).toBe(400);
+      expect(notCore.body.details[0]).toMatchObject({ field: 'role' });
+    });
+
+    it('demotes a user and revokes their sessions', async () => {
+      await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'sam' });
+      const idToken = await db.getAuth().createIdToken('sam');
+      const sam = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const demote = await request(app).delete('/api/core/team/sam').set(auth(core.token));
+      const user = await request(app).get('/api/auth/user').set(auth(sam.body.token));
+
+      expect(demote.status).toBe(200);
+      expect(demote.body).toMatchObject({ user: { userType: 'in-house' }, revokedSessions: 1 });
+      expect(user.status).toBe(401);
+    });
+
+    it('rejects changing core profiles, yourself or unknown users', async () => {
+      await seedCoreProfile({ id: 'core-b', email: 'b@3amcore.com' });
+      await seedInHouseUser({ uid: 'alex', email: 'alex@example.com' });
+      await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'alex', role: 'core-lead' });
+      const idToken = await db.getAuth().createIdToken('alex');
+      const alex = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const profile = await request(app).delete('/api/core/team/core-b').set(auth(core.token));
+      const self = await request(app).delete('/api/core/team/alex').set(auth(alex.body.token));
+      const unknown = await request(app).post('/api/core/team').set(auth(core.token)).send({ userId: 'nobody' });
+      const missing = await request(app).post('/api/core/team').set(auth(core.token)).send({});
+
+      expect(profile.status).toBe(400);
+      expect(self.status).toBe(400);
+      expect(unknown.status).toBe(404);
+      expect(missing.status).toBe(400);
+    });
+  });
+
+  describe('Roles and permissions', () => {
+    let lead;
+    let admin;
+
+    beforeEach(async () => {
+      lead = await loginAsCore({ id: 'core-lead', name: 'Lead', email: 'lead@3amcore.com' });
+      admin = await loginAsCore({ id: 'core-admin', name: 'Admin', email: 'admin@3amcore.com', role: 'admin' });
+      await seedInHouseUser({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+    });
+
+    it('lists roles with their permissions', async () => {
+      const res = await request(app).get('/api/core/roles').set(auth(lead.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.roles.map(r => r.role)).toEqual(['admin', 'core-lead', 'core', 'in-house', 'viewer']);
+      expect(res.body.roles.find(r => r.role === 'viewer').permissions).not.toContain('responsibilities:create');
+    });
+
+    it('keeps core members without team:manage out of team management', async () => {
+      const member = await loginAsCore({ id: 'core-c', name: 'Core C', email: 'c@3amcore.com', role: 'core' });
+
+      const team = await request(app).get('/api/core/team').set(auth(member.token));
+
+      expect(member.user.role).toBe('core');
+      expect(team.status).toBe(403);
+    });
+
+    it('assigns roles and revokes the user\'s sessions', async () => {
+      const idToken = await db.getAuth().createIdToken('sam');
+      const sam = await request(app).post('/api/auth/firebase-login').send({ idToken });
+
+      const res = await request(app).put('/api/core/users/sam/role').set(auth(lead.token)).send({ role: 'viewer' });
+      const stale = await request(app).get('/api/auth/user').set(auth(sam.body.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ user: { role: 'viewer', userType: 'in-house', previousRole: 'in-house' }, revokedSessions: 1 });
+      expect(stale.status).toBe(401);
+
+      const doc = await db.getFirestore().collection('users').doc('sam').get();
+      expect(doc.data()).toMatchObject({ role: 'viewer', userType: 'in-house', roleUpdatedBy: 'core-lead' });
+    });
+
+    it('only lets admins grant the admin role or change role permissions', async () => {
+      const grant = await request(app).put('/api/core/users/sam/role').set(auth(lead.token)).send({ role: 'admin' });
+      const update = await request(app).put('/api/core/roles/viewer').set(auth(lead.token)).send({ permissions: [] });
+      const unknownRole = await request(app).put('/api/core/users/sam/role').set(auth(admin.token)).send({ role: 'owner' });
+
+      expect(grant.status).toBe(403);
+      expect(update.status).toBe(403);
+      expect(unknownRole.status).toBe(400);
+    });
+
+    it('only lets admins remove the admin role', async () => {
+      await seedInHouseUser({ uid: 'ada', email: 'ada@example.com', displayName: 'Ada', role: 'admin' });
+
+      const demote = await request(app).put('/api/core/users/ada/role').set(auth(lead.token)).send({ role: 'core' });
+      const remove = await request(app).delete('/api/core/team/ada').set(auth(lead.token));
+      const byAdmin = await request(app).put('/api/core/users/ada/role').set(auth(admin.token)).send({ role: 'core' });
+
+      expect(demote.status).toBe(403);
+      expect(remove.status).toBe(403);
+      expect(byAdmin.status).toBe(200);
+      expect(byAdmin.body.user).toMatchObject({ role: 'core', previousRole: 'admin' });
+    });
+
+    it('applies permission changes stored in the database', async () => {
+      const viewer = await loginAsInHouse({ uid: 'vic', email: 'vic@example.com', displayName: 'Vic', role: 'viewer' });
+      const task = { title: 'Water plants', date: '2026-03-14', startTime: '09:00', endTime: '09:30' };
+
+      const before = await request(app).post('/api/responsibilities').set(auth(viewer.token)).send(task);
+      const update = await request(app)
+        .put('/api/core/roles/viewer')
+        .set(auth(admin.token))
+        .send({ permissions: ['activities:view', 'responsibilities:view-all', 'responsibilities:create'] });
+      const after = await request(app).post('/api/responsibilities').set(auth(viewer.token)).send(task);
+
+      expect(before.status).toBe(403);
+      expect(update.status).toBe(200);
+      expect(after.status).toBe(201);
+
+      const doc = await db.getFirestore().collection('roles').doc('viewer').get();
+      expect(doc.data()).toMatchObject({ role: 'viewer', updatedBy: 'core-admin' });
+    });
+
+    it('validates role permission updates', async () => {
+      const unknown = await request(app).put('/api/core/roles/viewer').set(auth(admin.token)).send({ permissions: ['everything'] });
+      const lockout = await request(app).put('/api/core/roles/admin').set(auth(admin.token)).send({ permissions: [] });
+      const missingRole = await request(app).put('/api/core/roles/owner').set(auth(admin.token)).send({ permissions: [] });
+
+      expect(unknown.status).toBe(400);
+      expect(lockout.status).toBe(400);
+      expect(missingRole.status).toBe(404);
+    });
+  });
+});
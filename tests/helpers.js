@@ -0,0 +1,130 @@
+/**
+ * Test helpers
+ * Boots app.js against the in-memory data store and provides login shortcuts
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../src/server/app');
+const db = require('../src/server/db');
+const permissionsService = require('../src/server/services/permissionsService');
+
+const DEFAULT_PASSWORD = 'password123';
+
+/**
+ * Clear all collections, auth users and cached role permissions between tests
+ */
+const resetStore = () => {
+  db.resetMemoryStore();
+  permissionsService.clearPermissionCache();
+};
+
+/**
+ * Add a core team profile with a password already set
+ */
+const seedCoreProfile = async (profile = {}) => {
+  const {
+    id = 'core-jane',
+    name = 'Jane Core',
+    username = 'jane_core',
+    email = 'jane@3amcore.com',
+    password = DEFAULT_PASSWORD,
+    role
+  } = profile;
+
+  db.getFirestore().seed({
+    'core-profiles': {
+      [id]: {
+        name,
+        username,
+        email,
+        passwordSet: Boolean(password),
+        hashedPassword: password ? await bcrypt.hash(password, 4) : null,
+        ...(role ? { role } : {})
+      }
+    }
+  });
+
+  return { id, name, username, email, password };
+};
+
+/**
+ * Add an in-house Firebase Auth user, optionally registered with a role
+ */
+const seedInHouseUser = async (user = {}) => {
+  const {
+    uid = 'inhouse-sam',
+    email = 'sam@example.com',
+    displayName = 'Sam House',
+    role
+  } = user;
+
+  await db.getAuth().createUser({ uid, email, displayName });
+
+  if (role) {
+    db.getFirestore().seed({
+      users: {
+        [uid]: {
+          userId: uid,
+          email,
+          name: displayName,
+          role,
+          userType: permissionsService.getUserTypeForRole(role)
+        }
+      }
+    });
+  }
+
+  return { uid, email, displayName, role };
+};
+
+/**
+ * Log in as a core team member through /api/core/login
+ */
+const loginAsCore = async (profile = {}) => {
+  const seeded = await seedCoreProfile(profile);
+  const res = await request(app)
+    .post('/api/core/login')
+    .send({ profileId: seeded.id, password: seeded.password });
+
+  if (res.status !== 200) {
+    throw new Error(`Core login failed (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+
+  return { token: res.body.token, user: res.body.user, res };
+};
+
+/**
+ * Log in as an in-house user through /api/auth/firebase-login
+ */
+const loginAsInHouse = async (user = {}) => {
+  const seeded = await seedInHouseUser(user);
+  const idToken = await db.getAuth().createIdToken(seeded.uid);
+  const res = await request(app)
+    .post('/api/auth/firebase-login')
+    .send({ idToken });
+
+  if (res.status !== 200) {
+    throw new Error(`In-house login failed (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+
+  return { token: res.body.token, user: res.body.user, res };
+};
+
+/**
+ * Authorization header for a token
+ */
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  app,
+  db,
+  request,
+  auth,
+  resetStore,
+  seedCoreProfile,
+  seedInHouseUser,
+  loginAsCore,
+  loginAsInHouse,
+  DEFAULT_PASSWORD
+};
@@ -0,0 +1,60 @@
+const { app, request, auth, resetStore, loginAsCore, loginAsInHouse, seedInHouseUser } = require('./helpers');
+
+describe('In-house presence routes (/api/in-house-presence)', () => {
+  let core;
+  let sam;
+
+  beforeEach(async () => {
+    resetStore();
+    core = await loginAsCore({ id: 'core-a', name: 'Core A', email: 'a@3amcore.com' });
+    sam = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+    await seedInHouseUser({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+    // Core members who also have a Firebase account are excluded from the list
+    await seedInHouseUser({ uid: 'core-firebase', email: 'a@3amcore.com', displayName: 'Core A' });
+  });
+
+  it('forbids non-core users on every endpoint', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/in-house-presence/users').set(auth(sam.token)),
+      request(app).get('/api/in-house-presence/user/sam/month/2026/3').set(auth(sam.token)),
+      request(app).get('/api/in-house-presence/overview/2026/3').set(auth(sam.token))
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(403));
+  });
+
+  it('lists in-house users excluding core members', async () => {
+    const res = await request(app).get('/api/in-house-presence/users').set(auth(core.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.map(u => u.userId).sort()).toEqual(['alex', 'sam']);
+  });
+
+  it('returns a user\'s monthly presence (1-based month)', async () => {
+    await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+
+    const res = await request(app).get('/api/in-house-presence/user/sam/month/2026/3').set(auth(core.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ userId: 'sam', name: 'Sam', email: 'sam@example.com' });
+    expect(res.body.presenceRecords.map(r => r.date)).toEqual(['2026-03-14']);
+    expect(res.body.stats).toMatchObject({ presentDays: 1, presentSaturdays: 1 });
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    const res = await request(app).get('/api/in-house-presence/user/nobody/month/2026/3').set(auth(core.token));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('summarises presence for every in-house user', async () => {
+    await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+
+    const res = await request(app).get('/api/in-house-presence/overview/2026/3').set(auth(core.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.overallStats).toMatchObject({ totalUsers: 2, usersWithData: 1 });
+    const samEntry = res.body.users.find(u => u.userId === 'sam');
+    expect(samEntry.presentDates).toEqual(['2026-03-14']);
+  });
+});
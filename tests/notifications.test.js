@@ -0,0 +1,142 @@
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn().mockResolvedValue({ statusCode: 201 })
+}));
+
+const webpush = require('web-push');
+const { app, db, request, auth, resetStore, loginAsCore, loginAsInHouse } = require('./helpers');
+
+const subscription = {
+  endpoint: 'https://push.example.com/send/abc123',
+  keys: { p256dh: 'key', auth: 'secret' }
+};
+
+describe('Notification routes (/api/notifications)', () => {
+  let coreA;
+  let coreB;
+  let member;
+
+  beforeEach(async () => {
+    resetStore();
+    webpush.sendNotification.mockClear();
+    coreA = await loginAsCore({ id: 'core-a', name: 'Core A', email: 'a@3amcore.com' });
+    coreB = await loginAsCore({ id: 'core-b', name: 'Core B', email: 'b@3amcore.com' });
+    member = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+  });
+
+  const announce = (token, body = {}) => request(app)
+    .post('/api/notifications/activity-created')
+    .set(auth(token))
+    .send({ activityId: 'act-1', activityTitle: 'Saturday Session', activityDate: '2026-03-14', ...body });
+
+  describe('POST /activity-created', () => {
+    it('notifies every other core member and pushes to subscribers', async () => {
+      await request(app).post('/api/notifications/push-subscription').set(auth(coreB.token)).send({ subscription });
+
+      const res = await announce(coreA.token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.notificationsSent).toBe(1);
+      expect(webpush.sendNotification).toHaveBeenCalledWith(subscription, expect.stringContaining('Saturday Session'));
+    });
+
+    it('forbids non-core users', async () => {
+      const res = await announce(member.token);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('requires activity details', async () => {
+      const res = await announce(coreA.token, { activityTitle: undefined });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /activity-participation', () => {
+    it('notifies core members about non-participation', async () => {
+      const res = await request(app)
+        .post('/api/notifications/activity-participation')
+        .set(auth(member.token))
+        .send({ activityId: 'act-1', activityTitle: 'Saturday Session', participating: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ notificationsSent: 2, targetAudience: 'core team only' });
+    });
+
+    it('requires the participation status', async () => {
+      const res = await request(app)
+        .post('/api/notifications/activity-participation')
+        .set(auth(member.token))
+        .send({ activityId: 'act-1', activityTitle: 'Saturday Session' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Reading notifications', () => {
+    it('lists, marks one and marks all as read', async () => {
+      await announce(coreA.token, { activityId: 'act-1' });
+      await announce(coreA.token, { activityId: 'act-2' });
+
+      const list = await request(app).get('/api/notifications').set(auth(coreB.token));
+      expect(list.status).toBe(200);
+      expect(list.body).toMatchObject({ total: 2, unreadCount: 2 });
+
+      const [first] = list.body.notifications;
+      const forbidden = await request(app).put(`/api/notifications/${first.id}/read`).set(auth(member.token));
+      const read = await request(app).put(`/api/notifications/${first.id}/read`).set(auth(coreB.token));
+      expect(forbidden.status).toBe(403);
+      expect(read.status).toBe(200);
+
+      const unread = await request(app).get('/api/notifications?unreadOnly=true').set(auth(coreB.token));
+      expect(unread.body.notifications).toHaveLength(1);
+
+      const all = await request(app).put('/api/notifications/mark-all-read').set(auth(coreB.token));
+      expect(all.body.updatedCount).toBe(1);
+    });
+
+    it('pages newest first and counts every unread notification', async () => {
+      await announce(coreA.token, { activityId: 'act-1' });
+      await announce(coreA.token, { activityId: 'act-2' });
+      await announce(coreA.token, { activityId: 'act-3' });
+
+      const first = await request(app).get('/api/notifications?limit=2').set(auth(coreB.token));
+      const second = await request(app)
+        .get(`/api/notifications?limit=2&cursor=${first.body.nextCursor}`)
+        .set(auth(coreB.token));
+
+      expect(first.body).toMatchObject({ total: 2, unreadCount: 3, nextCursor: expect.any(String) });
+      expect(second.body).toMatchObject({ total: 1, unreadCount: 3, nextCursor: null });
+
+      const ids = [...first.body.notifications, ...second.body.notifications].map(n => n.activityId);
+      expect(ids.sort()).toEqual(['act-1', 'act-2', 'act-3']);
+    });
+
+    it('returns 404 for an unknown notification', async () => {
+      const res = await request(app).put('/api/notifications/missing/read').set(auth(coreB.token));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Push subscriptions', () => {
+    it('saves and removes a subscription', async () => {
+      const saved = await request(app).post('/api/notifications/push-subscription').set(auth(member.token)).send({ subscription });
+      const stored = await db.getFirestore().collection('push_subscriptions').doc('sam').get();
+      const removed = await request(app).delete('/api/notifications/push-subscription').set(auth(member.token));
+      const after = await db.getFirestore().collection('push_subscriptions').doc('sam').get();
+
+      expect(saved.status).toBe(200);
+      expect(stored.data().subscription).toEqual(subscription);
+      expect(removed.status).toBe(200);
+      expect(after.exists).toBe(false);
+    });
+
+    it('requires subscription data', async () => {
+      const res = await request(app).post('/api/notifications/push-subscription').set(auth(member.token)).send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
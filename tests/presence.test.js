@@ -0,0 +1,105 @@
+const { app, db, request, auth, resetStore, loginAsInHouse } = require('./helpers');
+
+describe('Presence routes (/api/presence, v2 monthly documents)', () => {
+  let sam;
+
+  beforeEach(async () => {
+    resetStore();
+    sam = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+  });
+
+  describe('POST /', () => {
+    it('marks presence in the user\'s monthly document', async () => {
+      const res = await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.stats).toMatchObject({ presentDays: 1, totalSaturdays: 4, presentSaturdays: 1 });
+
+      const doc = await db.getFirestore().collection('user_presence').doc('sam_2026_03').get();
+      expect(doc.data().dates['14']).toMatchObject({ type: 'manual' });
+    });
+
+    it('rejects a duplicate date', async () => {
+      await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+      const res = await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Presence already marked for this date', code: 'CONFLICT' });
+    });
+
+    it('validates the date', async () => {
+      const missing = await request(app).post('/api/presence').set(auth(sam.token)).send({});
+      const malformed = await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '14/03/2026' });
+
+      expect(missing.status).toBe(400);
+      expect(malformed.status).toBe(400);
+      expect(malformed.body.error).toBe('Date must be in YYYY-MM-DD format');
+    });
+  });
+
+  describe('DELETE /:date', () => {
+    it('removes a marked date', async () => {
+      await request(app).post('/api/presence').set(auth(sam.token)).send({ date: '2026-03-14' });
+
+      const res = await request(app).delete('/api/presence/2026-03-14').set(auth(sam.token));
+      const again = await request(app).delete('/api/presence/2026-03-14').set(auth(sam.token));
+
+      expect(res.status).toBe(200);
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('GET /month/:year/:month and GET /stats/:year/:month', () => {
+    it('returns records and compliance stats (0-based month)', async () => {
+      for (const date of ['2026-03-07', '2026-03-14', '2026-03-16']) {
+        await request(app).post('/api/presence').set(auth(sam.token)).send({ date });
+      }
+
+      const month = await request(app).get('/api/presence/month/2026/2').set(auth(sam.token));
+      const stats = await request(app).get('/api/presence/stats/2026/2').set(auth(sam.token));
+
+      expect(month.status).toBe(200);
+      expect(month.body.presenceRecords.map(r => r.date)).toEqual(['2026-03-07', '2026-03-14', '2026-03-16']);
+      expect(stats.body.stats).toMatchObject({ presentDays: 3, presentSaturdays: 2, isCompliant: false });
+      expect(stats.body.presentSaturdays).toEqual(['2026-03-07', '2026-03-14']);
+    });
+
+    it('returns empty data for a month without records', async () => {
+      const res = await request(app).get('/api/presence/month/2026/0').set(auth(sam.token));
+
+      expect(res.body).toMatchObject({ presenceRecords: [], count: 0 });
+    });
+
+    it('rejects an invalid month', async () => {
+      const res = await request(app).get('/api/presence/month/2026/12').set(auth(sam.token));
+      const notANumber = await request(app).get('/api/presence/stats/year/1').set(auth(sam.token));
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([{ location: 'params', field: 'month', message: 'Month must be at most 11' }]);
+      expect(notANumber.body.details).toEqual([{ location: 'params', field: 'year', message: 'Year must be an integer' }]);
+    });
+  });
+
+  describe('POST /activity-participation', () => {
+    it('marks activity presence once', async () => {
+      const first = await request(app)
+        .post('/api/presence/activity-participation')
+        .set(auth(sam.token))
+        .send({ activityDate: '2026-03-21' });
+      const second = await request(app)
+        .post('/api/presence/activity-participation')
+        .set(auth(sam.token))
+        .send({ activityDate: '2026-03-21' });
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(200);
+      expect(second.body.message).toBe('Presence already marked for this date');
+    });
+
+    it('requires the activity date', async () => {
+      const res = await request(app).post('/api/presence/activity-participation').set(auth(sam.token)).send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
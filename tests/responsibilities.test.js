@@ -0,0 +1,1216 @@
+const { app, db, request, auth, resetStore, loginAsCore, loginAsInHouse } = require('./helpers');
+const responsibilitiesService = require('../src/server/services/responsibilitiesService');
+const permissionsService = require('../src/server/services/permissionsService');
+
+const createTask = (token, overrides = {}) => request(app)
+  .post('/api/responsibilities')
+  .set(auth(token))
+  .send({
+    title: 'Clean the studio',
+    description: 'Sweep and mop',
+    date: '2026-03-14',
+    startTime: '09:00',
+    endTime: '10:00',
+    ...overrides
+  });
+
+describe('Responsibility routes (/api/responsibilities)', () => {
+  let sam;
+  let alex;
+
+  beforeEach(async () => {
+    resetStore();
+    sam = await loginAsInHouse({ uid: 'sam', email: 'sam@example.com', displayName: 'Sam' });
+    alex = await loginAsInHouse({ uid: 'alex', email: 'alex@example.com', displayName: 'Alex' });
+  });
+
+  describe('POST /', () => {
+    it('creates a responsibility for the current user', async () => {
+      const res = await createTask(sam.token);
+
+      expect(res.status).toBe(201);
+      expect(res.body.task).toMatchObject({ title: 'Clean the studio', userId: 'sam', completed: false });
+
+      const doc = await db.getFirestore().collection('tasks').doc(res.body.taskId).get();
+      expect(doc.exists).toBe(true);
+    });
+
+    it('rejects missing required fields', async () => {
+      const res = await createTask(sam.token, { title: undefined, endTime: undefined });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('lists every field problem and rejects unknown fields', async () => {
+      const res = await createTask(sam.token, { title: '', date: '2026-02-30', startTime: '25:00', color: 'red' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        { location: 'body', field: 'color', message: 'Unknown field: color' },
+        { location: 'body', field: 'title', message: 'Title is required' },
+        { location: 'body', field: 'date', message: 'Date must be a valid date' },
+        { location: 'body', field: 'startTime', message: 'Start time must be in HH:MM format' }
+      ]);
+      expect(res.body.error).toBe(res.body.details.map(d => d.message).join('; '));
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    });
+
+    it('normalizes times and trims text', async () => {
+      const res = await createTask(sam.token, { title: '  Clean the studio  ', startTime: '9:00' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.task).toMatchObject({ title: 'Clean the studio', startTime: '09:00', description: 'Sweep and mop' });
+    });
+
+    it('stores priority, category and tags, and derives the duration', async () => {
+      const res = await createTask(sam.token, { priority: 'urgent', category: 'Studio', tags: ['Cleaning', 'cleaning', 'weekly'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.task).toMatchObject({
+        priority: 'urgent',
+        category: 'Studio',
+        tags: ['cleaning', 'weekly'],
+        endTime: '10:00',
+        durationMinutes: 60,
+        reminderMinutes: null
+      });
+    });
+
+    it('accepts a duration instead of an end time, or neither', async () => {
+      const withDuration = await createTask(sam.token, { endTime: undefined, durationMinutes: 45 });
+      const open = await createTask(sam.token, { endTime: undefined });
+      const both = await createTask(sam.token, { durationMinutes: 45 });
+      const overnight = await createTask(sam.token, { startTime: '23:00', endTime: undefined, durationMinutes: 90 });
+
+      expect(withDuration.body.task).toMatchObject({ endTime: '09:45', durationMinutes: 45, priority: 'medium' });
+      expect(open.body.task).toMatchObject({ endTime: null, durationMinutes: null });
+      expect(both.status).toBe(400);
+      expect(overnight.status).toBe(400);
+      expect(overnight.body.details).toEqual([
+        { location: 'body', field: 'durationMinutes', message: 'Duration must end on the same day' }
+      ]);
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(app).post('/api/responsibilities').send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('forbids viewers', async () => {
+      const viewer = await loginAsInHouse({ uid: 'vic', email: 'vic@example.com', displayName: 'Vic', role: 'viewer' });
+
+      const create = await createTask(viewer.token);
+      const all = await request(app).get('/api/responsibilities/all').set(auth(viewer.token));
+
+      expect(create.status).toBe(403);
+      expect(create.body.error).toBe('Insufficient permissions.');
+      expect(all.status).toBe(200);
+    });
+  });
+
+  describe('GET / and GET /all', () => {
+    it('lists only the current user\'s tasks, and everyone\'s on /all', async () => {
+      await createTask(sam.token, { title: 'Sam task' });
+      await createTask(alex.token, { title: 'Alex task' });
+
+      const mine = await request(app).get('/api/responsibilities').set(auth(sam.token));
+      const all = await request(app).get('/api/responsibilities/all').set(auth(sam.token));
+
+      expect(mine.status).toBe(200);
+      expect(mine.body.tasks.map(t => t.title)).toEqual(['Sam task']);
+      expect(all.body.tasks).toHaveLength(2);
+    });
+
+    it('filters by priority, category and tag', async () => {
+      await createTask(sam.token, { title: 'Sweep', priority: 'high', category: 'Studio', tags: ['cleaning'] });
+      await createTask(sam.token, { title: 'Plan', category: 'Events', tags: ['planning'] });
+      await createTask(alex.token, { title: 'Mop', priority: 'high', category: 'studio', tags: ['Cleaning'] });
+
+      const titles = async (path) => {
+        const res = await request(app).get(path).set(auth(sam.token));
+        return res.body.tasks.map(t => t.title).sort();
+      };
+
+      expect(await titles('/api/responsibilities?priority=high')).toEqual(['Sweep']);
+      expect(await titles('/api/responsibilities?priority=medium')).toEqual(['Plan']);
+      expect(await titles('/api/responsibilities/all?category=STUDIO')).toEqual(['Mop', 'Sweep']);
+      expect(await titles('/api/responsibilities/all?tag=cleaning&priority=high')).toEqual(['Mop', 'Sweep']);
+
+      const invalid = await request(app).get('/api/responsibilities?priority=critical').set(auth(sam.token));
+      expect(invalid.status).toBe(400);
+    });
+
+    it('pages through occurrences and tasks with a cursor', async () => {
+      await createTask(sam.token, { title: 'Daily', recurrence: { frequency: 'daily', count: 3 } });
+      await createTask(sam.token, { title: 'Once', date: '2026-03-15', startTime: '08:00', endTime: '08:30' });
+
+      const page = (query) => request(app)
+        .get(`/api/responsibilities?from=2026-03-01&to=2026-03-31&sort=date&limit=2${query}`)
+        .set(auth(sam.token));
+
+      const first = await page('');
+      const second = await page(`&cursor=${first.body.nextCursor}`);
+
+      expect(first.body.tasks.map(t => `${t.title} ${t.date}`)).toEqual(['Daily 2026-03-14', 'Once 2026-03-15']);
+      expect(second.body.tasks.map(t => `${t.title} ${t.date}`)).toEqual(['Daily 2026-03-15', 'Daily 2026-03-16']);
+      expect(second.body.nextCursor).toBeNull();
+
+      const completed = await page('&completed=false&order=desc');
+      expect(completed.body.tasks[0].date).toBe('2026-03-16');
+
+      const invalid = await page('&cursor=nonsense');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details).toEqual([{ location: 'query', field: 'cursor', message: 'Cursor is invalid or expired' }]);
+    });
+
+    it('pages filtered tasks and occurrences together without skipping any', async () => {
+      await createTask(sam.token, { title: 'Weekly', priority: 'high', recurrence: { frequency: 'weekly', count: 3 } });
+      await createTask(sam.token, { title: 'Urgent', priority: 'urgent', category: 'studio' });
+      await createTask(sam.token, { title: 'Medium', priority: 'medium', category: 'Studio' });
+      await createTask(sam.token, { title: 'Low', priority: 'low' });
+
+      const walk = async (query) => {
+        const tasks = [];
+        let cursor = '';
+        do {
+          const res = await request(app)
+            .get(`/api/responsibilities?from=2026-03-01&to=2026-03-31&limit=2${query}${cursor}`)
+            .set(auth(sam.token));
+          tasks.push(...res.body.tasks);
+          cursor = res.body.nextCursor ? `&cursor=${res.body.nextCursor}` : '';
+        } while (cursor);
+        return tasks.map(t => t.title);
+      };
+
+      expect(await walk('&sort=priority&order=desc')).toEqual(['Urgent', 'Weekly', 'Weekly', 'Weekly', 'Medium', 'Low']);
+      expect(await walk('&sort=priority&category=STUDIO')).toEqual(['Medium', 'Urgent']);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('marks a task completed', async () => {
+      const created = await createTask(sam.token);
+
+      const res = await request(app)
+        .put(`/api/responsibilities/${created.body.taskId}`)
+        .set(auth(sam.token))
+        .send({ completed: true });
+
+      expect(res.status).toBe(200);
+      const doc = await db.getFirestore().collection('tasks').doc(created.body.taskId).get();
+      expect(doc.data().completed).toBe(true);
+      expect(doc.data().completedAt).toEqual(expect.any(String));
+    });
+
+    it('keeps the end time when the start moves, and recomputes it from a duration', async () => {
+      const created = await createTask(sam.token);
+      const update = (body) => request(app)
+        .put(`/api/responsibilities/${created.body.taskId}`)
+        .set(auth(sam.token))
+        .send(body);
+      const stored = async () => (await db.getFirestore().collection('tasks').doc(created.body.taskId).get()).data();
+
+      expect((await update({ startTime: '09:30', tags: ['Urgent'] })).status).toBe(200);
+      expect(await stored()).toMatchObject({ startTime: '09:30', endTime: '10:00', durationMinutes: 30, tags: ['urgent'] });
+
+      expect((await update({ durationMinutes: 90 })).status).toBe(200);
+      expect(await stored()).toMatchObject({ startTime: '09:30', endTime: '11:00', durationMinutes: 90 });
+
+      expect((await update({ startTime: '11:30' })).status).toBe(400);
+      expect((await update({ endTime: null, category: null })).status).toBe(200);
+      expect(await stored()).toMatchObject({ endTime: null, durationMinutes: null, category: null });
+    });
+
+    it('forbids updating someone else\'s task', async () => {
+      const created = await createTask(sam.token);
+
+      const res = await request(app)
+        .put(`/api/responsibilities/${created.body.taskId}`)
+        .set(auth(alex.token))
+        .send({ completed: true });
+      const missing = await request(app).put('/api/responsibilities/missing').set(auth(sam.token)).send({ completed: true });
+
+      expect(res.status).toBe(403);
+      expect(missing.status).toBe(404);
+    });
+
+    it('lets assigners edit details and only assignees or managers toggle completion', async () => {
+      const assigner = await loginAsCore({ id: 'core-a', name: 'Core A', role: 'core' });
+      const lead = await loginAsCore({ id: 'core-lead', name: 'Lead' });
+      const assigned = await createTask(assigner.token, { assignees: ['sam'] });
+      const id = assigned.body.taskIds[0];
+      await request(app).post(`/api/responsibilities/${id}/accept`).set(auth(sam.token));
+
+      const put = (token, body) => request(app).put(`/api/responsibilities/${id}`).set(auth(token)).send(body);
+      const assignerEdit = await put(assigner.token, { title: 'Clean the big studio' });
+      const assignerComplete = await put(assigner.token, { completed: true });
+      const assigneeEdit = await put(sam.token, { title: 'Skip it' });
+      const assigneeComplete = await put(sam.token, { completed: true });
+      const leadReopen = await put(lead.token, { completed: false });
+
+      expect(assignerEdit.status).toBe(200);
+      expect(assignerComplete.status).toBe(403);
+      expect(assigneeEdit.status).toBe(403);
+      expect(assigneeEdit.body.error).toBe('Only the user who assigned this responsibility can edit it');
+      expect(assigneeComplete.status).toBe(200);
+      expect(leadReopen.status).toBe(200);
+    });
+
+    it('records who changed what in the task history', async () => {
+      const created = await createTask(sam.token);
+      const id = created.body.taskId;
+      await request(app).put(`/api/responsibilities/${id}`).set(auth(sam.token)).send({ completed: true });
+      await request(app).put(`/api/responsibilities/${id}`).set(auth(sam.token)).send({ title: 'Clean everything', description: 'Sweep and mop' });
+
+      const res = await request(app).get(`/api/responsibilities/${id}/history`).set(auth(sam.token));
+      const forbidden = await request(app).get(`/api/responsibilities/${id}/history`).set(auth(alex.token));
+
+      expect(res.body.history.map(entry => entry.action).sort()).toEqual(['completed', 'created', 'updated']);
+      expect(res.body.history.find(entry => entry.action === 'updated')).toMatchObject({
+        userId: 'sam',
+        userName: 'Sam',
+        changes: { title: { from: 'Clean the studio', to: 'Clean everything' } }
+      });
+      expect(forbidden.status).toBe(403);
+
+      const doc = await db.getFirestore().collection('tasks').doc(id).get();
+      expect(doc.data()).toMatchObject({ updatedBy: 'sam', updatedByName: 'Sam' });
+    });
+  });
+
+  describe('Checklists', () => {
+    const checklistUrl = (taskId, itemId = '') => `/api/responsibilities/${taskId}/checklist${itemId && `/${itemId}`}`;
+    const storedTask = async (taskId) => (await db.getFirestore().collection('tasks').doc(taskId).get()).data();
+
+    it('completes the task with its last item and reopens it when an item is unchecked', async () => {
+      const { body: created } = await createTask(sam.token, { checklist: ['Sweep', 'Mop'] });
+      const [sweep, mop] = created.task.checklist;
+      expect(sweep).toMatchObject({ title: 'Sweep', completed: false });
+
+      const check = (itemId, completed) => request(app)
+        .put(checklistUrl(created.taskId, itemId))
+        .set(auth(sam.token))
+        .send({ completed });
+
+      const first = await check(sweep.id, true);
+      expect(first.body).toMatchObject({ progress: { total: 2, completed: 1, progress: 50 }, completed: false });
+
+      const last = await check(mop.id, true);
+      expect(last.body).toMatchObject({ progress: { progress: 100 }, completed: true });
+      expect(await storedTask(created.taskId)).toMatchObject({ completed: true, completedAt: expect.any(String) });
+
+      const unchecked = await check(sweep.id, false);
+      expect(unchecked.body).toMatchObject({ item: { completed: false, completedBy: null }, completed: false });
+
+      const added = await request(app).post(checklistUrl(created.taskId)).set(auth(sam.token)).send({ title: 'Dust' });
+      expect(added.status).toBe(201);
+      await request(app).delete(checklistUrl(created.taskId, added.body.item.id)).set(auth(sam.token));
+      const removed = await request(app).delete(checklistUrl(created.taskId, sweep.id)).set(auth(sam.token));
+      expect(removed.body).toMatchObject({ checklist: [expect.objectContaining({ title: 'Mop' })], completed: true });
+
+      const history = await request(app).get(`/api/responsibilities/${created.taskId}/history`).set(auth(sam.token));
+      expect(history.body.history.map(entry => entry.action)).toEqual(expect.arrayContaining(['checklist-updated', 'completed', 'reopened']));
+
+      const stats = await request(app).get('/api/responsibilities/stats').set(auth(sam.token));
+      expect(stats.body.stats.checklists).toEqual({ tasks: 1, items: 1, completedItems: 1, progress: 100 });
+    });
+
+    it('lets the assignee check items off and only the assigner edit them', async () => {
+      const core = await loginAsCore({ id: 'core-a', name: 'Core A', role: 'core' });
+      const { body: assigned } = await createTask(core.token, { assignees: ['sam'], checklist: ['Sweep'] });
+      const [taskId] = assigned.taskIds;
+      const [item] = (await storedTask(taskId)).checklist;
+      const put = (token, body) => request(app).put(checklistUrl(taskId, item.id)).set(auth(token)).send(body);
+
+      expect((await put(sam.token, { completed: true })).status).toBe(409);
+      await request(app).post(`/api/responsibilities/${taskId}/accept`).set(auth(sam.token));
+
+      expect((await put(sam.token, { title: 'Sweep twice' })).status).toBe(403);
+      expect((await put(core.token, { completed: true })).status).toBe(403);
+      expect((await put(core.token, { title: 'Sweep twice' })).status).toBe(200);
+      expect((await put(sam.token, { completed: true })).body).toMatchObject({ completed: true });
+
+      const notifications = await db.getFirestore().collection('notifications').where('targetUserId', '==', 'core-a').get();
+      expect(notifications.docs.map(doc => doc.data().type)).toContain('responsibility_completed');
+    });
+
+    it('rejects checklists on recurring responsibilities and unknown items', async () => {
+      const series = await createTask(sam.token, { checklist: ['Sweep'], recurrence: { frequency: 'daily', count: 2 } });
+      expect(series.status).toBe(400);
+      expect(series.body.details).toEqual([{ location: 'body', field: 'checklist', message: 'Recurring responsibilities cannot have a checklist' }]);
+
+      const { body: created } = await createTask(sam.token, { recurrence: { frequency: 'daily', count: 2 } });
+      const add = await request(app).post(checklistUrl(created.taskId)).set(auth(sam.token)).send({ title: 'Sweep' });
+      expect(add.status).toBe(400);
+
+      const { body: single } = await createTask(sam.token);
+      expect((await request(app).delete(checklistUrl(single.taskId, 'missing')).set(auth(sam.token))).status).toBe(404);
+      expect((await request(app).put(checklistUrl(single.taskId, 'missing')).set(auth(sam.token)).send({})).status).toBe(400);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('lets the owner delete a task', async () => {
+      const created = await createTask(sam.token);
+
+      const res = await request(app)
+        .delete(`/api/responsibilities/${created.body.taskId}`)
+        .set(auth(sam.token));
+
+      expect(res.status).toBe(200);
+    });
+
+    it('forbids deleting someone else\'s task', async () => {
+      const created = await createTask(sam.token);
+
+      const res = await request(app)
+        .delete(`/api/responsibilities/${created.body.taskId}`)
+        .set(auth(alex.token));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('FORBIDDEN');
+    });
+
+    it('returns 404 for an unknown task', async () => {
+      const res = await request(app).delete('/api/responsibilities/missing').set(auth(sam.token));
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Responsibility not found', code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('GET /dates and GET /stats', () => {
+    it('groups tasks by date and reports completion stats', async () => {
+      const first = await createTask(sam.token, { date: '2026-03-14' });
+      await createTask(sam.token, { date: '2026-03-14' });
+      await createTask(sam.token, { date: '2026-03-15' });
+      await request(app)
+        .put(`/api/responsibilities/${first.body.taskId}`)
+        .set(auth(sam.token))
+        .send({ completed: true });
+
+      const dates = await request(app).get('/api/responsibilities/dates?userId=sam').set(auth(sam.token));
+      const stats = await request(app).get('/api/responsibilities/stats').set(auth(sam.token));
+
+      expect(dates.body.dates).toEqual([
+        { date: '2026-03-15', count: 1 },
+        { date: '2026-03-14', count: 2 }
+      ]);
+      expect(stats.body.stats).toMatchObject({
+        total: 3,
+        completed: 1,
+        pending: 2,
+        completionRate: 33,
+        checklists: { tasks: 0, items: 0, completedItems: 0, progress: null }
+      });
+    });
+
+    it('reports on-time completion, streaks and a per-period breakdown', async () => {
+      const complete = (res) => request(app).put(`/api/responsibilities/${res.body.taskId}`).set(auth(sam.token)).send({ completed: true });
+      // Completed today, so past tasks are late and a future one is on time
+      await complete(await createTask(sam.token, { date: '2024-03-04' }));
+      await complete(await createTask(sam.token, { date: '2024-03-05' }));
+      await createTask(sam.token, { date: '2024-03-06' });
+      await complete(await createTask(sam.token, { date: '2024-03-07' }));
+      await createTask(sam.token, { date: '2024-03-11' });
+      await complete(await createTask(sam.token, { date: '2099-01-05' }));
+
+      const all = await request(app).get('/api/responsibilities/stats').set(auth(sam.token));
+      const march = await request(app).get('/api/responsibilities/stats?from=2024-03-01&to=2024-03-31&period=week').set(auth(sam.token));
+      const invalid = await request(app).get('/api/responsibilities/stats?period=year').set(auth(sam.token));
+
+      expect(all.body.stats).toMatchObject({
+        total: 6,
+        completed: 4,
+        overdue: 2,
+        onTime: 1,
+        late: 3,
+        onTimeRate: 25,
+        averageCompletionHours: 0,
+        streaks: { current: 0, longest: 2 }
+      });
+      expect(all.body.stats.breakdown).toBeUndefined();
+      expect(march.body.stats).toMatchObject({ total: 5, completed: 3, streaks: { current: 0, longest: 2 } });
+      expect(march.body.stats.breakdown).toEqual([
+        { start: '2024-03-04', end: '2024-03-10', total: 4, completed: 3, onTime: 0, late: 3, completionRate: 75, onTimeRate: 0 },
+        { start: '2024-03-11', end: '2024-03-17', total: 1, completed: 0, onTime: 0, late: 0, completionRate: 0, onTimeRate: null }
+      ]);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('ranks the team on the leaderboard for core users', async () => {
+      const core = await loginAsCore({ role: 'core' });
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const completeNew = async (token) => {
+        const created = await createTask(token, { date: yesterday });
+        await request(app).put(`/api/responsibilities/${created.body.taskId}`).set(auth(token)).send({ completed: true });
+      };
+      await completeNew(sam.token);
+      await completeNew(sam.token);
+      await completeNew(alex.token);
+      await createTask(alex.token, { date: '2024-03-04' });
+
+      const forbidden = await request(app).get('/api/responsibilities/leaderboard').set(auth(sam.token));
+      const res = await request(app).get('/api/responsibilities/leaderboard').set(auth(core.token));
+
+      expect(forbidden.status).toBe(403);
+      expect(res.status).toBe(200);
+      expect(res.body.to).toBe(new Date().toISOString().split('T')[0]);
+      expect(res.body.leaderboard).toEqual([
+        expect.objectContaining({ rank: 1, userId: 'sam', name: 'Sam', userType: 'in-house', total: 2, completed: 2, currentStreak: 1 }),
+        expect.objectContaining({ rank: 2, userId: 'alex', name: 'Alex', total: 1, completed: 1 })
+      ]);
+    });
+  });
+
+  describe('Recurring responsibilities', () => {
+    const listRange = (token, from, to) => request(app)
+      .get(`/api/responsibilities?from=${from}&to=${to}`)
+      .set(auth(token));
+
+    it('expands weekly, weekday and monthly series on read', async () => {
+      const weekly = await createTask(sam.token, {
+        date: '2024-03-04',
+        recurrence: { frequency: 'weekly', daysOfWeek: [3, 1], count: 4 }
+      });
+      await createTask(sam.token, { title: 'Water plants', date: '2024-03-08', recurrence: { frequency: 'weekdays', until: '2024-03-12' } });
+      await createTask(sam.token, { title: 'Pay rent', date: '2024-01-31', recurrence: { frequency: 'monthly', count: 3 } });
+
+      const march = await listRange(sam.token, '2024-03-01', '2024-03-31');
+      const byTitle = (title) => march.body.tasks.filter(task => task.title === title).map(task => task.date);
+
+      expect(weekly.body.task.recurrence).toEqual({ frequency: 'weekly', interval: 1, daysOfWeek: [1, 3], until: null, count: 4 });
+      expect(byTitle('Clean the studio')).toEqual(['2024-03-04', '2024-03-06', '2024-03-11', '2024-03-13']);
+      expect(byTitle('Water plants')).toEqual(['2024-03-08', '2024-03-11', '2024-03-12']);
+      expect(byTitle('Pay rent')).toEqual(['2024-03-31']);
+      expect(march.body.tasks[march.body.tasks.length - 1]).toMatchObject({
+        _id: `${weekly.body.taskId}_2024-03-13`,
+        seriesId: weekly.body.taskId,
+        occurrenceDate: '2024-03-13',
+        completed: false
+      });
+    });
+
+    it('completes and edits one occurrence or the whole series', async () => {
+      const series = await createTask(sam.token, { date: '2024-03-04', recurrence: { frequency: 'daily', count: 3 } });
+      const id = series.body.taskId;
+
+      const occurrence = await request(app)
+        .put(`/api/responsibilities/${id}_2024-03-05`)
+        .set(auth(sam.token))
+        .send({ completed: true, title: 'Deep clean' });
+      await request(app).put(`/api/responsibilities/${id}_2024-03-06?scope=series`).set(auth(sam.token)).send({ title: 'Tidy up' });
+      const completeSeries = await request(app).put(`/api/responsibilities/${id}`).set(auth(sam.token)).send({ completed: true });
+
+      const list = await listRange(sam.token, '2024-03-01', '2024-03-31');
+      const stats = await request(app).get('/api/responsibilities/stats').set(auth(sam.token));
+
+      expect(occurrence.status).toBe(200);
+      expect(occurrence.body.task).toMatchObject({ _id: `${id}_2024-03-05`, title: 'Deep clean', completed: true });
+      expect(completeSeries.status).toBe(400);
+      expect(list.body.tasks.map(task => [task.title, task.completed])).toEqual([
+        ['Tidy up', false],
+        ['Deep clean', true],
+        ['Tidy up', false]
+      ]);
+      expect(stats.body.stats).toMatchObject({
+        total: 3,
+        completed: 1,
+        pending: 2,
+        completionRate: 33,
+        checklists: { tasks: 0, items: 0, completedItems: 0, progress: null }
+      });
+    });
+
+    it('keeps UTC timestamps for each occurrence of a series with a time zone', async () => {
+      const series = await createTask(sam.token, { date: '2030-03-30', recurrence: { frequency: 'daily', count: 3 } });
+      const id = series.body.taskId;
+      await db.getFirestore().collection('tasks').doc(id).update({ timezone: 'Europe/Berlin' });
+
+      const occurrence = await request(app).put(`/api/responsibilities/${id}_2030-04-01`).set(auth(sam.token)).send({ startTime: '11:00', endTime: '12:00' });
+      const list = await listRange(sam.token, '2030-03-01', '2030-04-30');
+      const stored = await db.getFirestore().collection('tasks').doc(id).get();
+
+      expect(occurrence.body.task).toMatchObject({ startsAt: '2030-04-01T09:00:00.000Z', endsAt: '2030-04-01T10:00:00.000Z' });
+      expect(stored.data().occurrences['2030-04-01']).toMatchObject({ startsAt: '2030-04-01T09:00:00.000Z' });
+      // The clocks go forward on 2030-03-31
+      expect(list.body.tasks.map(task => task.startsAt)).toEqual([
+        '2030-03-30T08:00:00.000Z',
+        '2030-03-31T07:00:00.000Z',
+        '2030-04-01T09:00:00.000Z'
+      ]);
+    });
+
+    it('cancels one occurrence or deletes the series', async () => {
+      const series = await createTask(sam.token, { date: '2024-03-04', recurrence: { frequency: 'daily', count: 3 } });
+      const id = series.body.taskId;
+
+      const cancel = await request(app).delete(`/api/responsibilities/${id}_2024-03-05`).set(auth(sam.token));
+      const afterCancel = await listRange(sam.token, '2024-03-01', '2024-03-31');
+      const editCancelled = await request(app).put(`/api/responsibilities/${id}_2024-03-05`).set(auth(sam.token)).send({ completed: true });
+      const notAnOccurrence = await request(app).put(`/api/responsibilities/${id}_2024-03-09`).set(auth(sam.token)).send({ completed: true });
+      const forbidden = await request(app).delete(`/api/responsibilities/${id}_2024-03-04`).set(auth(alex.token));
+      const removeSeries = await request(app).delete(`/api/responsibilities/${id}_2024-03-04?scope=series`).set(auth(sam.token));
+
+      expect(cancel.body.message).toBe('Occurrence cancelled successfully');
+      expect(afterCancel.body.tasks.map(task => task.date)).toEqual(['2024-03-04', '2024-03-06']);
+      expect(editCancelled.status).toBe(404);
+      expect(notAnOccurrence.status).toBe(404);
+      expect(forbidden.status).toBe(403);
+      expect(removeSeries.status).toBe(200);
+
+      const doc = await db.getFirestore().collection('tasks').doc(id).get();
+      expect(doc.exists).toBe(false);
+    });
+
+    it('validates recurrence rules and listing ranges', async () => {
+      const both = await createTask(sam.token, { recurrence: { frequency: 'daily', until: '2026-04-01', count: 3 } });
+      const badDay = await createTask(sam.token, { recurrence: { frequency: 'weekly', daysOfWeek: [7] } });
+      const beforeStart = await createTask(sam.token, { recurrence: { frequency: 'daily', until: '2026-03-01' } });
+      const range = await listRange(sam.token, '2026-01-01', '2027-06-01');
+
+      expect(both.body.details).toEqual([
+        { location: 'body', field: 'recurrence.count', message: 'Use either until or count, not both' }
+      ]);
+      expect(badDay.body.details[0]).toMatchObject({ field: 'recurrence.daysOfWeek[0]', message: 'Days of week item 1 must be at most 6' });
+      expect(beforeStart.body.details[0]).toMatchObject({ field: 'recurrence.until' });
+      expect(range.status).toBe(400);
+      expect(range.body.error).toBe('Date range cannot exceed 366 days');
+    });
+  });
+
+  describe('Assignments', () => {
+    let core;
+
+    beforeEach(async () => {
+      core = await loginAsCore({ id: 'core-a', name: 'Core A' });
+    });
+
+    const assign = (token, assignees, overrides = {}) => createTask(token, { assignees, ...overrides });
+
+    const notificationsFor = async (userId) => {
+      const snapshot = await db.getFirestore().collection('notifications').where('targetUserId', '==', userId).get();
+      return snapshot.docs.map(doc => doc.data());
+    };
+
+    it('creates a pending task per assignee and notifies them', async () => {
+      const res = await assign(core.token, ['sam', 'alex']);
+      const samTasks = await request(app).get('/api/responsibilities').set(auth(sam.token));
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe('Responsibility assigned successfully');
+      expect(res.body.tasks).toEqual([
+        expect.objectContaining({ userId: 'sam', assignedBy: 'core-a', assignmentStatus: 'pending', assignmentId: res.body.assignmentId }),
+        expect.objectContaining({ userId: 'alex', assignedBy: 'core-a', assignmentStatus: 'pending', assignmentId: res.body.assignmentId })
+      ]);
+      expect(samTasks.body.tasks).toEqual([
+        expect.objectContaining({ _id: res.body.taskIds[0], assignedByName: 'Core A', assignmentStatus: 'pending' })
+      ]);
+      expect(await notificationsFor('sam')).toEqual([
+        expect.objectContaining({ type: 'responsibility_assigned', responsibilityId: res.body.taskIds[0], createdBy: 'core-a' })
+      ]);
+    });
+
+    it('requires responsibilities:assign and known assignees', async () => {
+      const forbidden = await assign(sam.token, ['alex']);
+      const unknown = await assign(core.token, ['sam', 'nobody']);
+
+      expect(forbidden.status).toBe(403);
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.details).toEqual([{ location: 'body', field: 'assignees[1]', message: 'Unknown user: nobody' }]);
+    });
+
+    it('lets assignees accept or decline and shows the assigner their status', async () => {
+      const res = await assign(core.token, ['sam', 'alex']);
+      const [samTask, alexTask] = res.body.taskIds;
+
+      const accept = await request(app).post(`/api/responsibilities/${samTask}/accept`).set(auth(sam.token));
+      const decline = await request(app)
+        .post(`/api/responsibilities/${alexTask}/decline`)
+        .set(auth(alex.token))
+        .send({ reason: 'Away that weekend' });
+      const again = await request(app).post(`/api/responsibilities/${samTask}/decline`).set(auth(sam.token));
+      const notAssignee = await request(app).post(`/api/responsibilities/${samTask}/accept`).set(auth(alex.token));
+      const alexTasks = await request(app).get('/api/responsibilities').set(auth(alex.token));
+      const assigned = await request(app).get('/api/responsibilities/assigned').set(auth(core.token));
+
+      expect(accept.body).toMatchObject({ message: 'Assignment accepted', assignmentStatus: 'accepted' });
+      expect(decline.body.assignmentStatus).toBe('declined');
+      expect(again.status).toBe(409);
+      expect(notAssignee.status).toBe(403);
+      expect(alexTasks.body.tasks).toEqual([]);
+      expect(assigned.body.assignments).toHaveLength(1);
+      expect(assigned.body.assignments[0].summary).toEqual({ pending: 0, accepted: 1, declined: 1, completed: 0 });
+      expect(assigned.body.assignments[0].assignees[0]).toMatchObject({ userId: 'alex', declineReason: 'Away that weekend' });
+      expect((await notificationsFor('core-a')).map(n => n.type).sort()).toEqual(['responsibility_accepted', 'responsibility_declined']);
+    });
+
+    it('notifies the assigner when an accepted assignment is completed', async () => {
+      const res = await assign(core.token, ['sam']);
+      const [taskId] = res.body.taskIds;
+
+      const early = await request(app).put(`/api/responsibilities/${taskId}`).set(auth(sam.token)).send({ completed: true });
+      await request(app).post(`/api/responsibilities/${taskId}/accept`).set(auth(sam.token));
+      const done = await request(app).put(`/api/responsibilities/${taskId}`).set(auth(sam.token)).send({ completed: true });
+
+      expect(early.status).toBe(409);
+      expect(done.status).toBe(200);
+      expect(await notificationsFor('core-a')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'responsibility_completed', responsibilityId: taskId, createdByName: 'Sam' })
+      ]));
+    });
+  });
+
+  describe('Export', () => {
+    const exportAs = (token, query) => request(app)
+      .get(`/api/responsibilities/export?${query}`)
+      .set(auth(token))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    beforeEach(async () => {
+      await createTask(sam.token, { title: 'Sweep, mop', date: '2026-03-15', startTime: '08:00', priority: 'urgent', category: 'Studio' });
+      await createTask(sam.token, { title: 'Standup', description: '', endTime: undefined, recurrence: { frequency: 'daily', count: 2 } });
+      await createTask(alex.token, { title: 'Alex task' });
+    });
+
+    it('exports CSV in template columns that upload again as the same tasks', async () => {
+      const res = await exportAs(sam.token, 'format=csv&from=2026-03-01&to=2026-03-31');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="responsibilities_\d{4}-\d{2}-\d{2}\.csv"/);
+      expect(res.body.toString().split('\n')).toEqual([
+        'Title,Date,Start Time,End Time,Description',
+        'Standup,2026-03-14,09:00,,',
+        '"Sweep, mop",2026-03-15,08:00,10:00,Sweep and mop',
+        'Standup,2026-03-15,09:00,,'
+      ]);
+
+      const upload = await request(app)
+        .post('/api/responsibilities/bulk-upload')
+        .set(auth(alex.token))
+        .attach('file', res.body, { filename: 'export.csv', contentType: 'text/csv' });
+      expect(upload.body.results).toMatchObject({ total: 3, success: 3, failed: 0 });
+
+      const again = await request(app)
+        .post('/api/responsibilities/bulk-upload')
+        .set(auth(sam.token))
+        .attach('file', res.body, { filename: 'export.csv', contentType: 'text/csv' });
+      // Recurring series are never matched, so only the one-off task is skipped
+      expect(again.body.results).toMatchObject({ success: 2, skipped: 1 });
+    });
+
+    it('exports dates that upload again with any date format', async () => {
+      const res = await exportAs(sam.token, 'format=csv&from=2026-03-01&to=2026-03-31&priority=urgent');
+
+      const upload = await request(app)
+        .post(`/api/responsibilities/bulk-upload?dateFormat=${encodeURIComponent('DD/MM/YYYY')}`)
+        .set(auth(alex.token))
+        .attach('file', res.body, { filename: 'export.csv', contentType: 'text/csv' });
+      const auto = await request(app)
+        .post('/api/responsibilities/bulk-upload?dateFormat=auto&dryRun=true')
+        .set(auth(alex.token))
+        .attach('file', res.body, { filename: 'export.csv', contentType: 'text/csv' });
+
+      expect(upload.body.results).toMatchObject({ success: 1, failed: 0 });
+      const stored = await db.getFirestore().collection('tasks').doc(upload.body.taskIds[0]).get();
+      expect(stored.data()).toMatchObject({ title: 'Sweep, mop', date: '2026-03-15' });
+      expect(auto.body.rows[0]).toMatchObject({ errors: [], data: { date: '2026-03-15' } });
+    });
+
+    it('exports xlsx and iCalendar', async () => {
+      const xlsx = require('xlsx');
+      const spreadsheet = await exportAs(sam.token, 'from=2026-03-01&to=2026-03-31&priority=urgent');
+      const rows = xlsx.utils.sheet_to_json(xlsx.read(spreadsheet.body, { type: 'buffer' }).Sheets.Responsibilities);
+      expect(rows).toEqual([
+        { Title: 'Sweep, mop', Date: '2026-03-15', 'Start Time': '08:00', 'End Time': '10:00', Description: 'Sweep and mop' }
+      ]);
+
+      const calendar = await exportAs(sam.token, 'format=ics&from=2026-03-15&to=2026-03-15');
+      const text = calendar.body.toString();
+      expect(calendar.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(text).toContain('SUMMARY:Sweep\\, mop\r\n');
+      expect(text).toContain('DTSTART:20260315T080000\r\nDTEND:20260315T100000');
+      expect(text).toContain('CATEGORIES:Studio\r\nPRIORITY:1');
+    });
+
+    it('exports other users only with responsibilities:view-all', async () => {
+      const viewer = await loginAsInHouse({ uid: 'vic', email: 'vic@example.com', displayName: 'Vic', role: 'viewer' });
+      await permissionsService.setRolePermissions('in-house', ['responsibilities:create'], { userId: 'admin', name: 'Admin' });
+
+      const forbidden = await exportAs(sam.token, 'format=csv&userId=alex');
+      const all = await exportAs(viewer.token, 'format=csv&userId=all&from=2026-03-01&to=2026-03-31');
+      const invalid = await exportAs(sam.token, 'format=pdf');
+
+      expect(forbidden.status).toBe(403);
+      expect(all.body.toString().split('\n')).toHaveLength(5);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Reminders', () => {
+    const remindersFor = async (userId) => {
+      const snapshot = await db.getFirestore().collection('notifications').where('targetUserId', '==', userId).get();
+      return snapshot.docs.map(doc => doc.data()).filter(n => n.type === 'responsibility_reminder');
+    };
+
+    // Task times are wall-clock times in the server's time zone
+    const at = (date, time) => new Date(`${date}T${time}:00`);
+
+    it('sends a reminder once the lead time is reached, and only once', async () => {
+      const created = await createTask(sam.token, { reminderMinutes: 30, priority: 'urgent' });
+
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:29'))).toEqual({ sent: 0 });
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:30'))).toEqual({ sent: 1 });
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:45'))).toEqual({ sent: 0 });
+
+      expect(await remindersFor('sam')).toEqual([
+        expect.objectContaining({
+          title: '⏰ Responsibility Reminder',
+          message: '"Clean the studio" starts at 09:00 on 2026-03-14',
+          responsibilityId: created.body.taskId,
+          priority: 'high'
+        })
+      ]);
+    });
+
+    it('skips started, completed and reminder-less tasks', async () => {
+      const done = await createTask(sam.token, { reminderMinutes: 30 });
+      await request(app).put(`/api/responsibilities/${done.body.taskId}`).set(auth(sam.token)).send({ completed: true });
+      await createTask(sam.token, { title: 'No reminder' });
+      await createTask(alex.token, { startTime: '08:00', reminderMinutes: 30 });
+
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:45'))).toEqual({ sent: 0 });
+    });
+
+    it('reminds each occurrence of a series separately', async () => {
+      await createTask(sam.token, { reminderMinutes: 60, recurrence: { frequency: 'daily', count: 3 } });
+
+      await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:30'));
+      await responsibilitiesService.sendDueReminders(at('2026-03-15', '08:30'));
+
+      expect((await remindersFor('sam')).map(n => n.responsibilityDate).sort()).toEqual(['2026-03-14', '2026-03-15']);
+    });
+
+    it('stores when a task\'s reminder is due and reminds again after the task moves', async () => {
+      const created = await createTask(sam.token, { reminderMinutes: 30 });
+      const id = created.body.taskId;
+      const stored = async () => (await db.getFirestore().collection('tasks').doc(id).get()).data();
+
+      expect((await stored()).remindAt).toBe(at('2026-03-14', '08:30').toISOString());
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:30'))).toEqual({ sent: 1 });
+
+      await request(app).put(`/api/responsibilities/${id}`).set(auth(sam.token)).send({ startTime: '10:00', endTime: '11:00' });
+      expect((await stored()).remindAt).toBe(at('2026-03-14', '09:30').toISOString());
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '09:00'))).toEqual({ sent: 0 });
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '09:30'))).toEqual({ sent: 1 });
+      expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '09:31'))).toEqual({ sent: 0 });
+    });
+
+    it('retries a reminder whose delivery failed', async () => {
+      const notificationsService = require('../src/server/services/notificationsService');
+      await createTask(sam.token, { reminderMinutes: 30 });
+      const createNotification = jest.spyOn(notificationsService, 'createNotification')
+        .mockRejectedValueOnce(new Error('Firestore unavailable'))
+        .mockResolvedValueOnce({ pushed: false });
+
+      try {
+        expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:30'))).toEqual({ sent: 0 });
+        expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:31'))).toEqual({ sent: 0 });
+        expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:32'))).toEqual({ sent: 1 });
+        expect(await responsibilitiesService.sendDueReminders(at('2026-03-14', '08:33'))).toEqual({ sent: 0 });
+      } finally {
+        createNotification.mockRestore();
+      }
+
+      expect(await remindersFor('sam')).toHaveLength(1);
+    });
+  });
+
+  describe('Bulk upload', () => {
+    it('serves the CSV template', async () => {
+      const res = await request(app).get('/api/responsibilities/template');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toMatch(/^Title,Date,Start Time,End Time,Description/);
+    });
+
+    it('imports valid rows and reports invalid ones', async () => {
+      const csv = [
+        'Title,Date,Start Time,End Time,Description',
+        'Morning Exercise,01/15/2026,6:00 AM,7:00 AM,Workout',
+        'Bad Date,2026/15/01,6:00 AM,7:00 AM,Nope',
+        'Missing Time,01/16/2026,,7:00 AM,Nope'
+      ].join('\n');
+
+      const res = await request(app)
+        .post('/api/responsibilities/bulk-upload')
+        .set(auth(sam.token))
+        .attach('file', Buffer.from(csv), { filename: 'tasks.csv', contentType: 'text/csv' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results).toMatchObject({ total: 3, success: 1, failed: 2 });
+
+      const tasks = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      expect(tasks.docs[0].data()).toMatchObject({
+        title: 'Morning Exercise',
+        date: '2026-01-15',
+        startTime: '06:00',
+        endTime: '07:00'
+      });
+    });
+
+    it('requires a file', async () => {
+      const res = await request(app).post('/api/responsibilities/bulk-upload').set(auth(sam.token));
+
+      expect(res.status).toBe(400);
+    });
+
+    const upload = (token, csv, query = '') => request(app)
+      .post(`/api/responsibilities/bulk-upload${query}`)
+      .set(auth(token))
+      .attach('file', Buffer.from(csv), { filename: 'tasks.csv', contentType: 'text/csv' });
+
+    const previewCsv = [
+      'Title,Date,Start Time,End Time,Description',
+      'Rehearsal,12/01/2030,6:00 PM,8:00 PM,Full run',
+      'Rehearsal,12/01/2030,18:00,20:00,Again',
+      'Old,01/15/2020,09:00:30,10:00,Past',
+      'Backwards,12/02/2030,10:00,09:00,Nope'
+    ].join('\n');
+
+    it('previews rows with errors and warnings without writing', async () => {
+      const res = await upload(sam.token, previewCsv, '?dryRun=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toEqual({ total: 4, valid: 3, invalid: 1, warnings: 2, create: 2, update: 0, skip: 1 });
+      expect(res.body.rows.map(row => [row.row, row.status, row.action, row.warnings, row.errors])).toEqual([
+        [2, 'valid', 'create', [], []],
+        [3, 'valid', 'skip', ['Duplicate of row 2'], []],
+        [4, 'valid', 'create', ['Start time 09:00:30 was rounded down to 09:00', 'Date 2020-01-15 is in the past'], []],
+        [5, 'invalid', undefined, [], ['End time must be after start time']]
+      ]);
+      expect(res.body.rows[0].data).toMatchObject({ title: 'Rehearsal', date: '2030-12-01', startTime: '18:00', endTime: '20:00' });
+
+      const tasks = await db.getFirestore().collection('tasks').get();
+      expect(tasks.size).toBe(0);
+    });
+
+    it('commits a preview once, atomically, for the uploader only', async () => {
+      const { body: preview } = await upload(sam.token, previewCsv, '?dryRun=true');
+      const commit = (token) => request(app)
+        .post('/api/responsibilities/bulk-upload/commit')
+        .set(auth(token))
+        .send({ previewId: preview.previewId });
+
+      expect((await commit(alex.token)).status).toBe(403);
+
+      const res = await commit(sam.token);
+      expect(res.status).toBe(200);
+      expect(res.body.results).toMatchObject({ total: 4, success: 2, skipped: 1, failed: 1, errors: [{ row: 5, error: 'End time must be after start time' }] });
+      expect(res.body.taskIds).toHaveLength(2);
+
+      const again = await commit(sam.token);
+      expect(again.status).toBe(409);
+
+      const tasks = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      expect(tasks.size).toBe(2);
+
+      const history = await request(app).get(`/api/responsibilities/${res.body.taskIds[0]}/history`).set(auth(sam.token));
+      expect(history.body.history.map(entry => entry.action)).toEqual(['imported']);
+    });
+
+    it('warns about rows that already exist and rejects unknown or expired previews', async () => {
+      await createTask(sam.token, { title: 'Rehearsal', date: '2030-12-01', startTime: '18:00', endTime: '20:00' });
+
+      const res = await upload(sam.token, previewCsv, '?dryRun=true');
+      expect(res.body.rows[0]).toMatchObject({ action: 'skip', warnings: ['Matches an existing responsibility'] });
+
+      await db.getFirestore().collection('bulk_upload_previews').doc(res.body.previewId).update({ expiresAt: '2020-01-01T00:00:00.000Z' });
+      const commit = (previewId) => request(app)
+        .post('/api/responsibilities/bulk-upload/commit')
+        .set(auth(sam.token))
+        .send({ previewId });
+
+      expect((await commit(res.body.previewId)).status).toBe(409);
+      expect((await commit('missing')).status).toBe(404);
+    });
+
+    it('skips matching rows on re-upload, or updates or duplicates them', async () => {
+      const csv = (description) => [
+        'Title,Date,Start Time,End Time,Description',
+        `Rehearsal,12/01/2030,6:00 PM,8:00 PM,${description}`
+      ].join('\n');
+      const stored = async () => {
+        const snapshot = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+        return snapshot.docs.map(doc => doc.data());
+      };
+
+      const first = await upload(sam.token, csv('Full run'));
+      const again = await upload(sam.token, csv('Full run'));
+      expect(first.body.results).toMatchObject({ success: 1, skipped: 0 });
+      expect(again.body).toMatchObject({ importId: null, results: { success: 0, skipped: 1 } });
+
+      const updated = await upload(sam.token, csv('Costumes too'), '?onDuplicate=update');
+      expect(updated.body.results).toMatchObject({ success: 0, updated: 1 });
+      expect(await stored()).toEqual([expect.objectContaining({ description: 'Costumes too', importId: first.body.importId })]);
+
+      const duplicated = await upload(sam.token, csv('Costumes too'), '?onDuplicate=duplicate');
+      expect(duplicated.body.results).toMatchObject({ success: 1 });
+      expect(await stored()).toHaveLength(2);
+    });
+
+    it('rolls back an import batch once, restoring updated tasks', async () => {
+      const csv = (description, extra = []) => [
+        'Title,Date,Start Time,End Time,Description',
+        `Rehearsal,12/01/2030,6:00 PM,8:00 PM,${description}`,
+        ...extra
+      ].join('\n');
+
+      const first = await upload(sam.token, csv('Full run'));
+      const second = await upload(sam.token, csv('Costumes too', ['Strike,12/02/2030,10:00,12:00,Clear the stage']), '?onDuplicate=update');
+
+      const imports = await request(app).get('/api/responsibilities/imports').set(auth(sam.token));
+      expect(imports.body.imports).toHaveLength(2);
+      expect(imports.body.imports.map(i => [i.id, i.status, i.createdTaskIds.length, i.updated.length])).toEqual(expect.arrayContaining([
+        [second.body.importId, 'imported', 1, 1],
+        [first.body.importId, 'imported', 1, 0]
+      ]));
+
+      const rollback = (token) => request(app)
+        .post(`/api/responsibilities/imports/${second.body.importId}/rollback`)
+        .set(auth(token));
+
+      expect((await rollback(alex.token)).status).toBe(403);
+
+      const res = await rollback(sam.token);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ importId: second.body.importId, deleted: 1, restored: 1, skipped: [] });
+
+      const tasks = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      expect(tasks.docs.map(doc => [doc.data().title, doc.data().description])).toEqual([['Rehearsal', 'Full run']]);
+
+      expect((await rollback(sam.token)).status).toBe(409);
+    });
+
+    it('keeps tasks changed or commented on since the import when rolling back', async () => {
+      const csv = [
+        'Title,Date,Start Time,End Time,Description',
+        'Edited,12/01/2030,09:00,10:00,',
+        'Discussed,12/02/2030,09:00,10:00,',
+        'Untouched,12/03/2030,09:00,10:00,'
+      ].join('\n');
+      const imported = await upload(sam.token, csv);
+      const tasks = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      const idOf = title => tasks.docs.find(doc => doc.data().title === title).id;
+
+      // Edits in the same millisecond as the import would not count as later
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await request(app).put(`/api/responsibilities/${idOf('Edited')}`).set(auth(sam.token)).send({ description: 'Bring notes' });
+      await request(app).post(`/api/responsibilities/${idOf('Discussed')}/comments`).set(auth(sam.token)).send({ body: 'On it' });
+      const reminder = db.getFirestore().collection('task_reminders').doc(`${idOf('Untouched')}_1`);
+      await reminder.set({ taskId: idOf('Untouched'), userId: 'sam' });
+
+      const res = await request(app)
+        .post(`/api/responsibilities/imports/${imported.body.importId}/rollback`)
+        .set(auth(sam.token));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ deleted: 1, restored: 0 });
+      expect(res.body.skipped).toEqual(expect.arrayContaining([
+        { taskId: idOf('Edited'), title: 'Edited', reason: 'changed' },
+        { taskId: idOf('Discussed'), title: 'Discussed', reason: 'commented' }
+      ]));
+
+      const left = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      expect(left.docs.map(doc => doc.data().title).sort()).toEqual(['Discussed', 'Edited']);
+      expect((await reminder.get()).exists).toBe(false);
+    });
+
+    it('imports and rolls back files larger than one Firestore batch', async () => {
+      const rows = Array.from({ length: 250 }, (_, index) => `Shift ${index + 1},12/01/2030,09:00,10:00,`);
+      const preview = await upload(sam.token, ['Title,Date,Start Time,End Time,Description', ...rows].join('\n'), '?dryRun=true');
+      expect(preview.body.summary).toMatchObject({ total: 250, create: 250 });
+
+      const commit = await request(app)
+        .post('/api/responsibilities/bulk-upload/commit')
+        .set(auth(sam.token))
+        .send({ previewId: preview.body.previewId });
+      expect(commit.status).toBe(200);
+      expect(commit.body.taskIds).toHaveLength(250);
+
+      const imports = await request(app).get('/api/responsibilities/imports').set(auth(sam.token));
+      expect(imports.body.imports).toHaveLength(1);
+      expect(imports.body.imports[0]).toMatchObject({ id: commit.body.importId, status: 'imported' });
+      expect(imports.body.imports[0].createdTaskIds).toEqual(commit.body.taskIds);
+
+      const res = await request(app)
+        .post(`/api/responsibilities/imports/${commit.body.importId}/rollback`)
+        .set(auth(sam.token));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ deleted: 250, restored: 0, skipped: [] });
+
+      const tasks = await db.getFirestore().collection('tasks').where('userId', '==', 'sam').get();
+      expect(tasks.empty).toBe(true);
+    });
+
+    it('reads dates in the chosen format and rejects ambiguous ones', async () => {
+      const csv = [
+        'Title,Date,Start Time,End Time,Description',
+        'Day first,13/04/2030,2pm,3.30 p.m.,',
+        'Ambiguous,03/04/2030,09:00,,',
+        'ISO,2030-04-05,14.30,,',
+        'Named,6 Apr 2030,9 AM,,',
+        'Named too,"April 7th, 2030",21:00,,',
+        'Bad meridiem,04/20/2030,13:00 PM,,'
+      ].join('\n');
+
+      const auto = await upload(sam.token, csv, '?dryRun=true&dateFormat=auto');
+      expect(auto.body.dateFormat).toBe('auto');
+      expect(auto.body.rows.map(row => [row.status, row.data.date, row.data.startTime, row.data.endTime, row.errors])).toEqual([
+        ['valid', '2030-04-13', '14:00', '15:30', []],
+        ['invalid', undefined, '09:00', undefined, [expect.stringMatching(/^Ambiguous date "03\/04\/2030": it could be March 4 or April 3/)]],
+        ['valid', '2030-04-05', '14:30', undefined, []],
+        ['valid', '2030-04-06', '09:00', undefined, []],
+        ['valid', '2030-04-07', '21:00', undefined, []],
+        ['invalid', '2030-04-20', undefined, undefined, ['Invalid start time "13:00 PM": 12-hour times run from 1 to 12 PM. Leave out PM for a 24-hour time.']]
+      ]);
+
+      const dayFirst = await upload(sam.token, csv, `?dryRun=true&dateFormat=${encodeURIComponent('DD/MM/YYYY')}`);
+      expect(dayFirst.body.rows[1].data.date).toBe('2030-04-03');
+
+      const monthFirst = await upload(sam.token, csv, '?dryRun=true');
+      expect(monthFirst.body.rows[0].errors).toEqual(['Invalid month value: 13. Month must be between 1 and 12.']);
+      expect(monthFirst.body.rows[1].data.date).toBe('2030-03-04');
+    });
+
+    it('stores UTC timestamps for the time zone the times were written in', async () => {
+      const csv = [
+        'Title,Date,Start Time,End Time,Description',
+        'Rehearsal,07/01/2030,18:00,20:00,',
+        'Gap,03/31/2030,2:30 AM,,'
+      ].join('\n');
+
+      const invalid = await request(app).put('/api/auth/user/timezone').set(auth(sam.token)).send({ timezone: 'Mars/Olympus' });
+      expect(invalid.status).toBe(400);
+
+      const saved = await request(app).put('/api/auth/user/timezone').set(auth(sam.token)).send({ timezone: 'America/New_York' });
+      expect(saved.body.timezone).toBe('America/New_York');
+      const me = await request(app).get('/api/auth/user').set(auth(sam.token));
+      expect(me.body.timezone).toBe('America/New_York');
+
+      const res = await upload(sam.token, csv);
+      expect(res.body.results).toMatchObject({ success: 2, warnings: [] });
+      const stored = await db.getFirestore().collection('tasks').doc(res.body.taskIds[0]).get();
+      expect(stored.data()).toMatchObject({
+        startTime: '18:00',
+        timezone: 'America/New_York',
+        startsAt: '2030-07-01T22:00:00.000Z',
+        endsAt: '2030-07-02T00:00:00.000Z'
+      });
+
+      // Moving the task keeps its timestamps in step
+      await request(app).put(`/api/responsibilities/${res.body.taskIds[0]}`).set(auth(sam.token)).send({ startTime: '19:00' });
+      expect((await db.getFirestore().collection('tasks').doc(res.body.taskIds[0]).get()).data().startsAt).toBe('2030-07-01T23:00:00.000Z');
+
+      const berlin = await upload(sam.token, csv, '?dryRun=true&timezone=Europe/Berlin');
+      expect(berlin.body.timezone).toBe('Europe/Berlin');
+      expect(berlin.body.rows[0].data.startsAt).toBe('2030-07-01T16:00:00.000Z');
+      expect(berlin.body.rows[1].warnings).toContain('Start time 02:30 does not exist on 2030-03-31 in Europe/Berlin (the clocks go forward)');
+    });
+
+    describe('for other users', () => {
+      const xlsx = require('xlsx');
+      const workbook = (sheets) => {
+        const book = xlsx.utils.book_new();
+        Object.entries(sheets).forEach(([name, rows]) => xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet(rows), name));
+        return xlsx.write(book, { type: 'buffer', bookType: 'xlsx' });
+      };
+      const uploadWorkbook = (token, buffer) => request(app)
+        .post('/api/responsibilities/bulk-upload')
+        .set(auth(token))
+        .attach('file', buffer, { filename: 'team.xlsx' });
+      const header = ['Title', 'Date', 'Start Time', 'End Time', 'Description'];
+
+      it('imports every sheet, assigning rows by sheet name or Assignee column', async () => {
+        const core = await loginAsCore({ id: 'core-a', name: 'Core A' });
+        const buffer = workbook({
+          'sam@example.com': [header, ['Sweep', '12/01/2030', '09:00', '10:00', 'Studio']],
+          Team: [
+            [...header, 'Assignee'],
+            ['Lights', '12/01/2030', '18:00', '', 'Rig', 'alex'],
+            ['Sound', '12/01/2030', '18:00', '', 'Check', 'nobody@example.com'],
+            ['Notes', '12/02/2030', '09:00', '', '', '']
+          ],
+          Assignees: [['Assignee', 'Name'], ['alex@example.com', 'Alex']]
+        });
+
+        const res = await uploadWorkbook(core.token, buffer);
+
+        expect(res.status).toBe(200);
+        expect(res.body.results).toMatchObject({
+          total: 4,
+          success: 3,
+          failed: 1,
+          errors: [{ sheet: 'Team', row: 3, error: 'Unknown assignee: nobody@example.com' }]
+        });
+
+        const tasks = await db.getFirestore().collection('tasks').get();
+        expect(tasks.docs.map(doc => doc.data()).map(task => [task.title, task.userId, task.assignedBy, task.assignmentStatus]))
+          .toEqual(expect.arrayContaining([
+            ['Sweep', 'sam', 'core-a', 'pending'],
+            ['Lights', 'alex', 'core-a', 'pending'],
+            ['Notes', 'core-a', undefined, undefined]
+          ]));
+
+        const notifications = await db.getFirestore().collection('notifications').where('targetUserId', '==', 'sam').get();
+        expect(notifications.docs[0].data()).toMatchObject({
+          type: 'responsibility_assigned',
+          message: 'Core A assigned you 1 responsibility from team.xlsx'
+        });
+      });
+
+      it('needs responsibilities:assign to import for someone else', async () => {
+        const buffer = workbook({ Sheet1: [[...header, 'Assignee'], ['Lights', '12/01/2030', '18:00', '', '', 'alex@example.com']] });
+
+        const res = await uploadWorkbook(sam.token, buffer);
+
+        expect(res.body.results).toMatchObject({
+          success: 0,
+          errors: [{ row: 2, error: 'Insufficient permissions to assign responsibilities' }]
+        });
+      });
+
+      it('serves a template listing valid assignees to assigners', async () => {
+        const core = await loginAsCore({ id: 'core-a', name: 'Core A' });
+        const download = (token) => request(app)
+          .get('/api/responsibilities/template/assignees')
+          .set(auth(token))
+          .buffer(true)
+          .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+          });
+
+        const res = await download(core.token);
+        const book = xlsx.read(res.body, { type: 'buffer' });
+
+        expect(res.status).toBe(200);
+        expect(book.SheetNames).toEqual(['Responsibilities', 'Assignees']);
+        expect(xlsx.utils.sheet_to_json(book.Sheets.Responsibilities, { header: 1 })[0]).toEqual([...header, 'Assignee']);
+        expect(xlsx.utils.sheet_to_json(book.Sheets.Assignees).map(row => row.Assignee)).toEqual(expect.arrayContaining([
+          'sam@example.com', 'alex@example.com'
+        ]));
+        expect((await download(sam.token)).status).toBe(403);
+      });
+    });
+  });
+});
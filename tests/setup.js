@@ -0,0 +1,15 @@
+/**
+ * Jest setup - runs before each test file loads the app
+ * Points the backend at the in-memory data store and file storage
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.COOKIE_SECRET = 'test-cookie-secret';
+
+// The suite sends far more requests and logins per file than the production
+// limits allow; the check-in limits stay at their defaults
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.AUTH_RATE_LIMIT_MAX = '100000';